@@ -1,14 +1,20 @@
 /**
  * AI Chat Service
- * Handles conversation with Gemini/GPT, crisis detection, and sentiment analysis
+ * Handles conversation through the AI provider chain, crisis detection, and sentiment analysis
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const OpenAI = require('openai');
 const natural = require('natural');
 const Sentiment = require('sentiment');
 const winston = require('winston');
 
+const { Op } = require('sequelize');
+const providerRegistry = require('./providers');
+const crisisDetection = require('./crisisDetection');
+const memoryService = require('./memoryService');
+const escalationService = require('../services/escalationService');
+const crisisEventService = require('../services/crisisEventService');
+const { withRetry, withTimeout } = require('./circuitBreaker');
+
 // Logger setup
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -29,57 +35,9 @@ const logger = winston.createLogger({
   ]
 });
 
-// Initialize AI clients with error handling
-let genAI = null;
-let openai = null;
-
-// Initialize Gemini
-try {
-  if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your-gemini-api-key-here') {
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    logger.info('✅ Gemini AI client initialized');
-  } else {
-    logger.warn('⚠️ Gemini API key not configured');
-  }
-} catch (error) {
-  logger.warn('⚠️ Failed to initialize Gemini AI client:', error.message);
-}
-
-// Initialize OpenAI
-try {
-  if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your-openai-api-key-here') {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    logger.info('✅ OpenAI client initialized');
-  } else {
-    logger.warn('⚠️ OpenAI API key not configured');
-  }
-} catch (error) {
-  logger.warn('⚠️ Failed to initialize OpenAI client:', error.message);
-}
-
 // Initialize sentiment analyzer
 const sentiment = new Sentiment();
 
-// Crisis keywords and patterns (enhanced)
-const CRISIS_KEYWORDS = [
-  'suicide', 'kill myself', 'end my life', 'want to die', 'better off dead',
-  'self-harm', 'hurt myself', 'cut myself', 'overdose', 'pills',
-  'hopeless', 'worthless', 'nobody cares', 'give up', 'can\'t go on',
-  'end it all', 'no point', 'done with life', 'tired of living'
-];
-
-const CRISIS_PATTERNS = [
-  /I (want to|will|am going to) (kill|hurt|harm) myself/i,
-  /I'm (going to|planning to) (die|kill myself|end it)/i,
-  /life isn't worth living/i,
-  /(nobody|no one) would miss me/i,
-  /planning to (hurt|harm|kill)/i,
-  /have nothing to live for/i,
-  /ready to give up/i
-];
-
 // Positive indicators for mood tracking
 const POSITIVE_KEYWORDS = [
   'happy', 'good', 'better', 'great', 'fine', 'well', 'excited',
@@ -94,7 +52,6 @@ const ANXIETY_KEYWORDS = [
 
 class ChatService {
   constructor() {
-    this.conversationHistory = new Map(); // In-memory fallback
     this.userProfiles = new Map();
     this.responseCache = new Map(); // Cache for similar messages
     this.stats = {
@@ -124,8 +81,13 @@ class ChatService {
 
   /**
    * Process user message through AI and crisis detection
+   *
+   * Optional handlers enable streaming: `onAnalysis` is awaited once crisis
+   * and sentiment analysis are complete (before any token is produced) and
+   * `onChunk` receives each text chunk as the provider streams it.
+   * `options.clientMessageId` is stored with the user message (see findTurn).
    */
-  async processMessage(message, userId, sessionId = null) {
+  async processMessage(message, userId, sessionId = null, handlers = {}, options = {}) {
     try {
       this.stats.messagesProcessed++;
       
@@ -137,15 +99,34 @@ class ChatService {
       
       // Enhanced sentiment analysis
       const sentimentAnalysis = this.analyzeSentiment(message);
+
+      // High-risk verdicts open an escalation and ask for consent to notify a contact
+      const escalation = await escalationService.openEscalation({
+        userId,
+        sessionId,
+        verdict: crisisAnalysis
+      });
+      
+      // Crisis verdict goes out before the first token
+      if (handlers.onAnalysis) {
+        await handlers.onAnalysis({
+          crisisDetected: crisisAnalysis.detected,
+          crisisLevel: crisisAnalysis.level,
+          emergencyResources: crisisAnalysis.detected ? this.getEmergencyResources() : null,
+          escalation,
+          sentiment: sentimentAnalysis
+        });
+      }
       
-      // Get conversation context from database or memory
+      // Pinned facts, session summary and recent messages, within the token budget
       const context = await this.getConversationContext(userId, sessionId);
       
       // Generate AI response
-      const aiResponse = await this.generateResponse(message, context, crisisAnalysis, sentimentAnalysis);
+      const aiResponse = await this.generateResponse(message, context, crisisAnalysis, sentimentAnalysis, handlers.onChunk);
       
-      // Store conversation in database
-      await this.storeConversation(userId, sessionId, message, aiResponse, crisisAnalysis, sentimentAnalysis);
+      // Store conversation in database, then fold older messages into the summary when due
+      const storedSessionId = await this.storeConversation(userId, sessionId, message, aiResponse, crisisAnalysis, sentimentAnalysis, escalation, options);
+      memoryService.scheduleSummary(storedSessionId);
       
       // Update user profile with sentiment tracking
       await this.updateUserProfile(userId, sentimentAnalysis, crisisAnalysis);
@@ -158,7 +139,10 @@ class ChatService {
         crisisDetected: crisisAnalysis.detected,
         crisisLevel: crisisAnalysis.level,
         crisisTriggers: crisisAnalysis.triggers,
+        crisisSignals: crisisAnalysis.signals,
+        crisisSensitivity: crisisAnalysis.sensitivity,
         emergencyResources: crisisAnalysis.detected ? this.getEmergencyResources() : null,
+        escalation,
         recommendations: this.generateRecommendations(sentimentAnalysis, crisisAnalysis),
         timestamp: new Date().toISOString(),
         sessionId: sessionId || this.generateSessionId(),
@@ -202,93 +186,58 @@ class ChatService {
   }
 
   /**
-   * Enhanced crisis detection with user history
+   * Crisis detection through the shared risk engine, with the user's recent
+   * history and crisisDetectionSensitivity preference
    */
   async detectCrisis(message, userId) {
-    const lowerMessage = message.toLowerCase();
-    let detected = false;
-    let level = 'none';
-    let triggers = [];
-    let confidence = 0;
-
-    // Check for crisis keywords
-    CRISIS_KEYWORDS.forEach(keyword => {
-      if (lowerMessage.includes(keyword)) {
-        detected = true;
-        triggers.push(keyword);
-        confidence += 0.1;
-      }
-    });
-
-    // Check for crisis patterns
-    CRISIS_PATTERNS.forEach((pattern, index) => {
-      if (pattern.test(message)) {
-        detected = true;
-        triggers.push(`pattern_${index + 1}`);
-        confidence += 0.15;
-      }
-    });
+    const [history, sensitivity] = await Promise.all([
+      this.getRiskHistory(userId),
+      this.getCrisisSensitivity(userId)
+    ]);
 
-    // Enhanced context analysis
-    const contextWords = lowerMessage.split(' ');
-    let contextScore = 0;
-    
-    // Check for escalating language
-    const escalatingWords = ['always', 'never', 'everything', 'nothing', 'everyone', 'nobody'];
-    escalatingWords.forEach(word => {
-      if (contextWords.includes(word)) {
-        contextScore += 0.05;
-      }
-    });
+    return crisisDetection.assess(message, { history, sensitivity });
+  }
 
-    // Check for time-specific crisis language
-    const immediateWords = ['tonight', 'today', 'now', 'soon', 'planning'];
-    immediateWords.forEach(word => {
-      if (contextWords.includes(word)) {
-        contextScore += 0.1;
-        triggers.push(`immediate_${word}`);
+  /**
+   * Read the user's crisis detection sensitivity (low | medium | high)
+   */
+  async getCrisisSensitivity(userId) {
+    try {
+      if (!this.models || !this.models.User || !userId) {
+        return crisisDetection.DEFAULT_SENSITIVITY;
       }
-    });
-
-    confidence += contextScore;
 
-    // Determine crisis level based on triggers and confidence
-    if (detected) {
-      if (triggers.some(t => ['suicide', 'kill myself', 'end my life', 'overdose'].includes(t)) || confidence > 0.3) {
-        level = 'high';
-      } else if (triggers.some(t => ['self-harm', 'hurt myself', 'hopeless', 'worthless'].includes(t)) || confidence > 0.2) {
-        level = 'medium';
-      } else {
-        level = 'low';
-      }
+      const user = await this.models.User.findByPk(userId, { attributes: ['id', 'preferences'] });
+      return user?.preferences?.chat?.crisisDetectionSensitivity || crisisDetection.DEFAULT_SENSITIVITY;
+    } catch (error) {
+      logger.warn(`Could not read crisis sensitivity: ${error.message}`);
+      return crisisDetection.DEFAULT_SENSITIVITY;
     }
+  }
 
-    // Check user's recent crisis history if available
+  /**
+   * Count the user's crisis-flagged messages from the last 7 days
+   */
+  async getRiskHistory(userId) {
     try {
-      if (this.models && this.models.User) {
-        const user = await this.models.User.findByPk(userId);
-        if (user && user.mentalHealthProfile && user.mentalHealthProfile.assessments) {
-          const recentCrisis = user.mentalHealthProfile.assessments
-            .filter(a => a.type === 'crisis' && new Date(a.timestamp) > new Date(Date.now() - 7 * 24 * 60 * 60 * 1000))
-            .length;
-          
-          if (recentCrisis > 0 && detected) {
-            level = level === 'low' ? 'medium' : level === 'medium' ? 'high' : level;
-            triggers.push('recent_crisis_history');
-          }
-        }
+      if (!this.models || !this.models.Message || !userId) {
+        return { recentCrisisCount: 0 };
       }
+
+      const recentCrisisCount = await this.models.Message.count({
+        where: {
+          userId,
+          sender: 'user',
+          crisisDetected: true,
+          createdAt: { [Op.gte]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
+        }
+      });
+
+      return { recentCrisisCount };
     } catch (error) {
-      logger.warn('Could not check crisis history:', error.message);
+      logger.warn(`Could not check crisis history: ${error.message}`);
+      return { recentCrisisCount: 0 };
     }
-
-    return { 
-      detected, 
-      level, 
-      triggers, 
-      confidence: Math.min(confidence, 1.0),
-      timestamp: new Date().toISOString()
-    };
   }
 
   /**
@@ -346,32 +295,68 @@ class ChatService {
   }
 
   /**
-   * Generate AI response using Gemini or GPT with enhanced prompts
+   * Generate AI response, failing over through the configured provider chain
+   * Each provider call is guarded by its circuit breaker, retried on transient
+   * errors and bounded by a timeout. Streams through `onChunk` when provided.
    */
-  async generateResponse(message, context, crisisAnalysis, sentimentAnalysis) {
-    const systemPrompt = this.buildSystemPrompt(crisisAnalysis, sentimentAnalysis);
-    const conversationPrompt = this.buildConversationPrompt(message, context);
+  async generateResponse(message, context, crisisAnalysis, sentimentAnalysis, onChunk = null) {
+    const request = {
+      systemPrompt: this.buildSystemPrompt(crisisAnalysis, sentimentAnalysis),
+      conversationPrompt: this.buildConversationPrompt(message, context),
+      message,
+      crisisAnalysis,
+      sentimentAnalysis
+    };
 
-    try {
-      // Try Gemini first
-      if (genAI && process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your-gemini-api-key-here') {
-        logger.info('🚀 Attempting Gemini response generation...');
-        return await this.generateGeminiResponse(systemPrompt, conversationPrompt);
+    const fallbackProvider = providerRegistry.getFallbackProvider();
+    const candidates = providerRegistry.getAvailableProviders()
+      .filter(provider => provider !== fallbackProvider);
+
+    let streamStarted = false;
+    let lastError = null;
+    const trackedOnChunk = onChunk
+      ? (chunk) => {
+          streamStarted = true;
+          return onChunk(chunk);
+        }
+      : null;
+
+    for (const provider of candidates) {
+      const breaker = providerRegistry.getBreaker(provider.name);
+
+      if (breaker && !breaker.canRequest()) {
+        logger.warn(`⚡ Circuit open for ${provider.name}, skipping`);
+        continue;
       }
-      
-      // Fallback to OpenAI GPT
-      if (openai && process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your-openai-api-key-here') {
-        logger.info('🚀 Attempting OpenAI response generation...');
-        return await this.generateGPTResponse(systemPrompt, conversationPrompt);
+
+      try {
+        logger.info(`🚀 Attempting ${provider.name} response generation...`);
+        const response = await this.callProvider(provider, request, trackedOnChunk, () => streamStarted);
+        if (breaker) breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        lastError = error;
+        if (breaker) breaker.recordFailure(error);
+        logger.error(`❌ ${provider.name} generation error: ${error.message}`);
+
+        // Partial output already reached the client; don't splice another answer onto it
+        if (streamStarted) break;
       }
+    }
 
-      // No AI clients available - return helpful fallback
-      logger.warn('⚠️ No AI API keys configured, using fallback responses');
-      return {
-        content: this.getFallbackResponse(message, crisisAnalysis, sentimentAnalysis),
-        source: 'fallback',
-        confidence: 0.7
-      };
+    if (!lastError) {
+      // No AI providers available - return helpful fallback
+      logger.warn('⚠️ No AI providers available, using fallback responses');
+    }
+
+    try {
+      const fallbackResponse = trackedOnChunk && !streamStarted
+        ? await this.streamResponse(fallbackProvider, request, trackedOnChunk)
+        : await fallbackProvider.generate(request);
+
+      return lastError
+        ? { ...fallbackResponse, source: 'fallback_error', confidence: 0.5 }
+        : fallbackResponse;
 
     } catch (error) {
       logger.error('❌ AI generation error:', error.message, error.stack);
@@ -384,56 +369,55 @@ class ChatService {
   }
 
   /**
-   * Generate response using Google Gemini
+   * Call a single provider with retry/backoff and a per-call timeout
+   * Retries stop once any streamed text has been sent
    */
-  async generateGeminiResponse(systemPrompt, conversationPrompt) {
-    try {
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-      
-      const result = await model.generateContent([
-        { text: systemPrompt },
-        { text: conversationPrompt }
-      ]);
-
-      const responseText = result.response.text();
-      logger.info('✅ Gemini response generated successfully');
-      
-      return {
-        content: responseText,
-        source: 'gemini'
-      };
-    } catch (error) {
-      logger.error('❌ Gemini API error:', error.message);
-      throw error;
-    }
+  async callProvider(provider, request, onChunk, hasStreamed) {
+    const { timeoutMs, maxRetries, retryBaseDelayMs } = providerRegistry.getResilienceSettings();
+
+    return withRetry(
+      () => (onChunk
+        ? this.streamResponse(provider, request, onChunk, timeoutMs)
+        : withTimeout(provider.generate(request), timeoutMs, `${provider.name} request`)),
+      {
+        maxRetries,
+        baseDelayMs: retryBaseDelayMs,
+        shouldRetry: () => !hasStreamed(),
+        onRetry: (error, attempt, delay) => {
+          logger.warn(`🔁 Retrying ${provider.name} (attempt ${attempt}) in ${delay}ms: ${error.message}`);
+        }
+      }
+    );
   }
 
   /**
-   * Generate response using OpenAI GPT
+   * Stream a provider response, forwarding each chunk and returning the full text
+   * `timeoutMs` bounds the wait for each chunk rather than the whole stream
    */
-  async generateGPTResponse(systemPrompt, conversationPrompt) {
+  async streamResponse(provider, request, onChunk, timeoutMs = null) {
+    const iterator = provider.stream(request)[Symbol.asyncIterator]();
+    let content = '';
+
     try {
-      const completion = await openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: conversationPrompt }
-        ],
-        max_tokens: 500,
-        temperature: 0.7
-      });
+      for (;;) {
+        const { value: chunk, done } = await withTimeout(iterator.next(), timeoutMs, `${provider.name} stream`);
+        if (done) break;
+        if (!chunk) continue;
 
-      const responseText = completion.choices[0].message.content;
-      logger.info('✅ OpenAI response generated successfully');
-      
-      return {
-        content: responseText,
-        source: 'openai'
-      };
+        content += chunk;
+        await onChunk(chunk);
+      }
     } catch (error) {
-      logger.error('❌ OpenAI API error:', error.message);
+      if (typeof iterator.return === 'function') {
+        iterator.return().catch(() => {});
+      }
       throw error;
     }
+
+    return {
+      content,
+      source: provider.name
+    };
   }
 
   /**
@@ -506,14 +490,26 @@ IMMEDIATE RESPONSE REQUIREMENTS:
   }
 
   /**
-   * Build conversation prompt with context
+   * Build conversation prompt with context from memoryService.buildContext
    */
   buildConversationPrompt(message, context) {
     let prompt = '';
+
+    if (context?.facts?.length > 0) {
+      prompt += 'Things the user asked you to remember:\n';
+      context.facts.forEach(fact => {
+        prompt += `- ${fact}\n`;
+      });
+      prompt += '\n';
+    }
+
+    if (context?.summary) {
+      prompt += `Summary of earlier conversation:\n${context.summary}\n\n`;
+    }
     
-    if (context && context.length > 0) {
+    if (context?.messages?.length > 0) {
       prompt += 'Previous conversation context:\n';
-      context.slice(-3).forEach(msg => {
+      context.messages.forEach(msg => {
         prompt += `${msg.role}: ${msg.content}\n`;
       });
       prompt += '\n';
@@ -525,44 +521,41 @@ IMMEDIATE RESPONSE REQUIREMENTS:
   }
 
   /**
-   * Get conversation context for user
+   * Generate session ID
    */
-  getConversationContext(userId, conversationId) {
-    const key = `${userId}-${conversationId || 'default'}`;
-    return this.conversationHistory.get(key) || [];
+  generateSessionId() {
+    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   /**
-   * Update conversation history
+   * Find an already stored turn by the id the client gave its message.
+   * Returns { userMessage, aiMessage } or null if the message is new.
    */
-  updateConversationHistory(userId, conversationId, userMessage, aiResponse) {
-    const key = `${userId}-${conversationId || 'default'}`;
-    const history = this.conversationHistory.get(key) || [];
-    
-    history.push(
-      { role: 'user', content: userMessage, timestamp: new Date() },
-      { role: 'assistant', content: aiResponse, timestamp: new Date() }
-    );
+  async findTurn(userId, clientMessageId) {
+    if (!this.models || !clientMessageId) return null;
 
-    // Keep only last 10 messages
-    if (history.length > 10) {
-      history.splice(0, history.length - 10);
-    }
+    const userMessage = await this.models.Message.findOne({
+      where: { userId, clientMessageId, sender: 'user' }
+    });
+    if (!userMessage) return null;
 
-    this.conversationHistory.set(key, history);
-  }
+    // The reply is stored in the same transaction, right after the message
+    const aiMessage = await this.models.Message.findOne({
+      where: {
+        sessionId: userMessage.sessionId,
+        sender: 'ai',
+        createdAt: { [Op.gte]: userMessage.createdAt }
+      },
+      order: [['createdAt', 'ASC']]
+    });
 
-  /**
-   * Generate session ID
-   */
-  generateSessionId() {
-    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return { userMessage, aiMessage };
   }
 
   /**
    * Store conversation in database
    */
-  async storeConversation(userId, sessionId, userMessage, aiResponse, crisisAnalysis, sentimentAnalysis) {
+  async storeConversation(userId, sessionId, userMessage, aiResponse, crisisAnalysis, sentimentAnalysis, escalation = null, { clientMessageId = null } = {}) {
     try {
       if (!this.models) return;
 
@@ -585,35 +578,52 @@ IMMEDIATE RESPONSE REQUIREMENTS:
         });
       }
 
-      // Store user message
-      const userMsg = await this.models.Message.create({
-        sessionId: session.id,
-        userId,
-        sender: 'user',
-        content: userMessage,
-        sentiment: sentimentAnalysis.label,
-        sentimentScore: sentimentAnalysis.comparative,
-        crisisDetected: crisisAnalysis.detected,
-        crisisSeverity: crisisAnalysis.level !== 'none' ? crisisAnalysis.level : null
-      });
+      // Store both sides of the turn together, so a redelivered message
+      // (same clientMessageId) always finds its reply
+      await this.models.sequelize.transaction(async (transaction) => {
+        await this.models.Message.create({
+          sessionId: session.id,
+          userId,
+          sender: 'user',
+          content: userMessage,
+          clientMessageId,
+          sentiment: this.toStoredSentiment(sentimentAnalysis.label),
+          sentimentScore: this.toStoredSentimentScore(sentimentAnalysis.comparative),
+          crisisDetected: crisisAnalysis.detected,
+          crisisSeverity: crisisAnalysis.level !== 'none' ? crisisAnalysis.level : null,
+          flagged: crisisAnalysis.detected,
+          flagReason: crisisAnalysis.detected ? `crisis_${crisisAnalysis.level}` : null,
+          aiMetadata: {
+            riskAssessment: {
+              level: crisisAnalysis.level,
+              score: crisisAnalysis.score,
+              sensitivity: crisisAnalysis.sensitivity,
+              thresholds: crisisAnalysis.thresholds,
+              engineVersion: crisisAnalysis.engineVersion
+            }
+          }
+        }, { transaction });
 
-      // Store AI response
-      const aiMsg = await this.models.Message.create({
-        sessionId: session.id,
-        userId,
-        sender: 'ai',
-        content: aiResponse.content,
-        aiMetadata: {
-          model_used: aiResponse.source,
-          confidence_score: aiResponse.confidence || 0.8,
-          response_time: 0
-        }
+        await this.models.Message.create({
+          sessionId: session.id,
+          userId,
+          sender: 'ai',
+          content: aiResponse.content,
+          aiMetadata: {
+            model_used: aiResponse.source,
+            confidence_score: aiResponse.confidence || 0.8,
+            response_time: 0
+          }
+        }, { transaction });
       });
 
       // Update session statistics
       await session.addMessage({ 
         crisis_detected: crisisAnalysis.detected,
         crisis_severity: crisisAnalysis.level,
+        crisis_triggers: crisisAnalysis.triggers,
+        crisis_sensitivity: crisisAnalysis.sensitivity,
+        escalation_id: escalation ? escalation.id : null,
         sentiment: sentimentAnalysis.label,
         sentiment_score: sentimentAnalysis.comparative
       });
@@ -626,6 +636,21 @@ IMMEDIATE RESPONSE REQUIREMENTS:
     }
   }
 
+  /**
+   * Messages store a three-way sentiment label and a 0-1 score
+   */
+  toStoredSentiment(label) {
+    if (label === 'very_positive') return 'positive';
+    if (label === 'very_negative') return 'negative';
+    return label;
+  }
+
+  toStoredSentimentScore(comparative) {
+    // sentiment's comparative score ranges from -5 to 5
+    const normalized = (comparative + 5) / 10;
+    return Math.min(Math.max(normalized, 0), 1);
+  }
+
   /**
    * Store crisis event in database
    */
@@ -633,31 +658,16 @@ IMMEDIATE RESPONSE REQUIREMENTS:
     try {
       if (!this.models || !this.models.User) return;
 
-      const user = await this.models.User.findByPk(userId);
-      if (!user) return;
-
-      const crisisEvent = {
-        timestamp: new Date(),
+      await crisisEventService.record(userId, {
         severity: crisisAnalysis.level,
+        source: 'chat',
         triggers: crisisAnalysis.triggers,
         confidence: crisisAnalysis.confidence,
+        sensitivity: crisisAnalysis.sensitivity,
+        thresholds: crisisAnalysis.thresholds,
         message_excerpt: message.substring(0, 100), // Store first 100 chars
         session_id: sessionId
-      };
-
-      // Add to user's mental health profile
-      if (!user.mentalHealthProfile.crisisEvents) {
-        user.mentalHealthProfile.crisisEvents = [];
-      }
-      
-      user.mentalHealthProfile.crisisEvents.push(crisisEvent);
-      
-      // Keep only last 20 crisis events
-      if (user.mentalHealthProfile.crisisEvents.length > 20) {
-        user.mentalHealthProfile.crisisEvents = user.mentalHealthProfile.crisisEvents.slice(-20);
-      }
-
-      await user.save();
+      });
       
       logger.warn(`Crisis event stored for user ${userId.substring(0, 8)}...`);
 
@@ -676,11 +686,6 @@ IMMEDIATE RESPONSE REQUIREMENTS:
       const user = await this.models.User.findByPk(userId);
       if (!user) return;
 
-      // Initialize mood tracking if it doesn't exist
-      if (!user.mentalHealthProfile.moodHistory) {
-        user.mentalHealthProfile.moodHistory = [];
-      }
-
       // Add current mood data
       const moodEntry = {
         timestamp: new Date(),
@@ -689,13 +694,12 @@ IMMEDIATE RESPONSE REQUIREMENTS:
         crisis_detected: crisisAnalysis.detected
       };
 
-      user.mentalHealthProfile.moodHistory.push(moodEntry);
-
-      // Keep only last 50 mood entries
-      if (user.mentalHealthProfile.moodHistory.length > 50) {
-        user.mentalHealthProfile.moodHistory = user.mentalHealthProfile.moodHistory.slice(-50);
-      }
-
+      // Keep only the last 50 mood entries
+      const profile = user.mentalHealthProfile || {};
+      user.mentalHealthProfile = {
+        ...profile,
+        moodHistory: [...(profile.moodHistory || []), moodEntry].slice(-50)
+      };
       await user.save();
 
     } catch (error) {
@@ -705,32 +709,14 @@ IMMEDIATE RESPONSE REQUIREMENTS:
 
   /**
    * Get conversation context from database
+   * If memory can't be loaded the reply is still generated, without context
    */
   async getConversationContext(userId, sessionId) {
     try {
-      if (!this.models || !sessionId) {
-        // Fallback to memory
-        const key = `${userId}-${sessionId || 'default'}`;
-        return this.conversationHistory.get(key) || [];
-      }
-
-      // Get recent messages from database
-      const messages = await this.models.Message.find({
-        where: { sessionId },
-        order: [['createdAt', 'DESC']],
-        limit: 10
-      });
-
-      return messages.reverse().map(msg => ({
-        role: msg.sender === 'user' ? 'user' : 'assistant',
-        content: msg.content,
-        timestamp: msg.createdAt
-      }));
-
+      return await memoryService.buildContext(userId, sessionId);
     } catch (error) {
-      logger.warn('Could not get context from database, using memory fallback:', error.message);
-      const key = `${userId}-${sessionId || 'default'}`;
-      return this.conversationHistory.get(key) || [];
+      logger.warn('Could not load conversation memory:', error.message);
+      return { facts: [], summary: null, messages: [], tokens: 0 };
     }
   }
 
@@ -798,91 +784,14 @@ IMMEDIATE RESPONSE REQUIREMENTS:
    * Get emergency resources
    */
   getEmergencyResources() {
-    return {
-      crisis_lines: [
-        {
-          name: "National Suicide Prevention Lifeline",
-          number: "988",
-          description: "24/7 free and confidential support"
-        },
-        {
-          name: "Crisis Text Line",
-          number: "Text HOME to 741741",
-          description: "24/7 text-based crisis support"
-        }
-      ],
-      immediate_actions: [
-        "Reach out to a trusted friend, family member, or counselor",
-        "Go to your nearest emergency room",
-        "Call 911 if you're in immediate danger",
-        "Remove any means of self-harm from your environment"
-      ],
-      resources: [
-        {
-          name: "National Institute of Mental Health",
-          url: "https://www.nimh.nih.gov/health/find-help"
-        },
-        {
-          name: "Mental Health America",
-          url: "https://www.mhanational.org/finding-help"
-        }
-      ]
-    };
+    return crisisEventService.getEmergencyResources();
   }
 
   /**
    * Get enhanced fallback response when AI is not available
    */
   getFallbackResponse(message, crisisAnalysis, sentimentAnalysis) {
-    if (crisisAnalysis.detected) {
-      const crisisResponse = "I'm very concerned about what you've shared. Please know that you're not alone and help is available. I strongly encourage you to reach out to a crisis helpline immediately:\n\n🆘 **Crisis Resources:**\n• 988 (Suicide & Crisis Lifeline) - Call or text\n• Crisis Text Line: Text HOME to 741741\n• Your local emergency services: 911\n\nYour life has value and there are people who want to help you through this difficult time. Please reach out now.";
-      
-      return crisisResponse;
-    }
-
-    // Enhanced responses based on sentiment and keywords
-    const lowerMessage = message.toLowerCase();
-    
-    // Physical symptoms support
-    if (lowerMessage.includes('headache') || lowerMessage.includes('head hurts') || lowerMessage.includes('migraine')) {
-      return "I'm sorry you're dealing with a headache - that can really affect your whole day and mood. Physical pain like headaches can be so draining. Have you been under more stress lately, or noticed if anything specific tends to trigger them? Sometimes headaches can be connected to stress, dehydration, or lack of sleep. While I can't give medical advice, gentle things like staying hydrated, resting in a quiet space, or some light stretching might help provide comfort.";
-    }
-    
-    if (lowerMessage.includes('tired') || lowerMessage.includes('exhausted') || lowerMessage.includes('fatigue')) {
-      return "Being tired and exhausted can make everything feel harder to handle. It sounds like you're really drained right now. Sometimes our bodies are telling us we need rest, but other times fatigue can be connected to stress or our emotional state. Are you able to get enough sleep, or is something keeping you from feeling rested? Taking care of your basic needs - sleep, food, water - can sometimes make a big difference in how we feel overall.";
-    }
-    
-    if (lowerMessage.includes('sick') || lowerMessage.includes('not feeling well') || lowerMessage.includes('unwell')) {
-      return "I'm sorry you're not feeling well - that's never fun to deal with. When we're physically unwell, it can also affect our mood and mental state. Are you feeling sick physically, emotionally, or maybe both? Sometimes our bodies and minds are more connected than we realize. I hope you're able to take some time to rest and take care of yourself.";
-    }
-    
-    if (sentimentAnalysis && sentimentAnalysis.label === 'very_negative') {
-      return "I can sense that you're going through something really tough right now. Those difficult feelings are completely valid, and I want you to know that it's okay to not be okay sometimes. Even though I'm having some technical difficulties, please know that support is available to you. If you're in crisis, please reach out to 988 or your local crisis line. Otherwise, talking to a trusted friend, family member, or counselor can really help during hard times.";
-    }
-
-    if (lowerMessage.includes('anxious') || lowerMessage.includes('anxiety') || 
-        sentimentAnalysis?.indicators.some(i => i.type === 'anxiety')) {
-      return "I hear that you're feeling anxious, and that can be really overwhelming. Anxiety affects both our minds and bodies. Sometimes simple breathing exercises can help - try breathing in slowly for 4 counts, holding for 7, then breathing out for 8. Grounding yourself can also help - try noticing 5 things you can see around you, 4 things you can touch, 3 things you can hear. What's been making you feel most anxious lately?";
-    }
-    
-    if (lowerMessage.includes('depressed') || lowerMessage.includes('depression') || lowerMessage.includes('sad')) {
-      return "Thank you for sharing that you're feeling down. Depression can make everything feel heavier and more difficult. What you're experiencing is real and valid. Many people find that talking through their feelings helps, even when it feels hard to put them into words. Can you tell me more about what's been weighing on you? If these feelings are persistent or getting worse, please consider reaching out to a mental health professional who can provide proper support.";
-    }
-    
-    if (lowerMessage.includes('stress') || lowerMessage.includes('overwhelmed')) {
-      return "It sounds like you're dealing with a lot of stress right now, and feeling overwhelmed is completely understandable when there's too much going on. Sometimes stress can even show up as physical symptoms like headaches or feeling tired. Let's talk about what's causing you the most stress - what feels like the biggest challenge you're facing right now? Sometimes breaking things down into smaller pieces can make them feel more manageable.";
-    }
-    
-    if (lowerMessage.includes('lonely') || lowerMessage.includes('alone')) {
-      return "Loneliness can be really painful to experience, and I appreciate you being brave enough to reach out and share that with me. Even when we feel completely alone, there are people who care and want to help. Sometimes talking through these feelings can help us understand them better and find ways to connect. What's been making you feel most lonely? Is it feeling disconnected from others, or maybe feeling like no one understands what you're going through?";
-    }
-    
-    if (sentimentAnalysis && (sentimentAnalysis.label === 'positive' || sentimentAnalysis.label === 'very_positive')) {
-      return "It's really nice to hear some positivity from you! I appreciate you sharing that with me. Even though I'm having some technical difficulties right now, I'm glad you reached out. How can I best support you today? Is there something specific you'd like to talk about, or are you just checking in?";
-    }
-    
-    // Default supportive response
-    return "I'm here to listen and support you, and I appreciate you reaching out to me. That takes courage. While I'm having some technical difficulties right now, I want you to know that I care about how you're doing. Could you tell me more about what's going on for you today? Sometimes just talking through what's on our minds can help us feel a little better. If you're in crisis or need immediate help, please don't hesitate to contact 988 or your local emergency services.";
+    return providerRegistry.getFallbackProvider().getFallbackResponse(message, crisisAnalysis, sentimentAnalysis);
   }
 
   /**
@@ -891,30 +800,13 @@ IMMEDIATE RESPONSE REQUIREMENTS:
   getStats() {
     return {
       ...this.stats,
-      memoryConversations: this.conversationHistory.size,
       uptime: process.uptime(),
-      aiClientsAvailable: {
-        gemini: !!genAI && !!process.env.GEMINI_API_KEY,
-        openai: !!openai && !!process.env.OPENAI_API_KEY
-      }
+      aiClientsAvailable: Object.fromEntries(
+        providerRegistry.getProviders().map(provider => [provider.name, provider.isAvailable()])
+      ),
+      providers: providerRegistry.describe()
     };
   }
-
-  /**
-   * Clear old conversation history (memory cleanup)
-   */
-  cleanupMemory() {
-    const cutoff = Date.now() - (24 * 60 * 60 * 1000); // 24 hours ago
-    
-    for (const [key, history] of this.conversationHistory) {
-      const lastMessage = history[history.length - 1];
-      if (lastMessage && new Date(lastMessage.timestamp).getTime() < cutoff) {
-        this.conversationHistory.delete(key);
-      }
-    }
-    
-    logger.info(`Memory cleanup completed. Active conversations: ${this.conversationHistory.size}`);
-  }
 }
 
 module.exports = new ChatService();
\ No newline at end of file
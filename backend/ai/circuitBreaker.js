@@ -0,0 +1,177 @@
+/**
+ * Circuit Breaker
+ * Per-provider failure isolation with retry and timeout helpers
+ *
+ * closed    - calls flow normally; consecutive failures are counted
+ * open      - calls are rejected until resetTimeoutMs has elapsed
+ * half_open - a single trial call decides between closed and open
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.now = options.now || Date.now;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.stats = {
+      successes: 0,
+      failures: 0,
+      rejections: 0,
+      lastFailureAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Whether a call may go through right now
+   * Moves an expired open breaker to half-open and admits one trial call
+   */
+  canRequest() {
+    if (this.state === STATES.OPEN && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === STATES.CLOSED) return true;
+
+    if (this.state === STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    this.stats.rejections++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    this.state = STATES.CLOSED;
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.stats.failures++;
+    this.stats.lastFailureAt = new Date(this.now()).toISOString();
+    this.stats.lastError = error ? error.message : null;
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = this.now();
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === STATES.OPEN
+        ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+        : null,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Extract an HTTP status code from provider SDK errors
+ * OpenAI errors carry `status`; Gemini embeds it in the message ("[429 Too Many Requests]")
+ */
+const getErrorStatus = (error) => {
+  if (!error) return null;
+  if (Number.isInteger(error.status)) return error.status;
+  if (Number.isInteger(error.statusCode)) return error.statusCode;
+
+  const match = /\[(\d{3})[ \]]/.exec(error.message || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+/**
+ * Rate limits, server errors, timeouts and dropped connections are worth retrying
+ */
+const isTransientError = (error) => {
+  if (!error) return false;
+  if (error.code === 'PROVIDER_TIMEOUT') return true;
+  if (TRANSIENT_NETWORK_CODES.includes(error.code)) return true;
+
+  const status = getErrorStatus(error);
+  return status === 429 || (status !== null && status >= 500);
+};
+
+/**
+ * Reject if the promise does not settle within timeoutMs
+ */
+const withTimeout = (promise, timeoutMs, label = 'provider call') => {
+  if (!timeoutMs) return promise;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.code = 'PROVIDER_TIMEOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn with exponential backoff on transient errors
+ * `shouldRetry(error)` can veto a retry (e.g. once streaming output has started)
+ */
+const withRetry = async (fn, options = {}) => {
+  const maxRetries = options.maxRetries ?? 2;
+  const baseDelayMs = options.baseDelayMs ?? 500;
+  const maxDelayMs = options.maxDelayMs ?? 8000;
+  const shouldRetry = options.shouldRetry || (() => true);
+  const onRetry = options.onRetry || (() => {});
+
+  let attempt = 0;
+
+  for (;;) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || !isTransientError(error) || !shouldRetry(error)) {
+        throw error;
+      }
+
+      // Jitter keeps concurrent retries from synchronising
+      const backoff = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+      const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+      onRetry(error, attempt + 1, delay);
+
+      await sleep(delay);
+      attempt++;
+    }
+  }
+};
+
+module.exports = {
+  CircuitBreaker,
+  STATES,
+  getErrorStatus,
+  isTransientError,
+  withTimeout,
+  withRetry
+};
@@ -1,14 +1,86 @@
 /**
  * Crisis Detection Service
- * Advanced crisis detection with ML models and pattern matching
+ * Single risk engine shared by chat routes, Socket.IO and assessments
+ *
+ * Every verdict is explainable: keyword, pattern, classifier, sentiment,
+ * context and history signals are listed with the weight they contributed
+ * to the final score.
  */
 
 const natural = require('natural');
 const Sentiment = require('sentiment');
+const crisisMatcher = require('./crisisMatcher');
+
+const ENGINE_VERSION = '2.0.0';
+
+const CRISIS_PATTERNS = {
+  high: [
+    /I (want to|will|am going to) (kill|hurt|harm) myself/i,
+    /I'?m (going to|planning to) (die|kill myself|end it)/i,
+    /planning to (hurt|harm|kill) myself/i,
+    /have a plan to (kill|hurt|harm|end)/i,
+    /tonight I will (die|end it|kill)/i
+  ],
+  medium: [
+    /life isn'?t worth living/i,
+    /(nobody|no one) would miss me/i,
+    /have nothing to live for/i,
+    /ready to give up/i,
+    /can'?t take it anymore/i,
+    /everything is hopeless/i,
+    /I hate myself/i
+  ],
+  low: [
+    /feeling really (sad|down|depressed)/i,
+    /having a hard time/i,
+    /struggling with/i,
+    /don'?t know what to do/i
+  ]
+};
+
+// Contribution of each signal to the 0-1 risk score
+const SIGNAL_WEIGHTS = {
+  keyword: { high: 0.4, medium: 0.2, low: 0.05 },
+  pattern: { high: 0.5, medium: 0.3, low: 0.1 },
+  classifier: { high_risk: 0.25, medium_risk: 0.15, low_risk: 0.05, no_risk: 0 },
+  sentiment: { severe: 0.15, strong: 0.1, mild: 0.05 },
+  urgency: 0.1, // per immediacy word, capped
+  urgencyCap: 0.2,
+  absolutist: 0.05, // per absolutist word, capped
+  absolutistCap: 0.1,
+  history: 0.1, // per recent flagged message, capped
+  historyCap: 0.2
+};
+
+// Share of the weight a match keeps, by how it was read (see crisisMatcher)
+const STATUS_MULTIPLIERS = {
+  hit: 1,
+  hypothetical: 0.5,
+  hyperbole: 0,
+  negated: 0,
+  title: 0,
+  quoted: 0
+};
+
+// Minimum score for each level, by the user's crisisDetectionSensitivity
+// preference. "high" sensitivity flags earlier, "low" needs stronger evidence
+const SENSITIVITY_THRESHOLDS = {
+  low: { low: 0.25, medium: 0.45, high: 0.7, critical: 0.9 },
+  medium: { low: 0.1, medium: 0.35, high: 0.6, critical: 0.85 },
+  high: { low: 0.05, medium: 0.25, high: 0.5, critical: 0.8 }
+};
+
+const DEFAULT_SENSITIVITY = 'medium';
+
+const LEVEL_ORDER = ['none', 'low', 'medium', 'high', 'critical'];
+
+const URGENCY_WORDS = ['tonight', 'today', 'now', 'soon', 'planning'];
+const ABSOLUTIST_WORDS = ['always', 'never', 'everything', 'nothing', 'everyone', 'nobody'];
 
 class CrisisDetectionService {
   constructor() {
     this.sentiment = new Sentiment();
+    this.tokenizer = new natural.WordTokenizer();
     this.classifier = new natural.BayesClassifier();
     this.initializeClassifier();
   }
@@ -25,18 +97,18 @@ class CrisisDetectionService {
       { text: "I have pills and I want to take them all", label: 'high_risk' },
       { text: "Nobody would miss me if I'm gone", label: 'high_risk' },
       { text: "I can't take this pain anymore", label: 'high_risk' },
-      
+
       // Medium risk
       { text: "I hate my life", label: 'medium_risk' },
       { text: "I want to hurt myself", label: 'medium_risk' },
       { text: "Everything is hopeless", label: 'medium_risk' },
       { text: "I feel worthless and alone", label: 'medium_risk' },
-      
+
       // Low risk
       { text: "I'm feeling really sad today", label: 'low_risk' },
       { text: "I'm stressed about school", label: 'low_risk' },
       { text: "I'm having trouble sleeping", label: 'low_risk' },
-      
+
       // No risk
       { text: "How are you today?", label: 'no_risk' },
       { text: "I had a good day at work", label: 'no_risk' },
@@ -47,150 +119,210 @@ class CrisisDetectionService {
     trainingData.forEach(item => {
       this.classifier.addDocument(item.text, item.label);
     });
-    
+
     this.classifier.train();
   }
 
   /**
-   * Analyze message for crisis indicators
+   * Assess a message and return an explainable risk verdict
+   *
+   * @param {string} message
+   * @param {object} context
+   * @param {object} [context.history] - { recentCrisisCount } from stored messages
+   * @param {number} [context.sentimentScore] - precomputed sentiment score
+   * @param {string} [context.sensitivity] - low | medium | high
    */
-  analyzeCrisis(message) {
-    const sentimentAnalysis = this.sentiment.analyze(message);
-    const classification = this.classifier.classify(message);
-    const keywordAnalysis = this.analyzeKeywords(message);
-    const patternAnalysis = this.analyzePatterns(message);
+  assess(message, context = {}) {
+    const sensitivity = SENSITIVITY_THRESHOLDS[context.sensitivity]
+      ? context.sensitivity
+      : DEFAULT_SENSITIVITY;
+    const thresholds = SENSITIVITY_THRESHOLDS[sensitivity];
+    const signals = [];
+
+    const keywordSignals = this.analyzeKeywords(message);
+    const patternSignals = this.analyzePatterns(message);
+    signals.push(...keywordSignals, ...patternSignals);
+
+    // Only medium/high tier lexical evidence can raise a crisis by itself
+    // (high tier only when framed hypothetically); the remaining signals
+    // adjust how severe that crisis is
+    const lexicalEvidence = signals.some(s =>
+      (s.status === 'hit' && (s.tier === 'high' || s.tier === 'medium')) ||
+      (s.status === 'hypothetical' && s.tier === 'high')
+    );
+
+    const sentimentSignal = this.analyzeSentimentSignal(message, context.sentimentScore);
+    if (sentimentSignal) signals.push(sentimentSignal);
+
+    if (lexicalEvidence || sentimentSignal) {
+      const classifierSignal = this.analyzeClassifier(message);
+      if (classifierSignal) signals.push(classifierSignal);
+    }
+
+    if (lexicalEvidence) {
+      signals.push(...this.analyzeContext(message));
+
+      const historySignal = this.analyzeHistory(context.history);
+      if (historySignal) signals.push(historySignal);
+    }
+
+    const score = Math.min(
+      signals.reduce((sum, signal) => sum + signal.weight, 0),
+      1.0
+    );
+
+    const level = lexicalEvidence ? this.determineLevel(score, signals, thresholds) : 'none';
 
     return {
-      overallRisk: this.calculateOverallRisk({
-        sentiment: sentimentAnalysis,
-        classification,
-        keywords: keywordAnalysis,
-        patterns: patternAnalysis
-      }),
-      details: {
-        sentiment: sentimentAnalysis,
-        classification,
-        keywords: keywordAnalysis,
-        patterns: patternAnalysis
-      }
+      detected: level !== 'none',
+      level,
+      score: Math.round(score * 1000) / 1000,
+      confidence: Math.round(score * 1000) / 1000,
+      triggers: signals.filter(s => s.weight > 0).map(s => s.name),
+      signals,
+      sensitivity,
+      thresholds: { ...thresholds },
+      engineVersion: ENGINE_VERSION,
+      timestamp: new Date().toISOString()
     };
   }
 
   /**
-   * Analyze crisis keywords
+   * Crisis keyword signals (lexicon terms, slang and misspellings)
    */
   analyzeKeywords(message) {
-    const crisisKeywords = {
-      high_risk: [
-        'suicide', 'kill myself', 'end my life', 'want to die',
-        'overdose', 'pills', 'razor', 'cutting', 'hanging'
-      ],
-      medium_risk: [
-        'self-harm', 'hurt myself', 'hopeless', 'worthless',
-        'nobody cares', 'can\'t go on', 'give up', 'trapped'
-      ],
-      low_risk: [
-        'depressed', 'anxious', 'stressed', 'overwhelmed',
-        'tired', 'lonely', 'sad', 'empty'
-      ]
-    };
+    return crisisMatcher.matchTerms(message).map(match => ({
+      type: 'keyword',
+      name: match.term,
+      tier: match.tier,
+      matched: match.matched,
+      status: match.status,
+      weight: SIGNAL_WEIGHTS.keyword[match.tier] * STATUS_MULTIPLIERS[match.status]
+    }));
+  }
 
-    const found = {
-      high_risk: [],
-      medium_risk: [],
-      low_risk: []
-    };
+  /**
+   * Crisis regex pattern signals
+   */
+  analyzePatterns(message) {
+    return crisisMatcher.matchPatterns(message, CRISIS_PATTERNS).map(match => ({
+      type: 'pattern',
+      name: match.name,
+      tier: match.tier,
+      matched: match.matched,
+      status: match.status,
+      weight: SIGNAL_WEIGHTS.pattern[match.tier] * STATUS_MULTIPLIERS[match.status]
+    }));
+  }
 
-    const lowerMessage = message.toLowerCase();
+  /**
+   * Bayes classifier signal
+   */
+  analyzeClassifier(message) {
+    const label = this.classifier.classify(message);
+    const weight = SIGNAL_WEIGHTS.classifier[label] || 0;
 
-    Object.keys(crisisKeywords).forEach(level => {
-      crisisKeywords[level].forEach(keyword => {
-        if (lowerMessage.includes(keyword)) {
-          found[level].push(keyword);
-        }
-      });
-    });
+    if (weight === 0) return null;
 
-    return found;
+    return {
+      type: 'classifier',
+      name: `classifier_${label}`,
+      tier: label.replace('_risk', ''),
+      weight
+    };
   }
 
   /**
-   * Analyze crisis patterns using regex
+   * Negative sentiment signal
    */
-  analyzePatterns(message) {
-    const patterns = {
-      high_risk: [
-        /I want to (kill|hurt|harm) myself/i,
-        /I'm going to (die|kill myself|end it)/i,
-        /planning to (hurt|harm|kill) myself/i,
-        /have a plan to/i,
-        /tonight I will/i
-      ],
-      medium_risk: [
-        /life isn't worth living/i,
-        /nobody would miss me/i,
-        /can't take it anymore/i,
-        /everything is hopeless/i,
-        /I hate myself/i
-      ],
-      low_risk: [
-        /feeling really (sad|down|depressed)/i,
-        /having a hard time/i,
-        /struggling with/i,
-        /don't know what to do/i
-      ]
-    };
+  analyzeSentimentSignal(message, precomputedScore) {
+    const score = typeof precomputedScore === 'number'
+      ? precomputedScore
+      : this.sentiment.analyze(message).score;
+
+    let strength = null;
+    if (score <= -5) strength = 'severe';
+    else if (score <= -2) strength = 'strong';
+    else if (score < 0) strength = 'mild';
 
-    const matches = {
-      high_risk: [],
-      medium_risk: [],
-      low_risk: []
+    if (!strength) return null;
+
+    return {
+      type: 'sentiment',
+      name: `sentiment_${strength}`,
+      value: score,
+      weight: SIGNAL_WEIGHTS.sentiment[strength]
     };
+  }
 
-    Object.keys(patterns).forEach(level => {
-      patterns[level].forEach((pattern, index) => {
-        if (pattern.test(message)) {
-          matches[level].push(`pattern_${index}`);
-        }
+  /**
+   * Immediacy and absolutist language (only meaningful alongside crisis language)
+   */
+  analyzeContext(message) {
+    const words = this.tokenizer.tokenize(message.toLowerCase());
+    const signals = [];
+
+    const urgent = URGENCY_WORDS.filter(word => words.includes(word));
+    if (urgent.length > 0) {
+      signals.push({
+        type: 'context',
+        name: `immediate_${urgent.join('_')}`,
+        weight: Math.min(urgent.length * SIGNAL_WEIGHTS.urgency, SIGNAL_WEIGHTS.urgencyCap)
       });
-    });
+    }
+
+    const absolutist = ABSOLUTIST_WORDS.filter(word => words.includes(word));
+    if (absolutist.length > 0) {
+      signals.push({
+        type: 'context',
+        name: 'absolutist_language',
+        value: absolutist,
+        weight: Math.min(absolutist.length * SIGNAL_WEIGHTS.absolutist, SIGNAL_WEIGHTS.absolutistCap)
+      });
+    }
 
-    return matches;
+    return signals;
   }
 
   /**
-   * Calculate overall risk level
+   * Recent crisis history signal
    */
-  calculateOverallRisk({ sentiment, classification, keywords, patterns }) {
-    let riskScore = 0;
-
-    // Sentiment scoring
-    if (sentiment.score < -5) riskScore += 3;
-    else if (sentiment.score < -2) riskScore += 2;
-    else if (sentiment.score < 0) riskScore += 1;
-
-    // Classification scoring
-    switch (classification) {
-      case 'high_risk': riskScore += 5; break;
-      case 'medium_risk': riskScore += 3; break;
-      case 'low_risk': riskScore += 1; break;
+  analyzeHistory(history) {
+    const recentCrisisCount = history?.recentCrisisCount || 0;
+    if (recentCrisisCount === 0) return null;
+
+    return {
+      type: 'history',
+      name: 'recent_crisis_history',
+      value: recentCrisisCount,
+      weight: Math.min(recentCrisisCount * SIGNAL_WEIGHTS.history, SIGNAL_WEIGHTS.historyCap)
+    };
+  }
+
+  /**
+   * Map a score to a level
+   * Unqualified high-tier evidence is never reported below "high", and
+   * "critical" needs an explicit high-tier pattern (stated intent or plan)
+   */
+  determineLevel(score, signals, thresholds) {
+    let level = 'none';
+    if (score >= thresholds.critical) level = 'critical';
+    else if (score >= thresholds.high) level = 'high';
+    else if (score >= thresholds.medium) level = 'medium';
+    else if (score >= thresholds.low) level = 'low';
+
+    const hasHighPattern = signals.some(s => s.type === 'pattern' && s.tier === 'high' && s.status === 'hit');
+    const hasHighEvidence = signals.some(s => (s.type === 'keyword' || s.type === 'pattern') && s.tier === 'high' && s.status === 'hit');
+
+    if (level === 'critical' && !hasHighPattern) {
+      level = 'high';
+    }
+
+    if (hasHighEvidence && LEVEL_ORDER.indexOf(level) < LEVEL_ORDER.indexOf('high')) {
+      level = 'high';
     }
 
-    // Keyword scoring
-    riskScore += keywords.high_risk.length * 3;
-    riskScore += keywords.medium_risk.length * 2;
-    riskScore += keywords.low_risk.length * 1;
-
-    // Pattern scoring
-    riskScore += patterns.high_risk.length * 4;
-    riskScore += patterns.medium_risk.length * 2;
-    riskScore += patterns.low_risk.length * 1;
-
-    // Determine risk level
-    if (riskScore >= 8) return 'high';
-    if (riskScore >= 4) return 'medium';
-    if (riskScore >= 1) return 'low';
-    return 'none';
+    return level;
   }
 
   /**
@@ -230,8 +362,14 @@ class CrisisDetectionService {
       }
     };
 
+    if (riskLevel === 'critical') return responses.high;
     return responses[riskLevel] || null;
   }
 }
 
-module.exports = new CrisisDetectionService();
\ No newline at end of file
+module.exports = new CrisisDetectionService();
+module.exports.SENSITIVITY_THRESHOLDS = SENSITIVITY_THRESHOLDS;
+module.exports.DEFAULT_SENSITIVITY = DEFAULT_SENSITIVITY;
+module.exports.SIGNAL_WEIGHTS = SIGNAL_WEIGHTS;
+module.exports.STATUS_MULTIPLIERS = STATUS_MULTIPLIERS;
+module.exports.LEVEL_ORDER = LEVEL_ORDER;
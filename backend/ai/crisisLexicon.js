@@ -0,0 +1,104 @@
+/**
+ * Crisis Lexicon
+ * Curated crisis terms with slang, misspelling and context rules
+ *
+ * term            - canonical phrase reported in verdicts
+ * tier            - high | medium | low
+ * variants        - slang and common misspellings, matched like the term
+ * fuzzy           - also accept single-edit misspellings of the term
+ * exact           - match surface words only (no stemming)
+ * requiresContext - ambiguous words only count when one of these words
+ *                   appears in the same clause ("take all my pills",
+ *                   not "pill organizer")
+ */
+
+const CRISIS_LEXICON = [
+  // High risk
+  { term: 'suicide', tier: 'high', fuzzy: true, variants: ['suicidal', 'sewerslide', 'sewer slide', 'suicde', 'sucide', 'suiside', 'self deletion'] },
+  { term: 'kill myself', tier: 'high', variants: ['kms', 'kill my self', 'kil myself', 'killmyself'] },
+  { term: 'unalive myself', tier: 'high', variants: ['unalive', 'unaliving', 'self unalive'] },
+  { term: 'off myself', tier: 'high' },
+  { term: 'end my life', tier: 'high', variants: ['end my own life', 'take my life', 'take my own life'] },
+  { term: 'want to die', tier: 'high', variants: ['wanna die', 'want 2 die', 'wish i was dead', 'wish i were dead', 'wish i could die'] },
+  { term: 'don\'t want to wake up', tier: 'high', variants: ['dont want to wake up', 'don\'t wanna wake up', 'dont wanna wake up', 'never want to wake up', 'hope i don\'t wake up', 'hope i dont wake up'] },
+  { term: 'don\'t want to live', tier: 'high', variants: ['dont want to live', 'don\'t wanna live', 'dont wanna live', 'don\'t want to be alive', 'dont want to be alive'] },
+  { term: 'better off dead', tier: 'high', variants: ['better off without me'] },
+  { term: 'end it all', tier: 'high' },
+  { term: 'overdose', tier: 'high', variants: ['overdosing', 'overdosed'] },
+  { term: 'done with life', tier: 'high', variants: ['done with living'] },
+  { term: 'tired of living', tier: 'high', variants: ['tired of being alive', 'sick of living'] },
+
+  // Medium risk
+  { term: 'self-harm', tier: 'medium', variants: ['self harm', 'selfharm', 'self harming', 'self-harming'] },
+  { term: 'hurt myself', tier: 'medium', variants: ['harm myself', 'hurting myself'] },
+  { term: 'cut myself', tier: 'medium', variants: ['cutting myself'] },
+  { term: 'hopeless', tier: 'medium', variants: ['hopelessness', 'hopless'] },
+  { term: 'worthless', tier: 'medium', variants: ['worthles', 'wortless'] },
+  { term: 'nobody cares', tier: 'medium', variants: ['no one cares', 'noone cares', 'nobody would care'] },
+  { term: 'can\'t go on', tier: 'medium', variants: ['cant go on', 'cannot go on', 'can\'t keep going', 'cant keep going'] },
+  { term: 'give up', tier: 'medium', variants: ['giving up', 'gave up'], requiresContext: ['life', 'living', 'myself', 'everything', 'hope', 'trying', 'fighting'] },
+  { term: 'trapped', tier: 'medium', exact: true },
+  { term: 'no point', tier: 'medium', variants: ['no reason to live', 'nothing to live for'] },
+  { term: 'want to disappear', tier: 'medium', variants: ['wanna disappear', 'want to vanish'] },
+  { term: 'pills', tier: 'medium', requiresContext: ['take', 'taking', 'swallow', 'all', 'whole', 'bottle', 'stockpile', 'saving', 'enough', 'myself'] },
+  { term: 'razor', tier: 'medium', requiresContext: ['myself', 'wrist', 'wrists', 'arm', 'arms', 'skin', 'cut', 'blade'] },
+  { term: 'cutting', tier: 'medium', exact: true, requiresContext: ['myself', 'again', 'wrist', 'wrists', 'arm', 'arms', 'thigh', 'skin', 'scars'] },
+  { term: 'hanging', tier: 'medium', exact: true, requiresContext: ['myself', 'rope', 'noose', 'neck'] },
+
+  // Low risk
+  { term: 'depressed', tier: 'low', variants: ['depresso', 'depressing'] },
+  { term: 'anxious', tier: 'low' },
+  { term: 'stressed', tier: 'low' },
+  { term: 'overwhelmed', tier: 'low' },
+  { term: 'tired', tier: 'low', exact: true },
+  { term: 'lonely', tier: 'low' },
+  { term: 'sad', tier: 'low', exact: true },
+  { term: 'empty', tier: 'low', exact: true }
+];
+
+// Words that negate a following crisis term within NEGATION_WINDOW tokens.
+// "can't"/"cannot" are left out on purpose: "I can't hurt myself" is not a denial
+// ("can not" is normalized to "cant" for the same reason)
+const NEGATION_WORDS = [
+  'not', 'no', 'never', 'dont', 'don\'t', 'doesnt', 'doesn\'t', 'didnt', 'didn\'t',
+  'wont', 'won\'t', 'wouldnt', 'wouldn\'t', 'isnt', 'isn\'t', 'arent', 'aren\'t',
+  'wasnt', 'wasn\'t', 'aint', 'ain\'t', 'neither', 'nor', 'without'
+];
+
+const NEGATION_WINDOW = 3;
+
+// A negator followed by one of these before the term belongs to another
+// verb ("no i want to die", "not sure why but i ..."), so it does not negate
+const SUBJECT_PRONOUNS = [
+  'i', 'i\'m', 'im', 'i\'ve', 'ive', 'i\'d', 'i\'ll', 'you', 'he', 'she', 'we', 'they'
+];
+
+// Markers that put a crisis term in a hypothetical or fictional frame
+const HYPOTHETICAL_MARKERS = [
+  ['hypothetically'], ['suppose'], ['supposing'], ['imagine'], ['pretend'],
+  ['what', 'if'], ['in', 'a', 'movie'], ['in', 'the', 'book'], ['the', 'character'],
+  ['for', 'a', 'story'], ['asking', 'for', 'a', 'friend']
+];
+
+// Laughing tags that mark a crisis term in the same clause as hyperbole
+// ("this homework makes me want to die lol")
+const HYPERBOLE_MARKERS = ['lol', 'lmao', 'lmfao', 'rofl', 'haha', 'hahaha', 'jk', 'jkjk'];
+
+// Titles of films, shows and bands that contain a crisis term
+const TITLE_PHRASES = ['suicide squad', 'virgin suicides', 'suicide silence', 'suicide club'];
+
+// Digits and symbols commonly substituted for letters ("su1c1de", "k!ll")
+const LEET_MAP = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i'
+};
+
+module.exports = {
+  CRISIS_LEXICON,
+  NEGATION_WORDS,
+  NEGATION_WINDOW,
+  SUBJECT_PRONOUNS,
+  HYPOTHETICAL_MARKERS,
+  HYPERBOLE_MARKERS,
+  TITLE_PHRASES,
+  LEET_MAP
+};
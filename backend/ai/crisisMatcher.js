@@ -0,0 +1,301 @@
+/**
+ * Crisis Matcher
+ * Tokenizing, context-aware matching of crisis terms and patterns
+ *
+ * Messages are normalized (case, apostrophes, leetspeak), split into clauses
+ * and stemmed with natural's Porter stemmer. Every match is labelled:
+ *
+ * hit          - counts at full weight
+ * hypothetical - framed as "what if", fiction, etc.; counts at reduced weight
+ * negated      - "I would never kill myself"; does not count. Only a negator
+ *                that governs the term's own verb negates it, not one before
+ *                the subject ("no i want to die"); "no," is its own clause
+ * quoted       - inside double quotes (lyrics, someone else's words); does not count
+ * title        - part of a film, show or band name ("suicide squad"); does not count
+ * hyperbole    - laughed off in the same clause ("want to die lol"); does not count
+ */
+
+const natural = require('natural');
+const {
+  CRISIS_LEXICON,
+  NEGATION_WORDS,
+  NEGATION_WINDOW,
+  SUBJECT_PRONOUNS,
+  HYPOTHETICAL_MARKERS,
+  HYPERBOLE_MARKERS,
+  TITLE_PHRASES,
+  LEET_MAP
+} = require('./crisisLexicon');
+
+const TOKEN_REGEX = /[a-z0-9]+(?:'[a-z]+)?/g;
+const CLAUSE_BREAK_REGEX = /[.!?;:,\n]+|\b(?:but|although|though|however)\b/;
+const QUOTE_REGEX = /"[^"]*"/g;
+const TITLE_REGEX = new RegExp(`\\b(?:${TITLE_PHRASES.join('|')})\\b`, 'g');
+
+class CrisisMatcher {
+  constructor(lexicon = CRISIS_LEXICON) {
+    this.stemmer = natural.PorterStemmer;
+    this.lexicon = lexicon.map(entry => this.compileEntry(entry));
+  }
+
+  /**
+   * Pre-tokenize a lexicon entry and its variants
+   */
+  compileEntry(entry) {
+    const forms = [entry.term, ...(entry.variants || [])].map(form => {
+      const words = this.tokenize(this.normalize(form));
+      return {
+        form,
+        words,
+        stems: words.map(word => this.stem(word))
+      };
+    });
+
+    return {
+      ...entry,
+      forms,
+      requiresContext: entry.requiresContext || null
+    };
+  }
+
+  /**
+   * Lowercase, unify quotes/apostrophes and undo leetspeak inside words
+   */
+  normalize(text) {
+    const lower = String(text || '')
+      .toLowerCase()
+      .replace(/[‘’ʼ]/g, '\'')
+      .replace(/[“”]/g, '"')
+      .replace(/\bcan not\b/g, 'cant');
+
+    // Only substitute when the symbol sits between letters ("su1c1de", not "want 2 die")
+    let normalized = '';
+    for (let i = 0; i < lower.length; i++) {
+      const char = lower[i];
+      const replacement = LEET_MAP[char];
+      if (replacement && /[a-z]/.test(lower[i - 1] || '') && /[a-z0-9@$!]/.test(lower[i + 1] || '')) {
+        normalized += replacement;
+      } else {
+        normalized += char;
+      }
+    }
+
+    return normalized;
+  }
+
+  tokenize(text) {
+    return text.match(TOKEN_REGEX) || [];
+  }
+
+  stem(word) {
+    return this.stemmer.stem(word);
+  }
+
+  /**
+   * Split a message into clauses, keeping quoted speech and titles separate
+   */
+  getClauses(message) {
+    const normalized = this.normalize(message);
+    const clauses = [];
+
+    const quoted = normalized.match(QUOTE_REGEX) || [];
+    quoted.forEach(segment => {
+      clauses.push(this.buildClause(segment, { quoted: true }));
+    });
+
+    const unquoted = normalized.replace(QUOTE_REGEX, ' , ');
+    const titles = unquoted.match(TITLE_REGEX) || [];
+    titles.forEach(segment => {
+      clauses.push(this.buildClause(segment, { title: true }));
+    });
+
+    unquoted
+      .replace(TITLE_REGEX, ' , ')
+      .split(CLAUSE_BREAK_REGEX)
+      .forEach(segment => {
+        if (segment && segment.trim()) {
+          clauses.push(this.buildClause(segment));
+        }
+      });
+
+    return clauses.filter(clause => clause.words.length > 0);
+  }
+
+  buildClause(text, { quoted = false, title = false } = {}) {
+    const words = this.tokenize(text);
+    return {
+      text: text.trim(),
+      words,
+      stems: words.map(word => this.stem(word)),
+      quoted,
+      title
+    };
+  }
+
+  /**
+   * Match lexicon terms against a message
+   * Returns one entry per matched term with its status and matched surface text
+   */
+  matchTerms(message) {
+    const clauses = this.getClauses(message);
+    const matches = new Map();
+
+    this.lexicon.forEach(entry => {
+      clauses.forEach(clause => {
+        const found = this.findEntry(entry, clause);
+        if (!found) return;
+
+        const status = this.classify(clause, found.start);
+        const existing = matches.get(entry.term);
+
+        // Keep the strongest reading if a term appears more than once
+        if (!existing || STATUS_RANK[status] < STATUS_RANK[existing.status]) {
+          matches.set(entry.term, {
+            term: entry.term,
+            tier: entry.tier,
+            matched: found.matched,
+            variant: found.variant,
+            status
+          });
+        }
+      });
+    });
+
+    return Array.from(matches.values());
+  }
+
+  /**
+   * Match regex patterns clause by clause, with the same context rules
+   */
+  matchPatterns(message, patterns) {
+    const clauses = this.getClauses(message);
+    const matches = [];
+
+    Object.keys(patterns).forEach(tier => {
+      patterns[tier].forEach((pattern, index) => {
+        let best = null;
+
+        clauses.forEach(clause => {
+          const result = pattern.exec(clause.text);
+          if (!result) return;
+
+          const start = this.tokenize(clause.text.slice(0, result.index)).length;
+          const status = this.classify(clause, start);
+
+          if (!best || STATUS_RANK[status] < STATUS_RANK[best.status]) {
+            best = { matched: result[0], status };
+          }
+        });
+
+        if (best) {
+          matches.push({
+            name: `${tier}_pattern_${index + 1}`,
+            tier,
+            matched: best.matched,
+            status: best.status
+          });
+        }
+      });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Find the first occurrence of an entry (term or variant) in a clause
+   */
+  findEntry(entry, clause) {
+    if (entry.requiresContext && !entry.requiresContext.some(word => clause.words.includes(word))) {
+      return null;
+    }
+
+    for (const form of entry.forms) {
+      const sequence = entry.exact ? form.words : form.stems;
+      const haystack = entry.exact ? clause.words : clause.stems;
+      const start = this.indexOfSequence(haystack, sequence);
+
+      if (start !== -1) {
+        return {
+          start,
+          matched: clause.words.slice(start, start + sequence.length).join(' '),
+          variant: form.form === entry.term ? 'exact' : 'variant'
+        };
+      }
+    }
+
+    if (entry.fuzzy) {
+      const target = entry.forms[0].words[0];
+      const start = clause.words.findIndex(word =>
+        word.length >= target.length - 1 &&
+        natural.DamerauLevenshteinDistance(word, target) === 1
+      );
+
+      if (start !== -1) {
+        return { start, matched: clause.words[start], variant: 'fuzzy' };
+      }
+    }
+
+    return null;
+  }
+
+  indexOfSequence(haystack, sequence) {
+    if (sequence.length === 0) return -1;
+
+    for (let i = 0; i <= haystack.length - sequence.length; i++) {
+      let found = true;
+      for (let j = 0; j < sequence.length; j++) {
+        if (haystack[i + j] !== sequence[j]) {
+          found = false;
+          break;
+        }
+      }
+      if (found) return i;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Decide how a match at token index `start` should be read
+   */
+  classify(clause, start) {
+    if (clause.quoted) return 'quoted';
+
+    if (clause.title) return 'title';
+
+    if (this.isNegated(clause.words, start)) return 'negated';
+
+    if (clause.words.some(word => HYPERBOLE_MARKERS.includes(word))) return 'hyperbole';
+
+    const before = clause.words.slice(0, start);
+    if (HYPOTHETICAL_MARKERS.some(marker => this.indexOfSequence(before, marker) !== -1)) {
+      return 'hypothetical';
+    }
+
+    return 'hit';
+  }
+
+  /**
+   * Whether the nearest negator before `start` governs the term itself
+   */
+  isNegated(words, start) {
+    const windowStart = Math.max(0, start - NEGATION_WINDOW);
+    let negator = -1;
+    for (let i = start - 1; i >= windowStart; i--) {
+      if (NEGATION_WORDS.includes(words[i])) {
+        negator = i;
+        break;
+      }
+    }
+    if (negator === -1) return false;
+
+    // A new subject between the negator and the term starts another verb phrase
+    return !words.slice(negator + 1, start).some(word => SUBJECT_PRONOUNS.includes(word));
+  }
+}
+
+// Lower rank wins when the same term is found in several clauses
+const STATUS_RANK = { hit: 0, hypothetical: 1, hyperbole: 2, negated: 3, title: 4, quoted: 5 };
+
+module.exports = new CrisisMatcher();
+module.exports.CrisisMatcher = CrisisMatcher;
@@ -0,0 +1,229 @@
+/**
+ * Conversation Memory Service
+ * Builds the context the AI sees for a message from what is stored, not
+ * from process memory:
+ * - facts the user pinned ("my exam is Friday"), across all sessions
+ * - a rolling AI-written summary of the session's older messages
+ * - the session's most recent messages, verbatim
+ * all within a token budget. Summaries are refreshed in the background once
+ * enough messages have accumulated since the last one.
+ */
+
+const { Op } = require('sequelize');
+const winston = require('winston');
+
+const { db } = require('../models');
+const providerRegistry = require('./providers');
+const { MAX_FACT_LENGTH } = require('../models/MemoryFactSequelize');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const DEFAULT_CONTEXT_TOKENS = parseInt(process.env.MEMORY_CONTEXT_TOKENS) || 1500;
+
+// Facts may use at most this share of the budget, so recent messages always fit
+const FACT_BUDGET_SHARE = 0.3;
+const MAX_FACTS_PER_USER = 50;
+
+// A new summary is written once this many messages follow the last one;
+// the newest few stay out of it because they are sent verbatim anyway
+const SUMMARY_TRIGGER_MESSAGES = 12;
+const SUMMARY_KEEP_RECENT = 4;
+const MAX_SUMMARY_CHARS = 2000;
+
+// Upper bound on messages read per context, whatever the budget
+const MAX_CONTEXT_MESSAGES = 50;
+
+const memoryError = (message, statusCode, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+class MemoryService {
+  constructor() {
+    this.summarizing = new Set();
+  }
+
+  /**
+   * Rough token count (about four characters per token for English text)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Pinned facts
+   */
+  async listFacts(userId) {
+    return db.MemoryFact.findAll({
+      where: { userId },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  async addFact(userId, content) {
+    const count = await db.MemoryFact.count({ where: { userId } });
+    if (count >= MAX_FACTS_PER_USER) {
+      throw memoryError(`You can pin up to ${MAX_FACTS_PER_USER} things to remember`, 409, 'MEMORY_FULL');
+    }
+
+    return db.MemoryFact.create({ userId, content: content.slice(0, MAX_FACT_LENGTH) });
+  }
+
+  async deleteFact(userId, factId) {
+    const deleted = await db.MemoryFact.destroy({ where: { id: factId, userId } });
+    if (!deleted) {
+      throw memoryError('Memory not found', 404, 'MEMORY_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Context for the next reply in a session: { facts, summary, messages, tokens }
+   * Facts come first, then the summary, then as many of the newest messages
+   * as the remaining budget allows (returned oldest first).
+   */
+  async buildContext(userId, sessionId, { budget = DEFAULT_CONTEXT_TOKENS } = {}) {
+    const context = { facts: [], summary: null, messages: [], tokens: 0 };
+    if (!db.MemoryFact) return context;
+
+    let remaining = budget;
+    const spend = (text) => {
+      const tokens = this.estimateTokens(text);
+      if (tokens > remaining) return false;
+      remaining -= tokens;
+      context.tokens += tokens;
+      return true;
+    };
+
+    // Newest facts win when they don't all fit
+    const factBudget = Math.floor(budget * FACT_BUDGET_SHARE);
+    let factTokens = 0;
+    const facts = await this.listFacts(userId);
+    for (const fact of facts.reverse()) {
+      const tokens = this.estimateTokens(fact.content);
+      if (factTokens + tokens > factBudget) break;
+      factTokens += tokens;
+      spend(fact.content);
+      context.facts.unshift(fact.content);
+    }
+
+    if (!sessionId) return context;
+
+    const session = await db.ChatSession.findOne({ where: { id: sessionId, userId } });
+    if (!session) return context;
+
+    if (session.summary && spend(session.summary)) {
+      context.summary = session.summary;
+    }
+
+    const recent = await db.Message.findAll({
+      where: {
+        sessionId,
+        ...(session.summarizedThrough && { createdAt: { [Op.gt]: session.summarizedThrough } })
+      },
+      attributes: ['sender', 'content', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+      limit: MAX_CONTEXT_MESSAGES
+    });
+
+    for (const message of recent) {
+      if (!message.content || !spend(message.content)) break;
+      context.messages.unshift({
+        role: message.sender === 'user' ? 'user' : 'assistant',
+        content: message.content,
+        timestamp: message.createdAt
+      });
+    }
+
+    return context;
+  }
+
+  /**
+   * Refresh a session summary in the background once it is due
+   * At most one refresh runs per session at a time.
+   */
+  scheduleSummary(sessionId) {
+    if (!sessionId || this.summarizing.has(sessionId)) return;
+    this.summarizing.add(sessionId);
+
+    setImmediate(() => {
+      this.refreshSummary(sessionId)
+        .catch(error => logger.error(`❌ Failed to summarize session ${sessionId}:`, error))
+        .finally(() => this.summarizing.delete(sessionId));
+    });
+  }
+
+  /**
+   * Fold the messages since the last summary into a new one
+   * Returns the updated session, or null when no summary was due or no
+   * AI provider could write one.
+   */
+  async refreshSummary(sessionId) {
+    const session = await db.ChatSession.findByPk(sessionId);
+    if (!session) return null;
+
+    const pending = await db.Message.findAll({
+      where: {
+        sessionId,
+        ...(session.summarizedThrough && { createdAt: { [Op.gt]: session.summarizedThrough } })
+      },
+      attributes: ['sender', 'content', 'createdAt'],
+      order: [['createdAt', 'ASC']]
+    });
+    if (pending.length < SUMMARY_TRIGGER_MESSAGES) return null;
+
+    const batch = pending.slice(0, pending.length - SUMMARY_KEEP_RECENT);
+    const summary = await this.summarize(session.summary, batch);
+    if (!summary) return null;
+
+    await session.update({
+      summary,
+      summarizedThrough: batch[batch.length - 1].createdAt,
+      summaryMessageCount: (session.summaryMessageCount || 0) + batch.length
+    });
+
+    logger.info(`🧠 Session ${sessionId} summary updated (${session.summaryMessageCount} messages covered)`);
+    return session;
+  }
+
+  /**
+   * Ask the first available AI provider for an updated summary
+   * The rule-based fallback provider cannot summarize, so without an AI
+   * provider the previous summary is kept.
+   */
+  async summarize(previousSummary, messages) {
+    const transcript = messages
+      .map(message => `${message.sender === 'user' ? 'User' : 'Companion'}: ${message.content}`)
+      .join('\n');
+
+    const summary = await providerRegistry.generateWithAI({
+      systemPrompt: 'You keep notes for a supportive mental wellness companion. ' +
+        'Write a short, factual summary in the third person of what the user has shared: ' +
+        'feelings, situations, people, plans and anything they asked to follow up on. ' +
+        'Note any safety concerns. No advice, no diagnosis, at most 150 words.',
+      conversationPrompt: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}` +
+        `New messages:\n${transcript}\n\nUpdated summary:`,
+      message: transcript,
+      crisisAnalysis: { detected: false, level: 'none', triggers: [] },
+      sentimentAnalysis: null
+    }, 'summary');
+
+    return summary ? summary.slice(0, MAX_SUMMARY_CHARS) : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new MemoryService();
+module.exports.MemoryService = MemoryService;
+module.exports.DEFAULT_CONTEXT_TOKENS = DEFAULT_CONTEXT_TOKENS;
+module.exports.MAX_FACTS_PER_USER = MAX_FACTS_PER_USER;
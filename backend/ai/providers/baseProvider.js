@@ -0,0 +1,76 @@
+/**
+ * Base AI Provider
+ * Common interface shared by every response provider
+ */
+
+const winston = require('winston');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+class BaseProvider {
+  /**
+   * @param {string} name - Registry name, also reported as the response source
+   * @param {object} settings - model, temperature, maxTokens, apiKey, baseURL
+   */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings;
+    this.logger = logger;
+  }
+
+  /**
+   * Whether the provider is configured and can be called
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Generate a response
+   *
+   * Subclasses receive a `request` with systemPrompt, conversationPrompt,
+   * message, crisisAnalysis and sentimentAnalysis. Resolves to
+   * `{ content, source, confidence? }`.
+   */
+  async generate() {
+    throw new Error(`Provider "${this.name}" does not implement generate()`);
+  }
+
+  /**
+   * Stream a response as text chunks
+   *
+   * Providers without native streaming yield the full completion once,
+   * so callers can always iterate with `for await`.
+   */
+  async *stream(request) {
+    const result = await this.generate(request);
+    yield result.content;
+  }
+
+  /**
+   * Public description used by stats and health endpoints
+   */
+  describe() {
+    return {
+      name: this.name,
+      available: this.isAvailable(),
+      model: this.settings.model || null
+    };
+  }
+}
+
+module.exports = BaseProvider;
+module.exports.logger = logger;
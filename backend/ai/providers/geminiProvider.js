@@ -0,0 +1,81 @@
+/**
+ * Gemini Provider
+ * Google Generative AI chat completions
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseProvider = require('./baseProvider');
+
+class GeminiProvider extends BaseProvider {
+  constructor(settings) {
+    super('gemini', settings);
+    this.client = null;
+
+    try {
+      if (settings.apiKey) {
+        this.client = new GoogleGenerativeAI(settings.apiKey);
+        this.logger.info('✅ Gemini AI client initialized');
+      } else {
+        this.logger.warn('⚠️ Gemini API key not configured');
+      }
+    } catch (error) {
+      this.logger.warn('⚠️ Failed to initialize Gemini AI client:', error.message);
+    }
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  getModel() {
+    return this.client.getGenerativeModel({
+      model: this.settings.model,
+      generationConfig: {
+        temperature: this.settings.temperature,
+        maxOutputTokens: this.settings.maxTokens
+      }
+    });
+  }
+
+  async generate({ systemPrompt, conversationPrompt }) {
+    try {
+      const model = this.getModel();
+
+      const result = await model.generateContent([
+        { text: systemPrompt },
+        { text: conversationPrompt }
+      ]);
+
+      const responseText = result.response.text();
+      this.logger.info('✅ Gemini response generated successfully');
+
+      return {
+        content: responseText,
+        source: this.name
+      };
+    } catch (error) {
+      this.logger.error('❌ Gemini API error:', error.message);
+      throw error;
+    }
+  }
+
+  async *stream({ systemPrompt, conversationPrompt }) {
+    try {
+      const result = await this.getModel().generateContentStream([
+        { text: systemPrompt },
+        { text: conversationPrompt }
+      ]);
+
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+
+      this.logger.info('✅ Gemini response streamed successfully');
+    } catch (error) {
+      this.logger.error('❌ Gemini streaming error:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,174 @@
+/**
+ * AI Provider Registry
+ * Builds the ordered provider chain used by ChatService
+ *
+ * Additional providers (a self-hosted model, a test stub) can be added
+ * without touching ChatService:
+ *
+ *   const providerRegistry = require('./ai/providers');
+ *   providerRegistry.register('stub', (settings) => new StubProvider(settings));
+ *   // then AI_PROVIDERS=stub,fallback
+ */
+
+const { getAIProviderConfig } = require('../../config/aiProviders');
+const { CircuitBreaker, withTimeout } = require('../circuitBreaker');
+const BaseProvider = require('./baseProvider');
+const { logger } = BaseProvider;
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const LocalProvider = require('./localProvider');
+const FallbackProvider = require('./fallbackProvider');
+
+class ProviderRegistry {
+  constructor() {
+    this.factories = new Map();
+    this.providers = [];
+    this.breakers = new Map();
+    this.config = null;
+
+    this.register('gemini', (settings) => new GeminiProvider(settings));
+    this.register('openai', (settings) => new OpenAIProvider(settings));
+    this.register('local', (settings) => new LocalProvider(settings));
+    this.register('fallback', (settings) => new FallbackProvider(settings));
+  }
+
+  /**
+   * Register a provider factory under a name
+   * Re-configures the chain if the provider is already part of the order
+   */
+  register(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Provider factory for "${name}" must be a function`);
+    }
+
+    this.factories.set(name.toLowerCase(), factory);
+
+    if (this.config && this.config.order.includes(name.toLowerCase())) {
+      this.configure(this.config);
+    }
+
+    return this;
+  }
+
+  /**
+   * Instantiate providers in the configured order
+   */
+  configure(config = getAIProviderConfig()) {
+    this.config = config;
+    this.providers = [];
+
+    config.order.forEach(name => {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        logger.warn(`⚠️ Unknown AI provider "${name}" in AI_PROVIDERS, skipping`);
+        return;
+      }
+
+      const provider = factory(config.providers[name] || {});
+      this.providers.push(provider);
+
+      // Keep breaker state across re-configuration of the same provider
+      if (!this.breakers.has(name)) {
+        const resilience = config.resilience || {};
+        this.breakers.set(name, new CircuitBreaker(name, {
+          failureThreshold: resilience.breakerFailureThreshold,
+          resetTimeoutMs: resilience.breakerResetMs
+        }));
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * All providers in configured order
+   */
+  getProviders() {
+    if (!this.config) this.configure();
+    return this.providers;
+  }
+
+  /**
+   * Providers that are configured and callable, in order
+   */
+  getAvailableProviders() {
+    return this.getProviders().filter(provider => provider.isAvailable());
+  }
+
+  /**
+   * Look up a configured provider by name
+   */
+  get(name) {
+    return this.getProviders().find(provider => provider.name === name) || null;
+  }
+
+  /**
+   * Circuit breaker guarding a provider
+   */
+  getBreaker(name) {
+    this.getProviders();
+    return this.breakers.get(name) || null;
+  }
+
+  /**
+   * Retry/timeout settings for provider calls
+   */
+  getResilienceSettings() {
+    this.getProviders();
+    return this.config.resilience || {};
+  }
+
+  /**
+   * The rule-based provider that closes the chain
+   */
+  getFallbackProvider() {
+    return this.get('fallback') || new FallbackProvider();
+  }
+
+  /**
+   * Text from the first AI provider that answers, skipping the rule-based
+   * fallback, whose canned replies are no use for background writing such
+   * as summaries. Resolves to null when no AI provider is available or
+   * every one fails.
+   */
+  async generateWithAI(request, label = 'generation') {
+    const fallbackProvider = this.getFallbackProvider();
+    const { timeoutMs } = this.getResilienceSettings();
+    const candidates = this.getAvailableProviders()
+      .filter(provider => provider !== fallbackProvider);
+
+    for (const provider of candidates) {
+      const breaker = this.getBreaker(provider.name);
+      if (breaker && !breaker.canRequest()) continue;
+
+      try {
+        const { content } = await withTimeout(provider.generate(request), timeoutMs, `${provider.name} ${label}`);
+        if (breaker) breaker.recordSuccess();
+        if (content && content.trim()) return content.trim();
+      } catch (error) {
+        if (breaker) breaker.recordFailure(error);
+        logger.warn(`⚠️ ${provider.name} ${label} failed: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Provider descriptions for stats/health reporting
+   */
+  describe() {
+    return this.getProviders().map(provider => ({
+      ...provider.describe(),
+      circuitBreaker: provider.name === 'fallback'
+        ? null
+        : this.breakers.get(provider.name).getState()
+    }));
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+
+module.exports = providerRegistry;
+module.exports.ProviderRegistry = ProviderRegistry;
+module.exports.BaseProvider = BaseProvider;
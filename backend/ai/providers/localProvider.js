@@ -0,0 +1,19 @@
+/**
+ * Local Provider
+ * Self-hosted OpenAI-compatible endpoint (Ollama, vLLM, LM Studio, llama.cpp)
+ */
+
+const OpenAIProvider = require('./openaiProvider');
+
+class LocalProvider extends OpenAIProvider {
+  constructor(settings) {
+    super(settings, 'local');
+  }
+
+  // Local servers usually ignore the API key, so only the URL is required
+  canCreateClient() {
+    return !!this.settings.baseURL;
+  }
+}
+
+module.exports = LocalProvider;
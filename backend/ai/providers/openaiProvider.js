@@ -0,0 +1,88 @@
+/**
+ * OpenAI Provider
+ * Chat completions against OpenAI or any OpenAI-compatible endpoint
+ */
+
+const OpenAI = require('openai');
+const BaseProvider = require('./baseProvider');
+
+class OpenAIProvider extends BaseProvider {
+  constructor(settings, name = 'openai') {
+    super(name, settings);
+    this.client = null;
+
+    try {
+      if (this.canCreateClient()) {
+        this.client = new OpenAI({
+          apiKey: settings.apiKey,
+          ...(settings.baseURL && { baseURL: settings.baseURL })
+        });
+        this.logger.info(`✅ ${this.name} client initialized`);
+      } else {
+        this.logger.warn(`⚠️ ${this.name} provider not configured`);
+      }
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to initialize ${this.name} client:`, error.message);
+    }
+  }
+
+  canCreateClient() {
+    return !!this.settings.apiKey;
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  buildCompletionParams({ systemPrompt, conversationPrompt }) {
+    return {
+      model: this.settings.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: conversationPrompt }
+      ],
+      max_tokens: this.settings.maxTokens,
+      temperature: this.settings.temperature
+    };
+  }
+
+  async generate(request) {
+    try {
+      const completion = await this.client.chat.completions.create(
+        this.buildCompletionParams(request)
+      );
+
+      const responseText = completion.choices[0].message.content;
+      this.logger.info(`✅ ${this.name} response generated successfully`);
+
+      return {
+        content: responseText,
+        source: this.name
+      };
+    } catch (error) {
+      this.logger.error(`❌ ${this.name} API error:`, error.message);
+      throw error;
+    }
+  }
+
+  async *stream(request) {
+    try {
+      const completion = await this.client.chat.completions.create({
+        ...this.buildCompletionParams(request),
+        stream: true
+      });
+
+      for await (const part of completion) {
+        const delta = part.choices[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+
+      this.logger.info(`✅ ${this.name} response streamed successfully`);
+    } catch (error) {
+      this.logger.error(`❌ ${this.name} streaming error:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
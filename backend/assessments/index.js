@@ -0,0 +1,256 @@
+/**
+ * Instrument Registry
+ * Data-driven screening instruments and their generic scoring
+ *
+ * Each definition in ./instruments lists its items, response scales,
+ * scoring rules and severity bands:
+ *
+ * items[]   - id, text, scale (key into `scales`), plus optional flags:
+ *             reverse  - reverse scored on its scale
+ *             weight   - multiplier for the item value (default 1)
+ *             scored   - false for supplementary questions
+ *             optional - may be left unanswered
+ *             askIf    - { item, equals }: only asked when another answer matches
+ *             safety   - { reason, levels: { <value>: crisis level } }
+ * scoring   - method 'sum' or 'max', optional multiplier, direction
+ *             (lower_better | higher_better) and the reliable change threshold
+ * bands[]   - score ranges with severity, recommendation, showResources, alert
+ *
+ * Responses are submitted as an array in item order; skipped items are null.
+ * Safety item answers become crisis verdicts (see toCrisisVerdict), handled
+ * the same way as crisis language detected in chat.
+ */
+
+const { LEVEL_ORDER } = require('../ai/crisisDetection');
+
+const INSTRUMENTS = [
+  require('./instruments/phq9'),
+  require('./instruments/phqa'),
+  require('./instruments/gad7'),
+  require('./instruments/pss10'),
+  require('./instruments/who5'),
+  require('./instruments/cssrs')
+];
+
+const SCORING_METHODS = {
+  sum: (values) => values.reduce((total, value) => total + value, 0),
+  max: (values) => values.reduce((highest, value) => Math.max(highest, value), 0)
+};
+
+const scaleRange = (scale) => {
+  const values = scale.map(option => option.value);
+  return { min: Math.min(...values), max: Math.max(...values) };
+};
+
+class InstrumentRegistry {
+  constructor(instruments = []) {
+    this.instruments = new Map();
+    instruments.forEach(instrument => this.register(instrument));
+  }
+
+  /**
+   * Add a definition, rejecting ones the scorer could not handle
+   */
+  register(instrument) {
+    const { id, items, scales, scoring, bands } = instrument;
+
+    if (this.instruments.has(id)) {
+      throw new Error(`Instrument ${id} is already registered`);
+    }
+    if (!SCORING_METHODS[scoring?.method]) {
+      throw new Error(`Instrument ${id} has unknown scoring method ${scoring?.method}`);
+    }
+    if (!Array.isArray(bands) || bands.length === 0) {
+      throw new Error(`Instrument ${id} has no severity bands`);
+    }
+
+    const itemIds = new Set(items.map(item => item.id));
+    for (const item of items) {
+      if (!scales[item.scale]) {
+        throw new Error(`Instrument ${id} item ${item.id} uses unknown scale ${item.scale}`);
+      }
+      if (item.askIf && !itemIds.has(item.askIf.item)) {
+        throw new Error(`Instrument ${id} item ${item.id} depends on unknown item ${item.askIf.item}`);
+      }
+    }
+
+    this.instruments.set(id, instrument);
+    return instrument;
+  }
+
+  has(id) {
+    return this.instruments.has(id);
+  }
+
+  get(id) {
+    return this.instruments.get(id) || null;
+  }
+
+  getIds() {
+    return [...this.instruments.keys()];
+  }
+
+  /**
+   * Short description for the forms index
+   */
+  describe(id) {
+    const { name, shortName, description, version, duration, frequency, ageRange, items } = this.get(id);
+    return {
+      id,
+      name,
+      shortName,
+      description,
+      version,
+      duration,
+      frequency,
+      ageRange,
+      itemCount: items.length
+    };
+  }
+
+  list() {
+    return this.getIds().map(id => this.describe(id));
+  }
+
+  /**
+   * Items whose answers are treated as safety signals
+   */
+  getSafetyItems(id) {
+    return this.get(id).items.filter(item => item.safety);
+  }
+
+  /**
+   * Whether an item is asked, given the answers so far
+   */
+  isAsked(item, answers) {
+    return !item.askIf || answers[item.askIf.item] === item.askIf.equals;
+  }
+
+  /**
+   * Check a response array against the definition.
+   * Returns express-validator style errors; empty when valid.
+   */
+  validate(id, responses) {
+    const { items, scales, shortName } = this.get(id);
+
+    if (!Array.isArray(responses) || responses.length > items.length) {
+      return [{
+        path: 'responses',
+        msg: `${shortName} expects an array of at most ${items.length} responses in item order`
+      }];
+    }
+
+    const errors = [];
+    const answers = {};
+
+    items.forEach((item, index) => {
+      const value = responses[index];
+      const answered = value !== null && value !== undefined;
+
+      if (!this.isAsked(item, answers)) {
+        return;
+      }
+
+      if (!answered) {
+        if (!item.optional) {
+          errors.push({ path: `responses[${index}]`, msg: `${item.id} is required` });
+        }
+        return;
+      }
+
+      const allowed = scales[item.scale].map(option => option.value);
+      if (!Number.isInteger(value) || !allowed.includes(value)) {
+        errors.push({ path: `responses[${index}]`, msg: `${item.id} must be one of ${allowed.join(', ')}` });
+        return;
+      }
+
+      answers[item.id] = value;
+    });
+
+    return errors;
+  }
+
+  /**
+   * Score validated responses.
+   * Answers to items that were not asked are dropped and stored as null.
+   */
+  score(id, responses) {
+    const instrument = this.get(id);
+    const { items, scales, scoring, bands } = instrument;
+
+    const answers = {};
+    const normalized = items.map((item, index) => {
+      const value = responses[index];
+      if (value === null || value === undefined || !this.isAsked(item, answers)) {
+        return null;
+      }
+      answers[item.id] = value;
+      return value;
+    });
+
+    const values = items
+      .filter(item => item.scored !== false && answers[item.id] !== undefined)
+      .map(item => {
+        const value = answers[item.id];
+        const { min, max } = scaleRange(scales[item.scale]);
+        return (item.reverse ? min + max - value : value) * (item.weight || 1);
+      });
+
+    const rawScore = SCORING_METHODS[scoring.method](values);
+    const score = rawScore * (scoring.multiplier || 1);
+    const band = bands.find(({ min, max }) => score >= min && score <= max) || bands[bands.length - 1];
+
+    const safetyFlags = items
+      .filter(item => item.safety && item.safety.levels[answers[item.id]])
+      .map(item => ({
+        item: item.id,
+        text: item.text,
+        value: answers[item.id],
+        level: item.safety.levels[answers[item.id]],
+        reason: item.safety.reason
+      }));
+
+    return {
+      instrument: id,
+      version: instrument.version,
+      responses: normalized,
+      rawScore,
+      score,
+      severity: band.severity,
+      recommendation: band.recommendation,
+      showResources: Boolean(band.showResources),
+      alert: Boolean(band.alert),
+      safetyFlags
+    };
+  }
+
+  /**
+   * Crisis verdict for a scored result, in the shape crisis detection produces.
+   * Any flagged safety item counts as detected, whatever the total score.
+   */
+  toCrisisVerdict(result) {
+    const { safetyFlags } = result;
+    const level = safetyFlags.reduce(
+      (highest, flag) => (LEVEL_ORDER.indexOf(flag.level) > LEVEL_ORDER.indexOf(highest) ? flag.level : highest),
+      'none'
+    );
+
+    return {
+      detected: safetyFlags.length > 0,
+      level,
+      confidence: safetyFlags.length > 0 ? 1 : 0,
+      score: null,
+      triggers: safetyFlags.map(flag => flag.reason),
+      signals: safetyFlags.map(({ item, value, level: itemLevel }) => ({ item, value, level: itemLevel })),
+      source: 'assessment',
+      instrument: result.instrument,
+      sensitivity: null,
+      thresholds: null,
+      engineVersion: `${result.instrument}@${result.version}`,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new InstrumentRegistry(INSTRUMENTS);
+module.exports.InstrumentRegistry = InstrumentRegistry;
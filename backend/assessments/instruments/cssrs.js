@@ -0,0 +1,87 @@
+/**
+ * C-SSRS Screener
+ * Columbia-Suicide Severity Rating Scale, screen version - past month (Posner et al., 2011)
+ *
+ * Questions 3-5 are only asked after a yes to question 2, and the follow-up
+ * to question 6 only after a yes to it. The score is the highest risk tier
+ * reached (0 none, 1 low, 2 moderate, 3 high), not a sum.
+ */
+
+const { YES_NO } = require('../scales');
+
+const ASK_AFTER_SUICIDAL_THOUGHTS = { item: 'cssrs_2', equals: 1 };
+
+module.exports = {
+  id: 'cssrs',
+  name: 'C-SSRS Suicide Risk Screener',
+  shortName: 'C-SSRS',
+  description: 'Columbia-Suicide Severity Rating Scale screening questions',
+  version: '1.0',
+  duration: '1-2 minutes',
+  frequency: 'As needed',
+  ageRange: { min: 12 },
+  instructions: 'Answer the following questions about the past month.',
+  scales: { yesNo: YES_NO },
+  items: [
+    {
+      id: 'cssrs_1',
+      text: 'Have you wished you were dead or wished you could go to sleep and not wake up?',
+      scale: 'yesNo',
+      weight: 1,
+      safety: { reason: 'Wish to be dead', levels: { 1: 'medium' } }
+    },
+    {
+      id: 'cssrs_2',
+      text: 'Have you actually had any thoughts of killing yourself?',
+      scale: 'yesNo',
+      weight: 1,
+      safety: { reason: 'Non-specific active suicidal thoughts', levels: { 1: 'high' } }
+    },
+    {
+      id: 'cssrs_3',
+      text: 'Have you been thinking about how you might do this?',
+      scale: 'yesNo',
+      weight: 2,
+      askIf: ASK_AFTER_SUICIDAL_THOUGHTS,
+      safety: { reason: 'Suicidal thoughts with method', levels: { 1: 'high' } }
+    },
+    {
+      id: 'cssrs_4',
+      text: 'Have you had these thoughts and had some intention of acting on them?',
+      scale: 'yesNo',
+      weight: 3,
+      askIf: ASK_AFTER_SUICIDAL_THOUGHTS,
+      safety: { reason: 'Suicidal intent', levels: { 1: 'critical' } }
+    },
+    {
+      id: 'cssrs_5',
+      text: 'Have you started to work out or worked out the details of how to kill yourself? Do you intend to carry out this plan?',
+      scale: 'yesNo',
+      weight: 3,
+      askIf: ASK_AFTER_SUICIDAL_THOUGHTS,
+      safety: { reason: 'Suicidal intent with specific plan', levels: { 1: 'critical' } }
+    },
+    {
+      id: 'cssrs_6',
+      text: 'Have you ever done anything, started to do anything, or prepared to do anything to end your life?',
+      scale: 'yesNo',
+      weight: 2,
+      safety: { reason: 'Suicidal behavior', levels: { 1: 'high' } }
+    },
+    {
+      id: 'cssrs_6b',
+      text: 'Was this within the past 3 months?',
+      scale: 'yesNo',
+      weight: 3,
+      askIf: { item: 'cssrs_6', equals: 1 },
+      safety: { reason: 'Suicidal behavior in the past 3 months', levels: { 1: 'critical' } }
+    }
+  ],
+  scoring: { method: 'max', direction: 'lower_better', reliableChange: null },
+  bands: [
+    { min: 0, max: 0, severity: 'none', recommendation: 'Thank you for answering. If things change, support is always available.' },
+    { min: 1, max: 1, severity: 'low', showResources: true, recommendation: 'Thank you for sharing this. Please consider talking with a counselor or someone you trust about these feelings.' },
+    { min: 2, max: 2, severity: 'moderate', showResources: true, alert: true, recommendation: 'Please talk with a mental health professional soon. If you feel unsafe, call or text 988 right away.' },
+    { min: 3, max: 3, severity: 'high', showResources: true, alert: true, recommendation: 'Your safety matters. Please call or text 988 now, or go to your nearest emergency room if you are in immediate danger.' }
+  ]
+};
@@ -0,0 +1,35 @@
+/**
+ * GAD-7
+ * Generalized Anxiety Disorder 7-item scale (Spitzer et al., 2006)
+ */
+
+const { FREQUENCY_2_WEEKS } = require('../scales');
+
+module.exports = {
+  id: 'gad7',
+  name: 'GAD-7 Anxiety Screening',
+  shortName: 'GAD-7',
+  description: 'Generalized Anxiety Disorder 7-item scale',
+  version: '1.0',
+  duration: '2-3 minutes',
+  frequency: 'Weekly or as needed',
+  ageRange: { min: 13 },
+  instructions: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+  scales: { frequency: FREQUENCY_2_WEEKS },
+  items: [
+    { id: 'gad7_1', text: 'Feeling nervous, anxious, or on edge', scale: 'frequency' },
+    { id: 'gad7_2', text: 'Not being able to stop or control worrying', scale: 'frequency' },
+    { id: 'gad7_3', text: 'Worrying too much about different things', scale: 'frequency' },
+    { id: 'gad7_4', text: 'Trouble relaxing', scale: 'frequency' },
+    { id: 'gad7_5', text: 'Being so restless that it is hard to sit still', scale: 'frequency' },
+    { id: 'gad7_6', text: 'Becoming easily annoyed or irritable', scale: 'frequency' },
+    { id: 'gad7_7', text: 'Feeling afraid, as if something awful might happen', scale: 'frequency' }
+  ],
+  scoring: { method: 'sum', direction: 'lower_better', reliableChange: 4 },
+  bands: [
+    { min: 0, max: 4, severity: 'minimal', recommendation: 'Your anxiety levels appear minimal. Continue with healthy lifestyle practices.' },
+    { min: 5, max: 9, severity: 'mild', recommendation: 'You may be experiencing mild anxiety. Consider relaxation techniques and speak with a healthcare professional if symptoms persist.' },
+    { min: 10, max: 14, severity: 'moderate', alert: true, recommendation: 'Moderate anxiety detected. Professional consultation is recommended to explore treatment options.' },
+    { min: 15, max: 21, severity: 'severe', alert: true, recommendation: 'Severe anxiety detected. Please seek professional help promptly. Treatment can significantly improve your quality of life.' }
+  ]
+};
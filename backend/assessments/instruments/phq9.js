@@ -0,0 +1,43 @@
+/**
+ * PHQ-9
+ * Patient Health Questionnaire depression screening (Kroenke, Spitzer & Williams, 2001)
+ */
+
+const { FREQUENCY_2_WEEKS } = require('../scales');
+
+module.exports = {
+  id: 'phq9',
+  name: 'PHQ-9 Depression Screening',
+  shortName: 'PHQ-9',
+  description: 'Patient Health Questionnaire for depression screening',
+  version: '1.0',
+  duration: '3-5 minutes',
+  frequency: 'Weekly or as needed',
+  ageRange: { min: 18 },
+  instructions: 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+  scales: { frequency: FREQUENCY_2_WEEKS },
+  items: [
+    { id: 'phq9_1', text: 'Little interest or pleasure in doing things', scale: 'frequency' },
+    { id: 'phq9_2', text: 'Feeling down, depressed, or hopeless', scale: 'frequency' },
+    { id: 'phq9_3', text: 'Trouble falling or staying asleep, or sleeping too much', scale: 'frequency' },
+    { id: 'phq9_4', text: 'Feeling tired or having little energy', scale: 'frequency' },
+    { id: 'phq9_5', text: 'Poor appetite or overeating', scale: 'frequency' },
+    { id: 'phq9_6', text: 'Feeling bad about yourself - or that you are a failure or have let yourself or your family down', scale: 'frequency' },
+    { id: 'phq9_7', text: 'Trouble concentrating on things, such as reading the newspaper or watching television', scale: 'frequency' },
+    { id: 'phq9_8', text: 'Moving or speaking so slowly that other people could have noticed, or the opposite - being so fidgety or restless that you have been moving around a lot more than usual', scale: 'frequency' },
+    {
+      id: 'phq9_9',
+      text: 'Thoughts that you would be better off dead, or of hurting yourself in some way',
+      scale: 'frequency',
+      safety: { reason: 'Thoughts of death or self-harm', levels: { 1: 'high', 2: 'high', 3: 'critical' } }
+    }
+  ],
+  scoring: { method: 'sum', direction: 'lower_better', reliableChange: 5 },
+  bands: [
+    { min: 0, max: 4, severity: 'minimal', recommendation: 'Continue monitoring your mental health. Consider lifestyle improvements like regular exercise, adequate sleep, and stress management.' },
+    { min: 5, max: 9, severity: 'mild', recommendation: 'Consider speaking with a healthcare professional about your symptoms. Self-care strategies and counseling may be beneficial.' },
+    { min: 10, max: 14, severity: 'moderate', showResources: true, recommendation: 'It is recommended to consult with a mental health professional. Treatment options may include therapy and/or medication.' },
+    { min: 15, max: 19, severity: 'moderately_severe', showResources: true, alert: true, recommendation: 'Please consult with a mental health professional promptly. Professional treatment is strongly recommended.' },
+    { min: 20, max: 27, severity: 'severe', showResources: true, alert: true, recommendation: 'Please seek immediate professional help. Contact a mental health provider or crisis service right away.' }
+  ]
+};
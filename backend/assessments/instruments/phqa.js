@@ -0,0 +1,63 @@
+/**
+ * PHQ-A
+ * PHQ-9 modified for adolescents (Johnson et al., 2002)
+ * The four supplementary questions are not scored; the two about suicidal
+ * thoughts and attempts are safety items.
+ */
+
+const { FREQUENCY_2_WEEKS, DIFFICULTY, YES_NO } = require('../scales');
+
+module.exports = {
+  id: 'phqa',
+  name: 'PHQ-A Depression Screening for Teens',
+  shortName: 'PHQ-A',
+  description: 'PHQ-9 modified for adolescents, with supplementary safety questions',
+  version: '1.0',
+  duration: '3-5 minutes',
+  frequency: 'Weekly or as needed',
+  ageRange: { min: 11, max: 17 },
+  instructions: 'How often have you been bothered by each of the following symptoms during the past two weeks?',
+  scales: { frequency: FREQUENCY_2_WEEKS, difficulty: DIFFICULTY, yesNo: YES_NO },
+  items: [
+    { id: 'phqa_1', text: 'Feeling down, depressed, irritable, or hopeless', scale: 'frequency' },
+    { id: 'phqa_2', text: 'Little interest or pleasure in doing things', scale: 'frequency' },
+    { id: 'phqa_3', text: 'Trouble falling asleep, staying asleep, or sleeping too much', scale: 'frequency' },
+    { id: 'phqa_4', text: 'Poor appetite, weight loss, or overeating', scale: 'frequency' },
+    { id: 'phqa_5', text: 'Feeling tired, or having little energy', scale: 'frequency' },
+    { id: 'phqa_6', text: 'Feeling bad about yourself - or feeling that you are a failure, or that you have let yourself or your family down', scale: 'frequency' },
+    { id: 'phqa_7', text: 'Trouble concentrating on things like school work, reading, or watching TV', scale: 'frequency' },
+    { id: 'phqa_8', text: 'Moving or speaking so slowly that other people could have noticed, or the opposite - being so fidgety or restless that you were moving around a lot more than usual', scale: 'frequency' },
+    {
+      id: 'phqa_9',
+      text: 'Thoughts that you would be better off dead, or of hurting yourself in some way',
+      scale: 'frequency',
+      safety: { reason: 'Thoughts of death or self-harm', levels: { 1: 'high', 2: 'high', 3: 'critical' } }
+    },
+    { id: 'phqa_s1', text: 'In the past year have you felt depressed or sad most days, even if you felt okay sometimes?', scale: 'yesNo', scored: false, optional: true },
+    { id: 'phqa_s2', text: 'If you are experiencing any of the problems on this form, how difficult have these problems made it for you to do your work, take care of things at home or get along with other people?', scale: 'difficulty', scored: false, optional: true },
+    {
+      id: 'phqa_s3',
+      text: 'Has there been a time in the past month when you have had serious thoughts about ending your life?',
+      scale: 'yesNo',
+      scored: false,
+      optional: true,
+      safety: { reason: 'Serious thoughts of suicide in the past month', levels: { 1: 'high' } }
+    },
+    {
+      id: 'phqa_s4',
+      text: 'Have you ever, in your whole life, tried to kill yourself or made a suicide attempt?',
+      scale: 'yesNo',
+      scored: false,
+      optional: true,
+      safety: { reason: 'Previous suicide attempt', levels: { 1: 'medium' } }
+    }
+  ],
+  scoring: { method: 'sum', direction: 'lower_better', reliableChange: 5 },
+  bands: [
+    { min: 0, max: 4, severity: 'minimal', recommendation: 'Keep looking after yourself with sleep, activity and time with people you trust.' },
+    { min: 5, max: 9, severity: 'mild', recommendation: 'Consider talking with a parent, school counselor or doctor about how you have been feeling.' },
+    { min: 10, max: 14, severity: 'moderate', showResources: true, recommendation: 'Talking with a counselor, doctor or mental health professional is recommended.' },
+    { min: 15, max: 19, severity: 'moderately_severe', showResources: true, alert: true, recommendation: 'Please talk with a mental health professional soon. A trusted adult can help you arrange this.' },
+    { min: 20, max: 27, severity: 'severe', showResources: true, alert: true, recommendation: 'Please reach out for help right away - talk to a trusted adult and contact a mental health provider or crisis line.' }
+  ]
+};
@@ -0,0 +1,38 @@
+/**
+ * PSS-10
+ * Perceived Stress Scale, 10-item version (Cohen, Kamarck & Mermelstein, 1983)
+ * Items 4, 5, 7 and 8 are positively worded and reverse scored.
+ */
+
+const { FREQUENCY_MONTH } = require('../scales');
+
+module.exports = {
+  id: 'pss10',
+  name: 'PSS-10 Perceived Stress Scale',
+  shortName: 'PSS-10',
+  description: 'How unpredictable, uncontrollable and overloaded life has felt over the last month',
+  version: '1.0',
+  duration: '2-3 minutes',
+  frequency: 'Monthly',
+  ageRange: { min: 12 },
+  instructions: 'In the last month, how often have you...',
+  scales: { frequency: FREQUENCY_MONTH },
+  items: [
+    { id: 'pss10_1', text: 'been upset because of something that happened unexpectedly?', scale: 'frequency' },
+    { id: 'pss10_2', text: 'felt that you were unable to control the important things in your life?', scale: 'frequency' },
+    { id: 'pss10_3', text: 'felt nervous and stressed?', scale: 'frequency' },
+    { id: 'pss10_4', text: 'felt confident about your ability to handle your personal problems?', scale: 'frequency', reverse: true },
+    { id: 'pss10_5', text: 'felt that things were going your way?', scale: 'frequency', reverse: true },
+    { id: 'pss10_6', text: 'found that you could not cope with all the things that you had to do?', scale: 'frequency' },
+    { id: 'pss10_7', text: 'been able to control irritations in your life?', scale: 'frequency', reverse: true },
+    { id: 'pss10_8', text: 'felt that you were on top of things?', scale: 'frequency', reverse: true },
+    { id: 'pss10_9', text: 'been angered because of things that happened that were outside of your control?', scale: 'frequency' },
+    { id: 'pss10_10', text: 'felt difficulties were piling up so high that you could not overcome them?', scale: 'frequency' }
+  ],
+  scoring: { method: 'sum', direction: 'lower_better', reliableChange: 7 },
+  bands: [
+    { min: 0, max: 13, severity: 'low', recommendation: 'Your stress levels appear low. Keep up the routines that help you stay balanced.' },
+    { min: 14, max: 26, severity: 'moderate', recommendation: 'You are carrying a moderate amount of stress. Breathing exercises, regular breaks and talking things through can help.' },
+    { min: 27, max: 40, severity: 'high', showResources: true, recommendation: 'You are under a lot of stress. Consider talking with a counselor or healthcare professional about ways to manage it.' }
+  ]
+};
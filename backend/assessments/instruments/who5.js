@@ -0,0 +1,33 @@
+/**
+ * WHO-5
+ * World Health Organization Well-Being Index (WHO Regional Office for Europe, 1998)
+ * The raw 0-25 sum is multiplied by 4 to give a 0-100 percentage; higher is better.
+ */
+
+const { WELLBEING_TIME } = require('../scales');
+
+module.exports = {
+  id: 'who5',
+  name: 'WHO-5 Well-Being Index',
+  shortName: 'WHO-5',
+  description: 'Short measure of current mental wellbeing',
+  version: '1.0',
+  duration: '1-2 minutes',
+  frequency: 'Every two weeks',
+  ageRange: { min: 9 },
+  instructions: 'Please indicate for each of the five statements which is closest to how you have been feeling over the last two weeks.',
+  scales: { time: WELLBEING_TIME },
+  items: [
+    { id: 'who5_1', text: 'I have felt cheerful and in good spirits', scale: 'time' },
+    { id: 'who5_2', text: 'I have felt calm and relaxed', scale: 'time' },
+    { id: 'who5_3', text: 'I have felt active and vigorous', scale: 'time' },
+    { id: 'who5_4', text: 'I woke up feeling fresh and rested', scale: 'time' },
+    { id: 'who5_5', text: 'My daily life has been filled with things that interest me', scale: 'time' }
+  ],
+  scoring: { method: 'sum', multiplier: 4, direction: 'higher_better', reliableChange: 10 },
+  bands: [
+    { min: 0, max: 28, severity: 'very_low', showResources: true, alert: true, recommendation: 'Your wellbeing is very low. Please consider speaking with a healthcare professional about how you have been feeling.' },
+    { min: 29, max: 50, severity: 'low', showResources: true, recommendation: 'Your wellbeing is lower than usual. A depression screening such as the PHQ-9 or PHQ-A may help you understand more.' },
+    { min: 51, max: 100, severity: 'good', recommendation: 'Your wellbeing looks good. Keep doing the things that support it.' }
+  ]
+};
@@ -0,0 +1,48 @@
+/**
+ * Response Scales
+ * Shared answer options for screening instruments
+ */
+
+const FREQUENCY_2_WEEKS = [
+  { value: 0, label: 'Not at all' },
+  { value: 1, label: 'Several days' },
+  { value: 2, label: 'More than half the days' },
+  { value: 3, label: 'Nearly every day' }
+];
+
+const FREQUENCY_MONTH = [
+  { value: 0, label: 'Never' },
+  { value: 1, label: 'Almost never' },
+  { value: 2, label: 'Sometimes' },
+  { value: 3, label: 'Fairly often' },
+  { value: 4, label: 'Very often' }
+];
+
+const WELLBEING_TIME = [
+  { value: 5, label: 'All of the time' },
+  { value: 4, label: 'Most of the time' },
+  { value: 3, label: 'More than half of the time' },
+  { value: 2, label: 'Less than half of the time' },
+  { value: 1, label: 'Some of the time' },
+  { value: 0, label: 'At no time' }
+];
+
+const DIFFICULTY = [
+  { value: 0, label: 'Not difficult at all' },
+  { value: 1, label: 'Somewhat difficult' },
+  { value: 2, label: 'Very difficult' },
+  { value: 3, label: 'Extremely difficult' }
+];
+
+const YES_NO = [
+  { value: 0, label: 'No' },
+  { value: 1, label: 'Yes' }
+];
+
+module.exports = {
+  FREQUENCY_2_WEEKS,
+  FREQUENCY_MONTH,
+  WELLBEING_TIME,
+  DIFFICULTY,
+  YES_NO
+};
@@ -0,0 +1,110 @@
+/**
+ * AI Provider Configuration
+ * Provider order and per-provider model settings, read from the environment
+ *
+ * AI_PROVIDERS is a comma-separated, ordered list of provider names
+ * (e.g. "local,gemini,fallback"). Each provider reads its settings from
+ * <NAME>_API_KEY, <NAME>_BASE_URL, <NAME>_MODEL, <NAME>_TEMPERATURE and
+ * <NAME>_MAX_TOKENS, falling back to the defaults below. AI_TIMEOUT_MS,
+ * AI_MAX_RETRIES and AI_BREAKER_* tune retries and circuit breaking.
+ */
+
+const DEFAULT_PROVIDER_ORDER = ['gemini', 'openai', 'local', 'fallback'];
+
+// Placeholder values shipped in .env.example are treated as "not configured"
+const PLACEHOLDER_KEYS = [
+  'your-gemini-api-key-here',
+  'your-openai-api-key-here'
+];
+
+const PROVIDER_DEFAULTS = {
+  gemini: {
+    model: 'gemini-1.5-flash',
+    temperature: 0.7,
+    maxTokens: 500
+  },
+  openai: {
+    model: 'gpt-3.5-turbo',
+    temperature: 0.7,
+    maxTokens: 500
+  },
+  local: {
+    baseURL: null, // e.g. http://localhost:11434/v1 for Ollama
+    apiKey: 'not-needed',
+    model: 'llama3',
+    temperature: 0.7,
+    maxTokens: 500
+  },
+  fallback: {}
+};
+
+const parseNumber = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+};
+
+const parseProviderList = (value) => {
+  if (!value) return null;
+  const names = value
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return names.length > 0 ? names : null;
+};
+
+/**
+ * Read settings for a single provider from the environment
+ */
+const getProviderSettings = (name) => {
+  const prefix = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const defaults = PROVIDER_DEFAULTS[name] || {};
+  const env = process.env;
+
+  const apiKey = env[`${prefix}_API_KEY`];
+
+  return {
+    ...defaults,
+    apiKey: apiKey && !PLACEHOLDER_KEYS.includes(apiKey) ? apiKey : (defaults.apiKey || null),
+    baseURL: env[`${prefix}_BASE_URL`] || defaults.baseURL || null,
+    model: env[`${prefix}_MODEL`] || defaults.model || null,
+    temperature: parseNumber(env[`${prefix}_TEMPERATURE`], defaults.temperature),
+    maxTokens: parseNumber(env[`${prefix}_MAX_TOKENS`], defaults.maxTokens)
+  };
+};
+
+/**
+ * Retry, timeout and circuit breaker settings shared by all providers
+ */
+const getResilienceSettings = () => ({
+  timeoutMs: parseNumber(process.env.AI_TIMEOUT_MS, 15000),
+  maxRetries: parseNumber(process.env.AI_MAX_RETRIES, 2),
+  retryBaseDelayMs: parseNumber(process.env.AI_RETRY_BASE_DELAY_MS, 500),
+  breakerFailureThreshold: parseNumber(process.env.AI_BREAKER_FAILURE_THRESHOLD, 3),
+  breakerResetMs: parseNumber(process.env.AI_BREAKER_RESET_MS, 30000)
+});
+
+/**
+ * Build the full provider configuration
+ */
+const getAIProviderConfig = () => {
+  const order = parseProviderList(process.env.AI_PROVIDERS) || DEFAULT_PROVIDER_ORDER;
+
+  // The rule-based fallback always closes the chain so users never get silence
+  if (!order.includes('fallback')) {
+    order.push('fallback');
+  }
+
+  const providers = {};
+  order.forEach(name => {
+    providers[name] = getProviderSettings(name);
+  });
+
+  return { order, providers, resilience: getResilienceSettings() };
+};
+
+module.exports = {
+  DEFAULT_PROVIDER_ORDER,
+  getAIProviderConfig,
+  getProviderSettings
+};
@@ -0,0 +1,32 @@
+/**
+ * Audit Log Configuration
+ * Retention for the persistent audit trail
+ *
+ * HIPAA requires access records to be kept for six years, which is the
+ * default. Set AUDIT_RETENTION_DAYS=0 to keep entries forever.
+ */
+
+const parseNumber = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+};
+
+/**
+ * Build the audit configuration from the environment
+ */
+const getAuditConfig = () => {
+  const env = process.env;
+
+  return {
+    retentionDays: parseNumber(env.AUDIT_RETENTION_DAYS, 6 * 365),
+    // How often the retention purge runs
+    purgeIntervalMs: parseNumber(env.AUDIT_PURGE_INTERVAL_HOURS, 24) * 60 * 60 * 1000,
+    // Rows deleted per purge batch
+    purgeBatchSize: parseNumber(env.AUDIT_PURGE_BATCH_SIZE, 1000)
+  };
+};
+
+module.exports = {
+  getAuditConfig
+};
@@ -47,8 +47,9 @@ const getDatabaseConfig = () => {
       }
     };
   } else {
-    // Development SQLite configuration
-    const dbPath = path.join(__dirname, '..', 'data', 'mental_wellness_dev.sqlite');
+    // Development SQLite configuration (tests get their own file)
+    const dbFile = process.env.NODE_ENV === 'test' ? 'mental_wellness_test.sqlite' : 'mental_wellness_dev.sqlite';
+    const dbPath = path.join(__dirname, '..', 'data', dbFile);
     return {
       dialect: 'sqlite',
       storage: dbPath,
@@ -185,51 +186,19 @@ const healthCheck = async () => {
 
 /**
  * HIPAA-compliant data encryption for sensitive fields
+ * Uses the versioned envelope keys from services/fieldEncryption
  */
 const encryptSensitiveData = (data) => {
-  if (!process.env.HIPAA_ENCRYPTION_KEY) {
-    logger.warn('⚠️ HIPAA encryption key not set');
-    return data;
-  }
-  
-  const crypto = require('crypto');
-  const algorithm = 'aes-256-gcm';
-  const key = Buffer.from(process.env.HIPAA_ENCRYPTION_KEY, 'hex');
-  
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipher(algorithm, key);
-  
-  let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  
-  const authTag = cipher.getAuthTag();
-  
-  return {
-    encrypted,
-    iv: iv.toString('hex'),
-    authTag: authTag.toString('hex')
-  };
+  const fieldEncryption = require('../services/fieldEncryption');
+  return fieldEncryption.encryptValue(data, { field: 'sensitive_data', json: true });
 };
 
 /**
  * Decrypt HIPAA-compliant encrypted data
  */
 const decryptSensitiveData = (encryptedData) => {
-  if (!process.env.HIPAA_ENCRYPTION_KEY || !encryptedData.encrypted) {
-    return encryptedData;
-  }
-  
-  const crypto = require('crypto');
-  const algorithm = 'aes-256-gcm';
-  const key = Buffer.from(process.env.HIPAA_ENCRYPTION_KEY, 'hex');
-  
-  const decipher = crypto.createDecipher(algorithm, key);
-  decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-  
-  let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  
-  return JSON.parse(decrypted);
+  const fieldEncryption = require('../services/fieldEncryption');
+  return fieldEncryption.decryptValue(encryptedData, { field: 'sensitive_data', json: true });
 };
 
 module.exports = {
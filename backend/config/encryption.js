@@ -0,0 +1,86 @@
+/**
+ * Field Encryption Configuration
+ * Versioned key-encryption keys for data encrypted at rest
+ *
+ * FIELD_ENCRYPTION_KEYS is a comma-separated list of <version>:<key> pairs,
+ * each key 32 bytes as 64 hex characters or base64. New values are wrapped
+ * with FIELD_ENCRYPTION_KEY_VERSION (default: the highest version). Keep old
+ * versions listed until `npm run db:encrypt-fields` has re-wrapped every row.
+ * A valid HIPAA_ENCRYPTION_KEY is used as version 1 when no list is set.
+ *
+ * SEARCH_INDEX_KEY (same format) keys the hashed terms of the chat search
+ * index. Without it they are keyed from the active encryption key, so the
+ * index must be rebuilt (`npm run db:search-reindex`) after a rotation.
+ */
+
+const KEY_LENGTH = 32;
+
+const PLACEHOLDER_VALUES = [
+  'your-256-bit-encryption-key-for-sensitive-data'
+];
+
+const parseKey = (value) => {
+  if (!value || PLACEHOLDER_VALUES.includes(value)) return null;
+
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+
+  return key.length === KEY_LENGTH ? key : null;
+};
+
+const parseKeyList = (value) => {
+  const keys = new Map();
+  if (!value) return keys;
+
+  for (const entry of value.split(',')) {
+    const separator = entry.indexOf(':');
+    const version = entry.slice(0, separator).trim();
+    const key = parseKey(entry.slice(separator + 1).trim());
+
+    if (separator < 1 || !/^\d+$/.test(version) || !key) {
+      throw new Error(`Invalid FIELD_ENCRYPTION_KEYS entry for version "${version}"`);
+    }
+    keys.set(version, key);
+  }
+
+  return keys;
+};
+
+/**
+ * Build the encryption configuration from the environment
+ */
+const getEncryptionConfig = () => {
+  const env = process.env;
+  const keys = parseKeyList(env.FIELD_ENCRYPTION_KEYS);
+
+  if (keys.size === 0) {
+    const legacyKey = parseKey(env.HIPAA_ENCRYPTION_KEY);
+    if (legacyKey) keys.set('1', legacyKey);
+  }
+
+  const versions = [...keys.keys()].sort((a, b) => Number(a) - Number(b));
+  const activeVersion = env.FIELD_ENCRYPTION_KEY_VERSION || versions[versions.length - 1] || null;
+
+  if (activeVersion && !keys.has(activeVersion)) {
+    throw new Error(`FIELD_ENCRYPTION_KEY_VERSION ${activeVersion} is not in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  const searchKey = env.SEARCH_INDEX_KEY ? parseKey(env.SEARCH_INDEX_KEY) : null;
+  if (env.SEARCH_INDEX_KEY && !searchKey) {
+    throw new Error('Invalid SEARCH_INDEX_KEY');
+  }
+
+  return {
+    enabled: keys.size > 0,
+    keys,
+    activeVersion,
+    searchKey,
+    // Refuse to store plaintext PHI outside development
+    required: env.NODE_ENV === 'production'
+  };
+};
+
+module.exports = {
+  getEncryptionConfig
+};
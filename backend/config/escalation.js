@@ -0,0 +1,76 @@
+/**
+ * Crisis Escalation Configuration
+ * Which verdicts escalate and which notifiers deliver contact alerts
+ *
+ * ESCALATION_NOTIFIERS is a comma-separated list of notifier names
+ * (console, file, email, sms, webhook). Development defaults to the local
+ * console/file notifiers so no real person is ever contacted by accident.
+ */
+
+const PLACEHOLDER_VALUES = [
+  'your-webhook-url-for-crisis-alerts'
+];
+
+const DEFAULT_NOTIFIERS = {
+  production: ['email', 'sms', 'webhook'],
+  development: ['console', 'file']
+};
+
+const parseNumber = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+};
+
+const parseList = (value) => {
+  if (!value) return null;
+  const names = value
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return names.length > 0 ? names : null;
+};
+
+const configured = (value) => (value && !PLACEHOLDER_VALUES.includes(value) ? value : null);
+
+/**
+ * Build the escalation configuration from the environment
+ */
+const getEscalationConfig = () => {
+  const env = process.env;
+  const defaults = env.NODE_ENV === 'production'
+    ? DEFAULT_NOTIFIERS.production
+    : DEFAULT_NOTIFIERS.development;
+
+  return {
+    // Verdict levels that open an escalation
+    levels: parseList(env.ESCALATION_LEVELS) || ['high', 'critical'],
+    // Repeated flags within this window reuse the open escalation
+    dedupeWindowMs: parseNumber(env.ESCALATION_DEDUPE_MINUTES, 30) * 60 * 1000,
+    notifiers: parseList(env.ESCALATION_NOTIFIERS) || defaults,
+    timeoutMs: parseNumber(env.ESCALATION_NOTIFIER_TIMEOUT_MS, 10000),
+    settings: {
+      console: {},
+      file: {
+        path: env.ESCALATION_LOG_PATH || 'logs/escalations.log'
+      },
+      email: {
+        apiUrl: env.ESCALATION_EMAIL_API_URL || 'https://api.sendgrid.com/v3/mail/send',
+        apiKey: configured(env.SENDGRID_API_KEY),
+        from: env.ESCALATION_EMAIL_FROM || null
+      },
+      sms: {
+        accountSid: configured(env.TWILIO_ACCOUNT_SID),
+        authToken: configured(env.TWILIO_AUTH_TOKEN),
+        from: env.TWILIO_FROM_NUMBER || null
+      },
+      webhook: {
+        url: configured(env.CRISIS_ALERT_WEBHOOK)
+      }
+    }
+  };
+};
+
+module.exports = {
+  getEscalationConfig
+};
@@ -0,0 +1,33 @@
+/**
+ * Data Export Configuration
+ * When exports run in the background and how long their files are kept
+ *
+ * Exports with up to EXPORT_INLINE_MAX_RECORDS sessions, messages,
+ * assessments and crisis events are returned straight from
+ * GET /api/chat/export; larger ones become a background job whose files
+ * can be downloaded for EXPORT_RETENTION_HOURS.
+ */
+
+const parseNumber = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+};
+
+/**
+ * Build the export configuration from the environment
+ */
+const getExportConfig = () => {
+  const env = process.env;
+
+  return {
+    inlineMaxRecords: parseNumber(env.EXPORT_INLINE_MAX_RECORDS, 1000),
+    retentionMs: parseNumber(env.EXPORT_RETENTION_HOURS, 24) * 60 * 60 * 1000,
+    // How often expired export files are deleted
+    sweepIntervalMs: parseNumber(env.EXPORT_SWEEP_INTERVAL_MINUTES, 60) * 60 * 1000
+  };
+};
+
+module.exports = {
+  getExportConfig
+};
@@ -190,13 +190,38 @@ const cache = {
               memoryCache.delete(key);
             }
           }
-        }, ttlSeconds * 1000);
+        }, ttlSeconds * 1000).unref();
       }
     } catch (error) {
       logger.error('❌ Cache SET error:', error);
       throw error;
     }
   },
+
+  /**
+   * Set value only if the key is not already cached (atomic in Redis)
+   * Returns true when the value was stored
+   */
+  setIfAbsent: async (key, value, ttlSeconds = 3600) => {
+    try {
+      if (isRedisAvailable && redisClient) {
+        const result = await redisClient.set(key, JSON.stringify(value), { NX: true, EX: ttlSeconds });
+        logger.debug(`🔧 Redis Cache SETNX: ${key} (${result === 'OK' ? 'stored' : 'exists'})`);
+        return result === 'OK';
+      }
+
+      // Checked and stored in the same tick, so no other request can interleave
+      const cached = memoryCache.get(key);
+      if (cached && cached.expiresAt > Date.now()) {
+        return false;
+      }
+      await cache.set(key, value, ttlSeconds);
+      return true;
+    } catch (error) {
+      logger.error('❌ Cache SETNX error:', error);
+      throw error;
+    }
+  },
   
   /**
    * Get value from cache
@@ -232,6 +257,27 @@ const cache = {
     }
   },
   
+  /**
+   * Get a value and delete it in one step, so only one caller receives it
+   */
+  take: async (key) => {
+    try {
+      if (isRedisAvailable && redisClient) {
+        const cached = await redisClient.getDel(key);
+        logger.debug(`🔧 Redis Cache GETDEL: ${key} (${cached ? 'hit' : 'miss'})`);
+        return cached ? JSON.parse(cached) : null;
+      }
+
+      const cached = memoryCache.get(key);
+      memoryCache.delete(key);
+      logger.debug(`🔧 Memory Cache TAKE: ${key}`);
+      return cached && cached.expiresAt > Date.now() ? cached.value : null;
+    } catch (error) {
+      logger.error('❌ Cache TAKE error:', error);
+      throw error;
+    }
+  },
+
   /**
    * Delete key from cache
    */
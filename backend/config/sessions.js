@@ -0,0 +1,33 @@
+/**
+ * Chat Session Configuration
+ * When idle sessions are closed
+ *
+ * A session with no messages for SESSION_INACTIVITY_MINUTES is closed by a
+ * background sweep and gets its end-of-session summary. Set
+ * SESSION_INACTIVITY_MINUTES=0 to only close sessions the user ends.
+ */
+
+const parseNumber = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+};
+
+/**
+ * Build the session configuration from the environment
+ */
+const getSessionConfig = () => {
+  const env = process.env;
+
+  return {
+    inactivityMs: parseNumber(env.SESSION_INACTIVITY_MINUTES, 30) * 60 * 1000,
+    // How often idle sessions are looked for
+    sweepIntervalMs: parseNumber(env.SESSION_SWEEP_INTERVAL_MINUTES, 5) * 60 * 1000,
+    // Sessions closed per sweep; the rest wait for the next one
+    sweepBatchSize: parseNumber(env.SESSION_SWEEP_BATCH_SIZE, 50)
+  };
+};
+
+module.exports = {
+  getSessionConfig
+};
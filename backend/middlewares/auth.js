@@ -9,6 +9,8 @@ const rateLimit = require('express-rate-limit');
 const { promisify } = require('util');
 const winston = require('winston');
 
+const auditService = require('../services/auditService');
+
 // Logger setup
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -296,6 +298,11 @@ const requireRole = (roles) => {
     
     if (!hasRequiredRole) {
       logger.warn(`⚠️ Access denied for user ${req.user.userId}: insufficient permissions`);
+      res.on('finish', () => {
+        auditService.recordRequest(req, res, 'access_denied', {
+          metadata: { requiredRoles: roles }
+        });
+      });
       return res.status(403).json({
         error: 'Insufficient permissions',
         code: 'INSUFFICIENT_PERMISSIONS',
@@ -308,6 +315,31 @@ const requireRole = (roles) => {
   };
 };
 
+/**
+ * Load the user's current roles from the database
+ * Roles are not carried in the JWT so revocation applies immediately
+ */
+const loadUserRoles = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        code: 'AUTHENTICATION_REQUIRED'
+      });
+    }
+
+    const { db } = require('../models');
+    req.user.roles = db.UserRole ? await db.UserRole.getRoles(req.user.userId) : ['user'];
+    next();
+  } catch (error) {
+    logger.error('❌ Failed to load user roles:', error);
+    res.status(500).json({
+      error: 'Authorization failed',
+      code: 'ROLE_LOOKUP_FAILED'
+    });
+  }
+};
+
 /**
  * Session validation middleware
  */
@@ -333,9 +365,13 @@ const validateSession = (req, res, next) => {
 
 /**
  * HIPAA audit logging middleware
+ * Persists an audit event once the response is sent. Handlers can set
+ * req.audit = { resourceType, resourceId, subjectUserId, metadata } to say
+ * whose data they touched; `details` supplies defaults (values or functions of req).
  */
-const auditMiddleware = (action) => {
+const auditMiddleware = (actionOrResolver, details = {}) => {
   return (req, res, next) => {
+    const action = typeof actionOrResolver === 'function' ? actionOrResolver(req) : actionOrResolver;
     const auditLog = {
       action,
       userId: req.user?.userId || 'anonymous',
@@ -347,8 +383,16 @@ const auditMiddleware = (action) => {
       method: req.method
     };
     
-    // Log to audit system (implement actual audit logging)
     logger.info(`📋 AUDIT: ${JSON.stringify(auditLog)}`);
+
+    res.on('finish', () => {
+      const resolved = {};
+      for (const [key, value] of Object.entries(details)) {
+        resolved[key] = typeof value === 'function' ? value(req) : value;
+      }
+
+      auditService.recordRequest(req, res, action, { ...resolved, ...req.audit });
+    });
     
     next();
   };
@@ -360,6 +404,7 @@ module.exports = {
   authMiddleware,
   optionalAuthMiddleware,
   requireRole,
+  loadUserRoles,
   validateSession,
   auditMiddleware,
   authRateLimit,
@@ -0,0 +1,139 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response when a client retries a POST with the same
+ * Idempotency-Key header, so a retry never repeats the work (AI calls,
+ * stored messages, crisis events). Results live in the cache layer.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+
+const { cache } = require('../config/redis');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/; // printable ASCII, no spaces
+const DEFAULT_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+// Claim held while the first request runs; outlives a slow AI response
+const PROCESSING_TTL_SECONDS = 5 * 60;
+
+// Statuses that mean the request did no work, so a retry should run it again
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+const isStorable = (status) => status < 500 && !RETRYABLE_STATUSES.includes(status);
+
+const fingerprint = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(req.body || {}))
+  .digest('hex');
+
+/**
+ * Idempotency middleware factory
+ * Must run after authMiddleware: keys are scoped to the user and route.
+ */
+const idempotency = ({ ttlSeconds = DEFAULT_TTL_SECONDS } = {}) => {
+  return async (req, res, next) => {
+    const key = req.get(HEADER);
+    if (key === undefined) return next();
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        error: 'Invalid Idempotency-Key header',
+        code: 'INVALID_IDEMPOTENCY_KEY',
+        message: 'Idempotency-Key must be 1-255 printable characters without spaces'
+      });
+    }
+
+    const cacheKey = `idempotency:${req.user?.userId || 'anonymous'}:${req.method}:${req.baseUrl}${req.path}:${key}`;
+    const requestHash = fingerprint(req);
+
+    let claimed;
+    try {
+      claimed = await cache.setIfAbsent(cacheKey, { state: 'processing', requestHash }, PROCESSING_TTL_SECONDS);
+    } catch (error) {
+      // Without the cache the request still runs, just without replay protection
+      logger.error('❌ Idempotency cache unavailable:', error);
+      return next();
+    }
+
+    if (!claimed) {
+      let stored = null;
+      try {
+        stored = await cache.get(cacheKey);
+      } catch (error) {
+        // The key is taken but unreadable: answer as if it is still running
+        // rather than risk doing the work twice
+        logger.error('❌ Idempotency cache unavailable:', error);
+      }
+
+      if (stored && stored.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency-Key was already used with a different request body',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (!stored || stored.state === 'processing') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_KEY_IN_USE'
+        });
+      }
+
+      logger.info(`🔁 Replaying response for idempotency key on ${req.method} ${req.originalUrl}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status).json(stored.body);
+    }
+
+    let settled = false;
+    const sendJson = res.json.bind(res);
+
+    // Store the result before sending it, so a retry that arrives as soon
+    // as the client sees the response already finds it
+    res.json = (body) => {
+      if (settled || !isStorable(res.statusCode)) {
+        return sendJson(body);
+      }
+      settled = true;
+
+      const record = {
+        state: 'completed',
+        requestHash,
+        status: res.statusCode,
+        body: JSON.parse(JSON.stringify(body))
+      };
+      cache.set(cacheKey, record, ttlSeconds)
+        .catch(error => logger.error('❌ Failed to store idempotent response:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    // Release the claim if nothing was stored, so the client can retry
+    res.on('close', () => {
+      if (settled) return;
+      settled = true;
+      cache.del(cacheKey).catch(error => logger.error('❌ Failed to release idempotency key:', error));
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotency
+};
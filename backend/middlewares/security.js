@@ -62,9 +62,10 @@ const corsOptions = {
     'Accept',
     'Authorization',
     'X-Session-ID',
-    'X-Request-ID'
+    'X-Request-ID',
+    'Idempotency-Key'
   ],
-  exposedHeaders: ['X-Request-ID'],
+  exposedHeaders: ['X-Request-ID', 'Idempotent-Replayed'],
   maxAge: 86400 // 24 hours
 };
 
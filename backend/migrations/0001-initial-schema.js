@@ -0,0 +1,236 @@
+/**
+ * Initial schema
+ * Tables as they stood when sequelize.sync() was replaced by migrations.
+ * Databases previously created by sync() already have these tables, so
+ * existing tables are adopted as-is instead of recreated.
+ */
+
+const TABLES = ['users', 'chat_sessions', 'messages', 'escalations', 'user_roles', 'audit_events', 'assessments'];
+
+const timestamps = (DataTypes, { paranoid = false } = {}) => ({
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  ...(paranoid && {
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  })
+});
+
+const uuidKey = (DataTypes) => ({
+  type: DataTypes.UUID,
+  primaryKey: true,
+  allowNull: false
+});
+
+const reference = (DataTypes, table, { allowNull = false, onDelete = 'CASCADE' } = {}) => ({
+  type: DataTypes.UUID,
+  allowNull,
+  references: {
+    model: table,
+    key: 'id'
+  },
+  onUpdate: 'CASCADE',
+  onDelete
+});
+
+const schema = (DataTypes) => ({
+  users: {
+    attributes: {
+      id: uuidKey(DataTypes),
+      firstName: { type: DataTypes.STRING(50), allowNull: true },
+      lastName: { type: DataTypes.STRING(50), allowNull: true },
+      email: { type: DataTypes.STRING, allowNull: true, unique: true },
+      password: { type: DataTypes.STRING, allowNull: true },
+      age: { type: DataTypes.INTEGER, allowNull: false },
+      anonymous: { type: DataTypes.BOOLEAN, defaultValue: true },
+      phone: { type: DataTypes.STRING, allowNull: true },
+      dateOfBirth: { type: DataTypes.DATEONLY, allowNull: true },
+      emergencyContact: { type: DataTypes.JSON, allowNull: true },
+      mentalHealthProfile: { type: DataTypes.JSON, allowNull: false },
+      preferences: { type: DataTypes.JSON, allowNull: false },
+      isActive: { type: DataTypes.BOOLEAN, defaultValue: true },
+      loginAttempts: { type: DataTypes.INTEGER, defaultValue: 0 },
+      lockUntil: { type: DataTypes.DATE, allowNull: true },
+      lastLogin: { type: DataTypes.DATE, allowNull: true },
+      auditLog: { type: DataTypes.JSON, allowNull: true },
+      isAnonymized: { type: DataTypes.BOOLEAN, defaultValue: false },
+      termsAccepted: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      privacyPolicyAccepted: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      ...timestamps(DataTypes, { paranoid: true })
+    },
+    indexes: []
+  },
+
+  chat_sessions: {
+    attributes: {
+      id: uuidKey(DataTypes),
+      userId: reference(DataTypes, 'users'),
+      sessionType: {
+        type: DataTypes.ENUM('general_support', 'crisis_intervention', 'assessment', 'check_in'),
+        defaultValue: 'general_support'
+      },
+      status: {
+        type: DataTypes.ENUM('active', 'completed', 'abandoned', 'crisis_escalated'),
+        defaultValue: 'active'
+      },
+      messageCount: { type: DataTypes.INTEGER, defaultValue: 0 },
+      startedAt: { type: DataTypes.DATE, allowNull: true },
+      endedAt: { type: DataTypes.DATE, allowNull: true },
+      lastActivity: { type: DataTypes.DATE, allowNull: true },
+      duration: { type: DataTypes.INTEGER, allowNull: true },
+      endReason: { type: DataTypes.STRING, allowNull: true },
+      aiMetadata: { type: DataTypes.JSON, allowNull: true },
+      crisisEvents: { type: DataTypes.JSON, allowNull: true },
+      sessionNotes: { type: DataTypes.TEXT, allowNull: true },
+      userFeedback: { type: DataTypes.JSON, allowNull: true },
+      isAnonymized: { type: DataTypes.BOOLEAN, defaultValue: false },
+      ...timestamps(DataTypes, { paranoid: true })
+    },
+    indexes: [['userId'], ['status'], ['startedAt'], ['lastActivity'], ['sessionType']]
+  },
+
+  messages: {
+    attributes: {
+      id: uuidKey(DataTypes),
+      sessionId: reference(DataTypes, 'chat_sessions'),
+      userId: reference(DataTypes, 'users'),
+      sender: { type: DataTypes.ENUM('user', 'ai', 'system'), allowNull: false },
+      messageType: {
+        type: DataTypes.ENUM('text', 'assessment', 'crisis_alert', 'resource', 'system_message'),
+        defaultValue: 'text'
+      },
+      content: { type: DataTypes.TEXT, allowNull: false },
+      aiMetadata: { type: DataTypes.JSON, allowNull: true },
+      sentiment: { type: DataTypes.ENUM('positive', 'negative', 'neutral'), allowNull: true },
+      sentimentScore: { type: DataTypes.FLOAT, allowNull: true },
+      crisisDetected: { type: DataTypes.BOOLEAN, defaultValue: false },
+      crisisSeverity: { type: DataTypes.ENUM('low', 'medium', 'high', 'critical'), allowNull: true },
+      flagged: { type: DataTypes.BOOLEAN, defaultValue: false },
+      flagReason: { type: DataTypes.STRING, allowNull: true },
+      userFeedback: { type: DataTypes.JSON, allowNull: true },
+      isAnonymized: { type: DataTypes.BOOLEAN, defaultValue: false },
+      readAt: { type: DataTypes.DATE, allowNull: true },
+      ...timestamps(DataTypes, { paranoid: true })
+    },
+    indexes: [['sessionId'], ['userId'], ['sender'], ['createdAt'], ['crisisDetected'], ['flagged'], ['sentiment']]
+  },
+
+  escalations: {
+    attributes: {
+      id: uuidKey(DataTypes),
+      userId: reference(DataTypes, 'users'),
+      sessionId: reference(DataTypes, 'chat_sessions', { allowNull: true, onDelete: 'SET NULL' }),
+      level: { type: DataTypes.ENUM('low', 'medium', 'high', 'critical'), allowNull: false },
+      status: { type: DataTypes.ENUM('open', 'acknowledged', 'resolved'), defaultValue: 'open' },
+      consentStatus: {
+        type: DataTypes.ENUM('pending', 'granted', 'declined', 'not_applicable'),
+        defaultValue: 'pending'
+      },
+      consentRespondedAt: { type: DataTypes.DATE, allowNull: true },
+      contactId: { type: DataTypes.STRING, allowNull: true },
+      notificationStatus: { type: DataTypes.ENUM('none', 'sent', 'partial', 'failed'), defaultValue: 'none' },
+      notifications: { type: DataTypes.JSON, allowNull: true },
+      verdict: { type: DataTypes.JSON, allowNull: false },
+      detectionCount: { type: DataTypes.INTEGER, defaultValue: 1 },
+      lastDetectedAt: { type: DataTypes.DATE, allowNull: true },
+      acknowledgedAt: { type: DataTypes.DATE, allowNull: true },
+      acknowledgedBy: { type: DataTypes.JSON, allowNull: true },
+      resolvedAt: { type: DataTypes.DATE, allowNull: true },
+      resolvedBy: { type: DataTypes.JSON, allowNull: true },
+      resolutionNote: { type: DataTypes.TEXT, allowNull: true },
+      ...timestamps(DataTypes)
+    },
+    indexes: [['userId'], ['status'], ['level'], ['createdAt']]
+  },
+
+  user_roles: {
+    attributes: {
+      id: uuidKey(DataTypes),
+      userId: reference(DataTypes, 'users'),
+      role: { type: DataTypes.ENUM('counselor', 'admin'), allowNull: false },
+      grantedBy: { type: DataTypes.UUID, allowNull: true },
+      ...timestamps(DataTypes)
+    },
+    indexes: [{ fields: ['userId', 'role'], unique: true }]
+  },
+
+  audit_events: {
+    attributes: {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      actorId: { type: DataTypes.UUID, allowNull: true },
+      actorType: {
+        type: DataTypes.ENUM('user', 'counselor', 'admin', 'system', 'anonymous'),
+        allowNull: false,
+        defaultValue: 'user'
+      },
+      action: { type: DataTypes.STRING(100), allowNull: false },
+      resourceType: { type: DataTypes.STRING(50), allowNull: true },
+      resourceId: { type: DataTypes.STRING(100), allowNull: true },
+      subjectUserId: { type: DataTypes.UUID, allowNull: true },
+      outcome: { type: DataTypes.ENUM('success', 'failure', 'denied'), allowNull: false, defaultValue: 'success' },
+      statusCode: { type: DataTypes.INTEGER, allowNull: true },
+      ipAddress: { type: DataTypes.STRING(45), allowNull: true },
+      userAgent: { type: DataTypes.STRING(500), allowNull: true },
+      requestId: { type: DataTypes.STRING(36), allowNull: true },
+      method: { type: DataTypes.STRING(10), allowNull: true },
+      path: { type: DataTypes.STRING(500), allowNull: true },
+      metadata: { type: DataTypes.JSON, allowNull: true },
+      previousHash: { type: DataTypes.STRING(64), allowNull: false },
+      hash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    indexes: [['actorId'], ['subjectUserId'], ['action'], ['createdAt']]
+  },
+
+  assessments: {
+    attributes: {
+      id: uuidKey(DataTypes),
+      userId: reference(DataTypes, 'users'),
+      type: { type: DataTypes.STRING(32), allowNull: false },
+      instrumentVersion: { type: DataTypes.STRING(16), allowNull: false, defaultValue: '1.0' },
+      responses: { type: DataTypes.JSON, allowNull: false },
+      score: { type: DataTypes.FLOAT, allowNull: true },
+      severity: { type: DataTypes.STRING(32), allowNull: true },
+      notes: { type: DataTypes.TEXT, allowNull: true },
+      ...timestamps(DataTypes)
+    },
+    indexes: [['userId', 'type', 'createdAt'], ['userId', 'createdAt']]
+  }
+});
+
+module.exports = {
+  up: async ({ queryInterface, DataTypes, transaction }) => {
+    const tables = schema(DataTypes);
+
+    for (const name of TABLES) {
+      if (await queryInterface.tableExists(name, { transaction })) continue;
+
+      const { attributes, indexes } = tables[name];
+      await queryInterface.createTable(name, attributes, { transaction });
+
+      for (const index of indexes) {
+        const options = Array.isArray(index) ? { fields: index } : index;
+        await queryInterface.addIndex(name, { ...options, transaction });
+      }
+    }
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    for (const name of [...TABLES].reverse()) {
+      await queryInterface.dropTable(name, { transaction });
+    }
+
+    // Postgres keeps ENUM types after their tables are dropped
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.dropAllEnums({ transaction });
+    }
+  }
+};
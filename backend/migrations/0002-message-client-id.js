@@ -0,0 +1,28 @@
+/**
+ * Client message ids
+ * Offline clients tag each queued chat message with an id they generate, so
+ * a message delivered twice is stored (and answered) once per user.
+ */
+
+const INDEX_NAME = 'messages_user_id_client_message_id';
+
+module.exports = {
+  up: async ({ queryInterface, DataTypes, transaction }) => {
+    await queryInterface.addColumn('messages', 'clientMessageId', {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    }, { transaction });
+
+    await queryInterface.addIndex('messages', {
+      name: INDEX_NAME,
+      fields: ['userId', 'clientMessageId'],
+      unique: true,
+      transaction
+    });
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    await queryInterface.removeIndex('messages', INDEX_NAME, { transaction });
+    await queryInterface.removeColumn('messages', 'clientMessageId', { transaction });
+  }
+};
@@ -0,0 +1,73 @@
+/**
+ * Conversation memory
+ * Rolling AI-written summaries on chat sessions, and facts a user pins for
+ * the companion to remember across sessions. Both are encrypted at rest.
+ */
+
+const SESSION_COLUMNS = ['summary', 'summarizedThrough', 'summaryMessageCount'];
+
+module.exports = {
+  up: async ({ queryInterface, DataTypes, transaction }) => {
+    await queryInterface.addColumn('chat_sessions', 'summary', {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }, { transaction });
+
+    // Messages up to this time are covered by the summary
+    await queryInterface.addColumn('chat_sessions', 'summarizedThrough', {
+      type: DataTypes.DATE,
+      allowNull: true
+    }, { transaction });
+
+    await queryInterface.addColumn('chat_sessions', 'summaryMessageCount', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }, { transaction });
+
+    await queryInterface.createTable('memory_facts', {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    }, { transaction });
+
+    await queryInterface.addIndex('memory_facts', { fields: ['userId'], transaction });
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    await queryInterface.dropTable('memory_facts', { transaction });
+
+    // Not removeColumn: on SQLite it rebuilds the table, and dropping
+    // chat_sessions cascades to every message that references it
+    for (const column of SESSION_COLUMNS) {
+      await queryInterface.sequelize.query(
+        `ALTER TABLE "chat_sessions" DROP COLUMN "${column}"`,
+        { transaction }
+      );
+    }
+  }
+};
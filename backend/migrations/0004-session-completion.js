@@ -0,0 +1,33 @@
+/**
+ * Session completion
+ * The private end-of-session summary (encrypted at rest) and the mood the
+ * user reports when a session ends.
+ */
+
+const SESSION_COLUMNS = ['endSummary', 'moodAtEnd'];
+
+module.exports = {
+  up: async ({ queryInterface, DataTypes, transaction }) => {
+    await queryInterface.addColumn('chat_sessions', 'endSummary', {
+      type: DataTypes.JSON,
+      allowNull: true
+    }, { transaction });
+
+    // Same 1-10 scale as mood check-ins
+    await queryInterface.addColumn('chat_sessions', 'moodAtEnd', {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }, { transaction });
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    // Not removeColumn: on SQLite it rebuilds the table, and dropping
+    // chat_sessions cascades to every message that references it
+    for (const column of SESSION_COLUMNS) {
+      await queryInterface.sequelize.query(
+        `ALTER TABLE "chat_sessions" DROP COLUMN "${column}"`,
+        { transaction }
+      );
+    }
+  }
+};
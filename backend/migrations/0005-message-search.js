@@ -0,0 +1,47 @@
+/**
+ * Chat message search index
+ * Hashed message terms for full-text search; see services/messageSearchIndex.js.
+ * SQLite uses an FTS5 virtual table, Postgres a tsvector column with a GIN
+ * index. Existing messages are added by `npm run db:search-reindex`.
+ */
+
+module.exports = {
+  up: async ({ queryInterface, DataTypes, transaction }) => {
+    if (queryInterface.sequelize.getDialect() !== 'postgres') {
+      await queryInterface.sequelize.query(
+        'CREATE VIRTUAL TABLE "message_search" USING fts5("terms", "messageId" UNINDEXED, "userId" UNINDEXED)',
+        { transaction }
+      );
+      return;
+    }
+
+    await queryInterface.createTable('message_search', {
+      messageId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'messages',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      terms: {
+        type: DataTypes.TSVECTOR,
+        allowNull: false
+      }
+    }, { transaction });
+
+    await queryInterface.addIndex('message_search', { fields: ['userId'], transaction });
+    await queryInterface.addIndex('message_search', { fields: ['terms'], using: 'GIN', transaction });
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    await queryInterface.dropTable('message_search', { transaction });
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * Data export jobs
+ * Background exports of a user's data; rendered files are kept, encrypted,
+ * until the job expires.
+ */
+
+module.exports = {
+  up: async ({ queryInterface, DataTypes, transaction }) => {
+    await queryInterface.createTable('export_jobs', {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      format: {
+        type: DataTypes.STRING(16),
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      recordCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      files: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    }, { transaction });
+
+    await queryInterface.addIndex('export_jobs', { fields: ['userId', 'createdAt'], transaction });
+    await queryInterface.addIndex('export_jobs', { fields: ['status', 'expiresAt'], transaction });
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    await queryInterface.dropTable('export_jobs', { transaction });
+  }
+};
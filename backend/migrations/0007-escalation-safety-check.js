@@ -0,0 +1,31 @@
+/**
+ * Escalation safety check-ins
+ * Users cannot resolve their own escalations; they can report that they are
+ * safe, which counselors see in the queue before resolving it.
+ */
+
+const ESCALATION_COLUMNS = ['userReportedSafeAt', 'userSafetyNote'];
+
+module.exports = {
+  up: async ({ queryInterface, DataTypes, transaction }) => {
+    await queryInterface.addColumn('escalations', 'userReportedSafeAt', {
+      type: DataTypes.DATE,
+      allowNull: true
+    }, { transaction });
+
+    await queryInterface.addColumn('escalations', 'userSafetyNote', {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }, { transaction });
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    // Same as 0004: removeColumn rebuilds the table on SQLite
+    for (const column of ESCALATION_COLUMNS) {
+      await queryInterface.sequelize.query(
+        `ALTER TABLE "escalations" DROP COLUMN "${column}"`,
+        { transaction }
+      );
+    }
+  }
+};
@@ -0,0 +1,101 @@
+/**
+ * Assessment Model
+ * Sequelize model for mood check-ins and standardized screenings
+ * (instruments are defined in backend/assessments)
+ *
+ * Scores and severities stay in plain columns so history and trends can be
+ * queried; free-text notes are encrypted at rest.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const fieldEncryption = require('../services/fieldEncryption');
+const instrumentRegistry = require('../assessments');
+
+const ASSESSMENT_TYPES = ['mood', ...instrumentRegistry.getIds()];
+
+// Encrypted at rest; see services/fieldEncryption.js
+const ENCRYPTED_FIELDS = {
+  notes: { field: 'assessments.notes' }
+};
+
+class Assessment extends Model {
+  getSummary() {
+    return {
+      id: this.id,
+      type: this.type,
+      instrumentVersion: this.instrumentVersion,
+      timestamp: this.createdAt,
+      score: this.score,
+      severity: this.severity,
+      responses: this.responses,
+      notes: this.notes
+    };
+  }
+}
+
+const initAssessmentModel = (sequelize) => {
+  Assessment.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      validate: {
+        isIn: [ASSESSMENT_TYPES]
+      }
+    },
+    instrumentVersion: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      defaultValue: '1.0'
+    },
+    // Item responses: an ordered array for questionnaires, named values for mood
+    responses: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    score: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    severity: {
+      type: DataTypes.STRING(32),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      ...fieldEncryption.attribute('notes', ENCRYPTED_FIELDS.notes)
+    }
+  }, {
+    sequelize,
+    modelName: 'Assessment',
+    tableName: 'assessments',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'type', 'createdAt']
+      },
+      {
+        fields: ['userId', 'createdAt']
+      }
+    ]
+  });
+
+  return Assessment;
+};
+
+module.exports = initAssessmentModel;
+module.exports.ASSESSMENT_TYPES = ASSESSMENT_TYPES;
+module.exports.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
@@ -0,0 +1,154 @@
+/**
+ * AuditEvent Model
+ * Sequelize model for the append-only, hash-chained audit trail
+ *
+ * Each row stores the hash of the previous row, so editing or deleting an
+ * entry breaks the chain. Rows can only be removed by the retention purge.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+const appendOnly = () => {
+  throw new Error('Audit events are append-only');
+};
+
+class AuditEvent extends Model {
+  /**
+   * The fields covered by the hash. The id is excluded because it is only
+   * assigned on insert; order is enforced by the previousHash link instead.
+   */
+  getHashPayload() {
+    return {
+      actorId: this.actorId,
+      actorType: this.actorType,
+      action: this.action,
+      resourceType: this.resourceType,
+      resourceId: this.resourceId,
+      subjectUserId: this.subjectUserId,
+      outcome: this.outcome,
+      statusCode: this.statusCode,
+      ipAddress: this.ipAddress,
+      userAgent: this.userAgent,
+      requestId: this.requestId,
+      method: this.method,
+      path: this.path,
+      metadata: this.metadata,
+      createdAt: this.createdAt instanceof Date ? this.createdAt.toISOString() : this.createdAt
+    };
+  }
+}
+
+const initAuditEventModel = (sequelize) => {
+  AuditEvent.init({
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    actorType: {
+      type: DataTypes.ENUM('user', 'counselor', 'admin', 'system', 'anonymous'),
+      allowNull: false,
+      defaultValue: 'user'
+    },
+    action: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    resourceType: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    resourceId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    // Whose data was touched; for staff access this differs from the actor
+    subjectUserId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    outcome: {
+      type: DataTypes.ENUM('success', 'failure', 'denied'),
+      allowNull: false,
+      defaultValue: 'success'
+    },
+    statusCode: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    requestId: {
+      type: DataTypes.STRING(36),
+      allowNull: true
+    },
+    method: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    },
+    path: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    previousHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'AuditEvent',
+    tableName: 'audit_events',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['actorId']
+      },
+      {
+        fields: ['subjectUserId']
+      },
+      {
+        fields: ['action']
+      },
+      {
+        fields: ['createdAt']
+      }
+    ],
+    hooks: {
+      beforeUpdate: appendOnly,
+      beforeBulkUpdate: appendOnly,
+      beforeDestroy: appendOnly,
+      beforeBulkDestroy: (options) => {
+        if (!options.retentionPurge) {
+          appendOnly();
+        }
+      }
+    }
+  });
+
+  return AuditEvent;
+};
+
+module.exports = initAuditEventModel;
@@ -4,8 +4,24 @@
  */
 
 const { DataTypes, Model } = require('sequelize');
+const fieldEncryption = require('../services/fieldEncryption');
+
+// Encrypted at rest; see services/fieldEncryption.js
+const ENCRYPTED_FIELDS = {
+  sessionNotes: { field: 'chat_sessions.sessionNotes' },
+  summary: { field: 'chat_sessions.summary' },
+  endSummary: { field: 'chat_sessions.endSummary', json: true }
+};
+
+// Statuses of a session that is still going on; an escalated session stays
+// open so the conversation, and the counselor's view of it, carries on
+const OPEN_STATUSES = ['active', 'crisis_escalated'];
 
 class ChatSession extends Model {
+  isOpen() {
+    return OPEN_STATUSES.includes(this.status);
+  }
+
   async addMessage(messageData) {
     this.messageCount = (this.messageCount || 0) + 1;
     this.lastActivity = new Date();
@@ -16,8 +32,12 @@ class ChatSession extends Model {
         timestamp: new Date(),
         severity: messageData.crisis_severity || 'medium',
         triggers: messageData.crisis_triggers || [],
+        sensitivity: messageData.crisis_sensitivity || null,
+        escalated: !!messageData.escalation_id,
+        escalation_id: messageData.escalation_id || null,
         message_id: messageData.id
       });
+      this.changed('crisisEvents', true);
     }
     
     await this.save();
@@ -48,9 +68,9 @@ class ChatSession extends Model {
     await this.save();
   }
 
-  async endSession(reason = 'user_ended') {
-    this.status = 'completed';
-    this.endedAt = new Date();
+  async endSession(reason = 'user_ended', { status = 'completed', endedAt = new Date() } = {}) {
+    this.status = status;
+    this.endedAt = endedAt;
     this.endReason = reason;
     
     // Calculate session duration
@@ -70,11 +90,27 @@ class ChatSession extends Model {
       duration: this.duration,
       startedAt: this.startedAt,
       endedAt: this.endedAt,
+      endReason: this.endReason,
       crisisEventsCount: this.crisisEvents ? this.crisisEvents.length : 0,
       averageSentiment: this.calculateAverageSentiment()
     };
   }
 
+  // The user's own view of a finished session; the summary is private to them
+  getCompletionSummary() {
+    return {
+      id: this.id,
+      status: this.status,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      endReason: this.endReason,
+      duration: this.duration,
+      messageCount: this.messageCount,
+      summary: this.endSummary,
+      moodAtEnd: this.moodAtEnd
+    };
+  }
+
   calculateAverageSentiment() {
     if (!this.aiMetadata?.sentimentHistory?.length) return null;
     
@@ -146,8 +182,39 @@ const initChatSessionModel = (sequelize) => {
     },
     sessionNotes: {
       type: DataTypes.TEXT,
+      allowNull: true,
+      ...fieldEncryption.attribute('sessionNotes', ENCRYPTED_FIELDS.sessionNotes)
+    },
+    // Rolling AI-written summary of the messages up to summarizedThrough;
+    // see ai/memoryService.js
+    summary: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      ...fieldEncryption.attribute('summary', ENCRYPTED_FIELDS.summary)
+    },
+    summarizedThrough: {
+      type: DataTypes.DATE,
       allowNull: true
     },
+    summaryMessageCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Written when the session ends; see services/sessionCompletionService.js
+    endSummary: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...fieldEncryption.attribute('endSummary', ENCRYPTED_FIELDS.endSummary)
+    },
+    moodAtEnd: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+        max: 10
+      }
+    },
     userFeedback: {
       type: DataTypes.JSON,
       allowNull: true
@@ -184,4 +251,6 @@ const initChatSessionModel = (sequelize) => {
   return ChatSession;
 };
 
-module.exports = initChatSessionModel;
\ No newline at end of file
+module.exports = initChatSessionModel;
+module.exports.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
@@ -0,0 +1,158 @@
+/**
+ * Escalation Model
+ * Sequelize model for crisis escalations and their contact notifications
+ *
+ * Lifecycle: open -> acknowledged -> resolved (resolved by staff only; the
+ * user can report they are safe, which stays visible in the counselor queue)
+ * Consent:   pending -> granted | declined (not_applicable without contacts)
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+const STATUS_ORDER = ['open', 'acknowledged', 'resolved'];
+
+class Escalation extends Model {
+  canTransitionTo(status) {
+    return STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(this.status);
+  }
+
+  isOpen() {
+    return this.status !== 'resolved';
+  }
+
+  getSummary() {
+    return {
+      id: this.id,
+      sessionId: this.sessionId,
+      level: this.level,
+      status: this.status,
+      consentStatus: this.consentStatus,
+      notificationStatus: this.notificationStatus,
+      contactId: this.contactId,
+      detectionCount: this.detectionCount,
+      notifications: (this.notifications || []).map(({ notifier, event, status, sentAt }) => ({ notifier, event, status, sentAt })),
+      acknowledgedAt: this.acknowledgedAt,
+      userReportedSafeAt: this.userReportedSafeAt,
+      resolvedAt: this.resolvedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+const initEscalationModel = (sequelize) => {
+  Escalation.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'chat_sessions',
+        key: 'id'
+      }
+    },
+    level: {
+      type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'acknowledged', 'resolved'),
+      defaultValue: 'open'
+    },
+    consentStatus: {
+      type: DataTypes.ENUM('pending', 'granted', 'declined', 'not_applicable'),
+      defaultValue: 'pending'
+    },
+    consentRespondedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    contactId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    notificationStatus: {
+      type: DataTypes.ENUM('none', 'sent', 'partial', 'failed'),
+      defaultValue: 'none'
+    },
+    notifications: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    verdict: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    detectionCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1
+    },
+    lastDetectedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    acknowledgedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acknowledgedBy: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolvedBy: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    resolutionNote: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    userReportedSafeAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    userSafetyNote: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Escalation',
+    tableName: 'escalations',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['level']
+      },
+      {
+        fields: ['createdAt']
+      }
+    ]
+  });
+
+  return Escalation;
+};
+
+module.exports = initEscalationModel;
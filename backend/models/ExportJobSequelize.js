@@ -0,0 +1,110 @@
+/**
+ * ExportJob Model
+ * A background export of a user's data and, once it has run, the rendered
+ * files. File contents are encrypted at rest and deleted when the job expires.
+ *
+ * Lifecycle: queued -> running -> completed | failed; completed -> expired
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const fieldEncryption = require('../services/fieldEncryption');
+
+const EXPORT_STATUSES = ['queued', 'running', 'completed', 'failed', 'expired'];
+
+// Encrypted at rest; see services/fieldEncryption.js
+const ENCRYPTED_FIELDS = {
+  files: { field: 'export_jobs.files', json: true }
+};
+
+class ExportJob extends Model {
+  isDownloadable() {
+    return this.status === 'completed' && (!this.expiresAt || this.expiresAt > new Date());
+  }
+
+  getSummary() {
+    return {
+      id: this.id,
+      format: this.format,
+      status: this.status,
+      recordCount: this.recordCount,
+      files: this.isDownloadable()
+        ? (this.files || []).map(({ name, contentType, size }) => ({ name, contentType, size }))
+        : [],
+      error: this.error,
+      createdAt: this.createdAt,
+      completedAt: this.completedAt,
+      expiresAt: this.expiresAt
+    };
+  }
+}
+
+const initExportJobModel = (sequelize) => {
+  ExportJob.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    format: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      defaultValue: 'queued',
+      validate: {
+        isIn: [EXPORT_STATUSES]
+      }
+    },
+    recordCount: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // [{ name, contentType, size, content }]
+    files: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...fieldEncryption.attribute('files', ENCRYPTED_FIELDS.files)
+    },
+    error: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ExportJob',
+    tableName: 'export_jobs',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'createdAt']
+      },
+      {
+        fields: ['status', 'expiresAt']
+      }
+    ]
+  });
+
+  return ExportJob;
+};
+
+module.exports = initExportJobModel;
+module.exports.EXPORT_STATUSES = EXPORT_STATUSES;
+module.exports.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
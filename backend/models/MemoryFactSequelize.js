@@ -0,0 +1,64 @@
+/**
+ * MemoryFact Model
+ * Something the user asked the companion to remember across sessions
+ * ("my exam is Friday", "I have a cat named Mo"). Encrypted at rest.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const fieldEncryption = require('../services/fieldEncryption');
+
+// Encrypted at rest; see services/fieldEncryption.js
+const ENCRYPTED_FIELDS = {
+  content: { field: 'memory_facts.content' }
+};
+
+const MAX_FACT_LENGTH = 280;
+
+class MemoryFact extends Model {
+  getSummary() {
+    return {
+      id: this.id,
+      content: this.content,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+const initMemoryFactModel = (sequelize) => {
+  MemoryFact.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      ...fieldEncryption.attribute('content', ENCRYPTED_FIELDS.content)
+    }
+  }, {
+    sequelize,
+    modelName: 'MemoryFact',
+    tableName: 'memory_facts',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  return MemoryFact;
+};
+
+module.exports = initMemoryFactModel;
+module.exports.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
+module.exports.MAX_FACT_LENGTH = MAX_FACT_LENGTH;
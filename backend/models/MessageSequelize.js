@@ -4,43 +4,37 @@
  */
 
 const { DataTypes, Model } = require('sequelize');
+const fieldEncryption = require('../services/fieldEncryption');
+const messageSearchIndex = require('../services/messageSearchIndex');
+
+// Encrypted at rest; see services/fieldEncryption.js
+const ENCRYPTED_FIELDS = {
+  content: { field: 'messages.content' }
+};
 
 class Message extends Model {
   async analyzeContent() {
-    // Simulate content analysis (in real app, this would call AI service)
-    const content = this.content.toLowerCase();
-    
-    // Simple crisis keyword detection
-    const crisisKeywords = ['suicide', 'kill myself', 'end it all', 'hurt myself', 'no point', 'give up'];
-    const hasCrisisKeywords = crisisKeywords.some(keyword => content.includes(keyword));
-    
-    if (hasCrisisKeywords) {
+    this.assessContent();
+    await this.save();
+  }
+
+  // Set crisis flags and sentiment without saving
+  assessContent() {
+    // Same risk engine as the chat pipeline so stored flags match live verdicts
+    const crisisDetection = require('../ai/crisisDetection');
+    const verdict = crisisDetection.assess(this.content);
+
+    if (verdict.detected) {
       this.crisisDetected = true;
-      this.crisisSeverity = 'high';
+      this.crisisSeverity = verdict.level;
       this.flagged = true;
+      this.flagReason = `crisis_${verdict.level}`;
     }
-    
-    // Simple sentiment analysis
-    const positiveWords = ['good', 'happy', 'better', 'great', 'fine', 'well'];
-    const negativeWords = ['bad', 'sad', 'worse', 'terrible', 'awful', 'depressed'];
-    
-    const positiveCount = positiveWords.reduce((count, word) => 
-      count + (content.split(word).length - 1), 0);
-    const negativeCount = negativeWords.reduce((count, word) => 
-      count + (content.split(word).length - 1), 0);
-    
-    if (positiveCount > negativeCount) {
-      this.sentiment = 'positive';
-      this.sentimentScore = 0.7;
-    } else if (negativeCount > positiveCount) {
-      this.sentiment = 'negative';
-      this.sentimentScore = 0.3;
-    } else {
-      this.sentiment = 'neutral';
-      this.sentimentScore = 0.5;
-    }
-    
-    await this.save();
+
+    const score = crisisDetection.sentiment.analyze(this.content).comparative;
+
+    this.sentiment = score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral';
+    this.sentimentScore = Math.min(Math.max((score + 5) / 10, 0), 1);
   }
 
   async logFeedback(feedbackData) {
@@ -101,7 +95,8 @@ const initMessageModel = (sequelize) => {
     },
     content: {
       type: DataTypes.TEXT,
-      allowNull: false
+      allowNull: false,
+      ...fieldEncryption.attribute('content', ENCRYPTED_FIELDS.content)
     },
     aiMetadata: {
       type: DataTypes.JSON,
@@ -151,6 +146,11 @@ const initMessageModel = (sequelize) => {
     readAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    // Id generated by the client for a user message, so redelivery is detected
+    clientMessageId: {
+      type: DataTypes.STRING(64),
+      allowNull: true
     }
   }, {
     sequelize,
@@ -159,12 +159,22 @@ const initMessageModel = (sequelize) => {
     timestamps: true,
     paranoid: true, // Soft deletes for HIPAA compliance
     hooks: {
-      afterCreate: async (message) => {
-        // Auto-analyze user messages
-        if (message.sender === 'user') {
+      beforeSave: (message) => fieldEncryption.sealInstance(message, ENCRYPTED_FIELDS),
+      afterCreate: async (message, options) => {
+        await messageSearchIndex.indexMessage(message, options);
+
+        // Auto-analyze user messages not already assessed by the chat pipeline
+        if (message.sender === 'user' && !message.sentiment) {
           await message.analyzeContent();
         }
-      }
+      },
+      afterUpdate: async (message, options) => {
+        if (message.changed('content') || message.changed('isAnonymized')) {
+          await messageSearchIndex.indexMessage(message, options);
+        }
+      },
+      afterDestroy: (message, options) =>
+        messageSearchIndex.removeMessage(message.sequelize, message.id, options)
     },
     indexes: [
       {
@@ -187,6 +197,10 @@ const initMessageModel = (sequelize) => {
       },
       {
         fields: ['sentiment']
+      },
+      {
+        fields: ['userId', 'clientMessageId'],
+        unique: true
       }
     ]
   });
@@ -194,4 +208,5 @@ const initMessageModel = (sequelize) => {
   return Message;
 };
 
-module.exports = initMessageModel;
\ No newline at end of file
+module.exports = initMessageModel;
+module.exports.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
\ No newline at end of file
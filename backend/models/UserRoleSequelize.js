@@ -0,0 +1,60 @@
+/**
+ * UserRole Model
+ * Sequelize model for staff roles (counselor, admin) granted to users
+ *
+ * Every account is implicitly a "user"; only elevated roles are stored, so
+ * a revoked role takes effect on the next request rather than at token expiry.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+const STAFF_ROLES = ['counselor', 'admin'];
+
+class UserRole extends Model {
+  static async getRoles(userId) {
+    const grants = await this.findAll({ where: { userId }, attributes: ['role'] });
+    return ['user', ...grants.map(grant => grant.role)];
+  }
+}
+
+const initUserRoleModel = (sequelize) => {
+  UserRole.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    role: {
+      type: DataTypes.ENUM(...STAFF_ROLES),
+      allowNull: false
+    },
+    grantedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'UserRole',
+    tableName: 'user_roles',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['userId', 'role']
+      }
+    ]
+  });
+
+  return UserRole;
+};
+
+module.exports = initUserRoleModel;
+module.exports.STAFF_ROLES = STAFF_ROLES;
@@ -6,6 +6,12 @@
 const { DataTypes, Model } = require('sequelize');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const fieldEncryption = require('../services/fieldEncryption');
+
+// Encrypted at rest; see services/fieldEncryption.js
+const ENCRYPTED_FIELDS = {
+  mentalHealthProfile: { field: 'users.mentalHealthProfile', json: true }
+};
 
 class User extends Model {
   // Instance methods
@@ -35,29 +41,24 @@ class User extends Model {
   }
 
   async logAuditEvent(action, details = {}) {
-    const auditEntry = {
-      timestamp: new Date(),
+    // Required lazily: the audit service loads the models index
+    const auditService = require('../services/auditService');
+    const { ipAddress, userAgent, ...metadata } = details;
+
+    return auditService.record({
+      actorId: this.id,
+      actorType: 'user',
       action,
-      details,
-      ipAddress: details.ipAddress || 'unknown',
-      userAgent: details.userAgent || 'unknown'
-    };
-    
-    if (!this.auditLog) {
-      this.auditLog = [];
-    }
-    
-    this.auditLog.push(auditEntry);
-    
-    // Keep only last 100 audit entries
-    if (this.auditLog.length > 100) {
-      this.auditLog = this.auditLog.slice(-100);
-    }
-    
-    await this.save();
+      resourceType: 'user',
+      resourceId: this.id,
+      subjectUserId: this.id,
+      ipAddress,
+      userAgent,
+      metadata
+    });
   }
 
-  async anonymizeData() {
+  async anonymizeData(options = {}) {
     this.firstName = 'Anonymous';
     this.lastName = 'User';
     this.email = `anonymous_${crypto.randomBytes(8).toString('hex')}@deleted.local`;
@@ -72,7 +73,7 @@ class User extends Model {
     };
     this.isAnonymized = true;
     
-    await this.save();
+    await this.save(options);
   }
 
   // Static methods
@@ -175,7 +176,8 @@ const initUserModel = (sequelize) => {
           reminderNotifications: true
         },
         assessments: []
-      }
+      },
+      ...fieldEncryption.attribute('mentalHealthProfile', ENCRYPTED_FIELDS.mentalHealthProfile)
     },
     preferences: {
       type: DataTypes.JSON,
@@ -210,6 +212,7 @@ const initUserModel = (sequelize) => {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
     },
+    // Superseded by the audit_events table; kept for existing rows
     auditLog: {
       type: DataTypes.JSON,
       defaultValue: []
@@ -243,6 +246,7 @@ const initUserModel = (sequelize) => {
       }
     },
     hooks: {
+      beforeSave: (user) => fieldEncryption.sealInstance(user, ENCRYPTED_FIELDS),
       beforeCreate: async (user) => {
         if (user.password) {
           const salt = await bcrypt.genSalt(12);
@@ -287,4 +291,5 @@ const initUserModel = (sequelize) => {
   return User;
 };
 
-module.exports = initUserModel;
\ No newline at end of file
+module.exports = initUserModel;
+module.exports.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
\ No newline at end of file
@@ -4,9 +4,16 @@
  */
 
 const { initDB } = require('../config/database');
+const { Migrator } = require('../services/migrator');
 const initUserModel = require('./UserSequelize');
 const initChatSessionModel = require('./ChatSessionSequelize');
 const initMessageModel = require('./MessageSequelize');
+const initEscalationModel = require('./EscalationSequelize');
+const initUserRoleModel = require('./UserRoleSequelize');
+const initAuditEventModel = require('./AuditEventSequelize');
+const initAssessmentModel = require('./AssessmentSequelize');
+const initMemoryFactModel = require('./MemoryFactSequelize');
+const initExportJobModel = require('./ExportJobSequelize');
 
 let db = {};
 
@@ -19,6 +26,12 @@ const initializeModels = async () => {
     const User = initUserModel(sequelize);
     const ChatSession = initChatSessionModel(sequelize);
     const Message = initMessageModel(sequelize);
+    const Escalation = initEscalationModel(sequelize);
+    const UserRole = initUserRoleModel(sequelize);
+    const AuditEvent = initAuditEventModel(sequelize);
+    const Assessment = initAssessmentModel(sequelize);
+    const MemoryFact = initMemoryFactModel(sequelize);
+    const ExportJob = initExportJobModel(sequelize);
     
     // Define associations
     User.hasMany(ChatSession, { 
@@ -50,17 +63,85 @@ const initializeModels = async () => {
       foreignKey: 'userId', 
       as: 'user'
     });
+
+    User.hasMany(Escalation, {
+      foreignKey: 'userId',
+      as: 'escalations',
+      onDelete: 'CASCADE'
+    });
+    Escalation.belongsTo(User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    User.hasMany(Assessment, {
+      foreignKey: 'userId',
+      as: 'assessments',
+      onDelete: 'CASCADE'
+    });
+    Assessment.belongsTo(User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    User.hasMany(MemoryFact, {
+      foreignKey: 'userId',
+      as: 'memoryFacts',
+      onDelete: 'CASCADE'
+    });
+    MemoryFact.belongsTo(User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    User.hasMany(ExportJob, {
+      foreignKey: 'userId',
+      as: 'exportJobs',
+      onDelete: 'CASCADE'
+    });
+    ExportJob.belongsTo(User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    User.hasMany(UserRole, {
+      foreignKey: 'userId',
+      as: 'roles',
+      onDelete: 'CASCADE'
+    });
+    UserRole.belongsTo(User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    ChatSession.hasMany(Escalation, {
+      foreignKey: 'sessionId',
+      as: 'escalations'
+    });
+    Escalation.belongsTo(ChatSession, {
+      foreignKey: 'sessionId',
+      as: 'session'
+    });
     
     // Store models in db object
     db.sequelize = sequelize;
     db.User = User;
     db.ChatSession = ChatSession;
     db.Message = Message;
+    db.Escalation = Escalation;
+    db.UserRole = UserRole;
+    db.AuditEvent = AuditEvent;
+    db.Assessment = Assessment;
+    db.MemoryFact = MemoryFact;
+    db.ExportJob = ExportJob;
     
-    // Sync database schema (create tables) - only after models are defined
-    if (process.env.NODE_ENV !== 'production') {
-      await sequelize.sync({ force: false });
-      console.log('📊 Database schema synchronized');
+    // Schema is managed by versioned migrations (npm run db:migrate)
+    const migrator = new Migrator(sequelize);
+    if (process.env.DB_MIGRATE_ON_START === 'true') {
+      const applied = await migrator.up();
+      console.log(`📊 Database schema migrated (${applied.length} applied)`);
+    } else {
+      await migrator.assertUpToDate();
     }
     
     console.log('✅ All models initialized successfully');
@@ -0,0 +1,85 @@
+/**
+ * Legacy Model Shim
+ * Compatibility layer for code that still requires the retired Mongoose models
+ *
+ * models/User.js, ChatSession.js and Message.js used to define Mongoose
+ * schemas that were never connected. They now resolve to the Sequelize models
+ * registered in models/index.js. `findById` and `new Model(data)` are mapped to
+ * their Sequelize equivalents; Mongoose-only query helpers throw so callers
+ * fail loudly instead of silently hitting a database that does not exist.
+ */
+
+const winston = require('winston');
+
+const { db } = require('./index');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const MONGOOSE_ONLY = [
+  'aggregate',
+  'updateMany',
+  'deleteMany',
+  'findByIdAndUpdate',
+  'findByIdAndDelete',
+  'findOneAndUpdate',
+  'find',
+  'populate'
+];
+
+const warned = new Set();
+
+const warnOnce = (name) => {
+  if (warned.has(name)) return;
+  warned.add(name);
+  logger.warn(`⚠️ models/${name}.js is deprecated - use db.${name} from models/index.js`);
+};
+
+const resolve = (name) => {
+  const model = db[name];
+  if (!model) {
+    throw new Error(`${name} model is not initialized; call initializeModels() first`);
+  }
+  warnOnce(name);
+  return model;
+};
+
+/**
+ * Create a stand-in for a retired Mongoose model
+ */
+const createLegacyModel = (name) => new Proxy(function LegacyModel() {}, {
+  get(target, property) {
+    if (MONGOOSE_ONLY.includes(property)) {
+      return () => {
+        throw new Error(`${name}.${property}() is a Mongoose API; use the Sequelize model db.${name}`);
+      };
+    }
+
+    const model = resolve(name);
+    if (property === 'findById') {
+      return (id, options) => model.findByPk(id, options);
+    }
+
+    const value = model[property];
+    return typeof value === 'function' ? value.bind(model) : value;
+  },
+
+  construct(target, [values]) {
+    return resolve(name).build(values);
+  }
+});
+
+module.exports = {
+  createLegacyModel
+};
@@ -0,0 +1,470 @@
+/**
+ * Admin Routes
+ * Counselor dashboard: crisis queue, flagged messages, session notes and
+ * escalation actions. Every request is audit-logged.
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const winston = require('winston');
+
+const { db } = require('../models');
+const { STAFF_ROLES } = require('../models/UserRoleSequelize');
+const escalationService = require('../services/escalationService');
+const auditService = require('../services/auditService');
+const { authMiddleware, loadUserRoles, requireRole, auditMiddleware } = require('../middlewares/auth');
+
+const router = express.Router();
+
+const MAX_NOTE_LENGTH = 2000;
+
+router.use(authMiddleware, loadUserRoles, requireRole(STAFF_ROLES));
+
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  winston.error(fallbackMessage, { error: error.message });
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const counselorActor = (req) => ({ type: 'counselor', id: req.user.userId });
+
+const escalationAudit = {
+  resourceType: 'escalation',
+  resourceId: req => req.params.escalationId
+};
+
+const findSession = async (sessionId) => {
+  const session = await db.ChatSession.findByPk(sessionId);
+  if (!session) {
+    throw Object.assign(new Error('Session not found'), { statusCode: 404, code: 'SESSION_NOT_FOUND' });
+  }
+  return session;
+};
+
+/**
+ * GET /api/admin/queue
+ * Unresolved crisis escalations, most severe and oldest first
+ */
+router.get('/queue',
+  [
+    query('status')
+      .optional()
+      .isIn(['open', 'acknowledged'])
+      .withMessage('Invalid status')
+  ],
+  auditMiddleware('admin_view_queue', { resourceType: 'escalation' }),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const escalations = await escalationService.getQueue({ status: req.query.status });
+
+      res.json({
+        success: true,
+        data: { escalations }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to retrieve crisis queue');
+    }
+  }
+);
+
+/**
+ * GET /api/admin/flagged-messages
+ * Messages flagged by the risk engine, newest first
+ */
+router.get('/flagged-messages',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('severity')
+      .optional()
+      .isIn(['low', 'medium', 'high', 'critical'])
+      .withMessage('Invalid severity')
+  ],
+  auditMiddleware('admin_view_flagged_messages', { resourceType: 'message' }),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const where = { flagged: true };
+      if (req.query.severity) {
+        where.crisisSeverity = req.query.severity;
+      }
+
+      const { count, rows } = await db.Message.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      req.audit = {
+        metadata: { subjectUserIds: [...new Set(rows.map(message => message.userId))] }
+      };
+
+      res.json({
+        success: true,
+        data: {
+          messages: rows.map(message => ({
+            id: message.id,
+            sessionId: message.sessionId,
+            userId: message.userId,
+            content: message.content,
+            flagReason: message.flagReason,
+            crisisSeverity: message.crisisSeverity,
+            sentiment: message.sentiment,
+            createdAt: message.createdAt
+          })),
+          pagination: {
+            page,
+            limit,
+            total: count,
+            pages: Math.ceil(count / limit)
+          }
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to retrieve flagged messages');
+    }
+  }
+);
+
+/**
+ * GET /api/admin/sessions/:sessionId
+ * Session detail for review: summary, crisis events, notes and recent messages
+ */
+router.get('/sessions/:sessionId',
+  [
+    param('sessionId').isUUID().withMessage('Invalid session ID')
+  ],
+  auditMiddleware('admin_view_session', {
+    resourceType: 'chat_session',
+    resourceId: req => req.params.sessionId
+  }),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const session = await findSession(req.params.sessionId);
+      req.audit = { subjectUserId: session.userId };
+
+      const messages = await db.Message.findAll({
+        where: { sessionId: session.id },
+        order: [['createdAt', 'DESC']],
+        limit: 50
+      });
+
+      res.json({
+        success: true,
+        data: {
+          session: {
+            ...session.getSessionSummary(),
+            sessionType: session.sessionType,
+            crisisEvents: session.crisisEvents || [],
+            sessionNotes: session.sessionNotes
+          },
+          messages: messages.reverse().map(message => ({
+            id: message.id,
+            sender: message.sender,
+            content: message.content,
+            sentiment: message.sentiment,
+            flagged: message.flagged,
+            flagReason: message.flagReason,
+            createdAt: message.createdAt
+          }))
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to retrieve session');
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/sessions/:sessionId/notes
+ * Append a counselor annotation to the session notes
+ */
+router.put('/sessions/:sessionId/notes',
+  [
+    param('sessionId').isUUID().withMessage('Invalid session ID'),
+    body('note')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: MAX_NOTE_LENGTH })
+      .withMessage(`Note must be between 1 and ${MAX_NOTE_LENGTH} characters`)
+  ],
+  auditMiddleware('admin_annotate_session', {
+    resourceType: 'chat_session',
+    resourceId: req => req.params.sessionId
+  }),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const session = await findSession(req.params.sessionId);
+      req.audit = { subjectUserId: session.userId };
+
+      const entry = `[${new Date().toISOString()}] counselor ${req.user.userId}: ${req.body.note}`;
+
+      await session.update({
+        sessionNotes: session.sessionNotes ? `${session.sessionNotes}\n${entry}` : entry
+      });
+
+      res.json({
+        success: true,
+        data: {
+          sessionId: session.id,
+          sessionNotes: session.sessionNotes
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to update session notes');
+    }
+  }
+);
+
+/**
+ * POST /api/admin/escalations/:escalationId/acknowledge
+ * A counselor has picked up the escalation
+ */
+router.post('/escalations/:escalationId/acknowledge',
+  [
+    param('escalationId').isUUID().withMessage('Invalid escalation ID')
+  ],
+  auditMiddleware('admin_escalation_acknowledge', escalationAudit),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const escalation = await escalationService.acknowledge(req.params.escalationId, counselorActor(req));
+
+      res.json({
+        success: true,
+        data: { escalation }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to acknowledge escalation');
+    }
+  }
+);
+
+/**
+ * POST /api/admin/escalations/:escalationId/resolve
+ * Close the escalation after follow-up
+ */
+router.post('/escalations/:escalationId/resolve',
+  [
+    param('escalationId').isUUID().withMessage('Invalid escalation ID'),
+    body('note')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('A resolution note of at most 1000 characters is required')
+  ],
+  auditMiddleware('admin_escalation_resolve', escalationAudit),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const escalation = await escalationService.resolve(
+        req.params.escalationId,
+        counselorActor(req),
+        req.body.note
+      );
+
+      res.json({
+        success: true,
+        data: { escalation }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to resolve escalation');
+    }
+  }
+);
+
+/**
+ * POST /api/admin/escalations/:escalationId/escalate
+ * Raise to critical and alert on-call staff
+ */
+router.post('/escalations/:escalationId/escalate',
+  [
+    param('escalationId').isUUID().withMessage('Invalid escalation ID'),
+    body('note')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Note must be at most 1000 characters')
+  ],
+  auditMiddleware('admin_escalation_escalate', escalationAudit),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const escalation = await escalationService.escalate(
+        req.params.escalationId,
+        counselorActor(req),
+        req.body.note || null
+      );
+
+      res.json({
+        success: true,
+        data: { escalation }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to escalate');
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:userId/roles
+ * Grant or revoke a staff role (admins only)
+ */
+router.put('/users/:userId/roles',
+  requireRole(['admin']),
+  [
+    param('userId').isUUID().withMessage('Invalid user ID'),
+    body('role').isIn(STAFF_ROLES).withMessage('Invalid role'),
+    body('action').isIn(['grant', 'revoke']).withMessage('Action must be grant or revoke')
+  ],
+  auditMiddleware('admin_update_roles', {
+    resourceType: 'user_role',
+    subjectUserId: req => req.params.userId,
+    metadata: req => ({ role: req.body.role, action: req.body.action })
+  }),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { userId } = req.params;
+      const { role, action } = req.body;
+
+      const user = await db.User.findByPk(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      if (action === 'grant') {
+        await db.UserRole.findOrCreate({
+          where: { userId, role },
+          defaults: { grantedBy: req.user.userId }
+        });
+      } else {
+        await db.UserRole.destroy({ where: { userId, role } });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          userId,
+          roles: await db.UserRole.getRoles(userId)
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to update roles');
+    }
+  }
+);
+
+/**
+ * GET /api/admin/audit
+ * Search the audit trail (admins only). userId matches actor or data subject.
+ */
+router.get('/audit',
+  requireRole(['admin']),
+  [
+    query('userId').optional().isUUID().withMessage('Invalid user ID'),
+    query('action').optional().isString().trim().isLength({ max: 100 }).withMessage('Invalid action'),
+    query('outcome')
+      .optional()
+      .isIn(['success', 'failure', 'denied'])
+      .withMessage('Invalid outcome'),
+    query('resourceType').optional().isString().trim().isLength({ max: 50 }).withMessage('Invalid resource type'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  auditMiddleware('admin_view_audit', {
+    resourceType: 'audit_event',
+    subjectUserId: req => req.query.userId || null,
+    metadata: req => ({ filters: req.query })
+  }),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const result = await auditService.query({
+        userId: req.query.userId,
+        action: req.query.action,
+        outcome: req.query.outcome,
+        resourceType: req.query.resourceType,
+        from: req.query.from,
+        to: req.query.to,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to retrieve audit events');
+    }
+  }
+);
+
+/**
+ * GET /api/admin/audit/verify
+ * Recompute the audit hash chain and report the first broken entry, if any
+ */
+router.get('/audit/verify',
+  requireRole(['admin']),
+  auditMiddleware('admin_verify_audit', { resourceType: 'audit_event' }),
+  async (req, res) => {
+    try {
+      const verification = await auditService.verifyChain();
+
+      res.json({
+        success: true,
+        data: verification
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to verify audit trail');
+    }
+  }
+);
+
+module.exports = router;
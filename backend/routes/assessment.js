@@ -4,11 +4,17 @@
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
+const { Op } = require('sequelize');
 
-const User = require('../models/User');
+const { db } = require('../models');
+const { ASSESSMENT_TYPES } = require('../models/AssessmentSequelize');
+const instrumentRegistry = require('../assessments');
+const crisisEventService = require('../services/crisisEventService');
+const trendService = require('../services/trendService');
 const { authMiddleware, auditMiddleware } = require('../middlewares/auth');
+const { idempotency } = require('../middlewares/idempotency');
 const { logger } = require('../middlewares/security');
 
 const router = express.Router();
@@ -26,6 +32,68 @@ const assessmentLimiter = rateLimit({
 router.use(assessmentLimiter);
 router.use(authMiddleware);
 
+const historyValidators = (maxDays) => [
+  query('days').optional().isInt({ min: 1, max: maxDays }).withMessage(`days must be between 1 and ${maxDays}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Parse the shared history query: date window and page
+ */
+const parseHistoryQuery = (req, defaultDays, defaultLimit) => {
+  const days = parseInt(req.query.days) || defaultDays;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || defaultLimit;
+
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - days);
+
+  return { days, page, limit, cutoffDate };
+};
+
+// Shown with screening results in the bands that call for professional support
+const SCREENING_RESOURCES = {
+  crisis_lines: [
+    {
+      name: "National Suicide Prevention Lifeline",
+      number: "988",
+      description: "24/7 free and confidential support"
+    }
+  ],
+  professional_help: [
+    "Contact your primary care doctor",
+    "Find a local mental health provider",
+    "Consider online therapy options"
+  ]
+};
+
+const paginationFor = (page, limit, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+// Largest batch of earlier check-ins accepted by the import endpoint
+const MAX_MOOD_IMPORT = 500;
+
+/**
+ * Assessment attributes for a mood check-in (mood is the 1-10 score)
+ */
+const moodRecord = (userId, { mood, energy, anxiety, notes }, recordedAt) => ({
+  userId,
+  type: 'mood',
+  responses: {
+    mood,
+    energy: energy || null,
+    anxiety: anxiety || null
+  },
+  score: mood,
+  notes: notes || null,
+  ...(recordedAt && { createdAt: recordedAt })
+});
+
 /**
  * POST /api/assessments/mood
  * Submit a mood assessment
@@ -35,7 +103,8 @@ router.post('/mood', [
   body('energy').optional().isInt({ min: 1, max: 10 }),
   body('anxiety').optional().isInt({ min: 1, max: 10 }),
   body('notes').optional().isString().isLength({ max: 500 }),
-  auditMiddleware('mood_assessment')
+  auditMiddleware('mood_assessment', { resourceType: 'assessment' }),
+  idempotency()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -46,43 +115,19 @@ router.post('/mood', [
       });
     }
 
-    const { mood, energy, anxiety, notes } = req.body;
-    
-    const assessment = {
-      type: 'mood',
-      timestamp: new Date(),
-      data: {
-        mood,
-        energy: energy || null,
-        anxiety: anxiety || null,
-        notes: notes || ''
-      }
-    };
-
-    // Store assessment (in a real app, you'd have an Assessment model)
-    // For now, we'll add it to user's mental health profile
-    const user = await User.findById(req.user.userId);
-    if (!user.mentalHealthProfile.assessments) {
-      user.mentalHealthProfile.assessments = [];
-    }
-    
-    user.mentalHealthProfile.assessments.push(assessment);
-    
-    // Keep only last 100 assessments
-    if (user.mentalHealthProfile.assessments.length > 100) {
-      user.mentalHealthProfile.assessments = user.mentalHealthProfile.assessments.slice(-100);
-    }
-    
-    await user.save();
+    const assessment = await db.Assessment.create(moodRecord(req.user.userId, req.body));
 
     res.status(201).json({
       success: true,
       message: 'Mood assessment recorded successfully',
       assessment: {
-        id: assessment.timestamp.getTime(),
+        id: assessment.id,
         type: assessment.type,
-        timestamp: assessment.timestamp,
-        data: assessment.data
+        timestamp: assessment.createdAt,
+        data: {
+          ...assessment.responses,
+          notes: assessment.notes || ''
+        }
       }
     });
 
@@ -95,77 +140,147 @@ router.post('/mood', [
   }
 });
 
+/**
+ * POST /api/assessments/mood/import
+ * Upload check-ins logged before mood tracking moved to the server.
+ * Entries keep their original time; ones already stored at the same time
+ * are skipped, so a retried upload does not create duplicates.
+ */
+router.post('/mood/import', [
+  body('entries').isArray({ min: 1, max: MAX_MOOD_IMPORT })
+    .withMessage(`entries must be an array of 1 to ${MAX_MOOD_IMPORT} check-ins`),
+  body('entries.*.mood').isInt({ min: 1, max: 10 }),
+  body('entries.*.energy').optional({ nullable: true }).isInt({ min: 1, max: 10 }),
+  body('entries.*.anxiety').optional({ nullable: true }).isInt({ min: 1, max: 10 }),
+  body('entries.*.notes').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('entries.*.recordedAt').isISO8601().withMessage('recordedAt must be an ISO 8601 date')
+    .custom(value => new Date(value) <= new Date()).withMessage('recordedAt cannot be in the future'),
+  auditMiddleware('mood_import', { resourceType: 'assessment' }),
+  idempotency()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const entries = req.body.entries.map(entry => ({ ...entry, recordedAt: new Date(entry.recordedAt) }));
+
+    const existing = await db.Assessment.findAll({
+      where: {
+        userId: req.user.userId,
+        type: 'mood',
+        createdAt: { [Op.in]: entries.map(entry => entry.recordedAt) }
+      },
+      attributes: ['createdAt'],
+      raw: true
+    });
+
+    const seen = new Set(existing.map(row => new Date(row.createdAt).getTime()));
+    const records = [];
+    entries.forEach(entry => {
+      const time = entry.recordedAt.getTime();
+      if (seen.has(time)) return;
+      seen.add(time);
+      records.push(moodRecord(req.user.userId, entry, entry.recordedAt));
+    });
+
+    await db.Assessment.bulkCreate(records, { validate: true });
+
+    res.status(201).json({
+      success: true,
+      message: 'Mood history imported successfully',
+      imported: records.length,
+      skipped: entries.length - records.length
+    });
+
+  } catch (error) {
+    logger.error('Mood import error:', error);
+    res.status(500).json({
+      error: 'Failed to import mood history',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/assessments/mood/history
  * Get mood assessment history
  */
 router.get('/mood/history', [
-  auditMiddleware('mood_history_view')
+  ...historyValidators(365),
+  auditMiddleware('mood_history_view', { resourceType: 'assessment' })
 ], async (req, res) => {
   try {
-    const { days = 30, limit = 50 } = req.query;
-    
-    const user = await User.findById(req.user.userId);
-    if (!user || !user.mentalHealthProfile.assessments) {
-      return res.json({
-        success: true,
-        assessments: [],
-        summary: {
-          total: 0,
-          avgMood: 0,
-          avgEnergy: 0,
-          avgAnxiety: 0
-        }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    // Filter assessments by date range
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - parseInt(days));
-    
-    const assessments = user.mentalHealthProfile.assessments
-      .filter(a => a.type === 'mood' && a.timestamp >= cutoffDate)
-      .sort((a, b) => b.timestamp - a.timestamp)
-      .slice(0, parseInt(limit));
+    const { days, page, limit, cutoffDate } = parseHistoryQuery(req, 30, 50);
+    const where = {
+      userId: req.user.userId,
+      type: 'mood',
+      createdAt: { [Op.gte]: cutoffDate }
+    };
+
+    const { count, rows } = await db.Assessment.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    // Summary covers the whole date range, not just this page
+    const inRange = await db.Assessment.findAll({
+      where,
+      attributes: ['responses']
+    });
 
-    // Calculate summary statistics
     const summary = {
-      total: assessments.length,
+      total: count,
       avgMood: 0,
       avgEnergy: 0,
       avgAnxiety: 0
     };
 
-    if (assessments.length > 0) {
-      const totals = assessments.reduce((acc, assessment) => {
-        acc.mood += assessment.data.mood || 0;
-        acc.energy += assessment.data.energy || 0;
-        acc.anxiety += assessment.data.anxiety || 0;
-        acc.energyCount += assessment.data.energy ? 1 : 0;
-        acc.anxietyCount += assessment.data.anxiety ? 1 : 0;
+    if (inRange.length > 0) {
+      const totals = inRange.reduce((acc, { responses }) => {
+        acc.mood += responses.mood || 0;
+        acc.energy += responses.energy || 0;
+        acc.anxiety += responses.anxiety || 0;
+        acc.energyCount += responses.energy ? 1 : 0;
+        acc.anxietyCount += responses.anxiety ? 1 : 0;
         return acc;
       }, { mood: 0, energy: 0, anxiety: 0, energyCount: 0, anxietyCount: 0 });
 
-      summary.avgMood = Math.round((totals.mood / assessments.length) * 10) / 10;
+      summary.avgMood = Math.round((totals.mood / inRange.length) * 10) / 10;
       summary.avgEnergy = totals.energyCount > 0 ? Math.round((totals.energy / totals.energyCount) * 10) / 10 : 0;
       summary.avgAnxiety = totals.anxietyCount > 0 ? Math.round((totals.anxiety / totals.anxietyCount) * 10) / 10 : 0;
     }
 
     res.json({
       success: true,
-      assessments: assessments.map(a => ({
-        id: a.timestamp.getTime(),
-        timestamp: a.timestamp,
-        mood: a.data.mood,
-        energy: a.data.energy,
-        anxiety: a.data.anxiety,
-        notes: a.data.notes
+      assessments: rows.map(a => ({
+        id: a.id,
+        timestamp: a.createdAt,
+        mood: a.responses.mood,
+        energy: a.responses.energy,
+        anxiety: a.responses.anxiety,
+        notes: a.notes || ''
       })),
       summary,
+      pagination: paginationFor(page, limit, count),
       dateRange: {
         from: cutoffDate.toISOString(),
         to: new Date().toISOString(),
-        days: parseInt(days)
+        days
       }
     });
 
@@ -179,310 +294,279 @@ router.get('/mood/history', [
 });
 
 /**
- * POST /api/assessments/phq9
- * Submit PHQ-9 depression screening
+ * GET /api/assessments/history
+ * Get all assessment history
  */
-router.post('/phq9', [
-  body('responses').isArray({ min: 9, max: 9 }),
-  body('responses.*').isInt({ min: 0, max: 3 }),
-  auditMiddleware('phq9_assessment')
+router.get('/history', [
+  query('type').optional().isIn(ASSESSMENT_TYPES).withMessage('Invalid assessment type'),
+  ...historyValidators(730),
+  auditMiddleware('assessment_history_view', { resourceType: 'assessment' })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Validation failed - PHQ-9 requires exactly 9 responses, each between 0-3',
+        error: 'Validation failed',
         details: errors.array()
       });
     }
 
-    const { responses } = req.body;
-    
-    // Calculate PHQ-9 score
-    const score = responses.reduce((sum, response) => sum + response, 0);
-    
-    // Determine severity level
-    let severity, recommendation;
-    if (score >= 0 && score <= 4) {
-      severity = 'minimal';
-      recommendation = 'Continue monitoring your mental health. Consider lifestyle improvements like regular exercise, adequate sleep, and stress management.';
-    } else if (score >= 5 && score <= 9) {
-      severity = 'mild';
-      recommendation = 'Consider speaking with a healthcare professional about your symptoms. Self-care strategies and counseling may be beneficial.';
-    } else if (score >= 10 && score <= 14) {
-      severity = 'moderate';
-      recommendation = 'It is recommended to consult with a mental health professional. Treatment options may include therapy and/or medication.';
-    } else if (score >= 15 && score <= 19) {
-      severity = 'moderately_severe';
-      recommendation = 'Please consult with a mental health professional promptly. Professional treatment is strongly recommended.';
-    } else if (score >= 20 && score <= 27) {
-      severity = 'severe';
-      recommendation = 'Please seek immediate professional help. Contact a mental health provider or crisis service right away.';
-    }
+    const { type } = req.query;
+    const { days, page, limit, cutoffDate } = parseHistoryQuery(req, 90, 100);
 
-    const assessment = {
-      type: 'phq9',
-      timestamp: new Date(),
-      data: {
-        responses,
-        score,
-        severity,
-        recommendation
-      }
+    const where = {
+      userId: req.user.userId,
+      createdAt: { [Op.gte]: cutoffDate }
     };
-
-    // Store assessment
-    const user = await User.findById(req.user.userId);
-    if (!user.mentalHealthProfile.assessments) {
-      user.mentalHealthProfile.assessments = [];
+    if (type) {
+      where.type = type;
     }
-    
-    user.mentalHealthProfile.assessments.push(assessment);
-    await user.save();
 
-    // Log severe scores for monitoring
-    if (score >= 15) {
-      logger.warn(`High PHQ-9 score recorded for user ${req.user.userId}: ${score}`, {
-        userId: req.user.userId,
-        score,
-        severity,
-        timestamp: new Date()
-      });
-    }
+    const { count, rows } = await db.Assessment.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
 
-    res.status(201).json({
+    const countsByType = await db.Assessment.count({
+      where,
+      group: ['type']
+    });
+
+    // Create summary
+    const summary = {
+      total: count,
+      byType: countsByType.reduce((acc, row) => {
+        acc[row.type] = row.count;
+        return acc;
+      }, {})
+    };
+
+    res.json({
       success: true,
-      message: 'PHQ-9 assessment completed successfully',
-      assessment: {
-        id: assessment.timestamp.getTime(),
-        type: 'phq9',
-        timestamp: assessment.timestamp,
-        score,
-        severity,
-        recommendation,
-        resources: score >= 10 ? {
-          crisis_lines: [
-            {
-              name: "National Suicide Prevention Lifeline",
-              number: "988",
-              description: "24/7 free and confidential support"
-            }
-          ],
-          professional_help: [
-            "Contact your primary care doctor",
-            "Find a local mental health provider",
-            "Consider online therapy options"
-          ]
-        } : null
+      assessments: rows.map(a => ({
+        id: a.id,
+        type: a.type,
+        instrumentVersion: a.instrumentVersion,
+        timestamp: a.createdAt,
+        score: a.score,
+        severity: a.severity,
+        data: {
+          responses: a.responses,
+          notes: a.notes
+        }
+      })),
+      summary,
+      pagination: paginationFor(page, limit, count),
+      dateRange: {
+        from: cutoffDate.toISOString(),
+        to: new Date().toISOString(),
+        days
       }
     });
 
   } catch (error) {
-    logger.error('PHQ-9 assessment error:', error);
+    logger.error('Assessment history fetch error:', error);
     res.status(500).json({
-      error: 'Failed to complete PHQ-9 assessment',
+      error: 'Failed to fetch assessment history',
       message: error.message
     });
   }
 });
 
+const MOOD_FORM = {
+  id: 'mood',
+  name: 'Daily Mood Check-in',
+  shortName: 'Mood',
+  description: 'Quick daily assessment of your mood, energy, and anxiety levels',
+  duration: '1-2 minutes',
+  frequency: 'Daily'
+};
+
 /**
- * POST /api/assessments/gad7
- * Submit GAD-7 anxiety screening
+ * GET /api/assessments/forms
+ * Get available assessment forms and their descriptions
  */
-router.post('/gad7', [
-  body('responses').isArray({ min: 7, max: 7 }),
-  body('responses.*').isInt({ min: 0, max: 3 }),
-  auditMiddleware('gad7_assessment')
-], async (req, res) => {
+router.get('/forms', async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: 'Validation failed - GAD-7 requires exactly 7 responses, each between 0-3',
-        details: errors.array()
-      });
-    }
-
-    const { responses } = req.body;
-    
-    // Calculate GAD-7 score
-    const score = responses.reduce((sum, response) => sum + response, 0);
-    
-    // Determine severity level
-    let severity, recommendation;
-    if (score >= 0 && score <= 4) {
-      severity = 'minimal';
-      recommendation = 'Your anxiety levels appear minimal. Continue with healthy lifestyle practices.';
-    } else if (score >= 5 && score <= 9) {
-      severity = 'mild';
-      recommendation = 'You may be experiencing mild anxiety. Consider relaxation techniques and speak with a healthcare professional if symptoms persist.';
-    } else if (score >= 10 && score <= 14) {
-      severity = 'moderate';
-      recommendation = 'Moderate anxiety detected. Professional consultation is recommended to explore treatment options.';
-    } else if (score >= 15 && score <= 21) {
-      severity = 'severe';
-      recommendation = 'Severe anxiety detected. Please seek professional help promptly. Treatment can significantly improve your quality of life.';
-    }
-
-    const assessment = {
-      type: 'gad7',
-      timestamp: new Date(),
-      data: {
-        responses,
-        score,
-        severity,
-        recommendation
-      }
-    };
-
-    // Store assessment
-    const user = await User.findById(req.user.userId);
-    if (!user.mentalHealthProfile.assessments) {
-      user.mentalHealthProfile.assessments = [];
-    }
-    
-    user.mentalHealthProfile.assessments.push(assessment);
-    await user.save();
-
-    // Log high anxiety scores
-    if (score >= 10) {
-      logger.warn(`High GAD-7 score recorded for user ${req.user.userId}: ${score}`, {
-        userId: req.user.userId,
-        score,
-        severity,
-        timestamp: new Date()
-      });
-    }
+    const forms = { mood: MOOD_FORM };
+    instrumentRegistry.list().forEach(form => {
+      forms[form.id] = form;
+    });
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'GAD-7 assessment completed successfully',
-      assessment: {
-        id: assessment.timestamp.getTime(),
-        type: 'gad7',
-        timestamp: assessment.timestamp,
-        score,
-        severity,
-        recommendation
-      }
+      forms
     });
 
   } catch (error) {
-    logger.error('GAD-7 assessment error:', error);
+    logger.error('Forms fetch error:', error);
     res.status(500).json({
-      error: 'Failed to complete GAD-7 assessment',
+      error: 'Failed to fetch assessment forms',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/assessments/history
- * Get all assessment history
+ * GET /api/assessments/forms/:id
+ * Get the full definition of a screening instrument
  */
-router.get('/history', [
-  auditMiddleware('assessment_history_view')
+router.get('/forms/:id', async (req, res) => {
+  const form = instrumentRegistry.get(req.params.id);
+  if (!form) {
+    return res.status(404).json({
+      error: 'Assessment form not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    form
+  });
+});
+
+/**
+ * GET /api/assessments/trends
+ * Per-instrument time series, rolling averages, reliable change and streaks,
+ * plus how mood check-ins track chat sentiment
+ */
+router.get('/trends', [
+  query('type').optional().isIn(ASSESSMENT_TYPES).withMessage('Invalid assessment type'),
+  query('days').optional().isInt({ min: 1, max: 730 }).withMessage('days must be between 1 and 730'),
+  query('window').optional().isInt({ min: 1, max: 10 }).withMessage('window must be between 1 and 10'),
+  auditMiddleware('assessment_trends_view', { resourceType: 'assessment' })
 ], async (req, res) => {
   try {
-    const { type, days = 90, limit = 100 } = req.query;
-    
-    const user = await User.findById(req.user.userId);
-    if (!user || !user.mentalHealthProfile.assessments) {
-      return res.json({
-        success: true,
-        assessments: [],
-        summary: { total: 0 }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    // Filter assessments
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - parseInt(days));
-    
-    let assessments = user.mentalHealthProfile.assessments
-      .filter(a => a.timestamp >= cutoffDate);
-    
-    if (type) {
-      assessments = assessments.filter(a => a.type === type);
-    }
-    
-    assessments = assessments
-      .sort((a, b) => b.timestamp - a.timestamp)
-      .slice(0, parseInt(limit));
+    const { days, cutoffDate } = parseHistoryQuery(req, 90);
+    const window = parseInt(req.query.window) || trendService.DEFAULT_WINDOW;
 
-    // Create summary
-    const summary = {
-      total: assessments.length,
-      byType: assessments.reduce((acc, a) => {
-        acc[a.type] = (acc[a.type] || 0) + 1;
-        return acc;
-      }, {})
-    };
+    const { instruments, moodSentiment } = await trendService.getTrends(req.user.userId, {
+      since: cutoffDate,
+      type: req.query.type || null,
+      window
+    });
+
+    Object.values(instruments).forEach(trend => {
+      const form = trend.type === 'mood' ? MOOD_FORM : instrumentRegistry.get(trend.type);
+      trend.name = form.name;
+      trend.shortName = form.shortName;
+    });
 
     res.json({
       success: true,
-      assessments: assessments.map(a => ({
-        id: a.timestamp.getTime(),
-        type: a.type,
-        timestamp: a.timestamp,
-        score: a.data.score || null,
-        severity: a.data.severity || null,
-        data: a.data
-      })),
-      summary,
+      instruments,
+      moodSentiment,
+      window,
       dateRange: {
         from: cutoffDate.toISOString(),
         to: new Date().toISOString(),
-        days: parseInt(days)
+        days
       }
     });
 
   } catch (error) {
-    logger.error('Assessment history fetch error:', error);
+    logger.error('Assessment trends fetch error:', error);
     res.status(500).json({
-      error: 'Failed to fetch assessment history',
+      error: 'Failed to fetch assessment trends',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/assessments/forms
- * Get available assessment forms and their descriptions
+ * POST /api/assessments/:instrument
+ * Submit a screening instrument (PHQ-9, PHQ-A, GAD-7, PSS-10, WHO-5, C-SSRS)
  */
-router.get('/forms', async (req, res) => {
+router.post('/:instrument', [
+  body('responses').isArray().withMessage('responses must be an array in item order'),
+  auditMiddleware(
+    req => (instrumentRegistry.has(req.params.instrument) ? `${req.params.instrument}_assessment` : 'unknown_assessment'),
+    { resourceType: 'assessment' }
+  ),
+  idempotency()
+], async (req, res) => {
   try {
-    const forms = {
-      mood: {
-        name: 'Daily Mood Check-in',
-        description: 'Quick daily assessment of your mood, energy, and anxiety levels',
-        duration: '1-2 minutes',
-        frequency: 'Daily'
-      },
-      phq9: {
-        name: 'PHQ-9 Depression Screening',
-        description: 'Patient Health Questionnaire for depression screening',
-        duration: '3-5 minutes',
-        frequency: 'Weekly or as needed'
-      },
-      gad7: {
-        name: 'GAD-7 Anxiety Screening',
-        description: 'Generalized Anxiety Disorder 7-item scale',
-        duration: '2-3 minutes',
-        frequency: 'Weekly or as needed'
+    const { instrument } = req.params;
+    if (!instrumentRegistry.has(instrument)) {
+      return res.status(404).json({
+        error: 'Unknown assessment instrument'
+      });
+    }
+
+    const errors = validationResult(req);
+    const details = errors.isEmpty()
+      ? instrumentRegistry.validate(instrument, req.body.responses)
+      : errors.array();
+    if (details.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details
+      });
+    }
+
+    const result = instrumentRegistry.score(instrument, req.body.responses);
+    const { shortName } = instrumentRegistry.get(instrument);
+
+    const assessment = await db.Assessment.create({
+      userId: req.user.userId,
+      type: instrument,
+      instrumentVersion: result.version,
+      responses: result.responses,
+      score: result.score,
+      severity: result.severity
+    });
+
+    // Safety items take the crisis path regardless of the total score
+    const crisis = await crisisEventService.handleVerdict({
+      userId: req.user.userId,
+      verdict: instrumentRegistry.toCrisisVerdict(result),
+      event: {
+        instrument,
+        assessment_id: assessment.id,
+        items: result.safetyFlags.map(flag => flag.item)
       }
-    };
+    });
 
-    res.json({
+    // Log high scores for monitoring
+    if (result.alert) {
+      logger.warn(`High ${shortName} score recorded for user ${req.user.userId}: ${result.score}`, {
+        userId: req.user.userId,
+        score: result.score,
+        severity: result.severity,
+        timestamp: new Date()
+      });
+    }
+
+    res.status(201).json({
       success: true,
-      forms
+      message: `${shortName} assessment completed successfully`,
+      assessment: {
+        id: assessment.id,
+        type: instrument,
+        instrumentVersion: result.version,
+        timestamp: assessment.createdAt,
+        score: result.score,
+        severity: result.severity,
+        recommendation: result.recommendation,
+        resources: result.showResources ? SCREENING_RESOURCES : null
+      },
+      crisis
     });
 
   } catch (error) {
-    logger.error('Forms fetch error:', error);
+    logger.error('Screening assessment error:', error);
     res.status(500).json({
-      error: 'Failed to fetch assessment forms',
+      error: 'Failed to complete assessment',
       message: error.message
     });
   }
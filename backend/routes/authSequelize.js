@@ -199,7 +199,8 @@ router.post('/login', authLimiter, [
       process.env.JWT_SECRET,
       { 
         expiresIn: '7d',
-        issuer: 'mental-wellness-ai'
+        issuer: 'mental-wellness-ai',
+        audience: 'mental-wellness-users'
       }
     );
 
@@ -208,7 +209,8 @@ router.post('/login', authLimiter, [
       process.env.JWT_REFRESH_SECRET,
       { 
         expiresIn: '30d',
-        issuer: 'mental-wellness-ai'
+        issuer: 'mental-wellness-ai',
+        audience: 'mental-wellness-users'
       }
     );
 
@@ -281,7 +283,8 @@ router.post('/refresh', [
       process.env.JWT_SECRET,
       { 
         expiresIn: '7d',
-        issuer: 'mental-wellness-ai'
+        issuer: 'mental-wellness-ai',
+        audience: 'mental-wellness-users'
       }
     );
 
@@ -9,14 +9,23 @@ const rateLimit = require('express-rate-limit');
 const winston = require('winston');
 
 const chatService = require('../ai/chatService');
-const { authMiddleware } = require('../middlewares/auth');
+const chatTurnService = require('../services/chatTurnService');
+const { MESSAGE_VALIDATORS, CHAT_RATE_LIMIT } = chatTurnService;
+const crisisDetection = require('../ai/crisisDetection');
+const memoryService = require('../ai/memoryService');
+const sessionCompletionService = require('../services/sessionCompletionService');
+const messageSearchService = require('../services/messageSearchService');
+const exportService = require('../services/exportService');
+const exporters = require('../services/exporters');
+const { MAX_FACT_LENGTH } = require('../models/MemoryFactSequelize');
+const { authMiddleware, optionalAuthMiddleware, auditMiddleware } = require('../middlewares/auth');
+const { idempotency } = require('../middlewares/idempotency');
 
 const router = express.Router();
 
 // Rate limiting for chat routes
 const chatLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 30, // limit each user to 30 messages per minute
+  ...CHAT_RATE_LIMIT, // 30 messages per user per minute, as for sockets
   message: { 
     success: false,
     error: 'Too many messages, please slow down a bit.',
@@ -47,6 +56,7 @@ const crisisLimiter = rateLimit({
  */
 router.post('/sessions', 
   authMiddleware,
+  idempotency(),
   [
     body('title')
       .optional()
@@ -97,11 +107,11 @@ router.post('/sessions',
       // Process initial message if provided
       if (initialMessage) {
         try {
-          initialResponse = await chatService.processMessage(
-            initialMessage,
+          ({ data: initialResponse } = await chatTurnService.run({
             userId,
-            session.id
-          );
+            message: initialMessage,
+            sessionId: session.id
+          }));
         } catch (error) {
           winston.warn('Failed to process initial message', { 
             sessionId: session.id, 
@@ -143,18 +153,9 @@ router.post('/sessions',
  */
 router.post('/message', 
   authMiddleware,
+  idempotency(),
   chatLimiter, 
-  [
-    body('message')
-      .isString()
-      .trim()
-      .isLength({ min: 1, max: 2000 })
-      .withMessage('Message must be between 1 and 2000 characters'),
-    body('sessionId')
-      .optional()
-      .isUUID()
-      .withMessage('Invalid session ID format')
-  ], 
+  MESSAGE_VALIDATORS, 
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -166,85 +167,224 @@ router.post('/message',
         });
       }
 
-      const { message, sessionId } = req.body;
-      const userId = req.user.userId;
+      const { message, sessionId, clientMessageId } = req.body;
 
-      // Find or create chat session
-      let chatSession;
-      if (sessionId) {
-        chatSession = await req.app.locals.db.ChatSession.findOne({
-          where: {
-            id: sessionId,
-            userId: userId
-          }
+      const { duplicate, data } = await chatTurnService.run({
+        userId: req.user.userId,
+        message,
+        sessionId,
+        clientMessageId,
+        transport: 'rest'
+      });
+
+      res.json({
+        success: true,
+        ...(duplicate && { duplicate }),
+        data
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
         });
       }
 
-      if (!chatSession) {
-        // Create new session if none provided or not found
-        chatSession = await req.app.locals.db.ChatSession.create({
-          userId,
-          title: `Chat ${new Date().toLocaleDateString()}`,
-          metadata: {
-            autoCreated: true,
-            userAgent: req.get('User-Agent'),
-            ip: req.ip
-          }
-        });
-      } else {
-        // Update last activity
-        await chatSession.update({ 
-          updatedAt: new Date() 
+      winston.error('Chat message error', { 
+        error: error.message,
+        userId: req.user?.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process message'
+      });
+    }
+  }
+);
+
+/**
+ * Write a single Server-Sent Event
+ */
+const writeSSE = (res, event, data) => {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+  
+  // Push through the compression middleware immediately
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+};
+
+/**
+ * POST /api/chat/sessions/:sessionId/turns
+ * Queue a message for the event stream below and return its turnId
+ */
+router.post('/sessions/:sessionId/turns',
+  authMiddleware,
+  chatLimiter,
+  [
+    param('sessionId')
+      .isUUID()
+      .withMessage('Invalid session ID')
+  ],
+  MESSAGE_VALIDATORS,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
-      // Process message through AI service
-      const aiResponse = await chatService.processMessage(
+      const { message, clientMessageId } = req.body;
+      const data = await chatTurnService.queue({
+        userId: req.user.userId,
+        sessionId: req.params.sessionId,
         message,
-        userId,
-        chatSession.id
-      );
-
-      // If crisis detected, log it
-      if (aiResponse.crisisDetected) {
-        winston.warn('Crisis situation detected in chat', {
-          sessionId: chatSession.id,
-          userId: userId,
-          crisisLevel: aiResponse.crisisLevel
-        });
-      }
+        clientMessageId
+      });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        data: {
-          sessionId: chatSession.id,
-          userMessage: {
-            content: message,
-            sender: 'user',
-            timestamp: new Date().toISOString()
-          },
-          aiResponse: {
-            content: aiResponse.content,
-            sender: 'ai',
-            timestamp: new Date().toISOString(),
-            sentiment: aiResponse.sentiment,
-            crisisDetected: aiResponse.crisisDetected,
-            crisisLevel: aiResponse.crisisLevel,
-            recommendations: aiResponse.recommendations
-          }
-        }
+        data
       });
 
     } catch (error) {
-      winston.error('Chat message error', { 
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      winston.error('Chat turn queue error', {
         error: error.message,
         userId: req.user?.id
       });
-      
+
       res.status(500).json({
         success: false,
-        message: 'Failed to process message'
+        message: 'Failed to queue message'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/chat/sessions/:sessionId/stream?turnId=...
+ * Stream the AI response to a queued message as Server-Sent Events
+ * Events: start (crisis verdict), chunk, done, error
+ * The single-use turnId identifies the user, so an EventSource, which
+ * cannot send an Authorization header, can open the stream. A bearer
+ * token, when sent, must belong to the same user.
+ * A repeated clientMessageId gets the stored reply as a single done event
+ */
+router.get('/sessions/:sessionId/stream',
+  optionalAuthMiddleware,
+  [
+    param('sessionId')
+      .isUUID()
+      .withMessage('Invalid session ID'),
+    query('turnId')
+      .isUUID()
+      .withMessage('Invalid turn ID')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionId } = req.params;
+
+    try {
+      const { userId, message, clientMessageId } = await chatTurnService.takePending(req.query.turnId, sessionId);
+      if (req.user && req.user.userId !== userId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pending message not found or expired',
+          code: 'TURN_NOT_FOUND'
+        });
+      }
+
+      // Check the session is still the user's before switching to an event stream
+      await chatTurnService.resolveSession(userId, sessionId, { create: false });
+
+      res.status(200);
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+      });
+      res.flushHeaders();
+
+      let clientClosed = false;
+      req.on('close', () => {
+        clientClosed = true;
+      });
+
+      const { data } = await chatTurnService.run({
+        userId,
+        message,
+        sessionId,
+        clientMessageId,
+        handlers: {
+          onAnalysis: (analysis) => {
+            if (!clientClosed) writeSSE(res, 'start', analysis);
+          },
+          onChunk: (chunk) => {
+            if (!clientClosed) writeSSE(res, 'chunk', { chunk });
+          }
+        },
+        transport: 'sse'
+      });
+
+      if (!clientClosed) {
+        writeSSE(res, 'done', data);
+      }
+
+      res.end();
+
+    } catch (error) {
+      if (error.statusCode && !res.headersSent) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      // e.g. the same clientMessageId still being answered elsewhere
+      if (error.statusCode) {
+        writeSSE(res, 'error', { message: error.message, code: error.code });
+        return res.end();
+      }
+
+      winston.error('Chat stream error', { 
+        error: error.message,
+        userId: req.user?.id
       });
+
+      if (!res.headersSent) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to process message'
+        });
+      }
+
+      writeSSE(res, 'error', { message: 'Failed to process message' });
+      res.end();
     }
   }
 );
@@ -283,16 +423,9 @@ router.get('/sessions',
 
       const { count, rows: sessions } = await req.app.locals.db.ChatSession.findAndCountAll({
         where: { userId: userId },
-        order: [['updatedAt', 'DESC']],
+        order: [['lastActivity', 'DESC']],
         limit: limit,
-        offset: offset,
-        attributes: ['id', 'title', 'createdAt', 'updatedAt'],
-        include: [{
-          model: req.app.locals.db.Message,
-          attributes: ['id', 'message', 'sender', 'createdAt'],
-          limit: 1,
-          order: [['createdAt', 'DESC']]
-        }]
+        offset: offset
       });
 
       const totalPages = Math.ceil(count / limit);
@@ -300,12 +433,10 @@ router.get('/sessions',
       res.json({
         success: true,
         data: {
+          // Finished sessions carry their end-of-session summary and mood
           sessions: sessions.map(session => ({
-            id: session.id,
-            title: session.title,
-            createdAt: session.createdAt,
-            updatedAt: session.updatedAt,
-            lastMessage: session.Messages?.[0] || null
+            ...session.getCompletionSummary(),
+            lastActivity: session.lastActivity
           })),
           pagination: {
             page: page,
@@ -389,7 +520,7 @@ router.get('/sessions/:sessionId/messages',
         order: [['createdAt', 'ASC']], // Chronological order for chat
         limit: limit,
         offset: offset,
-        attributes: ['id', 'message', 'sender', 'createdAt', 'metadata']
+        attributes: ['id', 'content', 'sender', 'createdAt']
       });
 
       const totalPages = Math.ceil(count / limit);
@@ -397,12 +528,7 @@ router.get('/sessions/:sessionId/messages',
       res.json({
         success: true,
         data: {
-          session: {
-            id: session.id,
-            title: session.title,
-            createdAt: session.createdAt,
-            updatedAt: session.updatedAt
-          },
+          session: session.getCompletionSummary(),
           messages: messages,
           pagination: {
             page: page,
@@ -430,6 +556,70 @@ router.get('/sessions/:sessionId/messages',
   }
 );
 
+/**
+ * POST /api/chat/sessions/:sessionId/complete
+ * End a session, write its private summary and record the mood at the end.
+ * For a session that is already closed this only records the mood.
+ */
+router.post('/sessions/:sessionId/complete',
+  authMiddleware,
+  [
+    param('sessionId')
+      .isUUID()
+      .withMessage('Invalid session ID'),
+    body('moodAtEnd')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 10 })
+      .withMessage('Mood at end must be an integer between 1 and 10')
+      .toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const session = await sessionCompletionService.complete(req.user.userId, req.params.sessionId, {
+        moodAtEnd: req.body.moodAtEnd ?? null
+      });
+
+      res.json({
+        success: true,
+        data: {
+          session: session.getCompletionSummary(),
+          // Ask how the user feels now, unless they already said
+          moodPrompt: session.moodAtEnd === null
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      winston.error('Error completing chat session', { 
+        error: error.message,
+        sessionId: req.params.sessionId,
+        userId: req.user?.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to complete chat session'
+      });
+    }
+  }
+);
+
 /**
  * DELETE /api/chat/sessions/:sessionId
  * Delete a chat session and all its messages
@@ -498,6 +688,271 @@ router.delete('/sessions/:sessionId',
   }
 );
 
+/**
+ * GET /api/chat/memory?sessionId=...
+ * What the companion remembers: the user's pinned facts and, for a
+ * session, its rolling summary
+ */
+router.get('/memory',
+  authMiddleware,
+  [
+    query('sessionId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid session ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.userId;
+      const facts = await memoryService.listFacts(userId);
+
+      let session = null;
+      if (req.query.sessionId) {
+        const chatSession = await chatTurnService.resolveSession(userId, req.query.sessionId, { create: false });
+        session = {
+          id: chatSession.id,
+          summary: chatSession.summary,
+          summarizedThrough: chatSession.summarizedThrough,
+          summaryMessageCount: chatSession.summaryMessageCount
+        };
+      }
+
+      res.json({
+        success: true,
+        data: {
+          facts: facts.map(fact => fact.getSummary()),
+          session
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      winston.error('Error fetching conversation memory', { 
+        error: error.message,
+        userId: req.user?.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch conversation memory'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/chat/memory
+ * Pin a fact for the companion to remember in every session
+ */
+router.post('/memory',
+  authMiddleware,
+  [
+    body('content')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: MAX_FACT_LENGTH })
+      .withMessage(`Content must be between 1 and ${MAX_FACT_LENGTH} characters`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const fact = await memoryService.addFact(req.user.userId, req.body.content);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          fact: fact.getSummary()
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      winston.error('Error saving memory', { 
+        error: error.message,
+        userId: req.user?.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save memory'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/chat/memory/:factId
+ * Forget a pinned fact
+ */
+router.delete('/memory/:factId',
+  authMiddleware,
+  [
+    param('factId')
+      .isUUID()
+      .withMessage('Invalid memory ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      await memoryService.deleteFact(req.user.userId, req.params.factId);
+
+      res.json({
+        success: true,
+        message: 'Memory deleted successfully'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      winston.error('Error deleting memory', { 
+        error: error.message,
+        userId: req.user?.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete memory'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/chat/search?q=...
+ * Search the user's own messages; newest matches first, with highlighted
+ * snippets. Optional filters: from, to (ISO 8601), sender, crisis=true.
+ */
+router.get('/search',
+  authMiddleware,
+  [
+    query('q')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Search query must be between 1 and 200 characters'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be an ISO 8601 date')
+      .toDate(),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be an ISO 8601 date')
+      .toDate(),
+    query('sender')
+      .optional()
+      .isIn(['user', 'ai'])
+      .withMessage('Sender must be user or ai'),
+    query('crisis')
+      .optional()
+      .isBoolean()
+      .withMessage('Crisis must be true or false')
+      .toBoolean(),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+      .toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const data = await messageSearchService.search(req.user.userId, {
+        q: req.query.q,
+        from: req.query.from,
+        to: req.query.to,
+        sender: req.query.sender,
+        crisisOnly: req.query.crisis === true,
+        page: req.query.page || 1,
+        limit: req.query.limit || 20
+      });
+
+      res.json({
+        success: true,
+        data
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      winston.error('Error searching chat history', { 
+        error: error.message,
+        userId: req.user?.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search chat history'
+      });
+    }
+  }
+);
+
 /**
  * POST /api/chat/crisis-check
  * Perform crisis analysis on a message without saving
@@ -533,9 +988,12 @@ router.post('/crisis-check',
           crisisDetected: analysis.detected,
           crisisLevel: analysis.level,
           confidence: analysis.confidence,
-          indicators: analysis.indicators,
-          recommendations: analysis.recommendations,
-          timestamp: new Date().toISOString()
+          score: analysis.score,
+          sensitivity: analysis.sensitivity,
+          thresholds: analysis.thresholds,
+          signals: analysis.signals,
+          recommendations: crisisDetection.getCrisisResponse(analysis.level),
+          timestamp: analysis.timestamp
         }
       });
 
@@ -553,64 +1011,214 @@ router.post('/crisis-check',
   }
 );
 
+/**
+ * Send rendered export files: one as a download, several as JSON
+ */
+const sendExportFiles = (res, files) => {
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (files.length === 1) {
+    const [file] = files;
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="mental-wellness-${date}-${file.name}"`);
+    return res.send(file.content);
+  }
+
+  res.json({
+    success: true,
+    data: { files: files.map(({ name, contentType, content }) => ({ name, contentType, content })) }
+  });
+};
+
+const sendExportError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  winston.error(fallbackMessage, { error: error.message });
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const EXPORT_FORMAT_VALIDATOR = (location) => location('format')
+  .optional()
+  .isIn(exporters.EXPORT_FORMATS)
+  .withMessage(`Format must be one of: ${exporters.EXPORT_FORMATS.join(', ')}`);
+
 /**
  * GET /api/chat/export
- * Export user's chat data
+ * Export the user's sessions, messages, assessments, mood logs and crisis
+ * events as json (default), csv, html or fhir. CSV sends every entity as
+ * a file unless ?entity= picks one. Exports too large to render during
+ * the request are queued instead: 202 with the job to poll.
  */
-router.get('/export', 
+router.get('/export',
   authMiddleware,
+  [
+    EXPORT_FORMAT_VALIDATOR(query),
+    query('entity')
+      .optional()
+      .isIn(exporters.CSV_ENTITIES)
+      .withMessage(`Entity must be one of: ${exporters.CSV_ENTITIES.join(', ')}`)
+  ],
+  auditMiddleware('data_export', { resourceType: 'export' }),
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
       const userId = req.user.userId;
+      const format = req.query.format || 'json';
+
+      const files = await exportService.exportNow(userId, format, { entity: req.query.entity });
+      if (files) return sendExportFiles(res, files);
+
+      const job = await exportService.createJob(userId, format);
+      res.status(202)
+        .location(`${req.baseUrl}/exports/${job.id}`)
+        .json({
+          success: true,
+          message: 'This export is large, so it will be prepared in the background',
+          data: { job: job.getSummary() }
+        });
+
+    } catch (error) {
+      sendExportError(res, error, 'Failed to export chat data');
+    }
+  }
+);
+
+/**
+ * GET /api/chat/exports/formats
+ * Available export formats
+ */
+router.get('/exports/formats', authMiddleware, (req, res) => {
+  res.json({
+    success: true,
+    data: { formats: exporters.list(), csvEntities: exporters.CSV_ENTITIES }
+  });
+});
+
+/**
+ * POST /api/chat/exports
+ * Prepare an export in the background, whatever its size
+ */
+router.post('/exports',
+  authMiddleware,
+  [
+    EXPORT_FORMAT_VALIDATOR(body)
+  ],
+  auditMiddleware('data_export', { resourceType: 'export' }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const job = await exportService.createJob(req.user.userId, req.body.format || 'json');
+
+      res.status(202)
+        .location(`${req.baseUrl}/exports/${job.id}`)
+        .json({
+          success: true,
+          data: { job: job.getSummary() }
+        });
+
+    } catch (error) {
+      sendExportError(res, error, 'Failed to start export');
+    }
+  }
+);
+
+/**
+ * GET /api/chat/exports/:jobId
+ * Status of an export job and, once complete, its files
+ */
+router.get('/exports/:jobId',
+  authMiddleware,
+  [
+    param('jobId').isUUID().withMessage('Invalid export ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const job = await exportService.getJob(req.user.userId, req.params.jobId);
+      const summary = job.getSummary();
 
-      // Get all sessions with messages for the user
-      const sessions = await req.app.locals.db.ChatSession.findAll({
-        where: { userId: userId },
-        include: [{
-          model: req.app.locals.db.Message,
-          attributes: ['id', 'message', 'sender', 'createdAt', 'metadata']
-        }],
-        order: [['createdAt', 'DESC']]
-      });
-      
-      const exportData = {
-        exportDate: new Date().toISOString(),
-        userId: userId,
-        totalSessions: sessions.length,
-        sessions: sessions.map(session => ({
-          sessionId: session.id,
-          title: session.title,
-          createdAt: session.createdAt,
-          updatedAt: session.updatedAt,
-          messageCount: session.Messages?.length || 0,
-          messages: session.Messages?.map(msg => ({
-            id: msg.id,
-            content: msg.message,
-            sender: msg.sender,
-            timestamp: msg.createdAt,
-            metadata: msg.metadata
-          })) || []
-        }))
-      };
-
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', `attachment; filename="mental-wellness-chat-export-${userId}-${Date.now()}.json"`);
-      
       res.json({
         success: true,
-        data: exportData
+        data: {
+          job: {
+            ...summary,
+            files: summary.files.map(file => ({
+              ...file,
+              url: `${req.baseUrl}/exports/${job.id}/files/${encodeURIComponent(file.name)}`
+            }))
+          }
+        }
       });
 
     } catch (error) {
-      winston.error('Export error', { 
-        error: error.message,
-        userId: req.user?.id
-      });
-      
-      res.status(500).json({
-        success: false,
-        message: 'Failed to export chat data'
-      });
+      sendExportError(res, error, 'Failed to fetch export');
+    }
+  }
+);
+
+/**
+ * GET /api/chat/exports/:jobId/files/:name
+ * Download a file from a completed export
+ */
+router.get('/exports/:jobId/files/:name',
+  authMiddleware,
+  [
+    param('jobId').isUUID().withMessage('Invalid export ID'),
+    param('name').isString().isLength({ min: 1, max: 64 })
+  ],
+  auditMiddleware('data_export_download', {
+    resourceType: 'export',
+    resourceId: req => req.params.jobId
+  }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const file = await exportService.getFile(req.user.userId, req.params.jobId, req.params.name);
+      sendExportFiles(res, [file]);
+
+    } catch (error) {
+      sendExportError(res, error, 'Failed to download export');
     }
   }
 );
@@ -0,0 +1,208 @@
+/**
+ * Escalation Routes
+ * Consent and lifecycle for crisis escalations opened by the chat pipeline
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const winston = require('winston');
+
+const escalationService = require('../services/escalationService');
+const { authMiddleware, auditMiddleware } = require('../middlewares/auth');
+
+const router = express.Router();
+
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  winston.error(fallbackMessage, { error: error.message });
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * GET /api/escalations
+ * List the current user's escalations
+ */
+router.get('/',
+  authMiddleware,
+  [
+    query('status')
+      .optional()
+      .isIn(['open', 'acknowledged', 'resolved'])
+      .withMessage('Invalid status')
+  ],
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const escalations = await escalationService.listEscalations(req.user.userId, {
+        status: req.query.status
+      });
+
+      res.json({
+        success: true,
+        data: { escalations }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to retrieve escalations');
+    }
+  }
+);
+
+/**
+ * GET /api/escalations/:escalationId
+ * Get one of the current user's escalations
+ */
+router.get('/:escalationId',
+  authMiddleware,
+  [
+    param('escalationId').isUUID().withMessage('Invalid escalation ID')
+  ],
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const escalation = await escalationService.findEscalation(req.params.escalationId, {
+        userId: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        data: { escalation: escalation.getSummary() }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to retrieve escalation');
+    }
+  }
+);
+
+/**
+ * POST /api/escalations/:escalationId/consent
+ * Answer the in-chat prompt; on consent the chosen contact is notified
+ */
+router.post('/:escalationId/consent',
+  authMiddleware,
+  [
+    param('escalationId').isUUID().withMessage('Invalid escalation ID'),
+    body('granted')
+      .isBoolean()
+      .withMessage('granted must be true or false'),
+    body('contactId')
+      .if(body('granted').equals('true'))
+      .isString()
+      .notEmpty()
+      .withMessage('contactId is required when consent is granted')
+  ],
+  auditMiddleware('escalation_consent'),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const escalation = await escalationService.recordConsent(
+        req.params.escalationId,
+        req.user.userId,
+        {
+          granted: req.body.granted === true || req.body.granted === 'true',
+          contactId: req.body.contactId
+        }
+      );
+
+      res.json({
+        success: true,
+        data: { escalation }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to record consent');
+    }
+  }
+);
+
+/**
+ * POST /api/escalations/:escalationId/acknowledge
+ * The user confirms they have seen the crisis resources
+ */
+router.post('/:escalationId/acknowledge',
+  authMiddleware,
+  [
+    param('escalationId').isUUID().withMessage('Invalid escalation ID')
+  ],
+  auditMiddleware('escalation_acknowledge'),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const escalation = await escalationService.acknowledge(
+        req.params.escalationId,
+        { type: 'user', id: req.user.userId },
+        { userId: req.user.userId }
+      );
+
+      res.json({
+        success: true,
+        data: { escalation }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to acknowledge escalation');
+    }
+  }
+);
+
+/**
+ * POST /api/escalations/:escalationId/safe
+ * The user reports they are safe; only staff can resolve the escalation
+ */
+router.post('/:escalationId/safe',
+  authMiddleware,
+  [
+    param('escalationId').isUUID().withMessage('Invalid escalation ID'),
+    body('note')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Note must be at most 1000 characters')
+  ],
+  auditMiddleware('escalation_reported_safe'),
+  async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const escalation = await escalationService.reportSafe(
+        req.params.escalationId,
+        req.user.userId,
+        req.body.note || null
+      );
+
+      res.json({
+        success: true,
+        data: { escalation }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to record safety check-in');
+    }
+  }
+);
+
+module.exports = router;
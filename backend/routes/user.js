@@ -4,10 +4,16 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
+const { fn, col, literal } = require('sequelize');
 
-const User = require('../models/User');
+const { db } = require('../models');
+const { DEFAULT_SENSITIVITY } = require('../ai/crisisDetection');
+const crisisEventService = require('../services/crisisEventService');
+const importService = require('../services/importService');
+const messageSearchIndex = require('../services/messageSearchIndex');
 const { authMiddleware, auditMiddleware } = require('../middlewares/auth');
 const { logger } = require('../middlewares/security');
 
@@ -32,7 +38,7 @@ router.use(authMiddleware);
  */
 router.get('/profile', auditMiddleware('profile_view'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select('-password');
+    const user = await db.User.findByPk(req.user.userId);
     if (!user) {
       return res.status(404).json({
         error: 'User not found'
@@ -42,11 +48,10 @@ router.get('/profile', auditMiddleware('profile_view'), async (req, res) => {
     res.json({
       success: true,
       user: {
-        id: user._id,
+        id: user.id,
         email: user.email,
         anonymous: user.anonymous,
         isActive: user.isActive,
-        isVerified: user.isVerified,
         lastLogin: user.lastLogin,
         preferences: user.preferences,
         mentalHealthProfile: user.mentalHealthProfile,
@@ -84,50 +89,45 @@ router.put('/profile', [
     }
 
     const { email, preferences, mentalHealthProfile } = req.body;
+
+    const user = await db.User.findByPk(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
     const updates = {};
 
     // Handle email update
     if (email) {
-      const existingUser = await User.findOne({ 
-        email, 
-        _id: { $ne: req.user.userId }
-      });
-      
-      if (existingUser) {
+      if (await db.User.isEmailTaken(email, user.id)) {
         return res.status(400).json({
           error: 'Email already in use by another user'
         });
       }
-      
+
       updates.email = email;
       updates.anonymous = false;
-      updates.isVerified = false; // Require re-verification
     }
 
     // Handle preferences update
     if (preferences) {
-      updates.preferences = { ...updates.preferences, ...preferences };
+      updates.preferences = { ...(user.preferences || {}), ...preferences };
     }
 
     // Handle mental health profile update
     if (mentalHealthProfile) {
-      updates.mentalHealthProfile = { ...updates.mentalHealthProfile, ...mentalHealthProfile };
+      updates.mentalHealthProfile = { ...(user.mentalHealthProfile || {}), ...mentalHealthProfile };
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      updates,
-      { new: true, runValidators: true }
-    ).select('-password');
-
-    // Log the update for HIPAA compliance
-    await user.logAction('profile_update', req.ip, req.get('User-Agent'));
+    await user.update(updates);
 
     res.json({
       success: true,
       message: 'Profile updated successfully',
       user: {
-        id: user._id,
+        id: user.id,
         email: user.email,
         anonymous: user.anonymous,
         preferences: user.preferences,
@@ -144,6 +144,40 @@ router.put('/profile', [
   }
 });
 
+/**
+ * Flatten stored preferences into the shape the preferences endpoints return
+ */
+const formatPreferences = (preferences = {}) => ({
+  ...preferences,
+  crisisDetectionSensitivity: preferences.chat?.crisisDetectionSensitivity || DEFAULT_SENSITIVITY
+});
+
+/**
+ * GET /api/users/preferences
+ * Get user preferences
+ */
+router.get('/preferences', auditMiddleware('preferences_view'), async (req, res) => {
+  try {
+    const user = await db.User.findByPk(req.user.userId, { attributes: ['id', 'preferences'] });
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      preferences: formatPreferences(user.preferences)
+    });
+
+  } catch (error) {
+    logger.error('Preferences fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch preferences'
+    });
+  }
+});
+
 /**
  * PUT /api/users/preferences
  * Update user preferences only
@@ -154,6 +188,7 @@ router.put('/preferences', [
   body('language').optional().isIn(['en', 'es', 'fr', 'de', 'it', 'pt']),
   body('timezone').optional().isString(),
   body('theme').optional().isIn(['light', 'dark', 'auto']),
+  body('crisisDetectionSensitivity').optional().isIn(['low', 'medium', 'high']),
   auditMiddleware('preferences_update')
 ], async (req, res) => {
   try {
@@ -165,25 +200,37 @@ router.put('/preferences', [
       });
     }
 
+    const user = await db.User.findByPk(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
     const allowedPreferences = ['notifications', 'dataSharing', 'language', 'timezone', 'theme'];
-    const updates = {};
-    
+    const preferences = { ...(user.preferences || {}) };
+
     allowedPreferences.forEach(pref => {
       if (req.body[pref] !== undefined) {
-        updates[`preferences.${pref}`] = req.body[pref];
+        preferences[pref] = req.body[pref];
       }
     });
 
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      updates,
-      { new: true, runValidators: true }
-    ).select('preferences');
+    // Chat settings live under preferences.chat, matching the original profile schema
+    if (req.body.crisisDetectionSensitivity !== undefined) {
+      preferences.chat = {
+        ...(preferences.chat || {}),
+        crisisDetectionSensitivity: req.body.crisisDetectionSensitivity
+      };
+      logger.info(`🎚️ Crisis detection sensitivity set to ${req.body.crisisDetectionSensitivity} for user ${req.user.userId}`);
+    }
+
+    await user.update({ preferences });
 
     res.json({
       success: true,
       message: 'Preferences updated successfully',
-      preferences: user.preferences
+      preferences: formatPreferences(user.preferences)
     });
 
   } catch (error) {
@@ -195,6 +242,109 @@ router.put('/preferences', [
   }
 });
 
+/**
+ * Contact details returned to the owner (stored on mentalHealthProfile)
+ */
+const formatContacts = (contacts = []) => contacts.map(({ id, name, relationship, phone, email }) => ({
+  id,
+  name,
+  relationship: relationship || null,
+  phone: phone || null,
+  email: email || null
+}));
+
+/**
+ * GET /api/users/emergency-contacts
+ * List emergency contacts used for crisis escalation
+ */
+router.get('/emergency-contacts', auditMiddleware('emergency_contacts_view'), async (req, res) => {
+  try {
+    const user = await db.User.findByPk(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      contacts: formatContacts(user.mentalHealthProfile?.emergencyContacts)
+    });
+
+  } catch (error) {
+    logger.error('Emergency contacts fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch emergency contacts'
+    });
+  }
+});
+
+/**
+ * PUT /api/users/emergency-contacts
+ * Replace the emergency contact list
+ */
+router.put('/emergency-contacts', [
+  body('contacts').isArray({ max: 5 }).withMessage('contacts must be a list of at most 5 entries'),
+  body('contacts.*.id').optional().isString().isLength({ max: 64 }),
+  body('contacts.*.name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('contacts.*.relationship').optional().isString().trim().isLength({ max: 50 }),
+  body('contacts.*.phone').optional().matches(/^\+?[0-9\s\-()]{7,20}$/),
+  body('contacts.*.email').optional().isEmail().normalizeEmail(),
+  body('contacts.*').custom(contact => {
+    if (!contact.phone && !contact.email) {
+      throw new Error('Each contact needs a phone number or an email address');
+    }
+    return true;
+  }),
+  auditMiddleware('emergency_contacts_update')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await db.User.findByPk(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    // Keep ids stable so pending consent prompts still point at the right person
+    const contacts = req.body.contacts.map(contact => ({
+      id: contact.id || crypto.randomUUID(),
+      name: contact.name,
+      relationship: contact.relationship || null,
+      phone: contact.phone || null,
+      email: contact.email || null
+    }));
+
+    await user.update({
+      mentalHealthProfile: {
+        ...(user.mentalHealthProfile || {}),
+        emergencyContacts: contacts
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Emergency contacts updated successfully',
+      contacts: formatContacts(contacts)
+    });
+
+  } catch (error) {
+    logger.error('Emergency contacts update error:', error);
+    res.status(500).json({
+      error: 'Emergency contacts update failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * PUT /api/users/mental-health-profile
  * Update mental health profile
@@ -216,34 +366,22 @@ router.put('/mental-health-profile', [
       });
     }
 
-    const { concerns, severityLevel, goals, triggers } = req.body;
-    const updates = {};
-    
-    if (concerns !== undefined) {
-      updates['mentalHealthProfile.concerns'] = concerns;
-    }
-    
-    if (severityLevel !== undefined) {
-      updates['mentalHealthProfile.severityLevel'] = severityLevel;
-    }
-    
-    if (goals !== undefined) {
-      updates['mentalHealthProfile.goals'] = goals;
-    }
-    
-    if (triggers !== undefined) {
-      // Note: In production, triggers should be encrypted
-      updates['mentalHealthProfile.triggers'] = triggers;
+    const user = await db.User.findByPk(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      updates,
-      { new: true, runValidators: true }
-    ).select('mentalHealthProfile');
+    // The profile is encrypted at rest as a whole, so assign a new object
+    const profile = { ...(user.mentalHealthProfile || {}) };
+    ['concerns', 'severityLevel', 'goals', 'triggers'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        profile[field] = req.body[field];
+      }
+    });
 
-    // Log the sensitive data update
-    await user.logAction('mental_health_profile_update', req.ip, req.get('User-Agent'));
+    await user.update({ mentalHealthProfile: profile });
 
     res.json({
       success: true,
@@ -280,16 +418,18 @@ router.post('/crisis-event', [
 
     const { severity, notes } = req.body;
     
-    const user = await User.findById(req.user.userId);
-    if (!user) {
+    // Self-reported events share the crisis history with detected ones
+    const crisisEvent = await crisisEventService.record(req.user.userId, {
+      severity,
+      source: 'self_reported',
+      notes: notes || null
+    });
+    if (!crisisEvent) {
       return res.status(404).json({
         error: 'User not found'
       });
     }
 
-    // Add crisis event
-    await user.addCrisisEvent(severity, notes);
-
     // Log the crisis event
     logger.warn(`Crisis event recorded for user ${req.user.userId}: ${severity}`, {
       userId: req.user.userId,
@@ -330,78 +470,75 @@ router.post('/crisis-event', [
   }
 });
 
+/**
+ * SUM(CASE WHEN column = value THEN 1 ELSE 0 END), portable across dialects
+ */
+const countWhere = (column, value) => {
+  const quoted = db.sequelize.getQueryInterface().quoteIdentifier(column);
+  return fn('SUM', literal(`CASE WHEN ${quoted} = ${db.sequelize.escape(value)} THEN 1 ELSE 0 END`));
+};
+
+// Aggregates come back as strings on some dialects and NULL over no rows
+const toNumber = (value) => Number(value) || 0;
+
 /**
  * GET /api/users/statistics
  * Get user's usage statistics
  */
 router.get('/statistics', auditMiddleware('statistics_view'), async (req, res) => {
   try {
-    const ChatSession = require('../models/ChatSession');
-    const Message = require('../models/Message');
+    const userId = req.user.userId;
 
     // Get user's chat statistics
     const [sessionStats, messageStats, recentActivity] = await Promise.all([
-      ChatSession.aggregate([
-        { $match: { userId: req.user.userId } },
-        {
-          $group: {
-            _id: null,
-            totalSessions: { $sum: 1 },
-            activeSessions: {
-              $sum: {
-                $cond: [{ $eq: ['$status', 'active'] }, 1, 0]
-              }
-            },
-            totalDuration: { $sum: '$stats.duration' },
-            avgDuration: { $avg: '$stats.duration' },
-            totalCrisisEvents: { $sum: '$stats.crisisEventsDetected' }
-          }
-        }
-      ]),
-      
-      Message.aggregate([
-        { $match: { userId: req.user.userId } },
-        {
-          $group: {
-            _id: null,
-            totalMessages: { $sum: 1 },
-            userMessages: {
-              $sum: {
-                $cond: [{ $eq: ['$sender', 'user'] }, 1, 0]
-              }
-            },
-            aiMessages: {
-              $sum: {
-                $cond: [{ $eq: ['$sender', 'ai'] }, 1, 0]
-              }
-            },
-            avgSentiment: { $avg: '$sentiment.score' }
-          }
-        }
-      ]),
-      
-      Message.find({ userId: req.user.userId })
-        .sort({ createdAt: -1 })
-        .limit(7)
-        .select('createdAt sender')
+      db.ChatSession.findOne({
+        where: { userId },
+        attributes: [
+          [fn('COUNT', col('id')), 'totalSessions'],
+          [countWhere('status', 'active'), 'activeSessions'],
+          [fn('SUM', col('duration')), 'totalDuration'],
+          [fn('AVG', col('duration')), 'avgDuration']
+        ],
+        raw: true
+      }),
+
+      db.Message.findOne({
+        where: { userId },
+        attributes: [
+          [fn('COUNT', col('id')), 'totalMessages'],
+          [countWhere('sender', 'user'), 'userMessages'],
+          [countWhere('sender', 'ai'), 'aiMessages'],
+          [countWhere('crisisDetected', true), 'crisisEvents'],
+          [fn('AVG', col('sentimentScore')), 'avgSentiment']
+        ],
+        raw: true
+      }),
+
+      db.Message.findAll({
+        where: { userId },
+        attributes: ['createdAt', 'sender'],
+        order: [['createdAt', 'DESC']],
+        limit: 7,
+        raw: true
+      })
     ]);
 
     const stats = {
-      sessions: sessionStats[0] || {
-        totalSessions: 0,
-        activeSessions: 0,
-        totalDuration: 0,
-        avgDuration: 0,
-        totalCrisisEvents: 0
+      sessions: {
+        totalSessions: toNumber(sessionStats?.totalSessions),
+        activeSessions: toNumber(sessionStats?.activeSessions),
+        totalDuration: toNumber(sessionStats?.totalDuration),
+        avgDuration: toNumber(sessionStats?.avgDuration),
+        totalCrisisEvents: toNumber(messageStats?.crisisEvents)
       },
-      messages: messageStats[0] || {
-        totalMessages: 0,
-        userMessages: 0,
-        aiMessages: 0,
-        avgSentiment: 0
+      messages: {
+        totalMessages: toNumber(messageStats?.totalMessages),
+        userMessages: toNumber(messageStats?.userMessages),
+        aiMessages: toNumber(messageStats?.aiMessages),
+        avgSentiment: toNumber(messageStats?.avgSentiment)
       },
       recentActivity: recentActivity.map(msg => ({
-        date: msg.createdAt.toISOString().split('T')[0],
+        date: new Date(msg.createdAt).toISOString().split('T')[0],
         type: msg.sender
       }))
     };
@@ -420,6 +557,35 @@ router.get('/statistics', auditMiddleware('statistics_view'), async (req, res) =
   }
 });
 
+/**
+ * POST /api/users/import
+ * Restore an exported archive, or data saved in the browser, into this account
+ */
+router.post('/import', auditMiddleware('data_import', { resourceType: 'import' }), async (req, res) => {
+  try {
+    const report = await importService.importData(req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        ...(error.details && { details: error.details })
+      });
+    }
+    logger.error('Data import error:', error);
+    res.status(500).json({
+      error: 'Import failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/users/account
  * Delete user account (HIPAA right to be forgotten)
@@ -437,23 +603,24 @@ router.delete('/account', [
       });
     }
 
-    // Anonymize user data instead of hard delete (HIPAA compliance)
-    await User.anonymizeUser(req.user.userId);
+    const user = await db.User.findByPk(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
 
-    // Also anonymize related chat sessions and messages
-    const ChatSession = require('../models/ChatSession');
-    const Message = require('../models/Message');
-    
-    await Promise.all([
-      ChatSession.updateMany(
-        { userId: req.user.userId },
-        { $set: { 'privacy.anonymized': true } }
-      ),
-      Message.updateMany(
-        { userId: req.user.userId },
-        { $set: { 'privacy.anonymized': true } }
-      )
-    ]);
+    // Anonymize user data instead of hard delete (HIPAA compliance)
+    await db.sequelize.transaction(async (transaction) => {
+      await user.anonymizeData({ transaction });
+      await user.update({ isActive: false }, { transaction });
+
+      // Also anonymize related chat sessions and messages
+      const where = { userId: user.id };
+      await db.ChatSession.update({ isAnonymized: true }, { where, transaction });
+      await db.Message.update({ isAnonymized: true }, { where, transaction });
+      await messageSearchIndex.removeUser(db.sequelize, user.id, { transaction });
+    });
 
     logger.info(`User account anonymized: ${req.user.userId}`);
 
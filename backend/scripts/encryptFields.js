@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Encrypt sensitive fields in existing rows
+ * Encrypts plaintext written before keys were configured and re-wraps
+ * values sealed with an old key version after FIELD_ENCRYPTION_KEY_VERSION
+ * is bumped. Safe to re-run; rows already up to date are skipped.
+ *
+ * Usage: npm run db:encrypt-fields [-- --dry-run] [-- --batch-size=500]
+ */
+
+require('dotenv').config();
+
+const { Op } = require('sequelize');
+
+const { initializeModels } = require('../models');
+const { closeConnection } = require('../config/database');
+const fieldEncryption = require('../services/fieldEncryption');
+
+const TARGETS = [
+  { model: 'User', fields: require('../models/UserSequelize').ENCRYPTED_FIELDS },
+  { model: 'ChatSession', fields: require('../models/ChatSessionSequelize').ENCRYPTED_FIELDS },
+  { model: 'Message', fields: require('../models/MessageSequelize').ENCRYPTED_FIELDS },
+  { model: 'Assessment', fields: require('../models/AssessmentSequelize').ENCRYPTED_FIELDS },
+  { model: 'MemoryFact', fields: require('../models/MemoryFactSequelize').ENCRYPTED_FIELDS },
+  { model: 'ExportJob', fields: require('../models/ExportJobSequelize').ENCRYPTED_FIELDS }
+];
+
+const parseArgs = (args) => ({
+  dryRun: args.includes('--dry-run'),
+  batchSize: Number((args.find(arg => arg.startsWith('--batch-size=')) || '').split('=')[1]) || 500
+});
+
+/**
+ * Write the stored value directly so setters and hooks do not re-encrypt it
+ */
+const writeValue = (Model, id, name, options, value) => {
+  const queryInterface = Model.sequelize.getQueryInterface();
+  const table = queryInterface.quoteIdentifier(Model.getTableName());
+  const column = queryInterface.quoteIdentifier(name);
+
+  return Model.sequelize.query(`UPDATE ${table} SET ${column} = :value WHERE id = :id`, {
+    replacements: { id, value: options.json ? JSON.stringify(value) : value }
+  });
+};
+
+const upgradeModel = async (Model, fields, { dryRun, batchSize }) => {
+  const counts = { scanned: 0, encrypted: 0, rewrapped: 0 };
+  let lastId = null;
+
+  for (;;) {
+    const rows = await Model.findAll({
+      where: lastId ? { id: { [Op.gt]: lastId } } : {},
+      attributes: ['id', ...Object.keys(fields)],
+      order: [['id', 'ASC']],
+      limit: batchSize,
+      paranoid: false
+    });
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      counts.scanned++;
+
+      for (const [name, options] of Object.entries(fields)) {
+        const stored = row.getDataValue(name);
+        if (!fieldEncryption.needsUpdate(stored)) continue;
+
+        const wasEncrypted = fieldEncryption.isEncrypted(stored);
+        if (!dryRun) {
+          await writeValue(Model, row.id, name, options, fieldEncryption.upgradeValue(stored, options));
+        }
+        counts[wasEncrypted ? 'rewrapped' : 'encrypted']++;
+      }
+    }
+
+    lastId = rows[rows.length - 1].id;
+  }
+
+  return counts;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!fieldEncryption.isEnabled()) {
+    console.error('❌ Field encryption keys are not configured (set FIELD_ENCRYPTION_KEYS)');
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = await initializeModels();
+  const { activeVersion } = fieldEncryption.getConfig();
+  console.log(`🔐 Upgrading sensitive fields to key version ${activeVersion}${options.dryRun ? ' (dry run)' : ''}`);
+
+  for (const { model, fields } of TARGETS) {
+    const counts = await upgradeModel(db[model], fields, options);
+    console.log(`✅ ${model}: scanned ${counts.scanned}, encrypted ${counts.encrypted}, re-wrapped ${counts.rewrapped}`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Field encryption migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeConnection());
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Grant or revoke a staff role from the command line
+ * Bootstraps the first admin, who can then manage roles via /api/admin
+ *
+ * Usage: npm run user:role -- <userId|email> <counselor|admin> [--revoke]
+ */
+
+require('dotenv').config();
+
+const { initializeModels } = require('../models');
+const { closeConnection } = require('../config/database');
+const { STAFF_ROLES } = require('../models/UserRoleSequelize');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const revoke = args.includes('--revoke');
+  const [identifier, role] = args.filter(arg => arg !== '--revoke');
+
+  if (!identifier || !STAFF_ROLES.includes(role)) {
+    console.error(`Usage: npm run user:role -- <userId|email> <${STAFF_ROLES.join('|')}> [--revoke]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = await initializeModels();
+  const user = identifier.includes('@')
+    ? await db.User.findByEmail(identifier)
+    : await db.User.findByPk(identifier);
+
+  if (!user) {
+    console.error(`❌ User not found: ${identifier}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (revoke) {
+    await db.UserRole.destroy({ where: { userId: user.id, role } });
+  } else {
+    await db.UserRole.findOrCreate({
+      where: { userId: user.id, role },
+      defaults: { grantedBy: null }
+    });
+  }
+
+  const roles = await db.UserRole.getRoles(user.id);
+  console.log(`✅ ${revoke ? 'Revoked' : 'Granted'} ${role} for ${user.id} - roles: ${roles.join(', ')}`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Failed to update role:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeConnection());
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Schema migration commands
+ * Applies, reverts or lists the numbered migrations in backend/migrations
+ *
+ * Usage: npm run db:migrate [-- --to=<name>]
+ *        npm run db:rollback [-- --step=<n>]
+ *        npm run db:status
+ */
+
+require('dotenv').config();
+
+const { initDB, closeConnection } = require('../config/database');
+const { Migrator } = require('../services/migrator');
+
+const option = (args, name) => (args.find(arg => arg.startsWith(`--${name}=`)) || '').split('=')[1];
+
+const commands = {
+  async up(migrator, args) {
+    const applied = await migrator.up({ to: option(args, 'to') });
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+  },
+
+  async down(migrator, args) {
+    const step = Number(option(args, 'step')) || 1;
+    const reverted = await migrator.down({ step });
+    console.log(reverted.length ? `✅ Reverted ${reverted.join(', ')}` : '✅ No migrations to revert');
+  },
+
+  async status(migrator) {
+    const migrations = await migrator.status();
+    for (const { name, applied, appliedAt, missing } of migrations) {
+      const state = applied ? `applied ${appliedAt.toISOString()}` : 'pending';
+      console.log(`${applied ? '✅' : '⏳'} ${name}  ${state}${missing ? '  (file missing)' : ''}`);
+    }
+    const pending = migrations.filter(migration => !migration.applied).length;
+    console.log(`${migrations.length} migration(s), ${pending} pending`);
+  }
+};
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    console.error(`Usage: node scripts/migrate.js <${Object.keys(commands).join('|')}> [options]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const sequelize = await initDB();
+  await commands[command](new Migrator(sequelize), args);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Migration command failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeConnection());
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Rebuild the chat message search index
+ * Run after migration 0005 to add existing messages, and whenever the key
+ * that hashes index terms changes: encryption keys first configured, or
+ * rotated without SEARCH_INDEX_KEY set. Safe to re-run.
+ *
+ * Usage: npm run db:search-reindex [-- --batch-size=500]
+ */
+
+require('dotenv').config();
+
+const { Op } = require('sequelize');
+
+const { initializeModels } = require('../models');
+const { closeConnection } = require('../config/database');
+const messageSearchIndex = require('../services/messageSearchIndex');
+
+const parseArgs = (args) => ({
+  batchSize: Number((args.find(arg => arg.startsWith('--batch-size=')) || '').split('=')[1]) || 500
+});
+
+const run = async () => {
+  const { batchSize } = parseArgs(process.argv.slice(2));
+  const db = await initializeModels();
+
+  console.log('🔎 Rebuilding the chat message search index');
+  await db.sequelize.query(`DELETE FROM "${messageSearchIndex.TABLE}"`);
+
+  let indexed = 0;
+  let lastId = null;
+
+  for (;;) {
+    // Deleted and anonymized messages stay out of the index
+    const rows = await db.Message.findAll({
+      where: {
+        isAnonymized: false,
+        ...(lastId && { id: { [Op.gt]: lastId } })
+      },
+      attributes: ['id', 'userId', 'content', 'isAnonymized'],
+      order: [['id', 'ASC']],
+      limit: batchSize
+    });
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      await messageSearchIndex.indexMessage(row);
+      indexed++;
+    }
+
+    lastId = rows[rows.length - 1].id;
+  }
+
+  console.log(`✅ Indexed ${indexed} messages`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Search index rebuild failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeConnection());
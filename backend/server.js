@@ -41,9 +41,17 @@ const authRoutes = require('./routes/authSequelize');
 const chatRoutes = require('./routes/chat');
 const userRoutes = require('./routes/user');
 const assessmentRoutes = require('./routes/assessment');
+const escalationRoutes = require('./routes/escalations');
+const adminRoutes = require('./routes/admin');
+const { STAFF_ROLES } = require('./models/UserRoleSequelize');
 
 // Import AI services
 const chatService = require('./ai/chatService');
+const chatTurnService = require('./services/chatTurnService');
+const escalationService = require('./services/escalationService');
+const auditService = require('./services/auditService');
+const sessionCompletionService = require('./services/sessionCompletionService');
+const exportService = require('./services/exportService');
 
 // Logger setup
 const logger = winston.createLogger({
@@ -85,6 +93,16 @@ const initializeConnections = async () => {
     app.locals.db = dbModels;
     
     logger.info('✅ Database connected successfully');
+
+    // Purge audit entries past their retention period
+    auditService.startRetentionSchedule();
+
+    // Close chat sessions that have gone idle
+    sessionCompletionService.startInactivitySweep();
+
+    // Finish exports a restart interrupted and delete expired export files
+    await exportService.resumePendingJobs();
+    exportService.startExpirySweep();
     
     // Initialize Redis
     await initRedis();
@@ -168,6 +186,34 @@ const setupMiddleware = () => {
   });
 };
 
+/**
+ * AI provider chain health (circuit breaker state per provider)
+ * The rule-based fallback keeps chat working, so AI issues degrade rather than fail health
+ */
+const getAIHealth = () => {
+  const { providers } = chatService.getStats();
+  const aiProviders = providers.filter(provider => provider.name !== 'fallback' && provider.available);
+  const openCircuits = aiProviders.filter(provider => provider.circuitBreaker.state === 'open');
+
+  let status = 'healthy';
+  if (aiProviders.length === 0 || openCircuits.length === aiProviders.length) {
+    status = 'fallback_only';
+  } else if (openCircuits.length > 0) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    providers: providers.map(({ name, available, model, circuitBreaker }) => ({
+      name,
+      available,
+      model,
+      circuitState: circuitBreaker ? circuitBreaker.state : null,
+      retryAt: circuitBreaker ? circuitBreaker.retryAt : null
+    }))
+  };
+};
+
 /**
  * Setup API routes
  */
@@ -187,6 +233,7 @@ const setupRoutes = () => {
         environment: process.env.NODE_ENV || 'development',
         database: dbHealth,
         redis: redisHealth,
+        ai: getAIHealth(),
         uptime: process.uptime(),
         memory: process.memoryUsage()
       };
@@ -210,9 +257,12 @@ const setupRoutes = () => {
   
   // API routes
   app.use('/api/auth', authRoutes);
-  app.use('/api/chat', authMiddleware, chatRoutes);
+  // Chat routes authenticate each request; the event stream is opened with a turnId
+  app.use('/api/chat', chatRoutes);
   app.use('/api/users', authMiddleware, userRoutes);
   app.use('/api/assessments', authMiddleware, assessmentRoutes);
+  app.use('/api/escalations', authMiddleware, escalationRoutes);
+  app.use('/api/admin', adminRoutes);
   
   // Public route (with optional authentication)
   app.get('/api/public', optionalAuthMiddleware, (req, res) => {
@@ -267,42 +317,119 @@ const setupSocketIO = () => {
     }
   });
   
+  // Forward escalation lifecycle changes to the counselor dashboard
+  escalationService.on('change', (change) => {
+    io.to('counselors').emit('escalation_update', change);
+  });
+
+  // Tell the user's open clients a session ended, so they can ask for the end-of-session mood
+  sessionCompletionService.on('completed', ({ userId, session }) => {
+    io.to(`user_${userId}`).emit('session_completed', {
+      session,
+      moodPrompt: session.moodAtEnd === null
+    });
+  });
+
+  // Tell the user's open clients a background export is ready to download
+  exportService.on('completed', ({ userId, job }) => {
+    io.to(`user_${userId}`).emit('export_ready', { job: job.getSummary() });
+  });
+
   io.on('connection', (socket) => {
     logger.info(`✅ User connected via Socket.IO: ${socket.userId}`);
     
     // Join user to their private room
     socket.join(`user_${socket.userId}`);
+
+    // Staff also receive live crisis queue updates
+    app.locals.db.UserRole.getRoles(socket.userId)
+      .then((roles) => {
+        if (roles.some(role => STAFF_ROLES.includes(role))) {
+          socket.join('counselors');
+          logger.info(`🩺 Counselor joined crisis queue: ${socket.userId}`);
+        }
+      })
+      .catch(error => logger.error('❌ Failed to load socket user roles:', error));
     
-    // Handle chat messages
-    socket.on('chat_message', async (data) => {
+    // Handle chat messages: same pipeline and payload as POST /api/chat/message.
+    // Replies go out as events and, if the client passed one, to the ack callback.
+    const allowChatMessage = chatTurnService.createRateLimiter();
+
+    socket.on('chat_message', async (data, ack) => {
+      const reply = (event, payload) => {
+        socket.emit(event, payload);
+        if (typeof ack === 'function') ack(payload);
+      };
+
+      if (!allowChatMessage()) {
+        return reply('chat_error', {
+          success: false,
+          message: 'Too many messages, please slow down a bit.',
+          code: 'RATE_LIMIT_EXCEEDED'
+        });
+      }
+
+      const { errors, input } = await chatTurnService.validate({
+        message: data?.message,
+        sessionId: data?.sessionId,
+        clientMessageId: data?.clientMessageId
+      });
+      if (errors.length > 0) {
+        return reply('chat_error', {
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      // Correlates the streaming events with the final response
+      const responseId = input.clientMessageId || require('crypto').randomUUID();
+
       try {
-        logger.info(`💬 Chat message from ${socket.userId}:`, data);
-        
-        // Process message with AI service
-        const response = await chatService.processMessage(
-          data.message, 
-          socket.userId,
-          data.conversationId
-        );
-        
-        // Emit response back to user
-        socket.emit('chat_response', {
-          id: require('crypto').randomUUID(),
-          message: response.message,
-          timestamp: new Date().toISOString(),
-          conversationId: data.conversationId,
-          isCrisisDetected: response.isCrisisDetected,
-          sentiment: response.sentiment,
-          resources: response.resources
+        logger.info(`💬 Chat message from ${socket.userId}`);
+
+        const { duplicate, data: turn } = await chatTurnService.run({
+          userId: socket.userId,
+          message: input.message,
+          sessionId: input.sessionId,
+          clientMessageId: input.clientMessageId,
+          handlers: {
+            onAnalysis: (analysis) => {
+              socket.emit('chat_response_start', { id: responseId, ...analysis });
+            },
+            onChunk: (chunk) => {
+              socket.emit('chat_response_chunk', { id: responseId, chunk });
+            }
+          },
+          transport: 'socket'
         });
-        
-        // Log for audit purposes
+
+        // End of the stream: the final, authoritative reply replaces any partial text
+        const { sender, ...done } = turn.aiResponse;
+        socket.emit('chat_response_done', { id: responseId, sessionId: turn.sessionId, ...done });
+
+        reply('chat_response', {
+          id: responseId,
+          success: true,
+          ...(duplicate && { duplicate }),
+          data: turn
+        });
+
         logger.info(`🤖 AI response sent to ${socket.userId}`);
-        
+
       } catch (error) {
+        if (error.statusCode) {
+          return reply('chat_error', {
+            success: false,
+            message: error.message,
+            code: error.code
+          });
+        }
+
         logger.error('❌ Chat message processing error:', error);
-        socket.emit('chat_error', {
-          error: 'Failed to process message',
+        reply('chat_error', {
+          success: false,
+          message: 'Failed to process message',
           code: 'CHAT_PROCESSING_ERROR'
         });
       }
@@ -374,7 +501,10 @@ const startServer = async () => {
           logger.info('🔒 Socket.IO server closed');
         });
         
-        // Close database connections
+        // Stop background jobs, then close database connections
+        auditService.stopRetentionSchedule();
+        sessionCompletionService.stopInactivitySweep();
+        exportService.stopExpirySweep();
         const { closeConnection: closeDBConnection } = require('./config/database');
         const { closeConnection: closeRedisConnection } = require('./config/redis');
         
@@ -412,7 +542,7 @@ const startServer = async () => {
   }
 };
 
-// Start the server
-startServer();
+// Start the server; `ready` resolves once routes are mounted
+const ready = startServer();
 
-module.exports = { app, server, io };
\ No newline at end of file
+module.exports = { app, server, io, ready };
\ No newline at end of file
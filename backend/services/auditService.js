@@ -0,0 +1,306 @@
+/**
+ * Audit Service
+ * Persistent, tamper-evident audit trail of who accessed which user's data
+ *
+ * Entries are appended through a single in-process queue so every row can
+ * hash over its predecessor. Run one writer per database; a second server
+ * process would fork the chain.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const winston = require('winston');
+
+const { db } = require('../models');
+const { getAuditConfig } = require('../config/audit');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    }),
+    new winston.transports.File({
+      filename: 'logs/audit.log',
+      maxsize: 10485760, // 10MB
+      maxFiles: 5
+    })
+  ]
+});
+
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_BATCH_SIZE = 500;
+
+// JSON with sorted keys so the hash does not depend on property order
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const computeHash = (previousHash, payload) =>
+  crypto.createHash('sha256').update(`${previousHash}|${canonicalize(payload)}`).digest('hex');
+
+const outcomeFor = (statusCode) => {
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  return statusCode >= 400 ? 'failure' : 'success';
+};
+
+const actorTypeFor = (user) => {
+  if (!user) return 'anonymous';
+  const roles = user.roles || [];
+  if (roles.includes('admin')) return 'admin';
+  if (roles.includes('counselor')) return 'counselor';
+  return 'user';
+};
+
+class AuditService {
+  constructor() {
+    this.tail = Promise.resolve();
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Append an entry to the chain. Never throws: a failed write is logged
+   * with the full entry so the record is not lost.
+   */
+  record(event) {
+    this.tail = this.tail
+      .then(() => this.append(event))
+      .catch((error) => {
+        logger.error(`❌ Failed to persist audit event: ${error.message}`, { event });
+        return null;
+      });
+    return this.tail;
+  }
+
+  async append(event) {
+    const previous = await db.AuditEvent.findOne({
+      attributes: ['hash'],
+      order: [['id', 'DESC']]
+    });
+
+    const entry = db.AuditEvent.build({
+      actorId: event.actorId || null,
+      actorType: event.actorType || 'user',
+      action: event.action,
+      resourceType: event.resourceType || null,
+      resourceId: event.resourceId ? String(event.resourceId) : null,
+      subjectUserId: event.subjectUserId || null,
+      outcome: event.outcome || 'success',
+      statusCode: event.statusCode ?? null,
+      ipAddress: event.ipAddress || null,
+      userAgent: event.userAgent ? event.userAgent.substring(0, 500) : null,
+      requestId: event.requestId || null,
+      method: event.method || null,
+      path: event.path || null,
+      metadata: event.metadata || null,
+      previousHash: previous ? previous.hash : GENESIS_HASH,
+      createdAt: new Date()
+    });
+    entry.hash = computeHash(entry.previousHash, entry.getHashPayload());
+
+    return entry.save();
+  }
+
+  /**
+   * Record an HTTP request once its response has been sent
+   */
+  recordRequest(req, res, action, details = {}) {
+    const actorId = req.user?.userId || null;
+    const actorType = actorTypeFor(req.user);
+
+    return this.record({
+      actorId,
+      actorType,
+      action,
+      resourceType: details.resourceType,
+      resourceId: details.resourceId,
+      // Without an explicit subject a user is reading their own data
+      subjectUserId: details.subjectUserId !== undefined
+        ? details.subjectUserId
+        : (actorType === 'user' ? actorId : null),
+      outcome: outcomeFor(res.statusCode),
+      statusCode: res.statusCode,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+      method: req.method,
+      path: req.originalUrl ? req.originalUrl.split('?')[0] : req.path,
+      metadata: details.metadata
+    });
+  }
+
+  /**
+   * Search the trail. userId matches both the actor and the data subject.
+   */
+  async query({ userId, action, outcome, resourceType, from, to, page = 1, limit = 50 } = {}) {
+    const where = {};
+
+    if (userId) {
+      where[Op.or] = [{ actorId: userId }, { subjectUserId: userId }];
+    }
+    if (action) where.action = action;
+    if (outcome) where.outcome = outcome;
+    if (resourceType) where.resourceType = resourceType;
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt[Op.gte] = new Date(from);
+      if (to) where.createdAt[Op.lte] = new Date(to);
+    }
+
+    const { count, rows } = await db.AuditEvent.findAndCountAll({
+      where,
+      order: [['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      events: rows.map(row => row.toJSON()),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Recompute the hash chain. The first surviving row must link to the
+   * genesis hash or to the last row removed by a recorded retention purge.
+   */
+  async verifyChain() {
+    await this.tail;
+
+    let lastId = 0;
+    let expectedPrevious = null;
+    let checked = 0;
+    let anchor = null;
+
+    for (;;) {
+      const rows = await db.AuditEvent.findAll({
+        where: { id: { [Op.gt]: lastId } },
+        order: [['id', 'ASC']],
+        limit: VERIFY_BATCH_SIZE
+      });
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        if (expectedPrevious === null) {
+          anchor = await this.findAnchor(row.previousHash);
+          if (!anchor) {
+            return { valid: false, checked, brokenAt: row.id, reason: 'unanchored_start' };
+          }
+        } else if (row.previousHash !== expectedPrevious) {
+          return { valid: false, checked, brokenAt: row.id, reason: 'broken_link' };
+        }
+
+        if (computeHash(row.previousHash, row.getHashPayload()) !== row.hash) {
+          return { valid: false, checked, brokenAt: row.id, reason: 'hash_mismatch' };
+        }
+
+        expectedPrevious = row.hash;
+        lastId = row.id;
+        checked++;
+      }
+    }
+
+    return { valid: true, checked, anchor, headHash: expectedPrevious };
+  }
+
+  async findAnchor(previousHash) {
+    if (previousHash === GENESIS_HASH) return 'genesis';
+
+    const purges = await db.AuditEvent.findAll({
+      where: { action: 'audit_retention_purge' },
+      attributes: ['metadata']
+    });
+    return purges.some(purge => purge.metadata?.throughHash === previousHash) ? 'retention_purge' : null;
+  }
+
+  /**
+   * Delete entries older than the retention period. The purge itself is
+   * recorded first, with the hash of the last removed row as the new anchor.
+   */
+  async applyRetention() {
+    const { retentionDays, purgeBatchSize } = getAuditConfig();
+    if (!retentionDays) return 0;
+
+    await this.tail;
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const through = await db.AuditEvent.findOne({
+      where: { createdAt: { [Op.lt]: cutoff } },
+      order: [['id', 'DESC']]
+    });
+    if (!through) return 0;
+
+    await this.record({
+      actorType: 'system',
+      action: 'audit_retention_purge',
+      resourceType: 'audit_event',
+      metadata: {
+        retentionDays,
+        cutoff: cutoff.toISOString(),
+        throughId: through.id,
+        throughHash: through.hash
+      }
+    });
+
+    let purged = 0;
+    for (;;) {
+      const batch = await db.AuditEvent.findAll({
+        where: { id: { [Op.lte]: through.id } },
+        attributes: ['id'],
+        order: [['id', 'ASC']],
+        limit: purgeBatchSize
+      });
+      if (batch.length === 0) break;
+
+      purged += await db.AuditEvent.destroy({
+        where: { id: { [Op.lte]: batch[batch.length - 1].id } },
+        retentionPurge: true
+      });
+    }
+
+    logger.info(`🧹 Audit retention purge removed ${purged} entries older than ${cutoff.toISOString()}`);
+    return purged;
+  }
+
+  /**
+   * Run the retention purge now and on an interval
+   */
+  startRetentionSchedule() {
+    const { purgeIntervalMs } = getAuditConfig();
+    const run = () => this.applyRetention()
+      .catch(error => logger.error('❌ Audit retention purge failed:', error));
+
+    run();
+    this.purgeTimer = setInterval(run, purgeIntervalMs);
+    this.purgeTimer.unref();
+  }
+
+  stopRetentionSchedule() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+}
+
+module.exports = new AuditService();
+module.exports.AuditService = AuditService;
+module.exports.computeHash = computeHash;
+module.exports.GENESIS_HASH = GENESIS_HASH;
@@ -0,0 +1,285 @@
+/**
+ * Chat Turn Service
+ * One chat turn from message to stored reply, shared by every transport
+ * (REST, Server-Sent Events and Socket.IO) so they validate input, check
+ * session ownership, persist and answer in exactly the same way.
+ */
+
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const winston = require('winston');
+
+const { db } = require('../models');
+const { cache } = require('../config/redis');
+const chatService = require('../ai/chatService');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Messages per user (REST) or per socket (Socket.IO)
+const CHAT_RATE_LIMIT = {
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 30
+};
+
+// Claim held while a turn with a clientMessageId runs; outlives a slow AI response
+const CLAIM_TTL_SECONDS = 5 * 60;
+
+// How long a queued message waits for its event stream to be opened
+const PENDING_TURN_TTL_SECONDS = 60;
+
+// Rules for an incoming message; run as route middleware or against a socket payload
+const MESSAGE_VALIDATORS = [
+  body('message')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters'),
+  body('sessionId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid session ID format'),
+  body('clientMessageId')
+    .optional()
+    .matches(/^[\w-]{1,64}$/)
+    .withMessage('clientMessageId must be up to 64 letters, digits, dashes or underscores')
+];
+
+const turnError = (message, statusCode, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+class ChatTurnService {
+  /**
+   * Validate a message payload outside of Express (e.g. from a socket)
+   * Returns { errors, input } where input holds the sanitized values
+   */
+  async validate(payload) {
+    const req = { body: { ...payload } };
+    await Promise.all(MESSAGE_VALIDATORS.map(validator => validator.run(req)));
+    return { errors: validationResult(req).array(), input: req.body };
+  }
+
+  /**
+   * Find the session a message belongs to. A given id must belong to the
+   * user; without one a new session is started unless `create` is false.
+   */
+  async resolveSession(userId, sessionId, { create = true } = {}) {
+    if (sessionId) {
+      const session = await db.ChatSession.findOne({ where: { id: sessionId, userId } });
+      if (!session) {
+        throw turnError('Chat session not found', 404, 'SESSION_NOT_FOUND');
+      }
+      return session;
+    }
+
+    if (!create) {
+      throw turnError('Chat session required', 400, 'SESSION_REQUIRED');
+    }
+
+    return db.ChatSession.create({ userId });
+  }
+
+  /**
+   * Hold a message for an event stream to pick up and return its turnId
+   * The message stays out of the stream URL; the turnId is random, bound to
+   * the user and session, and can be taken only once.
+   */
+  async queue({ userId, sessionId, message, clientMessageId = null }) {
+    await this.resolveSession(userId, sessionId, { create: false });
+
+    const turnId = crypto.randomUUID();
+    await cache.set(
+      `chat-turn-pending:${turnId}`,
+      { userId, sessionId, message, clientMessageId },
+      PENDING_TURN_TTL_SECONDS
+    );
+
+    return { turnId, expiresIn: PENDING_TURN_TTL_SECONDS };
+  }
+
+  /**
+   * Take a queued message for its session, once
+   */
+  async takePending(turnId, sessionId) {
+    const pending = await cache.take(`chat-turn-pending:${turnId}`);
+    if (!pending || pending.sessionId !== sessionId) {
+      throw turnError('Pending message not found or expired', 404, 'TURN_NOT_FOUND');
+    }
+    return pending;
+  }
+
+  /**
+   * Run one turn and return { duplicate, data } where data is the response
+   * payload every transport sends. A message whose clientMessageId was
+   * already stored gets the stored reply instead of a new turn, and one
+   * that is still being answered is refused with 409 MESSAGE_IN_PROGRESS.
+   *
+   * `handlers` are passed to ChatService.processMessage for streaming;
+   * onAnalysis also receives the resolved sessionId. `transport` is only logged.
+   */
+  async run({ userId, message, sessionId = null, clientMessageId = null, handlers = {}, transport = 'rest' }) {
+    // Claimed before the lookup: the claim is only released once the turn is
+    // stored, so a concurrent redelivery either is refused or finds the reply
+    const release = await this.claim(userId, clientMessageId);
+
+    try {
+      const storedTurn = await chatService.findTurn(userId, clientMessageId);
+      if (storedTurn) {
+        return { duplicate: true, data: this.replayPayload(storedTurn, clientMessageId) };
+      }
+
+      return await this.answer({ userId, message, sessionId, clientMessageId, handlers, transport });
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * Claim a clientMessageId so only one delivery of a message runs at a time
+   * Returns a function that releases the claim
+   */
+  async claim(userId, clientMessageId) {
+    if (!clientMessageId) return async () => {};
+
+    const key = `chat-turn:${userId}:${clientMessageId}`;
+    let claimed;
+    try {
+      claimed = await cache.setIfAbsent(key, { state: 'processing' }, CLAIM_TTL_SECONDS);
+    } catch (error) {
+      // Without the cache the stored-turn lookup is the only duplicate check
+      logger.error('❌ Chat turn claim unavailable:', error);
+      return async () => {};
+    }
+
+    if (!claimed) {
+      throw turnError('This message is still being processed', 409, 'MESSAGE_IN_PROGRESS');
+    }
+
+    return () => cache.del(key)
+      .catch(error => logger.error('❌ Failed to release chat turn claim:', error));
+  }
+
+  /**
+   * Answer a message that has not been stored yet
+   */
+  async answer({ userId, message, sessionId, clientMessageId, handlers, transport }) {
+    let session = await this.resolveSession(userId, sessionId);
+    if (!session.isOpen()) {
+      // A session that ended (by the user or after inactivity) stays closed;
+      // the conversation continues in a new one
+      logger.info(`🔁 Session ${session.id} is ${session.status}, starting a new one for this message`);
+      session = await db.ChatSession.create({ userId });
+    } else if (sessionId) {
+      await session.update({ lastActivity: new Date() });
+    }
+
+    const aiResponse = await chatService.processMessage(
+      message,
+      userId,
+      session.id,
+      {
+        ...handlers,
+        ...(handlers.onAnalysis && {
+          onAnalysis: analysis => handlers.onAnalysis({ sessionId: session.id, ...analysis })
+        })
+      },
+      { clientMessageId }
+    );
+
+    if (aiResponse.crisisDetected) {
+      logger.warn('🚨 Crisis situation detected in chat', {
+        sessionId: session.id,
+        userId,
+        crisisLevel: aiResponse.crisisLevel,
+        transport
+      });
+    }
+
+    return {
+      duplicate: false,
+      data: {
+        sessionId: session.id,
+        userMessage: {
+          content: message,
+          sender: 'user',
+          timestamp: new Date().toISOString(),
+          clientMessageId: clientMessageId || null
+        },
+        aiResponse: {
+          content: aiResponse.content,
+          sender: 'ai',
+          timestamp: aiResponse.timestamp || new Date().toISOString(),
+          sentiment: aiResponse.sentiment || null,
+          crisisDetected: Boolean(aiResponse.crisisDetected),
+          crisisLevel: aiResponse.crisisLevel || 'none',
+          emergencyResources: aiResponse.emergencyResources || null,
+          escalation: aiResponse.escalation || null,
+          recommendations: aiResponse.recommendations || []
+        }
+      }
+    };
+  }
+
+  /**
+   * Response payload for a turn that was already stored
+   */
+  replayPayload({ userMessage, aiMessage }, clientMessageId) {
+    return {
+      sessionId: userMessage.sessionId,
+      userMessage: {
+        content: userMessage.content,
+        sender: 'user',
+        timestamp: userMessage.createdAt.toISOString(),
+        clientMessageId
+      },
+      aiResponse: {
+        content: aiMessage ? aiMessage.content : null,
+        sender: 'ai',
+        timestamp: aiMessage ? aiMessage.createdAt.toISOString() : null,
+        sentiment: null,
+        crisisDetected: userMessage.crisisDetected,
+        crisisLevel: userMessage.crisisSeverity || 'none',
+        emergencyResources: userMessage.crisisDetected ? chatService.getEmergencyResources() : null,
+        escalation: null,
+        recommendations: []
+      }
+    };
+  }
+
+  /**
+   * Fixed-window message limiter for one socket, with the REST chat limits
+   * Returns a function that reports whether another message is allowed
+   */
+  createRateLimiter({ windowMs, max } = CHAT_RATE_LIMIT) {
+    let windowStart = 0;
+    let count = 0;
+
+    return () => {
+      const now = Date.now();
+      if (now - windowStart >= windowMs) {
+        windowStart = now;
+        count = 0;
+      }
+      count += 1;
+      return count <= max;
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ChatTurnService();
+module.exports.ChatTurnService = ChatTurnService;
+module.exports.MESSAGE_VALIDATORS = MESSAGE_VALIDATORS;
+module.exports.CHAT_RATE_LIMIT = CHAT_RATE_LIMIT;
@@ -0,0 +1,131 @@
+/**
+ * Crisis Event Service
+ * One path for crisis signals from chat, screening safety items and self-reports
+ *
+ * Detected verdicts open an escalation (when their level is configured to)
+ * and are added to the user's crisis history; callers get back the same
+ * alert payload the chat returns, so the client can show CrisisAlert.
+ */
+
+const winston = require('winston');
+
+const { db } = require('../models');
+const escalationService = require('./escalationService');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// The profile keeps only the most recent crisis events
+const MAX_CRISIS_EVENTS = 20;
+
+class CrisisEventService {
+  /**
+   * Get emergency resources
+   */
+  getEmergencyResources() {
+    return {
+      crisis_lines: [
+        {
+          name: "National Suicide Prevention Lifeline",
+          number: "988",
+          description: "24/7 free and confidential support"
+        },
+        {
+          name: "Crisis Text Line",
+          number: "Text HOME to 741741",
+          description: "24/7 text-based crisis support"
+        }
+      ],
+      immediate_actions: [
+        "Reach out to a trusted friend, family member, or counselor",
+        "Go to your nearest emergency room",
+        "Call 911 if you're in immediate danger",
+        "Remove any means of self-harm from your environment"
+      ],
+      resources: [
+        {
+          name: "National Institute of Mental Health",
+          url: "https://www.nimh.nih.gov/health/find-help"
+        },
+        {
+          name: "Mental Health America",
+          url: "https://www.mhanational.org/finding-help"
+        }
+      ]
+    };
+  }
+
+  /**
+   * Append an event to the user's crisis history.
+   * The profile is encrypted at rest, so assign a new object rather than mutating.
+   */
+  async record(userId, event) {
+    const user = await db.User.findByPk(userId);
+    if (!user) return null;
+
+    const entry = { timestamp: new Date(), ...event };
+    const profile = user.mentalHealthProfile || {};
+    user.mentalHealthProfile = {
+      ...profile,
+      crisisEvents: [...(profile.crisisEvents || []), entry].slice(-MAX_CRISIS_EVENTS)
+    };
+    await user.save();
+
+    return entry;
+  }
+
+  /**
+   * Client payload matching the crisis fields of a chat response
+   */
+  toAlert(verdict, escalation) {
+    return {
+      crisisDetected: verdict.detected,
+      crisisLevel: verdict.level,
+      crisisTriggers: verdict.triggers,
+      emergencyResources: verdict.detected ? this.getEmergencyResources() : null,
+      escalation
+    };
+  }
+
+  /**
+   * Escalate and record a detected verdict.
+   * `event` adds source-specific fields to the history entry.
+   * Returns the alert payload, or null when nothing was detected.
+   */
+  async handleVerdict({ userId, sessionId = null, verdict, event = {} }) {
+    if (!verdict?.detected) return null;
+
+    const escalation = await escalationService.openEscalation({ userId, sessionId, verdict });
+
+    try {
+      await this.record(userId, {
+        severity: verdict.level,
+        triggers: verdict.triggers,
+        source: verdict.source,
+        ...event
+      });
+    } catch (error) {
+      logger.error(`Error storing crisis event: ${error.message}`);
+    }
+
+    logger.warn(`🚨 Crisis event (${verdict.source}) for user ${userId.substring(0, 8)}... - Level: ${verdict.level}`);
+
+    return this.toAlert(verdict, escalation);
+  }
+}
+
+module.exports = new CrisisEventService();
+module.exports.CrisisEventService = CrisisEventService;
+module.exports.MAX_CRISIS_EVENTS = MAX_CRISIS_EVENTS;
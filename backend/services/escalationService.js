@@ -0,0 +1,422 @@
+/**
+ * Crisis Escalation Service
+ * Turns high-risk verdicts into tracked escalations and, with the user's
+ * consent, notifies one of their emergency contacts
+ *
+ * No contact is ever notified without an explicit in-chat "yes" from the
+ * user. Notification text never includes what the user wrote.
+ */
+
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const winston = require('winston');
+
+const { db } = require('../models');
+const notifierRegistry = require('./notifiers');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    }),
+    new winston.transports.File({
+      filename: 'logs/escalations-audit.log',
+      maxsize: 10485760, // 10MB
+      maxFiles: 5
+    })
+  ]
+});
+
+const LEVEL_ORDER = ['low', 'medium', 'high', 'critical'];
+
+const escalationError = (message, statusCode, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+class EscalationService extends EventEmitter {
+  /**
+   * Broadcast a lifecycle change (the server forwards these to counselors)
+   */
+  emitChange(type, escalation) {
+    this.emit('change', { type, escalation: escalation.getSummary() });
+  }
+
+  /**
+   * Emergency contacts from the user's profile, with stable ids
+   * Supports both the contact list and the legacy single emergencyContact field
+   */
+  getEmergencyContacts(user) {
+    const contacts = (user.mentalHealthProfile?.emergencyContacts || [])
+      .map((contact, index) => ({ ...contact, id: contact.id || `contact-${index + 1}` }));
+
+    if (contacts.length === 0 && user.emergencyContact?.name) {
+      contacts.push({ ...user.emergencyContact, id: user.emergencyContact.id || 'primary' });
+    }
+
+    return contacts.filter(contact => contact.phone || contact.email);
+  }
+
+  shouldEscalate(verdict) {
+    return !!verdict?.detected && notifierRegistry.getConfig().levels.includes(verdict.level);
+  }
+
+  /**
+   * Open (or refresh) an escalation for a high-risk verdict
+   * Returns the client payload including the consent prompt, or null
+   */
+  async openEscalation({ userId, sessionId = null, verdict }) {
+    try {
+      if (!db.Escalation || !this.shouldEscalate(verdict)) return null;
+
+      const user = await db.User.findByPk(userId);
+      if (!user) return null;
+
+      const contacts = this.getEmergencyContacts(user);
+      const config = notifierRegistry.getConfig();
+
+      // Socket conversations may use ids that are not stored sessions
+      const session = sessionId
+        ? await db.ChatSession.findOne({ where: { id: sessionId, userId } })
+        : null;
+
+      // Repeated flags in a short window belong to the same escalation
+      let escalation = await db.Escalation.findOne({
+        where: {
+          userId,
+          status: { [Op.ne]: 'resolved' },
+          lastDetectedAt: { [Op.gte]: new Date(Date.now() - config.dedupeWindowMs) }
+        },
+        order: [['createdAt', 'DESC']]
+      });
+
+      if (escalation) {
+        const updates = {
+          detectionCount: escalation.detectionCount + 1,
+          lastDetectedAt: new Date()
+        };
+        if (LEVEL_ORDER.indexOf(verdict.level) > LEVEL_ORDER.indexOf(escalation.level)) {
+          updates.level = verdict.level;
+          updates.verdict = this.summarizeVerdict(verdict);
+        }
+        await escalation.update(updates);
+      } else {
+        escalation = await db.Escalation.create({
+          userId,
+          sessionId: session ? session.id : null,
+          level: verdict.level,
+          consentStatus: contacts.length > 0 ? 'pending' : 'not_applicable',
+          verdict: this.summarizeVerdict(verdict)
+        });
+
+        logger.warn(`🚨 Escalation ${escalation.id} opened for user ${userId.substring(0, 8)}... - Level: ${verdict.level}`);
+      }
+
+      this.emitChange(escalation.detectionCount === 1 ? 'opened' : 'redetected', escalation);
+
+      if (session && session.status === 'active') {
+        await session.update({ status: 'crisis_escalated' });
+      }
+
+      return this.toClientPayload(escalation, contacts);
+    } catch (error) {
+      logger.error(`Error opening escalation: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * What the escalation stores about the verdict that triggered it
+   */
+  summarizeVerdict(verdict) {
+    return {
+      level: verdict.level,
+      source: verdict.source || 'chat',
+      instrument: verdict.instrument,
+      score: verdict.score,
+      triggers: verdict.triggers,
+      sensitivity: verdict.sensitivity,
+      thresholds: verdict.thresholds,
+      engineVersion: verdict.engineVersion,
+      timestamp: verdict.timestamp
+    };
+  }
+
+  /**
+   * Escalation summary plus the in-chat consent prompt
+   * Contact phone numbers and emails are not sent back to the client
+   */
+  toClientPayload(escalation, contacts) {
+    const consentRequired = escalation.consentStatus === 'pending';
+
+    return {
+      ...escalation.getSummary(),
+      consentRequired,
+      contacts: consentRequired
+        ? contacts.map(({ id, name, relationship }) => ({ id, name, relationship: relationship || null }))
+        : [],
+      prompt: consentRequired
+        ? 'Would you like us to let someone you trust know that you could use some support right now?'
+        : null
+    };
+  }
+
+  /**
+   * Find an escalation, optionally restricted to its owner
+   */
+  async findEscalation(escalationId, { userId } = {}) {
+    const where = { id: escalationId };
+    if (userId) where.userId = userId;
+
+    const escalation = await db.Escalation.findOne({ where });
+    if (!escalation) {
+      throw escalationError('Escalation not found', 404, 'ESCALATION_NOT_FOUND');
+    }
+
+    return escalation;
+  }
+
+  async listEscalations(userId, { status } = {}) {
+    const where = { userId };
+    if (status) where.status = status;
+
+    const escalations = await db.Escalation.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: 50
+    });
+
+    return escalations.map(escalation => escalation.getSummary());
+  }
+
+  /**
+   * Record the user's answer to the consent prompt and notify on "yes"
+   */
+  async recordConsent(escalationId, userId, { granted, contactId }) {
+    const escalation = await this.findEscalation(escalationId, { userId });
+
+    if (escalation.consentStatus !== 'pending') {
+      throw escalationError('Consent has already been recorded for this escalation', 409, 'CONSENT_ALREADY_RECORDED');
+    }
+
+    if (!granted) {
+      await escalation.update({
+        consentStatus: 'declined',
+        consentRespondedAt: new Date()
+      });
+      logger.info(`🙅 Consent declined for escalation ${escalation.id}`);
+      this.emitChange('consent_declined', escalation);
+      return escalation.getSummary();
+    }
+
+    const user = await db.User.findByPk(userId);
+    const contact = this.getEmergencyContacts(user).find(c => c.id === contactId);
+    if (!contact) {
+      throw escalationError('Emergency contact not found', 400, 'CONTACT_NOT_FOUND');
+    }
+
+    await escalation.update({
+      consentStatus: 'granted',
+      consentRespondedAt: new Date(),
+      contactId: contact.id
+    });
+    logger.info(`✅ Consent granted for escalation ${escalation.id}`);
+
+    await this.notifyContact(escalation, user, contact);
+    this.emitChange('consent_granted', escalation);
+    return escalation.getSummary();
+  }
+
+  /**
+   * Deliver the contact alert through every notifier that can reach the contact
+   */
+  async notifyContact(escalation, user, contact) {
+    const notifiers = notifierRegistry.getNotifiersFor(contact);
+    if (notifiers.length === 0) {
+      logger.error(`❌ No escalation notifier can reach contact ${contact.id} for escalation ${escalation.id}`);
+    }
+
+    const { results, status } = await this.deliver(escalation, notifiers, this.buildNotification(escalation, user, contact));
+
+    await escalation.update({
+      notifications: [...(escalation.notifications || []), ...results],
+      notificationStatus: status
+    });
+
+    logger.warn(`📣 Escalation ${escalation.id} contact notification: ${status}`);
+    return results;
+  }
+
+  /**
+   * Send one notification through a set of notifiers and summarize the outcome
+   */
+  async deliver(escalation, notifiers, notification) {
+    const results = [];
+
+    for (const notifier of notifiers) {
+      try {
+        const { reference } = await notifier.send(notification);
+        results.push({ notifier: notifier.name, event: notification.event, status: 'sent', reference: reference || null, sentAt: new Date().toISOString() });
+      } catch (error) {
+        logger.error(`❌ Escalation notifier ${notifier.name} failed: ${error.message}`);
+        results.push({ notifier: notifier.name, event: notification.event, status: 'failed', error: error.message, sentAt: new Date().toISOString() });
+      }
+    }
+
+    const sent = results.filter(result => result.status === 'sent').length;
+    let status = 'failed';
+    if (sent > 0) {
+      status = sent === results.length ? 'sent' : 'partial';
+    }
+
+    return { results, status };
+  }
+
+  buildNotification(escalation, user, contact) {
+    const name = user.firstName || 'Someone close to you';
+
+    return {
+      event: 'contact_notification',
+      escalationId: escalation.id,
+      level: escalation.level,
+      contact,
+      subject: `${name} could use your support`,
+      text: `${name} listed you as an emergency contact and asked us to let you know they are going through a hard time right now. ` +
+        'Please reach out to them. If you believe they are in immediate danger, call 911. ' +
+        'For guidance on how to help, call or text 988 (Suicide & Crisis Lifeline).'
+    };
+  }
+
+  /**
+   * Move an escalation to acknowledged
+   * @param {object} actor - { type: 'user' | 'counselor' | 'contact', id }
+   */
+  async acknowledge(escalationId, actor, scope = {}) {
+    const escalation = await this.findEscalation(escalationId, scope);
+
+    if (!escalation.canTransitionTo('acknowledged')) {
+      throw escalationError(`Escalation is already ${escalation.status}`, 409, 'INVALID_TRANSITION');
+    }
+
+    await escalation.update({
+      status: 'acknowledged',
+      acknowledgedAt: new Date(),
+      acknowledgedBy: actor
+    });
+
+    logger.info(`👀 Escalation ${escalation.id} acknowledged by ${actor.type}`);
+    this.emitChange('acknowledged', escalation);
+    return escalation.getSummary();
+  }
+
+  /**
+   * The user reports they are safe. The escalation stays open for staff,
+   * who see the report in the queue and resolve it after follow-up.
+   */
+  async reportSafe(escalationId, userId, note = null) {
+    const escalation = await this.findEscalation(escalationId, { userId });
+
+    if (!escalation.isOpen()) {
+      throw escalationError('Escalation is already resolved', 409, 'INVALID_TRANSITION');
+    }
+
+    await escalation.update({
+      userReportedSafeAt: new Date(),
+      userSafetyNote: note
+    });
+
+    logger.info(`🙂 User reported safe for escalation ${escalation.id}`);
+    this.emitChange('reported_safe', escalation);
+    return escalation.getSummary();
+  }
+
+  /**
+   * Move an escalation to resolved (staff only; see reportSafe for users)
+   */
+  async resolve(escalationId, actor, note = null, scope = {}) {
+    const escalation = await this.findEscalation(escalationId, scope);
+
+    if (!escalation.canTransitionTo('resolved')) {
+      throw escalationError('Escalation is already resolved', 409, 'INVALID_TRANSITION');
+    }
+
+    await escalation.update({
+      status: 'resolved',
+      acknowledgedAt: escalation.acknowledgedAt || new Date(),
+      acknowledgedBy: escalation.acknowledgedBy || actor,
+      resolvedAt: new Date(),
+      resolvedBy: actor,
+      resolutionNote: note
+    });
+
+    logger.info(`✅ Escalation ${escalation.id} resolved by ${actor.type}`);
+    this.emitChange('resolved', escalation);
+    return escalation.getSummary();
+  }
+
+  /**
+   * Raise an escalation to critical, put it back at the top of the queue
+   * and alert on-call staff. Emergency contacts still require user consent.
+   */
+  async escalate(escalationId, actor, note = null) {
+    const escalation = await this.findEscalation(escalationId);
+
+    if (escalation.status === 'resolved') {
+      throw escalationError('Escalation is already resolved', 409, 'INVALID_TRANSITION');
+    }
+
+    await escalation.update({
+      level: 'critical',
+      status: 'open',
+      acknowledgedAt: null,
+      acknowledgedBy: null
+    });
+
+    const { results } = await this.deliver(escalation, notifierRegistry.getStaffNotifiers(), {
+      event: 'staff_escalation',
+      escalationId: escalation.id,
+      level: escalation.level,
+      subject: 'Crisis escalation raised to critical',
+      text: `Escalation ${escalation.id} was escalated by a ${actor.type}${note ? `: ${note}` : ''}. Please follow up.`
+    });
+
+    await escalation.update({
+      notifications: [...(escalation.notifications || []), ...results]
+    });
+
+    logger.warn(`⏫ Escalation ${escalation.id} escalated by ${actor.type} ${actor.id}`);
+    this.emitChange('escalated', escalation);
+    return escalation.getSummary();
+  }
+
+  /**
+   * Unresolved escalations for the counselor queue, most severe and oldest first
+   */
+  async getQueue({ status, limit = 100 } = {}) {
+    const escalations = await db.Escalation.findAll({
+      where: { status: status || { [Op.ne]: 'resolved' } },
+      order: [['createdAt', 'ASC']],
+      limit
+    });
+
+    return escalations
+      .sort((a, b) => LEVEL_ORDER.indexOf(b.level) - LEVEL_ORDER.indexOf(a.level))
+      .map(escalation => ({
+        ...escalation.getSummary(),
+        userId: escalation.userId,
+        source: escalation.verdict?.source || 'chat',
+        triggers: escalation.verdict?.triggers || [],
+        score: escalation.verdict?.score ?? null,
+        acknowledgedBy: escalation.acknowledgedBy,
+        userSafetyNote: escalation.userSafetyNote
+      }));
+  }
+}
+
+module.exports = new EscalationService();
+module.exports.EscalationService = EscalationService;
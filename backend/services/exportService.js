@@ -0,0 +1,285 @@
+/**
+ * Export Service
+ * Bundles a user's data into an archive and renders it in the requested
+ * format (services/exporters). Small exports are rendered on request;
+ * larger ones run as background jobs, one at a time, and their files are
+ * kept (encrypted) until the job expires.
+ *
+ * Archive layout, schemaVersion 1:
+ *   { archive, schemaVersion, exportedAt, user, sessions, messages,
+ *     assessments, moodLogs, crisisEvents, memoryFacts }
+ * Records keep their ids so sessions and messages can be matched up.
+ *
+ * Emits 'completed' with { userId, job } when a job finishes or fails.
+ */
+
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const winston = require('winston');
+
+const { db } = require('../models');
+const exporters = require('./exporters');
+const { getExportConfig } = require('../config/exports');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const ARCHIVE_NAME = 'mental-wellness-export';
+const SCHEMA_VERSION = 1;
+
+const exportError = (message, statusCode, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+class ExportService extends EventEmitter {
+  constructor() {
+    super();
+    // Jobs run one after another so a burst of exports cannot starve chat
+    this.queue = Promise.resolve();
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Sessions, messages, assessments and crisis events an export would hold
+   */
+  async countRecords(userId) {
+    const [user, sessions, messages, assessments] = await Promise.all([
+      db.User.findByPk(userId, { attributes: ['id', 'mentalHealthProfile'] }),
+      db.ChatSession.count({ where: { userId, isAnonymized: false } }),
+      db.Message.count({ where: { userId, isAnonymized: false } }),
+      db.Assessment.count({ where: { userId } })
+    ]);
+    if (!user) throw exportError('User not found', 404, 'USER_NOT_FOUND');
+
+    const crisisEvents = user.mentalHealthProfile?.crisisEvents?.length || 0;
+    return sessions + messages + assessments + crisisEvents;
+  }
+
+  /**
+   * Everything stored for a user, oldest first
+   * Deleted and anonymized records are left out.
+   */
+  async buildArchive(userId) {
+    const user = await db.User.findByPk(userId);
+    if (!user) throw exportError('User not found', 404, 'USER_NOT_FOUND');
+
+    const where = { userId };
+    const [sessions, messages, assessments, memoryFacts] = await Promise.all([
+      db.ChatSession.findAll({ where: { ...where, isAnonymized: false }, order: [['startedAt', 'ASC']] }),
+      db.Message.findAll({ where: { ...where, isAnonymized: false }, order: [['createdAt', 'ASC']] }),
+      db.Assessment.findAll({ where, order: [['createdAt', 'ASC']] }),
+      db.MemoryFact.findAll({ where, order: [['createdAt', 'ASC']] })
+    ]);
+
+    const { crisisEvents = [], ...mentalHealthProfile } = user.mentalHealthProfile || {};
+
+    return {
+      archive: ARCHIVE_NAME,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      user: {
+        id: user.id,
+        email: user.email,
+        anonymous: user.anonymous,
+        createdAt: user.createdAt,
+        preferences: user.preferences,
+        mentalHealthProfile
+      },
+      sessions: sessions.map(session => ({
+        ...session.getCompletionSummary(),
+        sessionType: session.sessionType,
+        lastActivity: session.lastActivity
+      })),
+      messages: messages.map(message => ({
+        id: message.id,
+        sessionId: message.sessionId,
+        clientMessageId: message.clientMessageId,
+        sender: message.sender,
+        messageType: message.messageType,
+        content: message.content,
+        sentiment: message.sentiment,
+        sentimentScore: message.sentimentScore,
+        crisisDetected: message.crisisDetected,
+        crisisSeverity: message.crisisSeverity,
+        createdAt: message.createdAt
+      })),
+      assessments: assessments
+        .filter(assessment => assessment.type !== 'mood')
+        .map(assessment => assessment.getSummary()),
+      moodLogs: assessments
+        .filter(assessment => assessment.type === 'mood')
+        .map(assessment => ({
+          id: assessment.id,
+          timestamp: assessment.createdAt,
+          mood: assessment.responses?.mood ?? assessment.score,
+          energy: assessment.responses?.energy ?? null,
+          anxiety: assessment.responses?.anxiety ?? null,
+          notes: assessment.notes
+        })),
+      crisisEvents,
+      memoryFacts: memoryFacts.map(fact => fact.getSummary())
+    };
+  }
+
+  /**
+   * Render an archive; `options.entity` picks a single CSV file
+   */
+  render(format, archive, options = {}) {
+    return exporters.get(format).render(archive, options).map(file => ({
+      ...file,
+      size: Buffer.byteLength(file.content)
+    }));
+  }
+
+  /**
+   * Export straight away, or null when the export is too large to render
+   * during the request and should run as a job instead
+   */
+  async exportNow(userId, format, options = {}) {
+    const { inlineMaxRecords } = getExportConfig();
+    if (await this.countRecords(userId) > inlineMaxRecords) return null;
+
+    return this.render(format, await this.buildArchive(userId), options);
+  }
+
+  /**
+   * Queue a background export
+   * A job already waiting for the same format is returned instead of a new one.
+   */
+  async createJob(userId, format) {
+    const pending = await db.ExportJob.findOne({
+      where: { userId, format, status: { [Op.in]: ['queued', 'running'] } }
+    });
+    if (pending) return pending;
+
+    const job = await db.ExportJob.create({ userId, format });
+    this.enqueue(job.id);
+    logger.info(`📦 Export job ${job.id} queued (${format})`);
+    return job;
+  }
+
+  enqueue(jobId) {
+    this.queue = this.queue
+      .then(() => this.runJob(jobId))
+      .catch(error => logger.error(`❌ Export job ${jobId} could not be run:`, error));
+    return this.queue;
+  }
+
+  async runJob(jobId) {
+    const job = await db.ExportJob.findByPk(jobId);
+    if (!job || !['queued', 'running'].includes(job.status)) return null;
+
+    await job.update({ status: 'running' });
+
+    try {
+      const archive = await this.buildArchive(job.userId);
+      const files = this.render(job.format, archive);
+      const recordCount = ['sessions', 'messages', 'assessments', 'moodLogs', 'crisisEvents']
+        .reduce((total, section) => total + archive[section].length, 0);
+      const completedAt = new Date();
+
+      await job.update({
+        status: 'completed',
+        files,
+        recordCount,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + getExportConfig().retentionMs)
+      });
+      logger.info(`✅ Export job ${job.id} completed (${recordCount} records)`);
+    } catch (error) {
+      logger.error(`❌ Export job ${job.id} failed:`, error);
+      await job.update({ status: 'failed', error: 'The export could not be created', completedAt: new Date() });
+    }
+
+    this.emit('completed', { userId: job.userId, job });
+    return job;
+  }
+
+  /**
+   * One of the user's own jobs
+   */
+  async getJob(userId, jobId) {
+    const job = await db.ExportJob.findOne({ where: { id: jobId, userId } });
+    if (!job) throw exportError('Export not found', 404, 'EXPORT_NOT_FOUND');
+    return job;
+  }
+
+  /**
+   * A finished job's file, by name
+   */
+  async getFile(userId, jobId, name) {
+    const job = await this.getJob(userId, jobId);
+
+    if (job.status === 'expired' || (job.status === 'completed' && !job.isDownloadable())) {
+      throw exportError('This export has expired; please request a new one', 410, 'EXPORT_EXPIRED');
+    }
+    if (job.status !== 'completed') {
+      throw exportError('This export is not ready yet', 409, 'EXPORT_NOT_READY');
+    }
+
+    const file = job.files.find(candidate => candidate.name === name);
+    if (!file) throw exportError('Export file not found', 404, 'EXPORT_FILE_NOT_FOUND');
+    return file;
+  }
+
+  /**
+   * Drop the files of expired jobs; returns how many expired
+   */
+  async expireJobs() {
+    const [expired] = await db.ExportJob.update(
+      { status: 'expired', files: null },
+      { where: { status: 'completed', expiresAt: { [Op.lt]: new Date() } } }
+    );
+    if (expired > 0) logger.info(`🧹 Expired ${expired} data exports`);
+    return expired;
+  }
+
+  /**
+   * Re-queue jobs a restart interrupted
+   */
+  async resumePendingJobs() {
+    const pending = await db.ExportJob.findAll({
+      where: { status: { [Op.in]: ['queued', 'running'] } },
+      attributes: ['id'],
+      order: [['createdAt', 'ASC']]
+    });
+    pending.forEach(job => this.enqueue(job.id));
+    return pending.length;
+  }
+
+  /**
+   * Run the expiry sweep now and on an interval
+   */
+  startExpirySweep() {
+    const { sweepIntervalMs } = getExportConfig();
+    const run = () => this.expireJobs()
+      .catch(error => logger.error('❌ Export expiry sweep failed:', error));
+
+    run();
+    this.sweepTimer = setInterval(run, sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopExpirySweep() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+module.exports = new ExportService();
+module.exports.ExportService = ExportService;
+module.exports.ARCHIVE_NAME = ARCHIVE_NAME;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
@@ -0,0 +1,102 @@
+/**
+ * CSV Exporter
+ * One spreadsheet-friendly file per entity (RFC 4180 quoting)
+ */
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const cell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) value = value.join('; ');
+  else if (typeof value === 'object') value = JSON.stringify(value);
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Column headers mapped to how each value is read from a record
+const ENTITIES = {
+  sessions: {
+    id: s => s.id,
+    status: s => s.status,
+    startedAt: s => s.startedAt,
+    endedAt: s => s.endedAt,
+    endReason: s => s.endReason,
+    durationSeconds: s => s.duration,
+    messageCount: s => s.messageCount,
+    moodAtEnd: s => s.moodAtEnd,
+    overview: s => s.summary?.overview,
+    keyTopics: s => s.summary?.keyTopics,
+    copingStrategies: s => s.summary?.copingStrategies
+  },
+  messages: {
+    id: m => m.id,
+    sessionId: m => m.sessionId,
+    createdAt: m => m.createdAt,
+    sender: m => m.sender,
+    content: m => m.content,
+    sentiment: m => m.sentiment,
+    sentimentScore: m => m.sentimentScore,
+    crisisDetected: m => m.crisisDetected,
+    crisisSeverity: m => m.crisisSeverity
+  },
+  assessments: {
+    id: a => a.id,
+    type: a => a.type,
+    instrumentVersion: a => a.instrumentVersion,
+    timestamp: a => a.timestamp,
+    score: a => a.score,
+    severity: a => a.severity,
+    responses: a => a.responses,
+    notes: a => a.notes
+  },
+  mood_logs: {
+    id: m => m.id,
+    timestamp: m => m.timestamp,
+    mood: m => m.mood,
+    energy: m => m.energy,
+    anxiety: m => m.anxiety,
+    notes: m => m.notes
+  },
+  crisis_events: {
+    timestamp: e => e.timestamp,
+    severity: e => e.severity,
+    source: e => e.source,
+    triggers: e => e.triggers,
+    notes: e => e.notes
+  }
+};
+
+// Archive section each file is built from
+const SECTIONS = {
+  sessions: 'sessions',
+  messages: 'messages',
+  assessments: 'assessments',
+  mood_logs: 'moodLogs',
+  crisis_events: 'crisisEvents'
+};
+
+const toCsv = (columns, records) => {
+  const lines = [Object.keys(columns).map(cell).join(',')];
+  for (const record of records) {
+    lines.push(Object.values(columns).map(read => cell(read(record))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  format: 'csv',
+  description: 'Spreadsheet files for sessions, messages, assessments, mood logs and crisis events',
+  entities: Object.keys(ENTITIES),
+  render: (archive, { entity = null } = {}) => Object.keys(ENTITIES)
+    .filter(name => !entity || name === entity)
+    .map(name => ({
+      name: `${name}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      content: toCsv(ENTITIES[name], archive[SECTIONS[name]] || [])
+    })),
+  cell
+};
@@ -0,0 +1,115 @@
+/**
+ * FHIR Exporter
+ * PHQ-9 and GAD-7 results as a FHIR R4 collection Bundle: a
+ * QuestionnaireResponse with the item answers and an Observation with the
+ * total score for each screening, coded with LOINC so an EHR can file them.
+ */
+
+const crypto = require('crypto');
+
+const instrumentRegistry = require('../../assessments');
+
+const LOINC = 'http://loinc.org';
+
+// LOINC panel (the questionnaire) and total score codes per instrument
+const INSTRUMENT_CODES = {
+  phq9: {
+    questionnaire: `${LOINC}/q/44249-1`,
+    code: '44261-6',
+    display: 'Patient Health Questionnaire 9 item (PHQ-9) total score [Reported]'
+  },
+  gad7: {
+    questionnaire: `${LOINC}/q/69737-5`,
+    code: '70274-6',
+    display: 'Generalized anxiety disorder 7 item (GAD-7) total score [Reported.PHQ]'
+  }
+};
+
+const SURVEY_CATEGORY = {
+  coding: [{
+    system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+    code: 'survey',
+    display: 'Survey'
+  }]
+};
+
+const toIsoString = (value) => new Date(value).toISOString();
+
+const questionnaireResponse = (assessment, patient) => {
+  const instrument = instrumentRegistry.get(assessment.type);
+  const responses = Array.isArray(assessment.responses) ? assessment.responses : [];
+
+  return {
+    resourceType: 'QuestionnaireResponse',
+    id: assessment.id,
+    questionnaire: INSTRUMENT_CODES[assessment.type].questionnaire,
+    status: 'completed',
+    subject: { reference: patient },
+    authored: toIsoString(assessment.timestamp),
+    item: instrument.items.map((item, index) => {
+      const value = responses[index];
+      const option = instrument.scales[item.scale].find(choice => choice.value === value);
+      return {
+        linkId: item.id,
+        text: item.text,
+        ...(value !== null && value !== undefined && {
+          answer: [{ valueCoding: { code: String(value), display: option?.label } }]
+        })
+      };
+    })
+  };
+};
+
+const scoreObservation = (assessment, patient, responseUrl) => {
+  const { code, display } = INSTRUMENT_CODES[assessment.type];
+
+  return {
+    resourceType: 'Observation',
+    id: crypto.randomUUID(),
+    status: 'final',
+    category: [SURVEY_CATEGORY],
+    code: {
+      coding: [{ system: LOINC, code, display }],
+      text: `${instrumentRegistry.get(assessment.type).shortName} total score`
+    },
+    subject: { reference: patient },
+    effectiveDateTime: toIsoString(assessment.timestamp),
+    valueInteger: Math.round(assessment.score),
+    ...(assessment.severity && {
+      interpretation: [{ text: assessment.severity.replace(/_/g, ' ') }]
+    }),
+    derivedFrom: [{ reference: responseUrl }]
+  };
+};
+
+const entry = (resource) => ({ fullUrl: `urn:uuid:${resource.id}`, resource });
+
+const renderBundle = (archive) => {
+  const patient = `urn:uuid:${archive.user.id}`;
+  const entries = [entry({ resourceType: 'Patient', id: archive.user.id })];
+
+  for (const assessment of archive.assessments) {
+    if (!INSTRUMENT_CODES[assessment.type] || assessment.score === null) continue;
+    const response = entry(questionnaireResponse(assessment, patient));
+    entries.push(response, entry(scoreObservation(assessment, patient, response.fullUrl)));
+  }
+
+  return {
+    resourceType: 'Bundle',
+    id: crypto.randomUUID(),
+    type: 'collection',
+    timestamp: toIsoString(archive.exportedAt),
+    entry: entries
+  };
+};
+
+module.exports = {
+  format: 'fhir',
+  description: 'PHQ-9 and GAD-7 results as FHIR R4 resources',
+  render: (archive) => [{
+    name: 'fhir-bundle.json',
+    contentType: 'application/fhir+json',
+    content: JSON.stringify(renderBundle(archive), null, 2)
+  }],
+  INSTRUMENT_CODES
+};
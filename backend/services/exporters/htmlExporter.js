@@ -0,0 +1,126 @@
+/**
+ * HTML Exporter
+ * A printable report to share with a therapist: screening scores, mood
+ * check-ins, session summaries and crisis events. Conversation transcripts
+ * are left out; the session summaries stand in for them. Print to PDF from
+ * the browser.
+ */
+
+const instrumentRegistry = require('../../assessments');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+const formatLabel = (value) => (value ? String(value).replace(/_/g, ' ') : '');
+
+const STYLES = `
+  body { font-family: Georgia, serif; color: #222; max-width: 800px; margin: 2em auto; padding: 0 1em; }
+  h1 { font-size: 1.6em; margin-bottom: 0; }
+  h2 { font-size: 1.2em; border-bottom: 1px solid #999; margin-top: 2em; }
+  .meta { color: #555; margin-top: 0.3em; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #ddd; vertical-align: top; }
+  .session { margin-bottom: 1em; page-break-inside: avoid; }
+  .empty { color: #777; font-style: italic; }
+  @media print { body { margin: 0; } h2 { page-break-after: avoid; } }
+`;
+
+const table = (headers, rows) => {
+  if (rows.length === 0) return '<p class="empty">None recorded.</p>';
+  const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+};
+
+const screeningSection = (assessments) => table(
+  ['Date', 'Screening', 'Score', 'Severity'],
+  assessments.map(assessment => [
+    formatDate(assessment.timestamp),
+    instrumentRegistry.get(assessment.type)?.shortName || assessment.type,
+    assessment.score,
+    formatLabel(assessment.severity)
+  ])
+);
+
+const moodSection = (moodLogs) => table(
+  ['Date', 'Mood (1-10)', 'Energy', 'Anxiety', 'Notes'],
+  moodLogs.map(log => [formatDate(log.timestamp), log.mood, log.energy, log.anxiety, log.notes])
+);
+
+const sessionSection = (sessions) => {
+  const summarized = sessions.filter(session => session.summary);
+  if (summarized.length === 0) return '<p class="empty">No completed sessions.</p>';
+
+  return summarized.map(session => {
+    const { overview, keyTopics = [], copingStrategies = [] } = session.summary;
+    const details = [
+      keyTopics.length > 0 && `<div><strong>Topics:</strong> ${escapeHtml(keyTopics.join(', '))}</div>`,
+      copingStrategies.length > 0 && `<div><strong>Coping strategies:</strong> ${escapeHtml(copingStrategies.join(', '))}</div>`,
+      session.moodAtEnd !== null && session.moodAtEnd !== undefined &&
+        `<div><strong>Mood at end:</strong> ${escapeHtml(session.moodAtEnd)}/10</div>`
+    ].filter(Boolean).join('\n');
+
+    return `<div class="session">
+<h3>${escapeHtml(formatDate(session.startedAt))} · ${Math.round((session.duration || 0) / 60)} min</h3>
+<p>${escapeHtml(overview)}</p>
+${details}
+</div>`;
+  }).join('\n');
+};
+
+const crisisSection = (crisisEvents) => table(
+  ['Date', 'Severity', 'Source'],
+  crisisEvents.map(event => [formatDate(event.timestamp), formatLabel(event.severity), formatLabel(event.source)])
+);
+
+const renderReport = (archive) => {
+  const dates = [...archive.sessions.map(session => session.startedAt), ...archive.assessments.map(a => a.timestamp)]
+    .filter(Boolean)
+    .sort();
+  const period = dates.length > 0 ? `${formatDate(dates[0])} to ${formatDate(dates[dates.length - 1])}` : 'No activity yet';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Wellness report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>Wellness report</h1>
+<p class="meta">Generated ${escapeHtml(formatDate(archive.exportedAt))} · Period: ${escapeHtml(period)} ·
+${archive.sessions.length} sessions, ${archive.assessments.length} screenings, ${archive.moodLogs.length} mood check-ins</p>
+
+<h2>Screening results</h2>
+${screeningSection(archive.assessments)}
+
+<h2>Mood check-ins</h2>
+${moodSection(archive.moodLogs)}
+
+<h2>Session summaries</h2>
+${sessionSection(archive.sessions)}
+
+<h2>Crisis events</h2>
+${crisisSection(archive.crisisEvents)}
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  format: 'html',
+  description: 'Printable report to share with a therapist',
+  render: (archive) => [{
+    name: 'report.html',
+    contentType: 'text/html; charset=utf-8',
+    content: renderReport(archive)
+  }],
+  escapeHtml
+};
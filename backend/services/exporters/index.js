@@ -0,0 +1,22 @@
+/**
+ * Data Exporters
+ * Each format renders the export archive (see services/exportService.js)
+ * into one or more files: { name, contentType, content }.
+ */
+
+const EXPORTERS = [
+  require('./jsonExporter'),
+  require('./csvExporter'),
+  require('./htmlExporter'),
+  require('./fhirExporter')
+];
+
+const byFormat = new Map(EXPORTERS.map(exporter => [exporter.format, exporter]));
+
+module.exports = {
+  EXPORT_FORMATS: EXPORTERS.map(exporter => exporter.format),
+  CSV_ENTITIES: byFormat.get('csv').entities,
+  has: (format) => byFormat.has(format),
+  get: (format) => byFormat.get(format),
+  list: () => EXPORTERS.map(({ format, description }) => ({ format, description }))
+};
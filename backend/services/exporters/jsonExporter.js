@@ -0,0 +1,16 @@
+/**
+ * JSON Exporter
+ * The whole archive as one machine-readable file, versioned by
+ * schemaVersion so it can be read back by later releases
+ * (POST /api/users/import restores it).
+ */
+
+module.exports = {
+  format: 'json',
+  description: 'Machine-readable archive of all your data',
+  render: (archive) => [{
+    name: 'archive.json',
+    contentType: 'application/json',
+    content: JSON.stringify(archive, null, 2)
+  }]
+};
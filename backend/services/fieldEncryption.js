@@ -0,0 +1,261 @@
+/**
+ * Field Encryption Service
+ * Transparent AES-256-GCM encryption of sensitive model fields at rest
+ *
+ * Envelope scheme: every value gets a fresh data key that encrypts the
+ * content, and the data key is wrapped with a versioned key-encryption key.
+ * Rotating keys only re-wraps data keys; content is never re-encrypted.
+ *
+ * Stored format: enc:<keyVersion>:<wrappedDataKey>:<iv>:<authTag>:<ciphertext>
+ * The field name is bound as additional authenticated data, so a value
+ * copied into another column fails to decrypt.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+
+const { getEncryptionConfig } = require('../config/encryption');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const DATA_KEY_LENGTH = 32;
+const BLIND_INDEX_LENGTH = 20;
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+const open = (key, { iv, tag, ciphertext }, aad) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const encode = (buffer) => buffer.toString('base64url');
+const decode = (text) => Buffer.from(text, 'base64url');
+
+class FieldEncryption {
+  constructor() {
+    this.config = null;
+    this.warnedDisabled = false;
+    this.indexKey = null;
+  }
+
+  getConfig() {
+    if (!this.config) {
+      this.config = getEncryptionConfig();
+    }
+    return this.config;
+  }
+
+  /**
+   * Replace the key configuration (tests and key rotation tooling)
+   */
+  configure(config = null) {
+    this.config = config;
+    this.indexKey = null;
+  }
+
+  isEnabled() {
+    return this.getConfig().enabled;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`) && value.split(':').length === 6;
+  }
+
+  getKeyVersion(value) {
+    return this.isEncrypted(value) ? value.split(':')[1] : null;
+  }
+
+  /**
+   * True when a stored value is plaintext or wrapped with an old key version
+   */
+  needsUpdate(value) {
+    if (value === null || value === undefined || !this.isEnabled()) return false;
+    return this.getKeyVersion(value) !== this.getConfig().activeVersion;
+  }
+
+  getKey(version) {
+    const key = this.getConfig().keys.get(version);
+    if (!key) {
+      throw new Error(`Field encryption key version ${version} is not configured`);
+    }
+    return key;
+  }
+
+  wrapDataKey(dataKey, version) {
+    const wrapped = seal(this.getKey(version), dataKey, `${PREFIX}:${version}`);
+    return encode(Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext]));
+  }
+
+  unwrapDataKey(wrappedDataKey, version) {
+    const raw = decode(wrappedDataKey);
+    return open(this.getKey(version), {
+      iv: raw.subarray(0, IV_LENGTH),
+      tag: raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH),
+      ciphertext: raw.subarray(IV_LENGTH + TAG_LENGTH)
+    }, `${PREFIX}:${version}`);
+  }
+
+  /**
+   * Whether values can be encrypted. Without keys sensitive fields are
+   * stored as plaintext, except in production where that is an error.
+   */
+  canEncrypt() {
+    const { enabled, required } = this.getConfig();
+    if (enabled) return true;
+
+    if (required) {
+      throw new Error('Field encryption keys are not configured');
+    }
+    if (!this.warnedDisabled) {
+      logger.warn('⚠️ Field encryption keys not set - sensitive fields are stored in plaintext');
+      this.warnedDisabled = true;
+    }
+    return false;
+  }
+
+  /**
+   * Encrypt a string for the given field
+   */
+  encrypt(plaintext, field) {
+    const { activeVersion } = this.getConfig();
+    const dataKey = crypto.randomBytes(DATA_KEY_LENGTH);
+    const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(plaintext, 'utf8'), field);
+
+    return [
+      PREFIX,
+      activeVersion,
+      this.wrapDataKey(dataKey, activeVersion),
+      encode(iv),
+      encode(tag),
+      encode(ciphertext)
+    ].join(':');
+  }
+
+  /**
+   * Decrypt a stored value. Plaintext written before encryption was
+   * enabled is returned as-is until the migration command rewrites it.
+   */
+  decrypt(stored, field) {
+    if (!this.isEncrypted(stored)) return stored;
+
+    const [, version, wrappedDataKey, iv, tag, ciphertext] = stored.split(':');
+    try {
+      const dataKey = this.unwrapDataKey(wrappedDataKey, version);
+      return open(dataKey, {
+        iv: decode(iv),
+        tag: decode(tag),
+        ciphertext: decode(ciphertext)
+      }, field).toString('utf8');
+    } catch (error) {
+      logger.error(`❌ Failed to decrypt ${field} (key version ${version}): ${error.message}`);
+      throw new Error(`Unable to decrypt ${field}`);
+    }
+  }
+
+  /**
+   * Keyed hash of a search term, so an index can match words without
+   * storing them. Terms are returned as-is when encryption is off.
+   */
+  blindIndex(term) {
+    const { searchKey, activeVersion } = this.getConfig();
+    if (!searchKey && !this.canEncrypt()) return term;
+
+    if (!this.indexKey) {
+      this.indexKey = searchKey || Buffer.from(
+        crypto.hkdfSync('sha256', this.getKey(activeVersion), Buffer.alloc(0), 'blind-index', DATA_KEY_LENGTH)
+      );
+    }
+
+    return crypto.createHmac('sha256', this.indexKey)
+      .update(term)
+      .digest('hex')
+      .slice(0, BLIND_INDEX_LENGTH);
+  }
+
+  /**
+   * Re-wrap the data key of a stored value with the active key version
+   */
+  rewrap(stored) {
+    const { activeVersion } = this.getConfig();
+    const [, version, wrappedDataKey, ...rest] = stored.split(':');
+    if (version === activeVersion) return stored;
+
+    const dataKey = this.unwrapDataKey(wrappedDataKey, version);
+    return [PREFIX, activeVersion, this.wrapDataKey(dataKey, activeVersion), ...rest].join(':');
+  }
+
+  encryptValue(value, { field, json }) {
+    if (value === null || value === undefined || !this.canEncrypt()) return value;
+    return this.encrypt(json ? JSON.stringify(value) : String(value), field);
+  }
+
+  decryptValue(stored, { field, json }) {
+    if (!this.isEncrypted(stored)) return stored;
+    const plaintext = this.decrypt(stored, field);
+    return json ? JSON.parse(plaintext) : plaintext;
+  }
+
+  /**
+   * Bring a raw stored value up to date: encrypt plaintext, re-wrap old keys
+   */
+  upgradeValue(stored, options) {
+    if (!this.needsUpdate(stored)) return stored;
+    return this.isEncrypted(stored) ? this.rewrap(stored) : this.encryptValue(stored, options);
+  }
+
+  /**
+   * Getter/setter pair for a model attribute
+   */
+  attribute(name, options) {
+    const service = this;
+    return {
+      get() {
+        return service.decryptValue(this.getDataValue(name), options);
+      },
+      set(value) {
+        this.setDataValue(name, service.encryptValue(value, options));
+      }
+    };
+  }
+
+  /**
+   * beforeSave hook body: encrypt values that bypassed the setter
+   * (Sequelize applies attribute defaults without calling setters)
+   */
+  sealInstance(instance, fields) {
+    for (const [name, options] of Object.entries(fields)) {
+      const stored = instance.getDataValue(name);
+      if (stored !== null && stored !== undefined && !this.isEncrypted(stored)) {
+        instance.setDataValue(name, this.encryptValue(stored, options));
+      }
+    }
+  }
+}
+
+module.exports = new FieldEncryption();
+module.exports.FieldEncryption = FieldEncryption;
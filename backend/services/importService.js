@@ -0,0 +1,598 @@
+/**
+ * Import Service
+ * Restores data into the signed-in account from:
+ * - the JSON archive written by the export (services/exportService.js)
+ * - the browser's local data export (exportUserData in the client's
+ *   storageService: chat history, mood logs and device preferences)
+ *
+ * Every record gets a new id; sessions are remapped so imported messages
+ * follow them. Records already in the account are skipped, matched on
+ * when they happened rather than by id, so importing the same file twice
+ * changes nothing. A record that matches an existing one but differs
+ * (e.g. another score for the same screening) is a conflict: the existing
+ * record is kept and the conflict reported. Everything is written in one
+ * transaction.
+ *
+ * Device and account preferences are not imported; they are settings
+ * rather than history.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+const { db } = require('../models');
+const { ARCHIVE_NAME, SCHEMA_VERSION } = require('./exportService');
+const { MAX_CRISIS_EVENTS } = require('./crisisEventService');
+const { MAX_FACTS_PER_USER } = require('../ai/memoryService');
+const { MAX_FACT_LENGTH } = require('../models/MemoryFactSequelize');
+const { ASSESSMENT_TYPES } = require('../models/AssessmentSequelize');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Archive schema versions this release can read
+const SUPPORTED_SCHEMA_VERSIONS = [SCHEMA_VERSION];
+
+const MAX_IMPORT_RECORDS = 20000;
+const MAX_MESSAGE_LENGTH = 10000;
+const MAX_REPORTED_ERRORS = 20;
+const MAX_REPORTED_CONFLICTS = 50;
+
+// Timestamps from a device clock may run slightly ahead of the server's
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Same scale as the client's moodService
+const LOCAL_MOOD_SCORES = { ecstatic: 10, happy: 8, neutral: 5, sad: 3, crying: 1 };
+
+// End reason of sessions made from a local chat history
+const LOCAL_END_REASON = 'imported';
+
+const CRISIS_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const SESSION_STATUSES = ['active', 'completed', 'abandoned', 'crisis_escalated'];
+const SESSION_TYPES = ['general_support', 'crisis_intervention', 'assessment', 'check_in'];
+const MESSAGE_TYPES = ['text', 'assessment', 'crisis_alert', 'resource', 'system_message'];
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+// Mental health profile fields the user entered themselves
+const PROFILE_FIELDS = ['conditions', 'medications', 'therapistInfo'];
+
+const ENTITIES = ['sessions', 'messages', 'assessments', 'moodLogs', 'crisisEvents', 'memoryFacts', 'profile'];
+
+const importError = (message, statusCode, code, details) =>
+  Object.assign(new Error(message), { statusCode, code, ...(details && { details }) });
+
+// Field checks; each returns true when the value is acceptable
+const isMissing = (value) => value === null || value === undefined;
+const optional = (check) => (value) => isMissing(value) || check(value);
+const isString = (value) => typeof value === 'string';
+const isText = (max) => (value) => isString(value) && value.trim().length > 0 && value.length <= max;
+const isOneOf = (values) => (value) => values.includes(value);
+const isIntBetween = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isBoolean = (value) => typeof value === 'boolean';
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isPastDate = (value) => (isString(value) || value instanceof Date) &&
+  !Number.isNaN(new Date(value).getTime()) &&
+  new Date(value).getTime() <= Date.now() + CLOCK_SKEW_MS;
+
+const toTime = (value) => new Date(value).getTime();
+const isEmpty = (value) => isMissing(value) || (Array.isArray(value) && value.length === 0) ||
+  (isObject(value) && Object.keys(value).length === 0);
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+class ImportService {
+  /**
+   * Import an archive or local export for a user
+   * Returns the report: imported, skipped and conflicted counts per entity,
+   * and the conflicts themselves.
+   */
+  async importData(userId, payload) {
+    const { source, data } = this.normalize(payload);
+
+    const user = await db.User.findByPk(userId);
+    if (!user) throw importError('User not found', 404, 'USER_NOT_FOUND');
+
+    const report = {
+      source,
+      schemaVersion: source === 'archive' ? payload.schemaVersion : null,
+      imported: Object.fromEntries(ENTITIES.map(entity => [entity, 0])),
+      skipped: Object.fromEntries(ENTITIES.map(entity => [entity, 0])),
+      conflicted: Object.fromEntries(ENTITIES.map(entity => [entity, 0])),
+      conflicts: []
+    };
+
+    await db.sequelize.transaction(async (transaction) => {
+      const context = { userId, user, report, transaction };
+      if (source === 'local') await this.anchorLocalChat(context, data);
+      const sessionIds = await this.importSessions(context, data.sessions);
+      await this.importMessages(context, data.messages, sessionIds);
+      await this.importAssessments(context, data.assessments, data.moodLogs);
+      await this.importMemoryFacts(context, data.memoryFacts);
+      await this.importProfile(context, data.crisisEvents, data.profile);
+    });
+
+    logger.info(`📥 Imported ${source} for user ${userId.substring(0, 8)}...: ` +
+      ENTITIES.map(entity => `${entity} ${report.imported[entity]}`).join(', '));
+
+    return report;
+  }
+
+  /**
+   * Validate either format and bring it to the archive's shape
+   */
+  normalize(payload) {
+    if (!isObject(payload)) {
+      throw importError('Import must be a JSON object', 400, 'IMPORT_INVALID');
+    }
+
+    if (payload.archive === ARCHIVE_NAME) {
+      if (!SUPPORTED_SCHEMA_VERSIONS.includes(payload.schemaVersion)) {
+        throw importError(
+          `Archive schema version ${payload.schemaVersion} is not supported; this server reads version ${SUPPORTED_SCHEMA_VERSIONS.join(', ')}`,
+          400,
+          'IMPORT_UNSUPPORTED_VERSION'
+        );
+      }
+      return { source: 'archive', data: this.validateArchive(payload) };
+    }
+
+    if (Array.isArray(payload.chatHistory) || Array.isArray(payload.moodLogs)) {
+      return { source: 'local', data: this.fromLocalExport(payload) };
+    }
+
+    throw importError('Unrecognised import: expected an exported archive or local data export', 400, 'IMPORT_UNRECOGNISED');
+  }
+
+  /**
+   * Collect field errors for a list of records
+   */
+  checkRecords(section, records, rules, errors) {
+    if (isMissing(records)) return [];
+    if (!Array.isArray(records)) {
+      errors.push({ path: section, msg: 'must be an array' });
+      return [];
+    }
+
+    records.forEach((record, index) => {
+      if (!isObject(record)) {
+        errors.push({ path: `${section}[${index}]`, msg: 'must be an object' });
+        return;
+      }
+      for (const [field, [check, msg]] of Object.entries(rules)) {
+        if (!check(record[field])) errors.push({ path: `${section}[${index}].${field}`, msg });
+      }
+    });
+    return records;
+  }
+
+  assertValid(errors, recordCount) {
+    if (errors.length > 0) {
+      throw importError('Validation failed', 400, 'IMPORT_INVALID', errors.slice(0, MAX_REPORTED_ERRORS));
+    }
+    if (recordCount > MAX_IMPORT_RECORDS) {
+      throw importError(`Imports are limited to ${MAX_IMPORT_RECORDS} records`, 400, 'IMPORT_TOO_LARGE');
+    }
+  }
+
+  validateArchive(archive) {
+    const errors = [];
+    const assessmentTypes = ASSESSMENT_TYPES.filter(type => type !== 'mood');
+
+    const data = {
+      sessions: this.checkRecords('sessions', archive.sessions, {
+        id: [isText(64), 'must be a string'],
+        status: [optional(isOneOf(SESSION_STATUSES)), `must be one of ${SESSION_STATUSES.join(', ')}`],
+        sessionType: [optional(isOneOf(SESSION_TYPES)), `must be one of ${SESSION_TYPES.join(', ')}`],
+        startedAt: [isPastDate, 'must be a date, not in the future'],
+        endedAt: [optional(isPastDate), 'must be a date, not in the future'],
+        duration: [optional(isIntBetween(0, Number.MAX_SAFE_INTEGER)), 'must be a number of seconds'],
+        summary: [optional(isObject), 'must be an object'],
+        moodAtEnd: [optional(isIntBetween(1, 10)), 'must be between 1 and 10']
+      }, errors),
+      messages: this.checkRecords('messages', archive.messages, {
+        sessionId: [isText(64), 'must be a string'],
+        sender: [isOneOf(['user', 'ai', 'system']), 'must be user, ai or system'],
+        messageType: [optional(isOneOf(MESSAGE_TYPES)), `must be one of ${MESSAGE_TYPES.join(', ')}`],
+        sentiment: [optional(isOneOf(SENTIMENTS)), `must be one of ${SENTIMENTS.join(', ')}`],
+        crisisSeverity: [optional(isOneOf(CRISIS_SEVERITIES)), `must be one of ${CRISIS_SEVERITIES.join(', ')}`],
+        content: [isText(MAX_MESSAGE_LENGTH), `must be text of up to ${MAX_MESSAGE_LENGTH} characters`],
+        createdAt: [isPastDate, 'must be a date, not in the future'],
+        clientMessageId: [optional(isText(64)), 'must be a string of up to 64 characters'],
+        sentimentScore: [optional(isNumber), 'must be a number'],
+        crisisDetected: [optional(isBoolean), 'must be true or false']
+      }, errors),
+      assessments: this.checkRecords('assessments', archive.assessments, {
+        type: [isOneOf(assessmentTypes), `must be one of ${assessmentTypes.join(', ')}`],
+        responses: [value => Array.isArray(value) || isObject(value), 'must be an array or object'],
+        score: [optional(isNumber), 'must be a number'],
+        timestamp: [isPastDate, 'must be a date, not in the future'],
+        notes: [optional(isString), 'must be text']
+      }, errors),
+      moodLogs: this.checkRecords('moodLogs', archive.moodLogs, {
+        mood: [isIntBetween(1, 10), 'must be between 1 and 10'],
+        energy: [optional(isIntBetween(1, 10)), 'must be between 1 and 10'],
+        anxiety: [optional(isIntBetween(1, 10)), 'must be between 1 and 10'],
+        notes: [optional(isText(500)), 'must be text of up to 500 characters'],
+        timestamp: [isPastDate, 'must be a date, not in the future']
+      }, errors),
+      crisisEvents: this.checkRecords('crisisEvents', archive.crisisEvents, {
+        timestamp: [isPastDate, 'must be a date, not in the future'],
+        severity: [isOneOf(CRISIS_SEVERITIES), `must be one of ${CRISIS_SEVERITIES.join(', ')}`]
+      }, errors),
+      memoryFacts: this.checkRecords('memoryFacts', archive.memoryFacts, {
+        content: [isText(MAX_FACT_LENGTH), `must be text of up to ${MAX_FACT_LENGTH} characters`]
+      }, errors),
+      profile: isObject(archive.user?.mentalHealthProfile) ? archive.user.mentalHealthProfile : {}
+    };
+
+    const archivedSessions = new Set(data.sessions.map(session => session.id));
+    data.messages.forEach((message, index) => {
+      if (isString(message.sessionId) && !archivedSessions.has(message.sessionId)) {
+        errors.push({ path: `messages[${index}].sessionId`, msg: 'does not match a session in the archive' });
+      }
+    });
+
+    const recordCount = ['sessions', 'messages', 'assessments', 'moodLogs', 'crisisEvents', 'memoryFacts']
+      .reduce((total, section) => total + data[section].length, 0);
+    this.assertValid(errors, recordCount);
+    return data;
+  }
+
+  /**
+   * The local export has no ids or message times: its chat history becomes
+   * one session timed at the export, its messages a millisecond apart
+   */
+  fromLocalExport(local) {
+    const errors = [];
+
+    const moodLogs = this.checkRecords('moodLogs', local.moodLogs, {
+      mood: [isOneOf(Object.keys(LOCAL_MOOD_SCORES)), `must be one of ${Object.keys(LOCAL_MOOD_SCORES).join(', ')}`],
+      note: [optional(isString), 'must be text'],
+      timestamp: [isPastDate, 'must be a date, not in the future']
+    }, errors);
+    const chatHistory = this.checkRecords('chatHistory', local.chatHistory, {
+      role: [isOneOf(['user', 'model']), 'must be user or model'],
+      parts: [value => Array.isArray(value) && value.every(part => isString(part?.text)), 'must be a list of text parts']
+    }, errors);
+    if (chatHistory.length > 0 && !isPastDate(local.exportDate)) {
+      errors.push({ path: 'exportDate', msg: 'must be a date, not in the future' });
+    }
+    this.assertValid(errors, moodLogs.length + chatHistory.length);
+
+    const messages = chatHistory
+      .map(entry => ({
+        sender: entry.role === 'user' ? 'user' : 'ai',
+        content: entry.parts.map(part => part.text).join('').slice(0, MAX_MESSAGE_LENGTH)
+      }))
+      .filter(message => message.content.trim().length > 0);
+
+    return {
+      ...this.timeLocalChat(messages, toTime(local.exportDate)),
+      assessments: [],
+      moodLogs: moodLogs.map(log => ({
+        mood: LOCAL_MOOD_SCORES[log.mood],
+        notes: log.note ? log.note.slice(0, 500) : null,
+        timestamp: log.timestamp
+      })),
+      crisisEvents: [],
+      memoryFacts: [],
+      profile: {}
+    };
+  }
+
+  timeLocalChat(messages, startedAt) {
+    if (messages.length === 0) return { sessions: [], messages: [] };
+    return {
+      sessions: [{
+        id: 'local',
+        status: 'completed',
+        endReason: LOCAL_END_REASON,
+        startedAt: new Date(startedAt),
+        endedAt: new Date(startedAt + messages.length - 1)
+      }],
+      messages: messages.map((message, index) => ({
+        ...message,
+        sessionId: 'local',
+        createdAt: new Date(startedAt + index)
+      }))
+    };
+  }
+
+  /**
+   * Each local export is timed when it was taken, so the same history
+   * exported twice would not match. When an earlier import's transcript is
+   * the start of this one, reuse its times: what was imported is skipped and
+   * newer messages are added to that session.
+   */
+  async anchorLocalChat({ userId, transaction }, data) {
+    if (data.messages.length === 0) return;
+
+    const imported = await db.ChatSession.findAll({
+      where: { userId, endReason: LOCAL_END_REASON },
+      attributes: ['id', 'startedAt'],
+      order: [['startedAt', 'DESC']],
+      transaction
+    });
+    if (imported.length === 0) return;
+
+    const messages = await db.Message.findAll({
+      where: { sessionId: imported.map(session => session.id) },
+      attributes: ['sessionId', 'sender', 'content'],
+      order: [['createdAt', 'ASC']],
+      transaction
+    });
+
+    const anchor = imported.find(session => {
+      const transcript = messages.filter(message => message.sessionId === session.id);
+      return transcript.length > 0 && transcript.length <= data.messages.length &&
+        transcript.every((message, index) => message.sender === data.messages[index].sender &&
+          message.content === data.messages[index].content);
+    });
+    if (anchor) Object.assign(data, this.timeLocalChat(data.messages, toTime(anchor.startedAt)));
+  }
+
+  conflict({ report }, entity, id, reason) {
+    report.conflicted[entity]++;
+    if (report.conflicts.length < MAX_REPORTED_CONFLICTS) {
+      report.conflicts.push({ entity, id: id ?? null, reason });
+    }
+  }
+
+  /**
+   * Sessions match existing ones that started at the same time
+   * Returns archive session id -> id in this account.
+   */
+  async importSessions(context, sessions) {
+    const { userId, report, transaction } = context;
+    const sessionIds = new Map();
+    if (sessions.length === 0) return sessionIds;
+
+    const existing = await db.ChatSession.findAll({
+      where: { userId },
+      attributes: ['id', 'startedAt'],
+      transaction
+    });
+    const byStart = new Map(existing.map(session => [toTime(session.startedAt), session.id]));
+
+    for (const session of sessions) {
+      const matched = byStart.get(toTime(session.startedAt));
+      if (matched) {
+        sessionIds.set(session.id, matched);
+        report.skipped.sessions++;
+        continue;
+      }
+
+      const created = await db.ChatSession.create({
+        id: uuidv4(),
+        userId,
+        sessionType: session.sessionType || undefined,
+        status: session.status || 'completed',
+        startedAt: session.startedAt,
+        endedAt: session.endedAt || null,
+        lastActivity: session.lastActivity || session.endedAt || session.startedAt,
+        duration: session.duration ?? null,
+        endReason: session.endReason || null,
+        endSummary: session.summary || null,
+        moodAtEnd: session.moodAtEnd ?? null
+      }, { transaction });
+
+      sessionIds.set(session.id, created.id);
+      byStart.set(toTime(session.startedAt), created.id);
+      report.imported.sessions++;
+    }
+
+    return sessionIds;
+  }
+
+  /**
+   * Messages match existing ones in the same session from the same sender
+   * at the same time, or with the same client message id
+   */
+  async importMessages(context, messages, sessionIds) {
+    const { userId, report, transaction } = context;
+    if (messages.length === 0) return;
+
+    const existing = await db.Message.findAll({
+      where: { userId },
+      attributes: ['id', 'sessionId', 'sender', 'content', 'clientMessageId', 'createdAt'],
+      transaction
+    });
+    const key = (sessionId, sender, createdAt) => `${sessionId}|${sender}|${toTime(createdAt)}`;
+    const byKey = new Map(existing.map(message => [key(message.sessionId, message.sender, message.createdAt), message]));
+    const byClientId = new Map(existing
+      .filter(message => message.clientMessageId)
+      .map(message => [message.clientMessageId, message]));
+
+    const added = new Map();
+
+    for (const message of messages) {
+      const sessionId = sessionIds.get(message.sessionId);
+      const match = byKey.get(key(sessionId, message.sender, message.createdAt)) ||
+        (message.clientMessageId && byClientId.get(message.clientMessageId));
+
+      if (match) {
+        if (match.content === message.content) report.skipped.messages++;
+        else this.conflict(context, 'messages', message.id, 'A different message was already stored for this time');
+        continue;
+      }
+
+      const created = db.Message.build({
+        id: uuidv4(),
+        sessionId,
+        userId,
+        sender: message.sender,
+        messageType: message.messageType || undefined,
+        content: message.content,
+        clientMessageId: message.clientMessageId || null,
+        sentiment: message.sentiment || null,
+        sentimentScore: message.sentimentScore ?? null,
+        crisisDetected: message.crisisDetected || false,
+        crisisSeverity: message.crisisSeverity || null,
+        createdAt: message.createdAt
+      });
+      // Score here: the create hook would save outside this transaction
+      if (created.sender === 'user' && !created.sentiment) created.assessContent();
+      await created.save({ transaction });
+
+      byKey.set(key(sessionId, created.sender, created.createdAt), created);
+      if (created.clientMessageId) byClientId.set(created.clientMessageId, created);
+      added.set(sessionId, (added.get(sessionId) || 0) + 1);
+      report.imported.messages++;
+    }
+
+    for (const [sessionId, count] of added) {
+      await db.ChatSession.increment('messageCount', { by: count, where: { id: sessionId }, transaction });
+    }
+  }
+
+  /**
+   * Screenings and mood check-ins match existing ones of the same type
+   * taken at the same time
+   */
+  async importAssessments(context, assessments, moodLogs) {
+    const { userId, report, transaction } = context;
+    if (assessments.length === 0 && moodLogs.length === 0) return;
+
+    const existing = await db.Assessment.findAll({
+      where: { userId },
+      attributes: ['type', 'score', 'createdAt'],
+      transaction
+    });
+    const key = (type, time) => `${type}|${toTime(time)}`;
+    const byKey = new Map(existing.map(assessment => [key(assessment.type, assessment.createdAt), assessment.score]));
+
+    const records = [
+      ...assessments.map(assessment => ({
+        entity: 'assessments',
+        id: assessment.id,
+        attributes: {
+          type: assessment.type,
+          instrumentVersion: assessment.instrumentVersion || undefined,
+          responses: assessment.responses,
+          score: assessment.score ?? null,
+          severity: assessment.severity || null,
+          notes: assessment.notes || null,
+          createdAt: new Date(assessment.timestamp)
+        }
+      })),
+      ...moodLogs.map(log => ({
+        entity: 'moodLogs',
+        id: log.id,
+        attributes: {
+          type: 'mood',
+          responses: { mood: log.mood, energy: log.energy ?? null, anxiety: log.anxiety ?? null },
+          score: log.mood,
+          notes: log.notes || null,
+          createdAt: new Date(log.timestamp)
+        }
+      }))
+    ];
+
+    const toCreate = [];
+    for (const { entity, id, attributes } of records) {
+      const matchKey = key(attributes.type, attributes.createdAt);
+      if (byKey.has(matchKey)) {
+        if (byKey.get(matchKey) === attributes.score) report.skipped[entity]++;
+        else this.conflict(context, entity, id, 'A different result was already stored for this time');
+        continue;
+      }
+
+      byKey.set(matchKey, attributes.score);
+      toCreate.push({ id: uuidv4(), userId, ...attributes });
+      report.imported[entity]++;
+    }
+
+    await db.Assessment.bulkCreate(toCreate, { validate: true, transaction });
+  }
+
+  /**
+   * Facts match existing ones with the same wording; the per-user limit still applies
+   */
+  async importMemoryFacts(context, facts) {
+    const { userId, report, transaction } = context;
+    if (facts.length === 0) return;
+
+    const existing = await db.MemoryFact.findAll({ where: { userId }, attributes: ['content'], transaction });
+    const normalizeFact = (content) => content.trim().toLowerCase();
+    const known = new Set(existing.map(fact => normalizeFact(fact.content)));
+
+    for (const fact of facts) {
+      if (known.has(normalizeFact(fact.content))) {
+        report.skipped.memoryFacts++;
+        continue;
+      }
+      if (known.size >= MAX_FACTS_PER_USER) {
+        this.conflict(context, 'memoryFacts', fact.id, `Only ${MAX_FACTS_PER_USER} facts can be remembered`);
+        continue;
+      }
+
+      await db.MemoryFact.create({ userId, content: fact.content.trim() }, { transaction });
+      known.add(normalizeFact(fact.content));
+      report.imported.memoryFacts++;
+    }
+  }
+
+  /**
+   * Crisis history and profile fields live on the user's encrypted profile.
+   * Empty profile fields are filled in; ones that already hold something
+   * else are conflicts.
+   */
+  async importProfile(context, crisisEvents, profile) {
+    const { user, report, transaction } = context;
+    const current = user.mentalHealthProfile || {};
+    const updated = { ...current };
+
+    const history = [...(current.crisisEvents || [])];
+    const eventKey = (event) => `${toTime(event.timestamp)}|${event.severity}`;
+    const known = new Set(history.map(eventKey));
+    for (const event of crisisEvents) {
+      if (known.has(eventKey(event))) {
+        report.skipped.crisisEvents++;
+        continue;
+      }
+      known.add(eventKey(event));
+      history.push(event);
+      report.imported.crisisEvents++;
+    }
+    if (report.imported.crisisEvents > 0) {
+      // The profile keeps only the most recent events
+      updated.crisisEvents = history
+        .sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp))
+        .slice(-MAX_CRISIS_EVENTS);
+    }
+
+    for (const field of PROFILE_FIELDS) {
+      if (isEmpty(profile[field])) continue;
+      if (isEmpty(current[field])) {
+        updated[field] = profile[field];
+        report.imported.profile++;
+      } else if (sameValue(current[field], profile[field])) {
+        report.skipped.profile++;
+      } else {
+        this.conflict(context, 'profile', field, 'Your profile already has a different value');
+      }
+    }
+
+    if (report.imported.crisisEvents > 0 || report.imported.profile > 0) {
+      user.mentalHealthProfile = updated;
+      await user.save({ transaction });
+    }
+  }
+}
+
+module.exports = new ImportService();
+module.exports.ImportService = ImportService;
+module.exports.SUPPORTED_SCHEMA_VERSIONS = SUPPORTED_SCHEMA_VERSIONS;
+module.exports.MAX_IMPORT_RECORDS = MAX_IMPORT_RECORDS;
@@ -0,0 +1,143 @@
+/**
+ * Message Search Index
+ * Keeps the full-text index of chat messages (table message_search) in step
+ * with the messages table: SQLite FTS5 in development, a Postgres tsvector
+ * with a GIN index in production.
+ *
+ * Message content is encrypted at rest, so the index never holds the words
+ * themselves: each normalized word is stored as a keyed hash (see
+ * FieldEncryption.blindIndex) and queries are hashed the same way. Snippets
+ * are cut from the decrypted message after a match.
+ *
+ * Kept free of the models index so the Message model hooks can use it.
+ */
+
+const { QueryTypes } = require('sequelize');
+
+const fieldEncryption = require('./fieldEncryption');
+
+const TABLE = 'message_search';
+
+const MIN_TERM_LENGTH = 2;
+
+// Too common to narrow a search down
+const STOP_WORDS = new Set([
+  'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'had', 'has', 'have',
+  'he', 'her', 'him', 'his', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on',
+  'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was',
+  'we', 'were', 'with', 'you', 'your'
+]);
+
+/**
+ * Lowercase, strip accents and fold simple plurals ("sisters" -> "sister")
+ */
+const normalizeWord = (word) => {
+  let term = word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  if (term.length > 4 && term.endsWith('ies')) {
+    term = `${term.slice(0, -3)}y`;
+  } else if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) {
+    term = term.slice(0, -1);
+  }
+  return term;
+};
+
+/**
+ * Words of a text with their positions: [{ word, term, start, end }]
+ * `term` is null for words that are not indexed.
+ */
+const tokenize = (text) => [...(text || '').matchAll(/[\p{L}\p{N}]+/gu)].map(match => {
+  const term = normalizeWord(match[0]);
+  return {
+    word: match[0],
+    term: term.length >= MIN_TERM_LENGTH && !STOP_WORDS.has(term) ? term : null,
+    start: match.index,
+    end: match.index + match[0].length
+  };
+});
+
+/**
+ * Distinct indexed terms of a text
+ */
+const extractTerms = (text) => [...new Set(tokenize(text).map(token => token.term).filter(Boolean))];
+
+const isPostgres = (sequelize) => sequelize.getDialect() === 'postgres';
+
+class MessageSearchIndex {
+  /**
+   * Hashed terms for a text, space separated as stored in the index
+   */
+  indexTerms(text) {
+    return extractTerms(text).map(term => fieldEncryption.blindIndex(term)).join(' ');
+  }
+
+  /**
+   * Add or refresh a message in the index
+   */
+  async indexMessage(message, { transaction } = {}) {
+    const { sequelize } = message;
+    const terms = message.isAnonymized ? '' : this.indexTerms(message.content);
+
+    if (!terms) {
+      return this.removeMessage(sequelize, message.id, { transaction });
+    }
+
+    if (isPostgres(sequelize)) {
+      await sequelize.query(
+        `INSERT INTO "${TABLE}" ("messageId", "userId", "terms")
+         VALUES (:messageId, :userId, to_tsvector('simple', :terms))
+         ON CONFLICT ("messageId") DO UPDATE SET "terms" = EXCLUDED."terms"`,
+        { replacements: { messageId: message.id, userId: message.userId, terms }, transaction, type: QueryTypes.INSERT }
+      );
+      return;
+    }
+
+    // FTS5 tables have no unique constraints to upsert on
+    await this.removeMessage(sequelize, message.id, { transaction });
+    await sequelize.query(
+      `INSERT INTO "${TABLE}" ("terms", "messageId", "userId") VALUES (:terms, :messageId, :userId)`,
+      { replacements: { messageId: message.id, userId: message.userId, terms }, transaction, type: QueryTypes.INSERT }
+    );
+  }
+
+  async removeMessage(sequelize, messageId, { transaction } = {}) {
+    await sequelize.query(
+      `DELETE FROM "${TABLE}" WHERE "messageId" = :messageId`,
+      { replacements: { messageId }, transaction, type: QueryTypes.DELETE }
+    );
+  }
+
+  /**
+   * Drop every entry of a user (account anonymization)
+   */
+  async removeUser(sequelize, userId, { transaction } = {}) {
+    await sequelize.query(
+      `DELETE FROM "${TABLE}" WHERE "userId" = :userId`,
+      { replacements: { userId }, transaction, type: QueryTypes.DELETE }
+    );
+  }
+
+  /**
+   * SQL selecting the ids of a user's messages that contain every term
+   * Terms must already be normalized (see extractTerms).
+   */
+  matchingIdsQuery(sequelize, userId, terms) {
+    const hashed = terms.map(term => fieldEncryption.blindIndex(term));
+
+    if (isPostgres(sequelize)) {
+      return `SELECT "messageId" FROM "${TABLE}"
+        WHERE "userId" = ${sequelize.escape(userId)}
+        AND "terms" @@ to_tsquery('simple', ${sequelize.escape(hashed.join(' & '))})`;
+    }
+
+    const match = hashed.map(term => `"${term.replace(/"/g, '""')}"`).join(' AND ');
+    return `SELECT "messageId" FROM "${TABLE}"
+      WHERE "${TABLE}" MATCH ${sequelize.escape(match)}
+      AND "userId" = ${sequelize.escape(userId)}`;
+  }
+}
+
+module.exports = new MessageSearchIndex();
+module.exports.MessageSearchIndex = MessageSearchIndex;
+module.exports.tokenize = tokenize;
+module.exports.extractTerms = extractTerms;
+module.exports.TABLE = TABLE;
@@ -0,0 +1,128 @@
+/**
+ * Message Search Service
+ * Full-text search over a user's own chat history ("when did I talk about
+ * my sister?"). Matching uses the hashed term index in message_search;
+ * snippets and highlights are cut from the decrypted messages afterwards.
+ *
+ * Deleted messages and sessions and anonymized data never match.
+ */
+
+const { Op } = require('sequelize');
+
+const { db } = require('../models');
+const messageSearchIndex = require('./messageSearchIndex');
+const { tokenize, extractTerms } = messageSearchIndex;
+
+const MAX_QUERY_TERMS = 8;
+
+// Characters of context kept before the first match, and the snippet length
+const SNIPPET_LEAD = 60;
+const SNIPPET_LENGTH = 200;
+
+const searchError = (message, statusCode, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+class MessageSearchService {
+  /**
+   * Search a user's messages; newest matches first
+   * Returns { results, pagination }.
+   */
+  async search(userId, { q, from = null, to = null, sender = null, crisisOnly = false, page = 1, limit = 20 }) {
+    const terms = extractTerms(q);
+    if (terms.length === 0) {
+      throw searchError('Search needs at least one word of two or more letters', 400, 'SEARCH_QUERY_EMPTY');
+    }
+    if (terms.length > MAX_QUERY_TERMS) {
+      throw searchError(`Search for at most ${MAX_QUERY_TERMS} words at a time`, 400, 'SEARCH_QUERY_TOO_LONG');
+    }
+
+    const matching = messageSearchIndex.matchingIdsQuery(db.sequelize, userId, terms);
+    const createdAt = {
+      ...(from && { [Op.gte]: from }),
+      ...(to && { [Op.lte]: to })
+    };
+
+    // Paranoid models leave out soft-deleted messages and sessions
+    const { count, rows } = await db.Message.findAndCountAll({
+      where: {
+        id: { [Op.in]: db.sequelize.literal(`(${matching})`) },
+        userId,
+        isAnonymized: false,
+        ...(sender && { sender }),
+        ...(crisisOnly && { crisisDetected: true }),
+        ...(Reflect.ownKeys(createdAt).length > 0 && { createdAt })
+      },
+      include: [{
+        model: db.ChatSession,
+        as: 'session',
+        attributes: ['id', 'startedAt', 'status'],
+        where: { isAnonymized: false },
+        required: true
+      }],
+      attributes: ['id', 'sessionId', 'sender', 'content', 'crisisDetected', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      results: rows.map(message => ({
+        messageId: message.id,
+        sessionId: message.sessionId,
+        sessionStartedAt: message.session.startedAt,
+        sender: message.sender,
+        crisisDetected: message.crisisDetected,
+        createdAt: message.createdAt,
+        ...this.snippet(message.content, terms)
+      })),
+      pagination: {
+        page,
+        limit,
+        totalPages,
+        totalCount: count,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Part of a message around its first matching word
+   * Returns { snippet, highlights } where highlights are [start, end)
+   * character offsets of the matching words within the snippet.
+   */
+  snippet(content, terms) {
+    const wanted = new Set(terms);
+    const matches = tokenize(content).filter(token => token.term && wanted.has(token.term));
+    if (matches.length === 0) {
+      return { snippet: content.slice(0, SNIPPET_LENGTH), highlights: [] };
+    }
+
+    // Start and end on whitespace so no word is cut in half
+    let start = Math.max(0, matches[0].start - SNIPPET_LEAD);
+    if (start > 0) {
+      const space = content.indexOf(' ', start);
+      start = space === -1 || space >= matches[0].start ? matches[0].start : space + 1;
+    }
+    let end = Math.min(content.length, start + SNIPPET_LENGTH);
+    if (end < content.length) {
+      const space = content.lastIndexOf(' ', end);
+      if (space > matches[0].end) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < content.length ? '…' : '';
+
+    return {
+      snippet: `${prefix}${content.slice(start, end)}${suffix}`,
+      highlights: matches
+        .filter(match => match.start >= start && match.end <= end)
+        .map(match => [match.start - start + prefix.length, match.end - start + prefix.length])
+    };
+  }
+}
+
+module.exports = new MessageSearchService();
+module.exports.MessageSearchService = MessageSearchService;
@@ -0,0 +1,171 @@
+/**
+ * Migration Runner
+ * Applies the numbered schema migrations in backend/migrations
+ *
+ * Each migration file is named NNNN-description.js and exports
+ * `up` and `down` functions receiving { queryInterface, DataTypes, transaction }.
+ * Every migration runs in its own transaction together with its row in
+ * the schema_migrations table, so a failed migration leaves no trace.
+ * Pass the transaction to every queryInterface call: SQLite locks the
+ * database file for statements issued outside it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataTypes } = require('sequelize');
+const winston = require('winston');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const MIGRATION_FILE = /^\d{4}-[\w-]+\.js$/;
+
+class Migrator {
+  constructor(sequelize, { directory = MIGRATIONS_DIR } = {}) {
+    this.sequelize = sequelize;
+    this.queryInterface = sequelize.getQueryInterface();
+    this.directory = directory;
+  }
+
+  async ensureTable() {
+    await this.queryInterface.createTable(MIGRATIONS_TABLE, {
+      name: {
+        type: DataTypes.STRING,
+        primaryKey: true
+      },
+      appliedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+  }
+
+  /**
+   * Migration names on disk, in order
+   */
+  listFiles() {
+    return fs.readdirSync(this.directory)
+      .filter(file => MIGRATION_FILE.test(file))
+      .sort()
+      .map(file => path.basename(file, '.js'));
+  }
+
+  load(name) {
+    const migration = require(path.join(this.directory, `${name}.js`));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${name} must export up and down functions`);
+    }
+    return migration;
+  }
+
+  async getApplied() {
+    await this.ensureTable();
+    const [rows] = await this.sequelize.query(
+      `SELECT name, ${this.queryInterface.quoteIdentifier('appliedAt')} FROM ${MIGRATIONS_TABLE} ORDER BY name ASC`
+    );
+    return rows.map(row => ({ name: row.name, appliedAt: new Date(row.appliedAt) }));
+  }
+
+  /**
+   * Every known migration with whether and when it was applied.
+   * Applied migrations whose file is missing are reported too.
+   */
+  async status() {
+    const files = this.listFiles();
+    const applied = new Map((await this.getApplied()).map(row => [row.name, row.appliedAt]));
+    const names = [...new Set([...files, ...applied.keys()])].sort();
+
+    return names.map(name => ({
+      name,
+      applied: applied.has(name),
+      appliedAt: applied.get(name) || null,
+      missing: !files.includes(name)
+    }));
+  }
+
+  async getPending() {
+    const applied = new Set((await this.getApplied()).map(row => row.name));
+    return this.listFiles().filter(name => !applied.has(name));
+  }
+
+  async run(name, direction) {
+    const migration = this.load(name);
+
+    await this.sequelize.transaction(async (transaction) => {
+      await migration[direction]({ queryInterface: this.queryInterface, DataTypes, transaction });
+
+      if (direction === 'up') {
+        await this.queryInterface.bulkInsert(MIGRATIONS_TABLE, [{ name, appliedAt: new Date() }], { transaction });
+      } else {
+        await this.queryInterface.bulkDelete(MIGRATIONS_TABLE, { name }, { transaction });
+      }
+    });
+  }
+
+  /**
+   * Apply pending migrations, optionally stopping after `to`
+   */
+  async up({ to } = {}) {
+    const pending = await this.getPending();
+    if (to && !pending.includes(to)) {
+      throw new Error(`Migration ${to} is not pending`);
+    }
+
+    const batch = to ? pending.slice(0, pending.indexOf(to) + 1) : pending;
+    for (const name of batch) {
+      logger.info(`⬆️ Applying migration ${name}`);
+      await this.run(name, 'up');
+    }
+    return batch;
+  }
+
+  /**
+   * Revert the most recently applied migrations
+   */
+  async down({ step = 1 } = {}) {
+    const applied = await this.getApplied();
+    const batch = applied.slice(-step).map(row => row.name).reverse();
+
+    for (const name of batch) {
+      logger.info(`⬇️ Reverting migration ${name}`);
+      await this.run(name, 'down');
+    }
+    return batch;
+  }
+
+  /**
+   * Startup check: refuse to run against an out-of-date schema
+   */
+  async assertUpToDate() {
+    const pending = await this.getPending();
+    if (pending.length > 0) {
+      const error = new Error(
+        `Database schema is out of date: ${pending.length} pending migration(s) (${pending.join(', ')}). ` +
+        'Run `npm run db:migrate` or set DB_MIGRATE_ON_START=true.'
+      );
+      error.code = 'MIGRATIONS_PENDING';
+      error.pending = pending;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  Migrator,
+  MIGRATIONS_DIR,
+  MIGRATIONS_TABLE
+};
@@ -0,0 +1,69 @@
+/**
+ * Base Escalation Notifier
+ * Common interface shared by every contact notification channel
+ */
+
+const winston = require('winston');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+class BaseNotifier {
+  /**
+   * @param {string} name - Registry name, recorded on each delivery attempt
+   * @param {object} settings - Channel settings from config/escalation.js
+   */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings;
+    this.logger = logger;
+  }
+
+  /**
+   * Whether the channel is configured
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Whether this channel can reach a given contact (e.g. SMS needs a phone)
+   * Subclasses receive the contact; by default any configured channel can
+   */
+  canDeliver() {
+    return this.isAvailable();
+  }
+
+  /**
+   * Whether this channel can alert staff (on-call counselors) rather than a contact
+   */
+  canAlertStaff() {
+    return false;
+  }
+
+  /**
+   * Deliver a notification
+   *
+   * Subclasses receive a `notification` with event, escalationId, level,
+   * subject, text and, for contact alerts, the contact.
+   * Resolves to `{ reference? }` or throws on failure.
+   */
+  async send() {
+    throw new Error(`Notifier "${this.name}" does not implement send()`);
+  }
+}
+
+module.exports = BaseNotifier;
+module.exports.logger = logger;
@@ -0,0 +1,28 @@
+/**
+ * Console Notifier
+ * Development channel that logs contact alerts instead of sending them
+ */
+
+const BaseNotifier = require('./baseNotifier');
+
+class ConsoleNotifier extends BaseNotifier {
+  constructor(settings) {
+    super('console', settings);
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  canAlertStaff() {
+    return true;
+  }
+
+  async send({ escalationId, level, contact, subject, text }) {
+    const recipient = contact ? `${contact.name} (${contact.relationship || 'contact'})` : 'staff';
+    this.logger.warn(`📣 [escalation ${escalationId}] ${level} alert for ${recipient}: ${subject} - ${text}`);
+    return { reference: null };
+  }
+}
+
+module.exports = ConsoleNotifier;
@@ -0,0 +1,37 @@
+/**
+ * Email Notifier
+ * Sends contact alerts through a SendGrid-compatible HTTP mail API
+ */
+
+const axios = require('axios');
+const BaseNotifier = require('./baseNotifier');
+
+class EmailNotifier extends BaseNotifier {
+  constructor(settings) {
+    super('email', settings);
+  }
+
+  isAvailable() {
+    return !!(this.settings.apiKey && this.settings.from);
+  }
+
+  canDeliver(contact) {
+    return this.isAvailable() && !!contact.email;
+  }
+
+  async send({ contact, subject, text }) {
+    const response = await axios.post(this.settings.apiUrl, {
+      personalizations: [{ to: [{ email: contact.email, name: contact.name }] }],
+      from: { email: this.settings.from },
+      subject,
+      content: [{ type: 'text/plain', value: text }]
+    }, {
+      headers: { Authorization: `Bearer ${this.settings.apiKey}` },
+      timeout: this.settings.timeoutMs
+    });
+
+    return { reference: response.headers?.['x-message-id'] || null };
+  }
+}
+
+module.exports = EmailNotifier;
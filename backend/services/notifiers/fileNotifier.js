@@ -0,0 +1,38 @@
+/**
+ * File Notifier
+ * Development channel that appends contact alerts to a JSON-lines file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BaseNotifier = require('./baseNotifier');
+
+class FileNotifier extends BaseNotifier {
+  constructor(settings) {
+    super('file', settings);
+  }
+
+  isAvailable() {
+    return !!this.settings.path;
+  }
+
+  canAlertStaff() {
+    return this.isAvailable();
+  }
+
+  async send(notification) {
+    const filePath = path.resolve(this.settings.path);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const entry = {
+      ...notification,
+      notifier: this.name,
+      timestamp: new Date().toISOString()
+    };
+
+    await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+    return { reference: filePath };
+  }
+}
+
+module.exports = FileNotifier;
@@ -0,0 +1,108 @@
+/**
+ * Escalation Notifier Registry
+ * Builds the configured list of contact notification channels
+ *
+ * Additional channels can be added without touching the escalation service:
+ *
+ *   const notifierRegistry = require('./services/notifiers');
+ *   notifierRegistry.register('pager', (settings) => new PagerNotifier(settings));
+ *   // then ESCALATION_NOTIFIERS=pager,webhook
+ */
+
+const { getEscalationConfig } = require('../../config/escalation');
+const BaseNotifier = require('./baseNotifier');
+const { logger } = BaseNotifier;
+const ConsoleNotifier = require('./consoleNotifier');
+const FileNotifier = require('./fileNotifier');
+const EmailNotifier = require('./emailNotifier');
+const SmsNotifier = require('./smsNotifier');
+const WebhookNotifier = require('./webhookNotifier');
+
+class NotifierRegistry {
+  constructor() {
+    this.factories = new Map();
+    this.notifiers = [];
+    this.config = null;
+
+    this.register('console', (settings) => new ConsoleNotifier(settings));
+    this.register('file', (settings) => new FileNotifier(settings));
+    this.register('email', (settings) => new EmailNotifier(settings));
+    this.register('sms', (settings) => new SmsNotifier(settings));
+    this.register('webhook', (settings) => new WebhookNotifier(settings));
+  }
+
+  /**
+   * Register a notifier factory under a name
+   * Re-configures if the notifier is already enabled
+   */
+  register(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Notifier factory for "${name}" must be a function`);
+    }
+
+    this.factories.set(name.toLowerCase(), factory);
+
+    if (this.config && this.config.notifiers.includes(name.toLowerCase())) {
+      this.configure(this.config);
+    }
+
+    return this;
+  }
+
+  /**
+   * Instantiate the enabled notifiers
+   */
+  configure(config = getEscalationConfig()) {
+    this.config = config;
+    this.notifiers = [];
+
+    config.notifiers.forEach(name => {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        logger.warn(`⚠️ Unknown escalation notifier "${name}" in ESCALATION_NOTIFIERS, skipping`);
+        return;
+      }
+
+      const notifier = factory({ ...(config.settings[name] || {}), timeoutMs: config.timeoutMs });
+      if (!notifier.isAvailable()) {
+        logger.warn(`⚠️ Escalation notifier "${name}" is not configured`);
+      }
+      this.notifiers.push(notifier);
+    });
+
+    return this;
+  }
+
+  getConfig() {
+    if (!this.config) this.configure();
+    return this.config;
+  }
+
+  /**
+   * Configured notifiers able to reach a contact
+   */
+  getNotifiersFor(contact) {
+    this.getConfig();
+    return this.notifiers.filter(notifier => notifier.canDeliver(contact));
+  }
+
+  /**
+   * Configured notifiers able to alert on-call staff
+   */
+  getStaffNotifiers() {
+    this.getConfig();
+    return this.notifiers.filter(notifier => notifier.isAvailable() && notifier.canAlertStaff());
+  }
+
+  describe() {
+    this.getConfig();
+    return this.notifiers.map(notifier => ({
+      name: notifier.name,
+      available: notifier.isAvailable()
+    }));
+  }
+}
+
+module.exports = new NotifierRegistry();
+module.exports.NotifierRegistry = NotifierRegistry;
+module.exports.BaseNotifier = BaseNotifier;
@@ -0,0 +1,40 @@
+/**
+ * SMS Notifier
+ * Sends contact alerts through the Twilio Messages REST API
+ */
+
+const axios = require('axios');
+const BaseNotifier = require('./baseNotifier');
+
+class SmsNotifier extends BaseNotifier {
+  constructor(settings) {
+    super('sms', settings);
+  }
+
+  isAvailable() {
+    return !!(this.settings.accountSid && this.settings.authToken && this.settings.from);
+  }
+
+  canDeliver(contact) {
+    return this.isAvailable() && !!contact.phone;
+  }
+
+  async send({ contact, text }) {
+    const { accountSid, authToken, from } = this.settings;
+    const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+
+    const response = await axios.post(url, new URLSearchParams({
+      To: contact.phone,
+      From: from,
+      Body: text
+    }).toString(), {
+      auth: { username: accountSid, password: authToken },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: this.settings.timeoutMs
+    });
+
+    return { reference: response.data?.sid || null };
+  }
+}
+
+module.exports = SmsNotifier;
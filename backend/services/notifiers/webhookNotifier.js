@@ -0,0 +1,46 @@
+/**
+ * Webhook Notifier
+ * Posts contact and staff alerts to CRISIS_ALERT_WEBHOOK (on-call tooling, chat ops)
+ */
+
+const axios = require('axios');
+const BaseNotifier = require('./baseNotifier');
+
+class WebhookNotifier extends BaseNotifier {
+  constructor(settings) {
+    super('webhook', settings);
+  }
+
+  isAvailable() {
+    return !!this.settings.url;
+  }
+
+  canAlertStaff() {
+    return this.isAvailable();
+  }
+
+  async send({ event, escalationId, level, contact, subject, text }) {
+    const response = await axios.post(this.settings.url, {
+      event: `crisis_escalation.${event}`,
+      escalationId,
+      level,
+      contact: contact
+        ? {
+          name: contact.name,
+          relationship: contact.relationship || null,
+          phone: contact.phone || null,
+          email: contact.email || null
+        }
+        : null,
+      subject,
+      text,
+      timestamp: new Date().toISOString()
+    }, {
+      timeout: this.settings.timeoutMs
+    });
+
+    return { reference: `HTTP ${response.status}` };
+  }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,319 @@
+/**
+ * Session Completion Service
+ * Ends chat sessions, when the user finishes or after a period of
+ * inactivity, and writes a private end-of-session summary:
+ * - key topics the user brought up
+ * - coping strategies that came up in the conversation
+ * - how the user's sentiment moved over the session
+ * An AI provider writes topics and strategies when one is available;
+ * otherwise they are matched from keyword lists. The mood the user reports
+ * at the end is stored with the summary.
+ *
+ * Emits 'completed' with { userId, session } so connected clients can be
+ * prompted for their end-of-session mood.
+ */
+
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const winston = require('winston');
+
+const { db } = require('../models');
+const { OPEN_STATUSES } = require('../models/ChatSessionSequelize');
+const providerRegistry = require('../ai/providers');
+const { getSessionConfig } = require('../config/sessions');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const MAX_SUMMARY_ITEMS = 5;
+const MAX_ITEM_LENGTH = 80;
+
+// Change in average sentiment score (0-1) between the opening and closing
+// of a session that counts as improving or declining
+const SENTIMENT_TREND_THRESHOLD = 0.1;
+
+const TOPIC_KEYWORDS = {
+  Work: ['work', 'job', 'boss', 'coworker', 'colleague', 'deadline', 'career'],
+  School: ['school', 'exam', 'class', 'homework', 'teacher', 'college', 'university', 'grade'],
+  Sleep: ['sleep', 'insomnia', 'tired', 'exhausted', 'nightmare'],
+  Family: ['family', 'mom', 'dad', 'mother', 'father', 'parent', 'sister', 'brother', 'child'],
+  Relationships: ['partner', 'boyfriend', 'girlfriend', 'husband', 'wife', 'breakup', 'relationship', 'dating'],
+  Friendships: ['friend', 'lonely', 'alone', 'isolated'],
+  Health: ['health', 'sick', 'pain', 'doctor', 'illness', 'medication'],
+  Money: ['money', 'rent', 'debt', 'bills', 'afford'],
+  Anxiety: ['anxious', 'anxiety', 'panic', 'worried', 'worry', 'nervous', 'overwhelm'],
+  'Low mood': ['sad', 'depressed', 'hopeless', 'empty', 'feeling down', 'crying'],
+  Grief: ['grief', 'grieving', 'died', 'passed away', 'funeral', 'lost my']
+};
+
+const COPING_KEYWORDS = {
+  'Breathing exercises': ['breath', 'breathing'],
+  'Mindfulness or meditation': ['mindful', 'meditat'],
+  'Physical activity': ['exercising', 'workout', 'walk', 'jog', 'run', 'yoga', 'stretch', 'gym'],
+  Journaling: ['journal', 'write down', 'writing down'],
+  'Reaching out to someone': ['reach out', 'talk to', 'call a friend', 'therapist', 'counselor', 'counsellor'],
+  'Rest and sleep routine': ['sleep routine', 'bedtime', 'nap', 'get some rest', 'resting'],
+  Grounding: ['grounding', '5-4-3-2-1'],
+  'Breaking tasks down': ['one step at a time', 'small steps', 'break it down', 'to-do list', 'prioritiz']
+};
+
+const keywordPattern = (keyword) =>
+  new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i');
+
+// Labels whose keywords appear in the text, in list order
+const matchKeywords = (text, lists) => Object.entries(lists)
+  .filter(([, keywords]) => keywords.some(keyword => keywordPattern(keyword).test(text)))
+  .map(([label]) => label);
+
+const completionError = (message, statusCode, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+class SessionCompletionService extends EventEmitter {
+  constructor() {
+    super();
+    this.closing = new Map(); // sessionId -> close in progress
+    this.sweepTimer = null;
+  }
+
+  /**
+   * End a session for its owner and record the end-of-session mood
+   * Completing an already closed session only records the mood, so the
+   * user can answer the prompt after the inactivity job closed it.
+   */
+  async complete(userId, sessionId, { moodAtEnd = null } = {}) {
+    const session = await db.ChatSession.findOne({ where: { id: sessionId, userId } });
+    if (!session) {
+      throw completionError('Chat session not found', 404, 'SESSION_NOT_FOUND');
+    }
+
+    if (moodAtEnd !== null && session.moodAtEnd !== null && session.moodAtEnd !== moodAtEnd) {
+      throw completionError('End-of-session mood already recorded', 409, 'MOOD_ALREADY_RECORDED');
+    }
+
+    if (session.isOpen()) {
+      await this.close(session, 'user_ended');
+    }
+
+    if (moodAtEnd !== null && session.moodAtEnd === null) {
+      await session.update({ moodAtEnd });
+    }
+
+    return session;
+  }
+
+  /**
+   * Close an open session and write its summary
+   * A session the user never wrote in is marked abandoned without one.
+   * Resolves to true when this call ended the session. A call that finds a
+   * close already running waits for it, and `session` is reloaded either
+   * way so it shows how the session actually ended.
+   */
+  async close(session, reason, options = {}) {
+    const inProgress = this.closing.get(session.id);
+    if (inProgress) {
+      await inProgress.catch(() => {});
+      await session.reload();
+      return false;
+    }
+
+    const closing = this.summarizeAndEnd(session, reason, options);
+    this.closing.set(session.id, closing);
+    try {
+      return await closing;
+    } finally {
+      this.closing.delete(session.id);
+    }
+  }
+
+  /**
+   * Write the summary and end the session, unless it ended meanwhile
+   */
+  async summarizeAndEnd(session, reason, { endedAt = new Date() }) {
+    const messages = await db.Message.findAll({
+      where: { sessionId: session.id },
+      attributes: ['sender', 'content', 'sentimentScore', 'crisisDetected', 'createdAt'],
+      order: [['createdAt', 'ASC']]
+    });
+    const summary = messages.some(message => message.sender === 'user')
+      ? await this.buildSummary(messages)
+      : null;
+
+    // Another request may have ended it while the summary was written
+    await session.reload();
+    if (!session.isOpen()) return false;
+
+    session.endSummary = summary;
+    await session.endSession(reason, { status: summary ? 'completed' : 'abandoned', endedAt });
+
+    logger.info(`🏁 Session ${session.id} ${session.status} (${reason})`);
+    this.emit('completed', { userId: session.userId, session: session.getCompletionSummary() });
+    return true;
+  }
+
+  /**
+   * Private summary of a session's messages (oldest first)
+   */
+  async buildSummary(messages) {
+    const userMessages = messages.filter(message => message.sender === 'user' && message.content);
+
+    const written = await this.writeSummary(messages);
+    const userText = userMessages.map(message => message.content).join('\n');
+    const allText = messages.map(message => message.content || '').join('\n');
+
+    return {
+      overview: written ? written.overview : null,
+      keyTopics: written ? written.keyTopics : matchKeywords(userText, TOPIC_KEYWORDS).slice(0, MAX_SUMMARY_ITEMS),
+      copingStrategies: written
+        ? written.copingStrategies
+        : matchKeywords(allText, COPING_KEYWORDS).slice(0, MAX_SUMMARY_ITEMS),
+      sentimentArc: this.sentimentArc(userMessages),
+      crisisMoments: userMessages.filter(message => message.crisisDetected).length,
+      messageCount: messages.length,
+      generatedBy: written ? 'ai' : 'keywords'
+    };
+  }
+
+  /**
+   * Average sentiment (0-1) over the opening, middle and closing thirds of
+   * the user's messages, and whether it rose or fell
+   */
+  sentimentArc(userMessages) {
+    const scores = userMessages
+      .map(message => message.sentimentScore)
+      .filter(score => typeof score === 'number');
+    if (scores.length === 0) return null;
+
+    const average = values => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100;
+    const third = Math.ceil(scores.length / 3);
+    const start = average(scores.slice(0, third));
+    const middle = scores.slice(third, scores.length - third);
+    const end = average(scores.slice(-third));
+
+    let trend = null;
+    if (scores.length >= 2) {
+      const change = end - start;
+      if (change >= SENTIMENT_TREND_THRESHOLD) trend = 'improving';
+      else if (change <= -SENTIMENT_TREND_THRESHOLD) trend = 'declining';
+      else trend = 'steady';
+    }
+
+    return {
+      start,
+      middle: middle.length > 0 ? average(middle) : null,
+      end,
+      trend
+    };
+  }
+
+  /**
+   * Ask an AI provider for an overview, topics and coping strategies
+   * Returns null when no AI provider is available or the reply is unusable.
+   */
+  async writeSummary(messages) {
+    const transcript = messages
+      .filter(message => message.content)
+      .map(message => `${message.sender === 'user' ? 'User' : 'Companion'}: ${message.content}`)
+      .join('\n');
+
+    const reply = await providerRegistry.generateWithAI({
+      systemPrompt: 'You write private session notes for the user of a mental wellness companion. ' +
+        'Reply with JSON only: {"overview": one or two sentences addressed to the user, ' +
+        '"keyTopics": up to 5 short topics they talked about, ' +
+        '"copingStrategies": up to 5 short coping strategies that came up}. ' +
+        'No advice, no diagnosis.',
+      conversationPrompt: `Session transcript:\n${transcript}\n\nJSON:`,
+      message: transcript,
+      crisisAnalysis: { detected: false, level: 'none', triggers: [] },
+      sentimentAnalysis: null
+    }, 'session summary');
+    if (!reply) return null;
+
+    try {
+      const parsed = JSON.parse(reply.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+      const items = value => (Array.isArray(value) ? value : [])
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim().slice(0, MAX_ITEM_LENGTH))
+        .slice(0, MAX_SUMMARY_ITEMS);
+
+      return {
+        overview: typeof parsed.overview === 'string' ? parsed.overview.trim().slice(0, 500) : null,
+        keyTopics: items(parsed.keyTopics),
+        copingStrategies: items(parsed.copingStrategies)
+      };
+    } catch (error) {
+      logger.warn(`⚠️ Session summary reply was not valid JSON: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Close sessions with no activity for the configured period
+   * The session ends at its last activity, so idle time is not counted.
+   */
+  async closeIdleSessions() {
+    const { inactivityMs, sweepBatchSize } = getSessionConfig();
+    if (!inactivityMs) return 0;
+
+    const idle = await db.ChatSession.findAll({
+      where: {
+        status: { [Op.in]: OPEN_STATUSES },
+        lastActivity: { [Op.lt]: new Date(Date.now() - inactivityMs) }
+      },
+      order: [['lastActivity', 'ASC']],
+      limit: sweepBatchSize
+    });
+
+    let closed = 0;
+    for (const session of idle) {
+      try {
+        if (await this.close(session, 'inactivity', { endedAt: session.lastActivity })) {
+          closed++;
+        }
+      } catch (error) {
+        logger.error(`❌ Failed to close idle session ${session.id}:`, error);
+      }
+    }
+
+    if (closed > 0) {
+      logger.info(`💤 Closed ${closed} idle chat session(s)`);
+    }
+    return closed;
+  }
+
+  /**
+   * Run the inactivity sweep now and on an interval
+   */
+  startInactivitySweep() {
+    const { inactivityMs, sweepIntervalMs } = getSessionConfig();
+    if (!inactivityMs) return;
+
+    const run = () => this.closeIdleSessions()
+      .catch(error => logger.error('❌ Idle session sweep failed:', error));
+
+    run();
+    this.sweepTimer = setInterval(run, sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopInactivitySweep() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+module.exports = new SessionCompletionService();
+module.exports.SessionCompletionService = SessionCompletionService;
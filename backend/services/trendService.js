@@ -0,0 +1,250 @@
+/**
+ * Assessment Trend Service
+ * Longitudinal view of mood check-ins and screening scores
+ *
+ * For each instrument: the score series with a trailing rolling average,
+ * reliable change between administrations (using the instrument's
+ * scoring.reliableChange threshold and direction), and check-in streaks.
+ * Mood check-ins are also compared with the sentiment of the user's chat
+ * messages, day by day. Days are calendar days in UTC.
+ */
+
+const { Op } = require('sequelize');
+
+const { db } = require('../models');
+const instrumentRegistry = require('../assessments');
+
+// Mood is a single 1-10 rating, not a validated scale, so there is no
+// published reliable change threshold for it
+const MOOD_SCORING = { direction: 'higher_better', reliableChange: null };
+
+const DEFAULT_WINDOW = 3;
+
+// Fewer paired days than this make a correlation meaningless
+const MIN_CORRELATION_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 2) => (value === null ? null : Number(value.toFixed(places)));
+
+const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+class TrendService {
+  /**
+   * Direction and reliable change threshold for an assessment type
+   */
+  getScoring(type) {
+    if (type === 'mood') return MOOD_SCORING;
+    const { direction, reliableChange } = instrumentRegistry.get(type).scoring;
+    return { direction: direction || 'lower_better', reliableChange: reliableChange ?? null };
+  }
+
+  /**
+   * Classify a score change against the reliable change threshold:
+   * 'improved', 'deteriorated', 'no_change', or null without a threshold
+   */
+  classifyChange(delta, { direction, reliableChange }) {
+    if (!reliableChange) return null;
+    if (Math.abs(delta) < reliableChange) return 'no_change';
+
+    const better = direction === 'higher_better' ? delta > 0 : delta < 0;
+    return better ? 'improved' : 'deteriorated';
+  }
+
+  /**
+   * Trailing average over the last `window` administrations
+   */
+  rollingAverage(scores, window = DEFAULT_WINDOW) {
+    return scores.map((_, index) => {
+      const slice = scores.slice(Math.max(0, index - window + 1), index + 1);
+      return round(mean(slice));
+    });
+  }
+
+  /**
+   * Consecutive calendar days with at least one entry.
+   * The current streak is still alive if the last entry was yesterday.
+   */
+  streaks(timestamps, now = new Date()) {
+    const days = [...new Set(timestamps.map(dayKey))].sort();
+    let longest = 0;
+    let run = 0;
+
+    days.forEach((day, index) => {
+      const gap = index === 0 ? null : (Date.parse(day) - Date.parse(days[index - 1])) / DAY_MS;
+      run = gap === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    });
+
+    const sinceLast = days.length > 0 ? (Date.parse(dayKey(now)) - Date.parse(days[days.length - 1])) / DAY_MS : null;
+
+    return {
+      current: sinceLast !== null && sinceLast <= 1 ? run : 0,
+      longest,
+      lastEntry: days[days.length - 1] || null
+    };
+  }
+
+  /**
+   * Series, rolling average, reliable change and streaks for one type.
+   * `rows` are assessments in ascending date order.
+   */
+  summarize(type, rows, { window = DEFAULT_WINDOW, now = new Date() } = {}) {
+    const scoring = this.getScoring(type);
+    const scores = rows.map(row => row.score);
+    const averages = this.rollingAverage(scores, window);
+
+    const series = rows.map((row, index) => {
+      const delta = index === 0 ? null : round(row.score - rows[index - 1].score);
+      return {
+        id: row.id,
+        timestamp: new Date(row.createdAt),
+        score: row.score,
+        severity: row.severity,
+        instrumentVersion: row.instrumentVersion,
+        rollingAverage: averages[index],
+        change: delta,
+        reliableChange: delta === null ? null : this.classifyChange(delta, scoring)
+      };
+    });
+
+    // Consecutive most recent administrations that moved in the better direction
+    let improving = 0;
+    for (let index = series.length - 1; index > 0; index -= 1) {
+      const { change } = series[index];
+      const better = scoring.direction === 'higher_better' ? change > 0 : change < 0;
+      if (!better) break;
+      improving += 1;
+    }
+
+    const first = series[0] || null;
+    const latest = series[series.length - 1] || null;
+    const overallDelta = series.length > 1 ? round(latest.score - first.score) : null;
+
+    return {
+      type,
+      direction: scoring.direction,
+      reliableChangeThreshold: scoring.reliableChange,
+      count: series.length,
+      series,
+      latest,
+      overall: {
+        from: first?.score ?? null,
+        to: latest?.score ?? null,
+        change: overallDelta,
+        reliableChange: overallDelta === null ? null : this.classifyChange(overallDelta, scoring),
+        average: series.length > 0 ? round(mean(scores)) : null
+      },
+      streaks: { ...this.streaks(rows.map(row => row.createdAt), now), improving }
+    };
+  }
+
+  /**
+   * Pearson correlation; null when either side has no variance
+   */
+  correlation(pairs) {
+    if (pairs.length < MIN_CORRELATION_DAYS) return null;
+
+    const xMean = mean(pairs.map(([x]) => x));
+    const yMean = mean(pairs.map(([, y]) => y));
+    let covariance = 0;
+    let xVariance = 0;
+    let yVariance = 0;
+
+    pairs.forEach(([x, y]) => {
+      covariance += (x - xMean) * (y - yMean);
+      xVariance += (x - xMean) ** 2;
+      yVariance += (y - yMean) ** 2;
+    });
+
+    if (xVariance === 0 || yVariance === 0) return null;
+    return round(covariance / Math.sqrt(xVariance * yVariance), 3);
+  }
+
+  /**
+   * Daily average mood against the daily average sentiment of the user's
+   * chat messages (sentimentScore, 0-1), on days that have both
+   */
+  moodSentiment(moodRows, messageRows) {
+    const byDay = (rows, valueOf) => rows.reduce((acc, row) => {
+      const key = dayKey(row.createdAt);
+      (acc[key] = acc[key] || []).push(valueOf(row));
+      return acc;
+    }, {});
+
+    const moods = byDay(moodRows, row => row.score);
+    const sentiments = byDay(messageRows, row => row.sentimentScore);
+
+    const days = Object.keys(moods)
+      .filter(day => sentiments[day])
+      .sort()
+      .map(date => ({
+        date,
+        mood: round(mean(moods[date])),
+        sentiment: round(mean(sentiments[date]), 3),
+        messages: sentiments[date].length
+      }));
+
+    return {
+      days: days.length,
+      minimumDays: MIN_CORRELATION_DAYS,
+      coefficient: this.correlation(days.map(day => [day.mood, day.sentiment])),
+      points: days
+    };
+  }
+
+  /**
+   * Trends for a user since `since`, optionally for a single type
+   */
+  async getTrends(userId, { since, type = null, window = DEFAULT_WINDOW }) {
+    const where = {
+      userId,
+      createdAt: { [Op.gte]: since },
+      score: { [Op.ne]: null }
+    };
+    if (type) {
+      where.type = type;
+    }
+
+    const rows = await db.Assessment.findAll({
+      where,
+      attributes: ['id', 'type', 'instrumentVersion', 'score', 'severity', 'createdAt'],
+      order: [['createdAt', 'ASC']],
+      raw: true
+    });
+
+    const grouped = rows.reduce((acc, row) => {
+      (acc[row.type] = acc[row.type] || []).push(row);
+      return acc;
+    }, {});
+
+    const instruments = {};
+    Object.entries(grouped).forEach(([assessmentType, typeRows]) => {
+      instruments[assessmentType] = this.summarize(assessmentType, typeRows, { window });
+    });
+
+    let moodSentiment = null;
+    if (grouped.mood) {
+      // Only plain columns are selected; encrypted message content is never read
+      const messages = await db.Message.findAll({
+        where: {
+          userId,
+          sender: 'user',
+          createdAt: { [Op.gte]: since },
+          sentimentScore: { [Op.ne]: null }
+        },
+        attributes: ['createdAt', 'sentimentScore'],
+        raw: true
+      });
+      moodSentiment = this.moodSentiment(grouped.mood, messages);
+    }
+
+    return { instruments, moodSentiment };
+  }
+}
+
+module.exports = new TrendService();
+module.exports.TrendService = TrendService;
+module.exports.DEFAULT_WINDOW = DEFAULT_WINDOW;
@@ -1,8 +1,10 @@
 
 import React, { useState, useRef, useEffect } from 'react';
-import { Message, Mood, MoodLog } from '../types';
-import { apiService } from '../services/apiService';
-import { saveMoodLogs, loadMoodLogs, saveChatHistory, loadChatHistory, clearChatHistory } from '../services/storageService';
+import { Message, Mood } from '../types';
+import { apiService, Escalation } from '../services/apiService';
+import { saveChatHistory, loadChatHistory, clearChatHistory } from '../services/storageService';
+import { logMood, syncLocalMoodLogs, MOOD_SCORES } from '../services/moodService';
+import { offlineQueue, createClientId, isRetryable, QueuedItem } from '../services/offlineQueue';
 import { voiceService } from '../services/voiceService';
 import { useTheme } from '../contexts/ThemeContext';
 import MoodCheckIn from './MoodCheckIn';
@@ -10,6 +12,10 @@ import MoodAnalytics from './MoodAnalytics';
 import WellnessResources from './WellnessResources';
 import VoiceControls from './VoiceControls';
 import GoalsAndReminders from './GoalsAndReminders';
+import MemoryPanel from './MemoryPanel';
+import SessionHistory from './SessionHistory';
+import ChatSearch from './ChatSearch';
+import DataExport from './DataExport';
 import CrisisAlert from './CrisisAlert';
 import { FaceSmileIcon, SendIcon } from './icons';
 
@@ -22,11 +28,14 @@ const AIMessageBubble: React.FC<{ text: string }> = ({ text }) => (
     </div>
 );
 
-const UserMessageBubble: React.FC<{ text: string }> = ({ text }) => (
-    <div className="flex justify-end animate-slide-in-right">
-        <div className="glass-message-user text-white rounded-2xl rounded-br-none p-3 max-w-lg message-bubble hover-lift">
+const UserMessageBubble: React.FC<{ text: string; pending?: boolean }> = ({ text, pending }) => (
+    <div className="flex flex-col items-end animate-slide-in-right">
+        <div className={`glass-message-user text-white rounded-2xl rounded-br-none p-3 max-w-lg message-bubble hover-lift ${pending ? 'opacity-60' : ''}`}>
             <p className="text-sm">{text}</p>
         </div>
+        {pending && (
+            <span className="text-xs text-gray-500 dark:text-gray-400 mt-1">Waiting for connection, will send automatically</span>
+        )}
     </div>
 );
 
@@ -49,20 +58,26 @@ const ChatScreen: React.FC = () => {
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState<string | null>(null);
     const [sessionId, setSessionId] = useState<string | null>(null);
+    const [streamingText, setStreamingText] = useState<string | null>(null);
     const [showMoodModal, setShowMoodModal] = useState(false);
     const [showAnalytics, setShowAnalytics] = useState(false);
     const [showResources, setShowResources] = useState(false);
     const [showVoiceSettings, setShowVoiceSettings] = useState(false);
     const [showGoalsReminders, setShowGoalsReminders] = useState(false);
+    const [showMemory, setShowMemory] = useState(false);
+    const [showSessionHistory, setShowSessionHistory] = useState(false);
+    const [showSearch, setShowSearch] = useState(false);
+    const [showExport, setShowExport] = useState(false);
+    // Session that just ended and is waiting for the end-of-session mood
+    const [endedSessionId, setEndedSessionId] = useState<string | null>(null);
     const [showCrisisAlert, setShowCrisisAlert] = useState(false);
     const [crisisLevel, setCrisisLevel] = useState<'low' | 'medium' | 'high'>('low');
-    const [moodLogs, setMoodLogs] = useState<MoodLog[]>([]);
+    const [escalation, setEscalation] = useState<Escalation | null>(null);
     const messagesEndRef = useRef<HTMLDivElement>(null);
 
     // Load data from localStorage on component mount
     useEffect(() => {
         const savedMessages = loadChatHistory();
-        const savedMoodLogs = loadMoodLogs();
         const savedSessionId = localStorage.getItem('currentSessionId');
         
         if (savedSessionId) {
@@ -79,8 +94,6 @@ const ChatScreen: React.FC = () => {
             };
             setMessages([welcomeMessage]);
         }
-        
-        setMoodLogs(savedMoodLogs);
     }, []);
 
     // Save chat history and session whenever messages change
@@ -103,28 +116,43 @@ const ChatScreen: React.FC = () => {
 
     useEffect(() => {
         scrollToBottom();
-    }, [messages, isLoading]);
+    }, [messages, isLoading, streamingText]);
 
     // Auto-register user for demo purposes
     useEffect(() => {
         const initializeUser = async () => {
             try {
-                // Check if we already have a token
+                // Reuse the saved token unless the server no longer accepts it
                 if (apiService.getToken()) {
-                    return;
+                    await apiService.getCurrentUser().catch((error) => {
+                        if (error.status === 401 || error.status === 403) apiService.clearToken();
+                    });
+                }
+
+                if (!apiService.getToken()) {
+                    // Register a demo user
+                    const userData = {
+                        username: `demo_user_${Date.now()}`,
+                        email: `demo_${Date.now()}@example.com`,
+                        password: 'Demo123!',
+                        age: 25,
+                        termsAccepted: true
+                    };
+
+                    await apiService.register(userData);
+                    console.log('✅ User registered and authenticated');
+
+                    // A saved session belongs to the previous user and would be refused
+                    localStorage.removeItem('currentSessionId');
+                    setSessionId(null);
                 }
 
-                // Register a demo user
-                const userData = {
-                    username: `demo_user_${Date.now()}`,
-                    email: `demo_${Date.now()}@example.com`,
-                    password: 'Demo123!',
-                    age: 25,
-                    termsAccepted: true
-                };
-
-                await apiService.register(userData);
-                console.log('✅ User registered and authenticated');
+                // Upload mood check-ins that so far only exist in this browser
+                const uploaded = await syncLocalMoodLogs().catch((error) => {
+                    console.warn('Mood history upload will be retried later:', error);
+                    return 0;
+                });
+                if (uploaded > 0) console.log(`📤 Uploaded ${uploaded} saved mood check-ins`);
             } catch (error) {
                 console.error('❌ Auto-registration failed:', error);
                 setError('Failed to connect to backend. Please check if the server is running.');
@@ -134,22 +162,119 @@ const ChatScreen: React.FC = () => {
         initializeUser();
     }, []);
 
+    // The alert has no separate "critical" styling; it is at least high
+    const showCrisis = (level: string, pendingEscalation?: Escalation | null) => {
+        setCrisisLevel(level === 'critical' ? 'high' : level as 'low' | 'medium' | 'high');
+        if (pendingEscalation) setEscalation(pendingEscalation);
+        setShowCrisisAlert(true);
+    };
+
+    // Queued messages are delivered after this component's closures were made,
+    // so the delivery handler reads the current session from a ref
+    const sessionIdRef = useRef<string | null>(null);
+    useEffect(() => {
+        sessionIdRef.current = sessionId;
+    }, [sessionId]);
+
+    const markDelivered = (clientId: string) => {
+        setMessages(prev => prev.map(msg => msg.clientId === clientId ? { ...msg, pending: false } : msg));
+    };
+
+    const queueMessage = async (text: string, clientId: string, activeSessionId: string | null) => {
+        await offlineQueue.enqueue('chat', { message: text, sessionId: activeSessionId }, clientId);
+        setMessages(prev => prev.map(msg => msg.clientId === clientId ? { ...msg, pending: true } : msg));
+    };
+
+    // Deliver messages written while offline, in order, once the server is reachable
+    useEffect(() => {
+        offlineQueue.register('chat', (item: QueuedItem) => apiService.sendMessage(
+            item.payload.message,
+            item.payload.sessionId || sessionIdRef.current || undefined,
+            item.id
+        ));
+
+        const unsubscribe = offlineQueue.subscribe((event) => {
+            if (event.item.kind !== 'chat') return;
+            markDelivered(event.item.id);
+
+            if (event.type === 'failed') {
+                setError(`A queued message could not be sent: ${event.error.message}`);
+                return;
+            }
+
+            const data = event.result?.data;
+            if (data?.sessionId) {
+                sessionIdRef.current = data.sessionId;
+                setSessionId(data.sessionId);
+            }
+            if (data?.aiResponse?.content) {
+                setMessages(prev => [...prev, { role: 'model', parts: [{ text: data.aiResponse.content }] }]);
+            }
+            if (data?.aiResponse?.crisisDetected) {
+                showCrisis(data.aiResponse.crisisLevel || 'low', data.aiResponse.escalation);
+            }
+        });
+
+        offlineQueue.start();
+        return unsubscribe;
+    }, []);
+
     const handleSendMessage = async (e: React.FormEvent) => {
         e.preventDefault();
         if (!inputValue.trim() || isLoading) return;
 
-        const userMessage: Message = { role: 'user', parts: [{ text: inputValue }] };
+        const text = inputValue;
+        const clientId = createClientId();
+        const userMessage: Message = { role: 'user', parts: [{ text }], clientId };
         setMessages(prev => [...prev, userMessage]);
         setInputValue('');
-        setIsLoading(true);
         setError(null);
 
+        // Keep the order: while offline, or while earlier messages are still
+        // waiting, a new message joins the queue instead of overtaking them
+        if (!navigator.onLine || (await offlineQueue.list('chat')).length > 0) {
+            await queueMessage(text, clientId, sessionId);
+            return;
+        }
+
+        setIsLoading(true);
+
+        // Streaming needs an existing session, so create one up front
+        let activeSessionId = sessionId;
+        let streamStarted = false;
+
         try {
-            // Send message to backend API with current session
-            const response = await apiService.sendMessage(
-                userMessage.parts[0].text, 
-                sessionId || undefined
-            );
+            if (!activeSessionId) {
+                const created = await apiService.createSession().catch(() => null);
+                activeSessionId = created?.data?.session?.id || null;
+            }
+
+            // Stream the response when possible; fall back to a single request
+            // only if nothing was received (so the message is never sent twice)
+            let response;
+            try {
+                if (!activeSessionId) throw new Error('No chat session available for streaming');
+                response = await apiService.streamMessage(activeSessionId, text, {
+                    onStart: (analysis) => {
+                        streamStarted = true;
+                        if (analysis.crisisDetected) {
+                            showCrisis(analysis.crisisLevel || 'low', analysis.escalation);
+                        }
+                    },
+                    onChunk: (chunk) => {
+                        streamStarted = true;
+                        setStreamingText(prev => (prev ?? '') + chunk);
+                    }
+                }, clientId);
+            } catch (streamError) {
+                if (streamStarted) throw streamError;
+                console.warn('Streaming unavailable, falling back to single response:', streamError);
+                response = await apiService.sendMessage(
+                    text,
+                    activeSessionId || undefined,
+                    clientId
+                );
+            }
             
             console.log('🔄 Chat Response:', response);
             
@@ -176,8 +301,7 @@ const ChatScreen: React.FC = () => {
             if (response.data?.aiResponse?.crisisDetected) {
                 const level = response.data.aiResponse.crisisLevel || 'low';
                 console.log('🚨 Crisis detected:', level);
-                setCrisisLevel(level as 'low' | 'medium' | 'high');
-                setShowCrisisAlert(true);
+                showCrisis(level, response.data.aiResponse.escalation);
                 
                 // Log crisis event for analytics
                 console.log('Crisis triggers:', response.data.aiResponse.crisisTriggers);
@@ -192,6 +316,14 @@ const ChatScreen: React.FC = () => {
                 });
             }
         } catch (err) {
+            // Nothing reached the user yet, so the message can wait in the
+            // queue; the server drops a repeat carrying the same client id
+            if (!streamStarted && isRetryable(err)) {
+                console.warn('Message queued until the server is reachable:', err);
+                await queueMessage(text, clientId, activeSessionId);
+                return;
+            }
+
             console.error('💥 Chat error:', err);
             const errorMessage = err instanceof Error ? err.message : "An unknown error occurred.";
             setError(errorMessage);
@@ -204,18 +336,43 @@ const ChatScreen: React.FC = () => {
             };
             setMessages(prev => [...prev, errorResponse]);
         } finally {
+            setStreamingText(null);
             setIsLoading(false);
         }
     };
     
-    const handleSaveMood = (mood: Mood, note?: string) => {
-      const newLog: MoodLog = { mood, note, timestamp: new Date() };
-      setMoodLogs(prev => [...prev, newLog]);
+    const handleSaveMood = async (mood: Mood, note?: string) => {
       setShowMoodModal(false);
+      try {
+        await logMood(mood, note);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Could not save your check-in.');
+      }
+    };
+
+    const handleSaveEndMood = async (mood: Mood) => {
+        const endedId = endedSessionId;
+        setEndedSessionId(null);
+        if (!endedId) return;
+        try {
+            await apiService.completeSession(endedId, MOOD_SCORES[mood]);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Could not save how you feel.');
+        }
     };
 
     const handleClearChat = () => {
         if (window.confirm('Are you sure you want to start a new conversation? This will clear your chat history and start fresh.')) {
+            // End the current session so it gets its summary, then ask how the user feels now
+            if (sessionId) {
+                const endingId = sessionId;
+                apiService.completeSession(endingId)
+                    .then(response => {
+                        if (response.data.moodPrompt) setEndedSessionId(endingId);
+                    })
+                    .catch(err => console.warn('Could not end chat session:', err));
+            }
+
             const welcomeMessage: Message = { 
                 role: 'model', 
                 parts: [{ text: "Hello! I'm Aura, your AI wellness companion designed especially for you. I'm here to provide mental health support using evidence-based techniques. How are you feeling today?" }] 
@@ -265,9 +422,14 @@ const ChatScreen: React.FC = () => {
             {/* Main Chat Container */}
             <div className="chat-container-3d flex flex-col h-full rounded-lg overflow-hidden transition-all duration-300 animate-scale-in">
                 {showMoodModal && <MoodCheckIn onClose={() => setShowMoodModal(false)} onSaveMood={handleSaveMood} />}
-                {showAnalytics && <MoodAnalytics moodLogs={moodLogs} onClose={() => setShowAnalytics(false)} />}
+                {showAnalytics && <MoodAnalytics onClose={() => setShowAnalytics(false)} />}
                 {showResources && <WellnessResources onClose={() => setShowResources(false)} />}
                 {showGoalsReminders && <GoalsAndReminders onClose={() => setShowGoalsReminders(false)} />}
+                {showMemory && <MemoryPanel sessionId={sessionId} onClose={() => setShowMemory(false)} />}
+                {showSessionHistory && <SessionHistory onClose={() => setShowSessionHistory(false)} />}
+                {showSearch && <ChatSearch onClose={() => setShowSearch(false)} />}
+                {showExport && <DataExport onClose={() => setShowExport(false)} />}
+                {endedSessionId && <MoodCheckIn onClose={() => setEndedSessionId(null)} onSaveMood={handleSaveEndMood} />}
             <header className="glass-header flex items-center justify-between p-4 transition-all duration-300">
                 <div className="flex items-center gap-4">
                     <h1 className="text-xl font-bold text-purple-700 dark:text-purple-400 animate-pulse-subtle">AI Wellness Companion</h1>
@@ -301,6 +463,34 @@ const ChatScreen: React.FC = () => {
                     >
                         🎤
                     </button>
+                    <button 
+                        onClick={() => setShowSearch(true)}
+                        className="glass-button p-2 rounded-full hover:bg-gray-200/50 dark:hover:bg-gray-600/50 transition-all duration-200 button-press hover-lift"
+                        title="Search conversations"
+                    >
+                        🔎
+                    </button>
+                    <button 
+                        onClick={() => setShowExport(true)}
+                        className="glass-button p-2 rounded-full hover:bg-gray-200/50 dark:hover:bg-gray-600/50 transition-all duration-200 button-press hover-lift"
+                        title="Export your data"
+                    >
+                        📤
+                    </button>
+                    <button 
+                        onClick={() => setShowSessionHistory(true)}
+                        className="glass-button p-2 rounded-full hover:bg-gray-200/50 dark:hover:bg-gray-600/50 transition-all duration-200 button-press hover-lift"
+                        title="Past sessions"
+                    >
+                        🗂️
+                    </button>
+                    <button 
+                        onClick={() => setShowMemory(true)}
+                        className="glass-button p-2 rounded-full hover:bg-gray-200/50 dark:hover:bg-gray-600/50 transition-all duration-200 button-press hover-lift"
+                        title="What I remember"
+                    >
+                        🧠
+                    </button>
                     <button 
                         onClick={() => setShowGoalsReminders(true)}
                         className="glass-button flex items-center gap-2 bg-yellow-100/70 dark:bg-yellow-900/70 text-yellow-700 dark:text-yellow-300 font-semibold py-2 px-4 rounded-full hover:bg-yellow-200/70 dark:hover:bg-yellow-800/70 transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-yellow-400 button-press hover-lift"
@@ -370,10 +560,11 @@ const ChatScreen: React.FC = () => {
                     msg.role === 'model' ? (
                         <AIMessageBubble key={index} text={msg.parts[0].text} />
                     ) : (
-                        <UserMessageBubble key={index} text={msg.parts[0].text} />
+                        <UserMessageBubble key={index} text={msg.parts[0].text} pending={msg.pending} />
                     )
                 )}
-                {isLoading && <LoadingBubble />}
+                {streamingText && <AIMessageBubble text={streamingText} />}
+                {isLoading && !streamingText && <LoadingBubble />}
                 <div ref={messagesEndRef} />
             </div>
 
@@ -407,6 +598,12 @@ const ChatScreen: React.FC = () => {
             {showCrisisAlert && (
                 <CrisisAlert 
                     level={crisisLevel}
+                    escalation={escalation}
+                    onEscalationConsent={async (granted, contactId) => {
+                        if (!escalation) return;
+                        const result = await apiService.respondToEscalation(escalation.id, granted, contactId);
+                        setEscalation(result.data.escalation);
+                    }}
                     onClose={() => setShowCrisisAlert(false)}
                     onContactCrisisLine={() => {
                         // Try to open phone dialer first, fallback to tel link
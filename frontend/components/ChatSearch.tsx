@@ -0,0 +1,119 @@
+
+import React, { useState } from 'react';
+import { apiService, SearchResult, SearchFilters } from '../services/apiService';
+
+interface ChatSearchProps {
+    onClose: () => void;
+}
+
+// Render a snippet with its matching words marked, without injecting HTML
+const HighlightedSnippet: React.FC<{ result: SearchResult }> = ({ result }) => {
+    const parts: React.ReactNode[] = [];
+    let position = 0;
+    result.highlights.forEach(([start, end], index) => {
+        if (start > position) parts.push(result.snippet.slice(position, start));
+        parts.push(
+            <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 rounded px-0.5">{result.snippet.slice(start, end)}</mark>
+        );
+        position = end;
+    });
+    parts.push(result.snippet.slice(position));
+    return <p className="text-gray-700 dark:text-gray-200">{parts}</p>;
+};
+
+const ChatSearch: React.FC<ChatSearchProps> = ({ onClose }) => {
+    const [query, setQuery] = useState('');
+    const [sender, setSender] = useState<SearchFilters['sender']>(undefined);
+    const [crisisOnly, setCrisisOnly] = useState(false);
+    const [results, setResults] = useState<SearchResult[] | null>(null);
+    const [isSearching, setIsSearching] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const handleSearch = async () => {
+        const q = query.trim();
+        if (!q || isSearching) return;
+
+        setIsSearching(true);
+        setError(null);
+        try {
+            const response = await apiService.searchMessages(q, {
+                sender,
+                crisis: crisisOnly || undefined,
+            });
+            setResults(response.data.results);
+        } catch (err: any) {
+            setError(err.message || 'Search is unavailable right now. Please try again later.');
+        } finally {
+            setIsSearching(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto animate-fade-in-up">
+                <h2 className="text-2xl font-bold text-center text-gray-800 dark:text-gray-100 mb-6">Search your conversations</h2>
+
+                <div className="flex gap-2 mb-3">
+                    <input
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                        maxLength={200}
+                        placeholder="e.g. sister"
+                        className="flex-1 p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400 transition-shadow duration-200"
+                    />
+                    <button
+                        onClick={handleSearch}
+                        disabled={!query.trim() || isSearching}
+                        className="px-5 py-2 text-white bg-purple-600 rounded-full font-semibold hover:bg-purple-700 disabled:bg-purple-300 disabled:cursor-not-allowed transition-colors"
+                    >
+                        Search
+                    </button>
+                </div>
+
+                <div className="flex items-center gap-4 mb-6 text-sm text-gray-600 dark:text-gray-300">
+                    <select
+                        value={sender || ''}
+                        onChange={(e) => setSender((e.target.value || undefined) as SearchFilters['sender'])}
+                        className="p-2 border border-gray-300 rounded-lg bg-white dark:bg-gray-700"
+                    >
+                        <option value="">Everyone</option>
+                        <option value="user">Only me</option>
+                        <option value="ai">Only Aura</option>
+                    </select>
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={crisisOnly} onChange={(e) => setCrisisOnly(e.target.checked)} />
+                        Difficult moments only
+                    </label>
+                </div>
+
+                {error && <p className="text-sm text-red-600 dark:text-red-400 mb-4">{error}</p>}
+                {results && results.length === 0 && (
+                    <p className="text-sm text-gray-400 text-center mb-6">No messages found.</p>
+                )}
+
+                <ul className="space-y-3 mb-6">
+                    {results?.map(result => (
+                        <li key={result.messageId} className="p-3 rounded-lg bg-purple-50 dark:bg-purple-900/40">
+                            <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+                                {result.sender === 'user' ? 'You' : 'Aura'} · {new Date(result.createdAt).toLocaleString()}
+                            </div>
+                            <HighlightedSnippet result={result} />
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={onClose}
+                        className="px-6 py-2 text-gray-700 bg-gray-100 rounded-full font-semibold hover:bg-gray-200 transition-colors"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ChatSearch;
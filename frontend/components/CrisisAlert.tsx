@@ -1,13 +1,46 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { Escalation } from '../services/apiService';
 
 interface CrisisAlertProps {
   level: 'low' | 'medium' | 'high';
+  escalation?: Escalation | null;
+  onEscalationConsent?: (granted: boolean, contactId?: string) => Promise<void>;
   onClose: () => void;
   onContactCrisisLine: () => void;
   onContactEmergency: () => void;
 }
 
-const CrisisAlert: React.FC<CrisisAlertProps> = ({ level, onClose, onContactCrisisLine, onContactEmergency }) => {
+const CrisisAlert: React.FC<CrisisAlertProps> = ({ level, escalation, onEscalationConsent, onClose, onContactCrisisLine, onContactEmergency }) => {
+  const [consentPending, setConsentPending] = useState(false);
+  const [consentError, setConsentError] = useState<string | null>(null);
+
+  const respondToConsent = async (granted: boolean, contactId?: string) => {
+    if (!onEscalationConsent) return;
+    setConsentPending(true);
+    setConsentError(null);
+    try {
+      await onEscalationConsent(granted, contactId);
+    } catch {
+      setConsentError("We couldn't send that right now. Please reach out to them directly if you can.");
+    } finally {
+      setConsentPending(false);
+    }
+  };
+
+  const getConsentOutcome = () => {
+    if (!escalation) return null;
+    if (escalation.consentStatus === 'granted') {
+      return escalation.notificationStatus === 'failed'
+        ? "We couldn't reach your contact. Please call or text them directly if you can."
+        : "We've let your contact know. Someone who cares about you will be reaching out.";
+    }
+    if (escalation.consentStatus === 'declined') {
+      return "Okay, we won't contact anyone. The support below is here whenever you need it.";
+    }
+    return null;
+  };
+
+  const consentOutcome = getConsentOutcome();
   const getAlertContent = () => {
     switch (level) {
       case 'high':
@@ -88,6 +121,38 @@ const CrisisAlert: React.FC<CrisisAlertProps> = ({ level, onClose, onContactCris
           )}
         </div>
         
+        {escalation?.consentRequired && escalation.contacts && escalation.contacts.length > 0 && (
+          <div className={`mt-4 p-3 rounded-lg bg-white/50 dark:bg-gray-800/50 ${textColor}`}>
+            <p className="text-sm font-medium mb-3">{escalation.prompt}</p>
+            <div className="space-y-2">
+              {escalation.contacts.map(contact => (
+                <button
+                  key={contact.id}
+                  disabled={consentPending}
+                  onClick={() => respondToConsent(true, contact.id)}
+                  className="w-full py-2 px-4 bg-gradient-to-r from-green-500 to-teal-500 text-white rounded-full font-medium hover:shadow-lg transition-all duration-300 disabled:opacity-50"
+                >
+                  💚 Let {contact.name}{contact.relationship ? ` (${contact.relationship})` : ''} know
+                </button>
+              ))}
+              <button
+                disabled={consentPending}
+                onClick={() => respondToConsent(false)}
+                className="w-full py-2 px-4 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-full font-medium hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors disabled:opacity-50"
+              >
+                Not right now
+              </button>
+            </div>
+            {consentError && <p className="text-sm mt-2">{consentError}</p>}
+          </div>
+        )}
+
+        {consentOutcome && (
+          <div className={`mt-4 p-3 rounded-lg bg-white/50 dark:bg-gray-800/50 ${textColor}`}>
+            <p className="text-sm">{consentOutcome}</p>
+          </div>
+        )}
+        
         <div className={`mt-4 p-3 rounded-lg bg-white/50 dark:bg-gray-800/50 ${textColor}`}>
           <p className="text-sm font-medium mb-2">Remember:</p>
           <ul className="text-sm space-y-1">
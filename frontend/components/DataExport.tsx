@@ -0,0 +1,219 @@
+
+import React, { useEffect, useRef, useState } from 'react';
+import { apiService, ExportFile, ExportFormat, ExportJob, ImportEntity, ImportReport } from '../services/apiService';
+import { exportUserData } from '../services/storageService';
+
+interface DataExportProps {
+    onClose: () => void;
+}
+
+const FORMATS: { format: ExportFormat; label: string; description: string }[] = [
+    { format: 'html', label: 'Report for your therapist', description: 'A printable summary of screenings, moods and sessions' },
+    { format: 'csv', label: 'Spreadsheets (CSV)', description: 'One file each for sessions, messages, assessments, moods and crisis events' },
+    { format: 'json', label: 'Full archive (JSON)', description: 'Everything, in a format that can be restored later' },
+    { format: 'fhir', label: 'Health record (FHIR)', description: 'PHQ-9 and GAD-7 results for clinical systems' },
+];
+
+// Chat routes share a tight rate limit, so check on the job less often as it runs
+const POLL_DELAYS_MS = [1000, 2000, 4000, 8000, 15000];
+
+const formatSize = (bytes: number) => (bytes < 1024 ? `${bytes} B` : `${Math.round(bytes / 1024)} KB`);
+
+const ENTITY_LABELS: Record<ImportEntity, string> = {
+    sessions: 'sessions',
+    messages: 'messages',
+    assessments: 'screenings',
+    moodLogs: 'mood check-ins',
+    crisisEvents: 'crisis events',
+    memoryFacts: 'remembered facts',
+    profile: 'profile details',
+};
+
+// "3 sessions, 12 messages" for the entities with a non-zero count
+const describeCounts = (counts: Record<ImportEntity, number>) => (Object.keys(ENTITY_LABELS) as ImportEntity[])
+    .filter(entity => counts[entity] > 0)
+    .map(entity => `${counts[entity]} ${ENTITY_LABELS[entity]}`)
+    .join(', ') || 'nothing';
+
+const DataExport: React.FC<DataExportProps> = ({ onClose }) => {
+    const [job, setJob] = useState<ExportJob | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [importReport, setImportReport] = useState<ImportReport | null>(null);
+    const [isImporting, setIsImporting] = useState(false);
+    const pollTimer = useRef<number | null>(null);
+    const fileInput = useRef<HTMLInputElement>(null);
+
+    useEffect(() => () => {
+        if (pollTimer.current) window.clearTimeout(pollTimer.current);
+    }, []);
+
+    const poll = (jobId: string, attempt = 0) => {
+        const delay = POLL_DELAYS_MS[Math.min(attempt, POLL_DELAYS_MS.length - 1)];
+        pollTimer.current = window.setTimeout(async () => {
+            try {
+                const response = await apiService.getExport(jobId);
+                setJob(response.data.job);
+                if (['queued', 'running'].includes(response.data.job.status)) poll(jobId, attempt + 1);
+            } catch (err: any) {
+                // Rate limited: keep waiting rather than giving up on the export
+                if (err.status === 429) poll(jobId, attempt + 1);
+                else setError(err.message || 'Could not check on your export.');
+            }
+        }, delay);
+    };
+
+    const handleExport = async (format: ExportFormat) => {
+        setError(null);
+        try {
+            const response = await apiService.createExport(format);
+            setJob(response.data.job);
+            poll(response.data.job.id);
+        } catch (err: any) {
+            setError(err.message || 'Export is unavailable right now. Please try again later.');
+        }
+    };
+
+    const handleDownload = async (file: ExportFile) => {
+        try {
+            const blob = await apiService.downloadExportFile(file);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `mental-wellness-${file.name}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err: any) {
+            setError(err.message || 'Download failed. Please try again.');
+        }
+    };
+
+    const runImport = async (load: () => Promise<object>) => {
+        setError(null);
+        setImportReport(null);
+        setIsImporting(true);
+        try {
+            const response = await apiService.importData(await load());
+            setImportReport(response.report);
+        } catch (err: any) {
+            setError(err instanceof SyntaxError ? 'That file is not a valid export.' : err.message || 'Import failed. Please try again.');
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const handleFileImport = (event: React.ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (file) runImport(async () => JSON.parse(await file.text()));
+    };
+
+    const isPreparing = job !== null && ['queued', 'running'].includes(job.status);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-8 max-w-lg w-full max-h-[90vh] overflow-y-auto animate-fade-in-up">
+                <h2 className="text-2xl font-bold text-center text-gray-800 dark:text-gray-100 mb-2">Your data</h2>
+                <p className="text-sm text-center text-gray-500 dark:text-gray-400 mb-6">
+                    Exports can hold sensitive information. Only share them with people you trust.
+                </p>
+
+                <ul className="space-y-3 mb-6">
+                    {FORMATS.map(({ format, label, description }) => (
+                        <li key={format}>
+                            <button
+                                onClick={() => handleExport(format)}
+                                disabled={isPreparing}
+                                className="w-full text-left p-3 rounded-lg bg-purple-50 dark:bg-purple-900/40 hover:bg-purple-100 dark:hover:bg-purple-900/70 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                            >
+                                <div className="font-semibold text-gray-800 dark:text-gray-100">{label}</div>
+                                <div className="text-xs text-gray-500 dark:text-gray-400">{description}</div>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+
+                {isPreparing && <p className="text-sm text-gray-500 dark:text-gray-400 text-center mb-4">Preparing your export…</p>}
+                {job?.status === 'failed' && (
+                    <p className="text-sm text-red-600 dark:text-red-400 mb-4">{job.error || 'The export could not be created.'}</p>
+                )}
+                {error && <p className="text-sm text-red-600 dark:text-red-400 mb-4">{error}</p>}
+
+                {job?.status === 'completed' && (
+                    <div className="mb-6">
+                        <ul className="space-y-2">
+                            {job.files.map(file => (
+                                <li key={file.name} className="flex items-center justify-between text-sm text-gray-700 dark:text-gray-200">
+                                    <span>{file.name} · {formatSize(file.size)}</span>
+                                    <button
+                                        onClick={() => handleDownload(file)}
+                                        className="px-4 py-1 text-white bg-purple-600 rounded-full font-semibold hover:bg-purple-700 transition-colors"
+                                    >
+                                        Download
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                        {job.expiresAt && (
+                            <p className="text-xs text-gray-400 mt-3">
+                                Available until {new Date(job.expiresAt).toLocaleString()}
+                            </p>
+                        )}
+                    </div>
+                )}
+
+                <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-1">Import data</h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+                    Restore a full archive, or save the history kept on this device to your account. Anything already there is skipped.
+                </p>
+                <div className="flex flex-wrap gap-2 mb-4">
+                    <input ref={fileInput} type="file" accept="application/json,.json" onChange={handleFileImport} className="hidden" />
+                    <button
+                        onClick={() => fileInput.current?.click()}
+                        disabled={isImporting}
+                        className="px-4 py-2 text-sm text-purple-700 dark:text-purple-200 bg-purple-50 dark:bg-purple-900/40 rounded-full font-semibold hover:bg-purple-100 dark:hover:bg-purple-900/70 disabled:opacity-50 transition-colors"
+                    >
+                        Import an archive
+                    </button>
+                    <button
+                        onClick={() => runImport(async () => exportUserData())}
+                        disabled={isImporting}
+                        className="px-4 py-2 text-sm text-purple-700 dark:text-purple-200 bg-purple-50 dark:bg-purple-900/40 rounded-full font-semibold hover:bg-purple-100 dark:hover:bg-purple-900/70 disabled:opacity-50 transition-colors"
+                    >
+                        Import data saved on this device
+                    </button>
+                </div>
+
+                {isImporting && <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">Importing…</p>}
+                {importReport && (
+                    <div className="text-sm text-gray-700 dark:text-gray-200 mb-6 space-y-1">
+                        <p>Imported {describeCounts(importReport.imported)}.</p>
+                        <p className="text-gray-500 dark:text-gray-400">Already in your account: {describeCounts(importReport.skipped)}.</p>
+                        {importReport.conflicts.length > 0 && (
+                            <div>
+                                <p className="text-amber-700 dark:text-amber-400">
+                                    Kept your existing {describeCounts(importReport.conflicted)} where the import differed:
+                                </p>
+                                <ul className="list-disc list-inside text-xs text-gray-500 dark:text-gray-400">
+                                    {importReport.conflicts.map((conflict, index) => (
+                                        <li key={index}>{ENTITY_LABELS[conflict.entity]}: {conflict.reason}</li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={onClose}
+                        className="px-6 py-2 text-gray-700 bg-gray-100 rounded-full font-semibold hover:bg-gray-200 transition-colors"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DataExport;
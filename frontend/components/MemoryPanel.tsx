@@ -0,0 +1,117 @@
+
+import React, { useEffect, useState } from 'react';
+import { apiService, ConversationMemory } from '../services/apiService';
+
+interface MemoryPanelProps {
+    sessionId: string | null;
+    onClose: () => void;
+}
+
+const MAX_FACT_LENGTH = 280;
+
+const MemoryPanel: React.FC<MemoryPanelProps> = ({ sessionId, onClose }) => {
+    const [memory, setMemory] = useState<ConversationMemory | null>(null);
+    const [newFact, setNewFact] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        apiService.getMemory(sessionId || undefined)
+            .then(response => setMemory(response.data))
+            .catch(() => setError('Could not load what I remember. Please try again later.'));
+    }, [sessionId]);
+
+    const handleAddFact = async () => {
+        const content = newFact.trim();
+        if (!content || isSaving) return;
+
+        setIsSaving(true);
+        setError(null);
+        try {
+            const response = await apiService.addMemoryFact(content);
+            setMemory(prev => prev && { ...prev, facts: [...prev.facts, response.data.fact] });
+            setNewFact('');
+        } catch (err: any) {
+            setError(err.message || 'Could not save that. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleDeleteFact = async (factId: string) => {
+        setError(null);
+        try {
+            await apiService.deleteMemoryFact(factId);
+            setMemory(prev => prev && { ...prev, facts: prev.facts.filter(fact => fact.id !== factId) });
+        } catch {
+            setError('Could not forget that. Please try again.');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-8 max-w-lg w-full max-h-[90vh] overflow-y-auto animate-fade-in-up">
+                <h2 className="text-2xl font-bold text-center text-gray-800 dark:text-gray-100 mb-2">What I remember</h2>
+                <p className="text-center text-gray-500 dark:text-gray-400 mb-6">
+                    Things you pin here are remembered in every conversation. You can remove them at any time.
+                </p>
+
+                {error && <p className="text-sm text-red-600 dark:text-red-400 mb-4">{error}</p>}
+
+                <ul className="space-y-2 mb-4">
+                    {memory?.facts.map(fact => (
+                        <li key={fact.id} className="flex items-start justify-between gap-3 p-3 rounded-lg bg-purple-50 dark:bg-purple-900/40">
+                            <span className="text-gray-700 dark:text-gray-200 break-words">{fact.content}</span>
+                            <button
+                                onClick={() => handleDeleteFact(fact.id)}
+                                className="text-sm text-gray-400 hover:text-red-500 transition-colors"
+                                title="Forget this"
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                    {memory && memory.facts.length === 0 && (
+                        <li className="text-sm text-gray-400 text-center">Nothing pinned yet.</li>
+                    )}
+                </ul>
+
+                <div className="flex gap-2 mb-6">
+                    <input
+                        value={newFact}
+                        onChange={(e) => setNewFact(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleAddFact()}
+                        maxLength={MAX_FACT_LENGTH}
+                        placeholder="e.g. My exam is on Friday"
+                        className="flex-1 p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400 transition-shadow duration-200"
+                    />
+                    <button
+                        onClick={handleAddFact}
+                        disabled={!newFact.trim() || isSaving}
+                        className="px-5 py-2 text-white bg-purple-600 rounded-full font-semibold hover:bg-purple-700 disabled:bg-purple-300 disabled:cursor-not-allowed transition-colors"
+                    >
+                        Pin
+                    </button>
+                </div>
+
+                {memory?.session?.summary && (
+                    <div className="mb-6">
+                        <h3 className="font-semibold text-gray-700 dark:text-gray-200 mb-2">This conversation so far</h3>
+                        <p className="text-sm text-gray-600 dark:text-gray-300 whitespace-pre-wrap">{memory.session.summary}</p>
+                    </div>
+                )}
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={onClose}
+                        className="px-6 py-2 text-gray-700 bg-gray-100 rounded-full font-semibold hover:bg-gray-200 transition-colors"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MemoryPanel;
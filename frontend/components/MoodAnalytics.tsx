@@ -1,11 +1,14 @@
-import React from 'react';
-import { MoodLog, Mood } from '../types';
+import React, { useEffect, useState } from 'react';
+import { Mood, MoodLog } from '../types';
+import { apiService, AssessmentTrends, InstrumentTrend, ReliableChange, TrendPoint } from '../services/apiService';
+import { loadMoodHistory } from '../services/moodService';
 
 interface MoodAnalyticsProps {
-    moodLogs: MoodLog[];
     onClose: () => void;
 }
 
+const RANGE_OPTIONS = [30, 90, 365];
+
 const moodColors: Record<Mood, string> = {
     ecstatic: '#8B5CF6', // Purple-500
     happy: '#10B981', // Green-500
@@ -14,192 +17,257 @@ const moodColors: Record<Mood, string> = {
     crying: '#EF4444', // Red-500
 };
 
-const moodValues: Record<Mood, number> = {
-    ecstatic: 5,
-    happy: 4,
-    neutral: 3,
-    sad: 2,
-    crying: 1,
+const reliableChangeStyles: Record<Exclude<ReliableChange, null>, { label: string; className: string }> = {
+    improved: { label: 'Reliable improvement', className: 'bg-green-100 text-green-700' },
+    deteriorated: { label: 'Reliable worsening', className: 'bg-red-100 text-red-700' },
+    no_change: { label: 'No reliable change', className: 'bg-gray-100 text-gray-600' },
 };
 
-const MoodAnalytics: React.FC<MoodAnalyticsProps> = ({ moodLogs, onClose }) => {
-    // Calculate mood statistics
-    const calculateMoodStats = () => {
-        if (moodLogs.length === 0) return null;
-
-        const moodCounts = moodLogs.reduce((acc, log) => {
-            acc[log.mood] = (acc[log.mood] || 0) + 1;
-            return acc;
-        }, {} as Record<Mood, number>);
-
-        const totalLogs = moodLogs.length;
-        const averageMood = moodLogs.reduce((sum, log) => sum + moodValues[log.mood], 0) / totalLogs;
-        
-        const mostCommonMood = Object.entries(moodCounts).reduce((a, b) => 
-            moodCounts[a[0] as Mood] > moodCounts[b[0] as Mood] ? a : b
-        )[0] as Mood;
-
-        return {
-            moodCounts,
-            totalLogs,
-            averageMood,
-            mostCommonMood
-        };
-    };
+// Line chart of scores with the rolling average drawn dashed over them
+const TrendChart: React.FC<{ points: TrendPoint[]; min: number; max: number; color: string; height?: number }> = ({
+    points, min, max, color, height = 160
+}) => {
+    const width = 600;
+    const padding = 12;
+    const x = (index: number) => points.length === 1
+        ? width / 2
+        : padding + (index / (points.length - 1)) * (width - padding * 2);
+    const y = (value: number) => height - padding - ((value - min) / (max - min || 1)) * (height - padding * 2);
+    const path = (values: number[]) => values.map((value, index) => `${index === 0 ? 'M' : 'L'}${x(index)},${y(value)}`).join(' ');
 
-    // Get recent mood trend (last 7 days)
-    const getRecentTrend = () => {
-        const sevenDaysAgo = new Date();
-        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-        
-        const recentLogs = moodLogs.filter(log => log.timestamp >= sevenDaysAgo);
-        
-        if (recentLogs.length < 2) return 'insufficient-data';
-        
-        const recentAverage = recentLogs.reduce((sum, log) => sum + moodValues[log.mood], 0) / recentLogs.length;
-        const olderLogs = moodLogs.filter(log => log.timestamp < sevenDaysAgo);
-        
-        if (olderLogs.length === 0) return 'insufficient-data';
-        
-        const olderAverage = olderLogs.reduce((sum, log) => sum + moodValues[log.mood], 0) / olderLogs.length;
-        
-        if (recentAverage > olderAverage + 0.3) return 'improving';
-        if (recentAverage < olderAverage - 0.3) return 'declining';
-        return 'stable';
-    };
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full" preserveAspectRatio="none" role="img">
+            <path d={path(points.map(point => point.score))} fill="none" stroke={color} strokeWidth={2} />
+            <path d={path(points.map(point => point.rollingAverage))} fill="none" stroke={color} strokeWidth={2} strokeDasharray="6 4" opacity={0.5} />
+            {points.map((point, index) => (
+                <circle key={point.id} cx={x(index)} cy={y(point.score)} r={4} fill={color}>
+                    <title>{`${new Date(point.timestamp).toLocaleDateString()}: ${point.score}`}</title>
+                </circle>
+            ))}
+        </svg>
+    );
+};
 
-    const stats = calculateMoodStats();
-    const trend = getRecentTrend();
+const ReliableChangeBadge: React.FC<{ status: ReliableChange }> = ({ status }) => {
+    if (!status) return null;
+    const { label, className } = reliableChangeStyles[status];
+    return <span className={`text-xs font-medium px-2 py-1 rounded-full ${className}`}>{label}</span>;
+};
 
-    const getTrendMessage = (trend: string) => {
-        switch (trend) {
-            case 'improving': return '📈 Your mood has been improving lately!';
-            case 'declining': return '📉 You seem to be going through a tough time. Remember, it\'s okay to seek support.';
-            case 'stable': return '📊 Your mood has been relatively stable.';
-            default: return '📋 Keep logging your mood to see trends over time.';
-        }
-    };
+const describeCorrelation = (coefficient: number) => {
+    const strength = Math.abs(coefficient) >= 0.5 ? 'strongly' : Math.abs(coefficient) >= 0.3 ? 'moderately' : 'weakly';
+    return coefficient >= 0
+        ? `Your mood ratings ${strength} track how positive your chats are (r = ${coefficient.toFixed(2)}).`
+        : `Your mood ratings ${strength} move opposite to your chat tone (r = ${coefficient.toFixed(2)}).`;
+};
 
-    if (!stats) {
-        return (
-            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-                <div className="bg-white rounded-2xl shadow-xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
-                    <div className="flex justify-between items-center mb-6">
-                        <h2 className="text-2xl font-bold text-gray-800">Mood Analytics</h2>
-                        <button 
-                            onClick={onClose}
-                            className="text-gray-500 hover:text-gray-700 text-2xl"
-                        >
-                            ×
-                        </button>
-                    </div>
-                    
-                    <div className="text-center py-12">
-                        <p className="text-gray-500 mb-4">No mood data available yet.</p>
-                        <p className="text-sm text-gray-400">Start logging your moods to see insights and trends!</p>
-                    </div>
-                </div>
-            </div>
-        );
+const getRecentTrend = (mood: InstrumentTrend) => {
+    if (mood.count < 4 || mood.latest === null || mood.overall.average === null) return 'insufficient-data';
+    const difference = mood.latest.rollingAverage - mood.overall.average;
+    if (difference > 0.5) return 'improving';
+    if (difference < -0.5) return 'declining';
+    return 'stable';
+};
+
+const getTrendMessage = (trend: string) => {
+    switch (trend) {
+        case 'improving': return '📈 Your mood has been improving lately!';
+        case 'declining': return '📉 You seem to be going through a tough time. Remember, it\'s okay to seek support.';
+        case 'stable': return '📊 Your mood has been relatively stable.';
+        default: return '📋 Keep logging your mood to see trends over time.';
     }
+};
 
-    return (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white rounded-2xl shadow-xl p-8 max-w-4xl w-full max-h-[90vh] overflow-y-auto">
-                <div className="flex justify-between items-center mb-6">
-                    <h2 className="text-2xl font-bold text-gray-800">Mood Analytics</h2>
-                    <button 
-                        onClick={onClose}
-                        className="text-gray-500 hover:text-gray-700 text-2xl"
-                    >
-                        ×
-                    </button>
-                </div>
+const MoodAnalytics: React.FC<MoodAnalyticsProps> = ({ onClose }) => {
+    const [days, setDays] = useState(90);
+    const [trends, setTrends] = useState<AssessmentTrends | null>(null);
+    const [recentLogs, setRecentLogs] = useState<MoodLog[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
 
-                {/* Overview Stats */}
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-                    <div className="bg-purple-50 rounded-lg p-4 text-center">
-                        <h3 className="text-lg font-semibold text-purple-700 mb-2">Total Check-ins</h3>
-                        <p className="text-3xl font-bold text-purple-600">{stats.totalLogs}</p>
-                    </div>
-                    
-                    <div className="bg-blue-50 rounded-lg p-4 text-center">
-                        <h3 className="text-lg font-semibold text-blue-700 mb-2">Average Mood</h3>
-                        <p className="text-3xl font-bold text-blue-600">{stats.averageMood.toFixed(1)}/5</p>
-                    </div>
-                    
-                    <div className="bg-green-50 rounded-lg p-4 text-center">
-                        <h3 className="text-lg font-semibold text-green-700 mb-2">Most Common</h3>
-                        <p className="text-2xl font-bold text-green-600 capitalize">{stats.mostCommonMood}</p>
-                    </div>
-                </div>
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+
+        Promise.all([apiService.getAssessmentTrends({ days }), loadMoodHistory(days, 10)])
+            .then(([result, logs]) => {
+                if (cancelled) return;
+                setTrends(result);
+                setRecentLogs(logs);
+            })
+            .catch(() => { if (!cancelled) setError('Could not load your trends. Please try again later.'); })
+            .finally(() => { if (!cancelled) setIsLoading(false); });
+
+        return () => { cancelled = true; };
+    }, [days]);
+
+    const mood = trends?.instruments.mood;
+    const screenings = (trends ? Object.values<InstrumentTrend>(trends.instruments) : []).filter(trend => trend.type !== 'mood');
+    const moodSentiment = trends?.moodSentiment;
+
+    const renderBody = () => {
+        if (isLoading) {
+            return <p className="text-center text-gray-500 py-12">Loading your trends...</p>;
+        }
 
-                {/* Trend Analysis */}
-                <div className="bg-gray-50 rounded-lg p-6 mb-8">
-                    <h3 className="text-lg font-semibold text-gray-800 mb-3">Recent Trend (Last 7 Days)</h3>
-                    <p className="text-gray-600">{getTrendMessage(trend)}</p>
+        if (error) {
+            return <p className="text-center text-red-500 py-12">{error}</p>;
+        }
+
+        if (!mood && screenings.length === 0) {
+            return (
+                <div className="text-center py-12">
+                    <p className="text-gray-500 mb-4">No mood data available yet.</p>
+                    <p className="text-sm text-gray-400">Start logging your moods to see insights and trends!</p>
                 </div>
+            );
+        }
+
+        return (
+            <>
+                {mood && (
+                    <>
+                        {/* Overview Stats */}
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+                            <div className="bg-purple-50 rounded-lg p-4 text-center">
+                                <h3 className="text-lg font-semibold text-purple-700 mb-2">Total Check-ins</h3>
+                                <p className="text-3xl font-bold text-purple-600">{mood.count}</p>
+                            </div>
+
+                            <div className="bg-blue-50 rounded-lg p-4 text-center">
+                                <h3 className="text-lg font-semibold text-blue-700 mb-2">Average Mood</h3>
+                                <p className="text-3xl font-bold text-blue-600">{mood.overall.average?.toFixed(1)}/10</p>
+                            </div>
+
+                            <div className="bg-green-50 rounded-lg p-4 text-center">
+                                <h3 className="text-lg font-semibold text-green-700 mb-2">Check-in Streak</h3>
+                                <p className="text-3xl font-bold text-green-600">{mood.streaks.current} {mood.streaks.current === 1 ? 'day' : 'days'}</p>
+                                <p className="text-xs text-green-700 mt-1">Longest: {mood.streaks.longest}</p>
+                            </div>
+                        </div>
 
-                {/* Mood Distribution Chart */}
-                <div className="mb-8">
-                    <h3 className="text-lg font-semibold text-gray-800 mb-4">Mood Distribution</h3>
-                    <div className="space-y-3">
-                        {(Object.entries(stats.moodCounts) as [Mood, number][]).map(([mood, count]) => {
-                            const percentage = (count / stats.totalLogs) * 100;
-                            return (
-                                <div key={mood} className="flex items-center">
-                                    <div className="w-20 text-sm font-medium capitalize text-gray-600">
-                                        {mood}
+                        {/* Trend Analysis */}
+                        <div className="bg-gray-50 rounded-lg p-6 mb-8">
+                            <h3 className="text-lg font-semibold text-gray-800 mb-3">Mood Over Time</h3>
+                            <p className="text-gray-600 mb-4">{getTrendMessage(getRecentTrend(mood))}</p>
+                            <TrendChart points={mood.series} min={1} max={10} color="#8B5CF6" />
+                            <p className="text-xs text-gray-400 mt-2">
+                                Dashed line: average of your last {trends?.window} check-ins
+                            </p>
+                        </div>
+                    </>
+                )}
+
+                {/* Mood and chat sentiment */}
+                {moodSentiment && (
+                    <div className="bg-blue-50 rounded-lg p-6 mb-8">
+                        <h3 className="text-lg font-semibold text-gray-800 mb-3">Mood and Conversations</h3>
+                        <p className="text-gray-600">
+                            {moodSentiment.coefficient !== null
+                                ? describeCorrelation(moodSentiment.coefficient)
+                                : `Check in on at least ${moodSentiment.minimumDays} days you also chat to compare your mood with your conversations (${moodSentiment.days} so far).`}
+                        </p>
+                    </div>
+                )}
+
+                {/* Screenings */}
+                {screenings.length > 0 && (
+                    <div>
+                        <h3 className="text-lg font-semibold text-gray-800 mb-4">Screenings</h3>
+                        <div className="space-y-4">
+                            {screenings.map(trend => (
+                                <div key={trend.type} className="p-4 bg-gray-50 rounded-lg">
+                                    <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                                        <div>
+                                            <span className="font-semibold text-gray-800">{trend.shortName}</span>
+                                            <span className="ml-2 text-sm text-gray-500">
+                                                {trend.count} {trend.count === 1 ? 'result' : 'results'}
+                                            </span>
+                                        </div>
+                                        <ReliableChangeBadge status={trend.overall.reliableChange} />
                                     </div>
-                                    <div className="flex-1 bg-gray-200 rounded-full h-6 mx-3 relative overflow-hidden">
-                                        <div 
-                                            className="h-full rounded-full transition-all duration-500 ease-out"
-                                            style={{ 
-                                                width: `${percentage}%`,
-                                                backgroundColor: moodColors[mood]
-                                            }}
+                                    {trend.latest && (
+                                        <p className="text-sm text-gray-600 mb-2">
+                                            Latest score {trend.latest.score}
+                                            {trend.latest.severity && <span className="capitalize"> ({trend.latest.severity.replace(/_/g, ' ')})</span>}
+                                            {trend.overall.change !== null && `, ${trend.overall.change > 0 ? '+' : ''}${trend.overall.change} since ${new Date(trend.series[0].timestamp).toLocaleDateString()}`}
+                                        </p>
+                                    )}
+                                    {trend.count > 1 && (
+                                        <TrendChart
+                                            points={trend.series}
+                                            min={Math.min(...trend.series.map(point => point.score))}
+                                            max={Math.max(...trend.series.map(point => point.score))}
+                                            color={trend.direction === 'higher_better' ? '#10B981' : '#F59E0B'}
+                                            height={80}
                                         />
-                                    </div>
-                                    <div className="w-16 text-sm text-gray-600 text-right">
-                                        {count} ({percentage.toFixed(1)}%)
-                                    </div>
+                                    )}
                                 </div>
-                            );
-                        })}
+                            ))}
+                        </div>
                     </div>
-                </div>
+                )}
 
                 {/* Recent Entries */}
-                <div>
-                    <h3 className="text-lg font-semibold text-gray-800 mb-4">Recent Entries</h3>
-                    <div className="space-y-3 max-h-60 overflow-y-auto">
-                        {moodLogs
-                            .slice(-10)
-                            .reverse()
-                            .map((log, index) => (
-                            <div key={index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                                <div className="flex items-center">
-                                    <div 
-                                        className="w-4 h-4 rounded-full mr-3"
-                                        style={{ backgroundColor: moodColors[log.mood] }}
-                                    />
-                                    <span className="font-medium capitalize">{log.mood}</span>
-                                    {log.note && (
-                                        <span className="ml-2 text-sm text-gray-600 italic">
-                                            "{log.note}"
-                                        </span>
-                                    )}
+                {recentLogs.length > 0 && (
+                    <div className="mt-8">
+                        <h3 className="text-lg font-semibold text-gray-800 mb-4">Recent Entries</h3>
+                        <div className="space-y-3 max-h-60 overflow-y-auto">
+                            {recentLogs.map((log, index) => (
+                                <div key={log.id || index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                                    <div className="flex items-center">
+                                        <div
+                                            className="w-4 h-4 rounded-full mr-3"
+                                            style={{ backgroundColor: moodColors[log.mood] }}
+                                        />
+                                        <span className="font-medium capitalize">{log.mood}</span>
+                                        {log.note && (
+                                            <span className="ml-2 text-sm text-gray-600 italic">
+                                                "{log.note}"
+                                            </span>
+                                        )}
+                                    </div>
+                                    <span className="text-sm text-gray-500">
+                                        {log.timestamp.toLocaleDateString()}
+                                    </span>
                                 </div>
-                                <span className="text-sm text-gray-500">
-                                    {log.timestamp.toLocaleDateString()}
-                                </span>
-                            </div>
-                        ))}
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-xl p-8 max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-2xl font-bold text-gray-800">Mood Analytics</h2>
+                    <div className="flex items-center gap-3">
+                        <select
+                            value={days}
+                            onChange={(e) => setDays(Number(e.target.value))}
+                            className="text-sm border border-gray-300 rounded-lg px-2 py-1 text-gray-600"
+                        >
+                            {RANGE_OPTIONS.map(option => (
+                                <option key={option} value={option}>Last {option} days</option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={onClose}
+                            className="text-gray-500 hover:text-gray-700 text-2xl"
+                        >
+                            ×
+                        </button>
                     </div>
                 </div>
+
+                {renderBody()}
             </div>
         </div>
     );
 };
 
-export default MoodAnalytics;
\ No newline at end of file
+export default MoodAnalytics;
@@ -0,0 +1,138 @@
+
+import React, { useEffect, useState } from 'react';
+import { Mood } from '../types';
+import { apiService, ChatSessionOverview } from '../services/apiService';
+import { MOOD_SCORES, moodFromScore } from '../services/moodService';
+import { CryingFaceIcon, EcstaticFaceIcon, HappyFaceIcon, NeutralFaceIcon, SadFaceIcon } from './icons';
+
+interface SessionHistoryProps {
+    onClose: () => void;
+}
+
+const moodIcons: Record<Mood, React.FC<{ className?: string }>> = {
+    ecstatic: EcstaticFaceIcon,
+    happy: HappyFaceIcon,
+    neutral: NeutralFaceIcon,
+    sad: SadFaceIcon,
+    crying: CryingFaceIcon,
+};
+
+const trendLabels = {
+    improving: '📈 Felt better as it went on',
+    declining: '📉 Got harder as it went on',
+    steady: '➡️ Stayed about the same',
+};
+
+const formatDuration = (seconds: number | null) => {
+    if (!seconds) return null;
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    return `${minutes} min`;
+};
+
+const SessionHistory: React.FC<SessionHistoryProps> = ({ onClose }) => {
+    const [sessions, setSessions] = useState<ChatSessionOverview[] | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        apiService.getSessions(1, 20)
+            .then(response => setSessions(response.data.sessions.filter(session => session.status !== 'abandoned')))
+            .catch(() => setError('Could not load your past sessions. Please try again later.'));
+    }, []);
+
+    // Sessions closed for inactivity still wait for their end-of-session mood
+    const handleRateSession = async (sessionId: string, mood: Mood) => {
+        try {
+            const response = await apiService.completeSession(sessionId, MOOD_SCORES[mood]);
+            setSessions(prev => prev && prev.map(session => (session.id === sessionId ? { ...session, ...response.data.session } : session)));
+        } catch {
+            setError('Could not save how you felt. Please try again.');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto animate-fade-in-up">
+                <h2 className="text-2xl font-bold text-center text-gray-800 dark:text-gray-100 mb-2">Past sessions</h2>
+                <p className="text-center text-gray-500 dark:text-gray-400 mb-6">These notes are private to you.</p>
+
+                {error && <p className="text-sm text-red-600 dark:text-red-400 mb-4">{error}</p>}
+                {sessions && sessions.length === 0 && (
+                    <p className="text-sm text-gray-400 text-center mb-6">No sessions yet.</p>
+                )}
+
+                <ul className="space-y-4 mb-6">
+                    {sessions?.map(session => {
+                        const MoodIcon = session.moodAtEnd !== null ? moodIcons[moodFromScore(session.moodAtEnd)] : null;
+                        const summary = session.summary;
+                        return (
+                            <li key={session.id} className="p-4 rounded-xl bg-purple-50 dark:bg-purple-900/40">
+                                <div className="flex items-center justify-between mb-2">
+                                    <span className="font-semibold text-gray-700 dark:text-gray-200">
+                                        {new Date(session.startedAt).toLocaleString()}
+                                    </span>
+                                    <span className="text-sm text-gray-500 dark:text-gray-400">
+                                        {session.status === 'active' ? 'In progress' : formatDuration(session.duration)}
+                                    </span>
+                                </div>
+
+                                {summary?.overview && (
+                                    <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">{summary.overview}</p>
+                                )}
+                                {summary && summary.keyTopics.length > 0 && (
+                                    <div className="flex flex-wrap gap-2 mb-2">
+                                        {summary.keyTopics.map(topic => (
+                                            <span key={topic} className="text-xs px-2 py-1 rounded-full bg-purple-100 dark:bg-purple-800 text-purple-700 dark:text-purple-200">{topic}</span>
+                                        ))}
+                                    </div>
+                                )}
+                                {summary && summary.copingStrategies.length > 0 && (
+                                    <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">
+                                        🧘 {summary.copingStrategies.join(', ')}
+                                    </p>
+                                )}
+                                {summary?.sentimentArc?.trend && (
+                                    <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">{trendLabels[summary.sentimentArc.trend]}</p>
+                                )}
+
+                                {MoodIcon ? (
+                                    <div className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+                                        <span>Afterwards:</span>
+                                        <MoodIcon className="w-6 h-6 text-purple-600" />
+                                    </div>
+                                ) : session.status === 'completed' && (
+                                    <div className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+                                        <span>How did you feel afterwards?</span>
+                                        {(Object.keys(moodIcons) as Mood[]).map(mood => {
+                                            const Icon = moodIcons[mood];
+                                            return (
+                                                <button
+                                                    key={mood}
+                                                    onClick={() => handleRateSession(session.id, mood)}
+                                                    className="text-gray-400 hover:text-purple-500 transition-colors"
+                                                    aria-label={mood}
+                                                >
+                                                    <Icon className="w-6 h-6" />
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={onClose}
+                        className="px-6 py-2 text-gray-700 bg-gray-100 rounded-full font-semibold hover:bg-gray-200 transition-colors"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SessionHistory;
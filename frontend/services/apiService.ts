@@ -1,15 +1,238 @@
 // API Service for connecting to the backend
+import { loadAuthToken, saveAuthToken } from './storageService';
+
+export interface EscalationContact {
+  id: string;
+  name: string;
+  relationship: string | null;
+}
+
+// Crisis escalation opened by a high-risk verdict; contacts are only
+// notified after the user answers the consent prompt
+export interface Escalation {
+  id: string;
+  level: string;
+  status: 'open' | 'acknowledged' | 'resolved';
+  consentStatus: 'pending' | 'granted' | 'declined' | 'not_applicable';
+  notificationStatus: 'none' | 'sent' | 'partial' | 'failed';
+  consentRequired?: boolean;
+  contacts?: EscalationContact[];
+  prompt?: string | null;
+}
+
+export interface StreamAnalysis {
+  crisisDetected: boolean;
+  crisisLevel: string;
+  emergencyResources: any;
+  escalation?: Escalation | null;
+  sentiment: any;
+}
+
+export interface MoodSubmission {
+  mood: number;
+  energy?: number;
+  anxiety?: number;
+  notes?: string;
+}
+
+export type ReliableChange = 'improved' | 'deteriorated' | 'no_change' | null;
+
+export interface TrendPoint {
+  id: string;
+  timestamp: string;
+  score: number;
+  severity: string | null;
+  instrumentVersion: string;
+  rollingAverage: number;
+  change: number | null;
+  reliableChange: ReliableChange;
+}
+
+// Longitudinal view of one instrument (or mood check-ins), computed server-side
+export interface InstrumentTrend {
+  type: string;
+  name: string;
+  shortName: string;
+  direction: 'lower_better' | 'higher_better';
+  reliableChangeThreshold: number | null;
+  count: number;
+  series: TrendPoint[];
+  latest: TrendPoint | null;
+  overall: {
+    from: number | null;
+    to: number | null;
+    change: number | null;
+    reliableChange: ReliableChange;
+    average: number | null;
+  };
+  streaks: {
+    current: number;
+    longest: number;
+    lastEntry: string | null;
+    improving: number;
+  };
+}
+
+export interface MoodSentiment {
+  days: number;
+  minimumDays: number;
+  coefficient: number | null;
+  points: { date: string; mood: number; sentiment: number; messages: number }[];
+}
+
+export interface AssessmentTrends {
+  success: boolean;
+  instruments: Record<string, InstrumentTrend>;
+  moodSentiment: MoodSentiment | null;
+  window: number;
+  dateRange: { from: string; to: string; days: number };
+}
+
+export interface MemoryFact {
+  id: string;
+  content: string;
+  createdAt: string;
+}
+
+export interface ConversationMemory {
+  facts: MemoryFact[];
+  session: {
+    id: string;
+    summary: string | null;
+    summarizedThrough: string | null;
+    summaryMessageCount: number;
+  } | null;
+}
+
+export interface SessionSummary {
+  overview: string | null;
+  keyTopics: string[];
+  copingStrategies: string[];
+  // Average sentiment (0-1) over the opening, middle and closing of the session
+  sentimentArc: {
+    start: number;
+    middle: number | null;
+    end: number;
+    trend: 'improving' | 'declining' | 'steady' | null;
+  } | null;
+  crisisMoments: number;
+  messageCount: number;
+  generatedBy: 'ai' | 'keywords';
+}
+
+export interface ChatSessionOverview {
+  id: string;
+  status: 'active' | 'completed' | 'abandoned' | 'crisis_escalated';
+  startedAt: string;
+  endedAt: string | null;
+  endReason: string | null;
+  duration: number | null;
+  messageCount: number;
+  summary: SessionSummary | null;
+  // Same 1-10 scale as mood check-ins
+  moodAtEnd: number | null;
+  lastActivity?: string;
+}
+
+export interface SearchResult {
+  messageId: string;
+  sessionId: string;
+  sessionStartedAt: string;
+  sender: 'user' | 'ai';
+  crisisDetected: boolean;
+  createdAt: string;
+  snippet: string;
+  // [start, end) character offsets of matching words within the snippet
+  highlights: [number, number][];
+}
+
+export interface SearchFilters {
+  from?: string;
+  to?: string;
+  sender?: 'user' | 'ai';
+  crisis?: boolean;
+  page?: number;
+  limit?: number;
+}
+
+export type ExportFormat = 'json' | 'csv' | 'html' | 'fhir';
+
+export interface ExportFile {
+  name: string;
+  contentType: string;
+  size: number;
+  url: string;
+}
+
+export interface ExportJob {
+  id: string;
+  format: ExportFormat;
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'expired';
+  recordCount: number | null;
+  files: ExportFile[];
+  error: string | null;
+  createdAt: string;
+  completedAt: string | null;
+  expiresAt: string | null;
+}
+
+export type ImportEntity = 'sessions' | 'messages' | 'assessments' | 'moodLogs' | 'crisisEvents' | 'memoryFacts' | 'profile';
+
+export interface ImportReport {
+  source: 'archive' | 'local';
+  schemaVersion: number | null;
+  imported: Record<ImportEntity, number>;
+  skipped: Record<ImportEntity, number>;
+  conflicted: Record<ImportEntity, number>;
+  conflicts: { entity: ImportEntity; id: string | null; reason: string }[];
+}
+
+export interface StreamHandlers {
+  onStart?: (analysis: StreamAnalysis) => void;
+  onChunk?: (chunk: string) => void;
+}
+
+// Parse one Server-Sent Event block ("event: x\ndata: {...}")
+const parseSSEEvent = (raw: string): { event: string; data: any } | null => {
+  let event = 'message';
+  const dataLines: string[] = [];
+
+  raw.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch {
+    return null;
+  }
+};
+
 class ApiService {
   private baseURL: string;
   private token: string | null = null;
 
   constructor() {
     this.baseURL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+    this.token = loadAuthToken();
   }
 
   // Set authentication token
   setToken(token: string) {
     this.token = token;
+    saveAuthToken(token);
+  }
+
+  // Forget an expired or revoked token
+  clearToken() {
+    this.token = null;
+    saveAuthToken(null);
   }
 
   // Get authentication token
@@ -40,7 +263,10 @@ class ApiService {
       
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+        throw Object.assign(
+          new Error(errorData.message || errorData.error || `HTTP ${response.status}: ${response.statusText}`),
+          { status: response.status }
+        );
       }
 
       return await response.json();
@@ -83,15 +309,109 @@ class ApiService {
     return response;
   }
 
+  async getCurrentUser() {
+    return await this.request('/auth/me');
+  }
+
   // Chat endpoints
-  async sendMessage(message: string, sessionId?: string) {
+  // clientMessageId lets the server recognise a retried message and return
+  // the reply it already stored instead of answering twice; it doubles as
+  // the Idempotency-Key so a recent retry replays the exact response
+  async sendMessage(message: string, sessionId?: string, clientMessageId?: string) {
     return await this.request('/chat/message', {
       method: 'POST',
-      body: JSON.stringify({ message, sessionId }),
+      headers: clientMessageId ? { 'Idempotency-Key': clientMessageId } : undefined,
+      body: JSON.stringify({ message, sessionId, clientMessageId }),
     });
   }
 
+  // Stream an AI response for an existing session over Server-Sent Events.
+  // The message is queued with a POST and the reply streamed from a GET
+  // with the returned turnId. Uses fetch so the Authorization header is sent too.
+  // Resolves with the same shape as sendMessage once the "done" event arrives.
+  // The clientMessageId lets a fallback sendMessage of the same message be
+  // recognised as a repeat.
+  async streamMessage(sessionId: string, message: string, handlers: StreamHandlers = {}, clientMessageId?: string) {
+    const queued = await this.request(`/chat/sessions/${sessionId}/turns`, {
+      method: 'POST',
+      body: JSON.stringify({ message, clientMessageId }),
+    });
+    const url = `${this.baseURL}/chat/sessions/${sessionId}/stream?turnId=${encodeURIComponent(queued.data.turnId)}`;
+
+    const headers: Record<string, string> = {
+      Accept: 'text/event-stream',
+    };
+
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    const response = await fetch(url, { headers });
+
+    if (!response.ok || !response.body) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result: any = null;
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        const parsed = parseSSEEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+
+        if (!parsed) continue;
+
+        switch (parsed.event) {
+          case 'start':
+            handlers.onStart?.(parsed.data);
+            break;
+          case 'chunk':
+            handlers.onChunk?.(parsed.data.chunk);
+            break;
+          case 'done':
+            result = parsed.data;
+            break;
+          case 'error':
+            throw new Error(parsed.data.message || 'Streaming failed');
+        }
+      }
+    }
+
+    if (!result) {
+      throw new Error('Stream ended before the response was complete');
+    }
+
+    return { success: true, data: result };
+  }
+
   // Create new chat session
+  // Crisis escalation endpoints
+  async respondToEscalation(escalationId: string, granted: boolean, contactId?: string) {
+    return await this.request(`/escalations/${escalationId}/consent`, {
+      method: 'POST',
+      body: JSON.stringify({ granted, contactId }),
+    });
+  }
+
+  // Tell the counselors following up that the user is safe; only staff resolve escalations
+  async reportSafe(escalationId: string, note?: string) {
+    return await this.request(`/escalations/${escalationId}/safe`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+  }
+
   async createSession(title?: string, initialMessage?: string) {
     return await this.request('/chat/sessions', {
       method: 'POST',
@@ -100,10 +420,68 @@ class ApiService {
   }
 
   // Get all user sessions
-  async getSessions(page = 1, limit = 10) {
+  async getSessions(page = 1, limit = 10): Promise<{ success: boolean; data: { sessions: ChatSessionOverview[] } }> {
     return await this.request(`/chat/sessions?page=${page}&limit=${limit}`);
   }
 
+  // Search the user's chat history
+  async searchMessages(q: string, filters: SearchFilters = {}): Promise<{
+    success: boolean;
+    data: { results: SearchResult[]; pagination: { page: number; totalPages: number; totalCount: number } };
+  }> {
+    const params = new URLSearchParams({ q });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined) params.set(key, String(value));
+    });
+    return await this.request(`/chat/search?${params.toString()}`);
+  }
+
+  // End a session (or, if it already ended, just record the mood at the end)
+  async completeSession(sessionId: string, moodAtEnd?: number): Promise<{
+    success: boolean;
+    data: { session: ChatSessionOverview; moodPrompt: boolean };
+  }> {
+    return await this.request(`/chat/sessions/${sessionId}/complete`, {
+      method: 'POST',
+      body: JSON.stringify({ moodAtEnd }),
+    });
+  }
+
+  // Prepare an export of all the user's data in the background
+  async createExport(format: ExportFormat): Promise<{ success: boolean; data: { job: ExportJob } }> {
+    return await this.request('/chat/exports', {
+      method: 'POST',
+      body: JSON.stringify({ format }),
+    });
+  }
+
+  async getExport(jobId: string): Promise<{ success: boolean; data: { job: ExportJob } }> {
+    return await this.request(`/chat/exports/${jobId}`);
+  }
+
+  // Fetch an export file with the auth header; file.url is relative to the server root
+  async downloadExportFile(file: ExportFile): Promise<Blob> {
+    const headers: Record<string, string> = {};
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    const response = await fetch(`${this.baseURL.replace('/api', '')}${file.url}`, { headers });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return await response.blob();
+  }
+
+  // Restore an exported archive, or the data saved on this device, into the account
+  async importData(data: object): Promise<{ success: boolean; report: ImportReport }> {
+    return await this.request('/users/import', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
   // Get messages from specific session
   async getSessionMessages(sessionId: string, page = 1, limit = 50) {
     return await this.request(`/chat/sessions/${sessionId}/messages?page=${page}&limit=${limit}`);
@@ -120,6 +498,55 @@ class ApiService {
     });
   }
 
+  // Conversation memory: pinned facts, plus the summary of a session if given
+  async getMemory(sessionId?: string): Promise<{ success: boolean; data: ConversationMemory }> {
+    const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+    return await this.request(`/chat/memory${query}`);
+  }
+
+  async addMemoryFact(content: string): Promise<{ success: boolean; data: { fact: MemoryFact } }> {
+    return await this.request('/chat/memory', {
+      method: 'POST',
+      body: JSON.stringify({ content }),
+    });
+  }
+
+  async deleteMemoryFact(factId: string) {
+    return await this.request(`/chat/memory/${factId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Assessment endpoints
+  // Mood is on the server's 1-10 scale; see moodService for the emoji mapping
+  async submitMood(entry: MoodSubmission) {
+    return await this.request('/assessments/mood', {
+      method: 'POST',
+      body: JSON.stringify(entry),
+    });
+  }
+
+  async getMoodHistory(days = 30, page = 1, limit = 50) {
+    return await this.request(`/assessments/mood/history?days=${days}&page=${page}&limit=${limit}`);
+  }
+
+  // Upload check-ins recorded elsewhere; entries already stored are skipped
+  async importMoodHistory(entries: (MoodSubmission & { recordedAt: string })[]) {
+    return await this.request('/assessments/mood/import', {
+      method: 'POST',
+      body: JSON.stringify({ entries }),
+    });
+  }
+
+  async getAssessmentTrends(options: { days?: number; type?: string; window?: number } = {}): Promise<AssessmentTrends> {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) params.set(key, String(value));
+    });
+    const query = params.toString();
+    return await this.request(`/assessments/trends${query ? `?${query}` : ''}`);
+  }
+
   // Health check
   async healthCheck() {
     try {
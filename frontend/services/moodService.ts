@@ -0,0 +1,82 @@
+import { Mood, MoodLog } from '../types';
+import { apiService, MoodSubmission } from './apiService';
+import { loadMoodLogs, clearMoodLogs } from './storageService';
+import { offlineQueue, isRetryable } from './offlineQueue';
+
+// The check-in shows five faces; the server stores mood on a 1-10 scale.
+// Each face maps to a fixed score, and scores map back to the nearest face,
+// so a face survives the round trip unchanged.
+export const MOOD_SCORES: Record<Mood, number> = {
+    ecstatic: 10,
+    happy: 8,
+    neutral: 5,
+    sad: 3,
+    crying: 1,
+};
+
+export const moodFromScore = (score: number): Mood => {
+    if (score >= 9) return 'ecstatic';
+    if (score >= 7) return 'happy';
+    if (score >= 5) return 'neutral';
+    if (score >= 3) return 'sad';
+    return 'crying';
+};
+
+// The import endpoint accepts at most this many entries per request
+const IMPORT_BATCH_SIZE = 500;
+
+type QueuedMood = MoodSubmission & { recordedAt: string };
+
+// Queued check-ins go through the import endpoint, which keeps their original
+// time and skips one it already stored, so redelivery is harmless
+offlineQueue.register('mood', item => apiService.importMoodHistory([item.payload as QueuedMood]));
+
+// Save a check-in to the server. If the server can't be reached it is queued
+// and delivered when the connection is back, so nothing is lost.
+export const logMood = async (mood: Mood, note?: string): Promise<MoodLog> => {
+    const log: MoodLog = { mood, note, timestamp: new Date() };
+    const entry: MoodSubmission = { mood: MOOD_SCORES[mood], notes: note || undefined };
+
+    try {
+        const response = await apiService.submitMood(entry);
+        return { ...log, id: response.assessment?.id };
+    } catch (error) {
+        if (!isRetryable(error)) throw error;
+        console.warn('Mood check-in queued until the server is reachable:', error);
+        await offlineQueue.enqueue<QueuedMood>('mood', { ...entry, recordedAt: log.timestamp.toISOString() });
+        return log;
+    }
+};
+
+export const loadMoodHistory = async (days = 30, limit = 50): Promise<MoodLog[]> => {
+    const response = await apiService.getMoodHistory(days, 1, limit);
+    return (response.assessments || []).map((entry: any) => ({
+        id: entry.id,
+        mood: moodFromScore(entry.mood),
+        note: entry.notes || undefined,
+        timestamp: new Date(entry.timestamp),
+    }));
+};
+
+// Upload check-ins stored in this browser from before mood tracking moved
+// to the server, then remove them locally.
+// Entries keep their original time and the server skips ones it already
+// has, so an interrupted upload can simply run again.
+export const syncLocalMoodLogs = async (): Promise<number> => {
+    const logs = loadMoodLogs();
+    if (logs.length === 0) return 0;
+
+    let imported = 0;
+    for (let start = 0; start < logs.length; start += IMPORT_BATCH_SIZE) {
+        const batch = logs.slice(start, start + IMPORT_BATCH_SIZE);
+        const response = await apiService.importMoodHistory(batch.map(log => ({
+            mood: MOOD_SCORES[log.mood],
+            notes: log.note?.slice(0, 500) || undefined,
+            recordedAt: log.timestamp.toISOString(),
+        })));
+        imported += response.imported || 0;
+    }
+
+    clearMoodLogs();
+    return imported;
+};
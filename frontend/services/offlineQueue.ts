@@ -0,0 +1,192 @@
+// Offline queue for outgoing chat messages and mood check-ins
+//
+// Items are kept in IndexedDB (in memory if IndexedDB is unavailable) under a
+// client-generated id, which the server uses to recognise a redelivery, so an
+// item can be retried safely until it is confirmed. Retries back off
+// exponentially and restart right away when the browser comes back online.
+
+export type QueuedKind = 'chat' | 'mood';
+
+export interface QueuedItem<T = any> {
+    id: string;
+    kind: QueuedKind;
+    payload: T;
+    createdAt: number;
+    attempts: number;
+    nextAttemptAt: number;
+}
+
+export type QueueEvent =
+    | { type: 'delivered'; item: QueuedItem; result: any }
+    | { type: 'failed'; item: QueuedItem; error: Error };
+
+type Handler = (item: QueuedItem) => Promise<any>;
+
+const DB_NAME = 'wellness-companion';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+export const createClientId = (): string =>
+    typeof crypto !== 'undefined' && 'randomUUID' in crypto
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+// Network failures, timeouts, rate limits, server errors, expired sessions
+// and a still-running earlier attempt (409) are worth retrying; any other
+// rejection would fail the same way again
+export const isRetryable = (error: any): boolean => {
+    const status = error?.status;
+    return !status || status >= 500 || [401, 408, 409, 429].includes(status);
+};
+
+const backoffDelay = (attempts: number) => {
+    const delay = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+    return delay + Math.random() * delay * 0.3;
+};
+
+const promisify = <T>(request: IDBRequest<T>): Promise<T> =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+class OfflineQueue {
+    private dbPromise: Promise<IDBDatabase | null> | null = null;
+    private memory = new Map<string, QueuedItem>();
+    private handlers = new Map<QueuedKind, Handler>();
+    private listeners = new Set<(event: QueueEvent) => void>();
+    private timer: ReturnType<typeof setTimeout> | null = null;
+    private flushing = false;
+    private flushRequested = false;
+    private started = false;
+
+    private openDatabase(): Promise<IDBDatabase | null> {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') return resolve(null);
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable, offline queue kept in memory:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    private async withStore<T>(mode: IDBTransactionMode, action: (store: IDBObjectStore) => IDBRequest<T>): Promise<T | null> {
+        const db = await this.openDatabase();
+        if (!db) return null;
+        return promisify(action(db.transaction(STORE, mode).objectStore(STORE)));
+    }
+
+    private async save(item: QueuedItem) {
+        this.memory.set(item.id, item);
+        await this.withStore('readwrite', store => store.put(item));
+    }
+
+    private async remove(id: string) {
+        this.memory.delete(id);
+        await this.withStore('readwrite', store => store.delete(id));
+    }
+
+    // Items in the order they were queued
+    async list(kind?: QueuedKind): Promise<QueuedItem[]> {
+        const stored = await this.withStore('readonly', store => store.getAll() as IDBRequest<QueuedItem[]>);
+        const items = stored ?? [...this.memory.values()];
+        return items
+            .filter(item => !kind || item.kind === kind)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    register(kind: QueuedKind, handler: Handler) {
+        this.handlers.set(kind, handler);
+        if (this.started) this.schedule(0);
+    }
+
+    subscribe(listener: (event: QueueEvent) => void): () => void {
+        this.listeners.add(listener);
+        return () => { this.listeners.delete(listener); };
+    }
+
+    async enqueue<T>(kind: QueuedKind, payload: T, id: string = createClientId()): Promise<QueuedItem<T>> {
+        const item: QueuedItem<T> = { id, kind, payload, createdAt: Date.now(), attempts: 0, nextAttemptAt: Date.now() };
+        await this.save(item);
+        this.schedule(0);
+        return item;
+    }
+
+    // Retry on reconnect and whenever the next backoff delay runs out
+    start() {
+        if (this.started || typeof window === 'undefined') return;
+        this.started = true;
+        window.addEventListener('online', () => this.flush({ force: true }));
+        this.schedule(0);
+    }
+
+    private schedule(delay: number) {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), delay);
+    }
+
+    private emit(event: QueueEvent) {
+        this.listeners.forEach(listener => listener(event));
+    }
+
+    // Deliver due items in order. A retryable failure stops the run so
+    // later messages are never delivered ahead of earlier ones.
+    async flush({ force = false } = {}) {
+        if (this.flushing) {
+            // Picked up once the current run finishes
+            this.flushRequested = true;
+            return;
+        }
+        this.flushing = true;
+        this.flushRequested = false;
+
+        try {
+            for (const item of await this.list()) {
+                const handler = this.handlers.get(item.kind);
+                if (!handler) continue;
+
+                if (!force && item.nextAttemptAt > Date.now()) {
+                    this.schedule(item.nextAttemptAt - Date.now());
+                    return;
+                }
+
+                try {
+                    const result = await handler(item);
+                    await this.remove(item.id);
+                    this.emit({ type: 'delivered', item, result });
+                } catch (error: any) {
+                    if (!isRetryable(error)) {
+                        await this.remove(item.id);
+                        this.emit({ type: 'failed', item, error });
+                        continue;
+                    }
+
+                    const attempts = item.attempts + 1;
+                    const delay = backoffDelay(attempts);
+                    await this.save({ ...item, attempts, nextAttemptAt: Date.now() + delay });
+                    this.schedule(delay);
+                    return;
+                }
+            }
+        } finally {
+            this.flushing = false;
+            if (this.flushRequested) this.schedule(0);
+        }
+    }
+}
+
+// Export singleton instance
+export const offlineQueue = new OfflineQueue();
+export default offlineQueue;
@@ -3,7 +3,8 @@ import { Message, MoodLog } from '../types';
 const STORAGE_KEYS = {
   MOOD_LOGS: 'wellness-companion-mood-logs',
   CHAT_HISTORY: 'wellness-companion-chat-history',
-  USER_PREFERENCES: 'wellness-companion-preferences'
+  USER_PREFERENCES: 'wellness-companion-preferences',
+  AUTH_TOKEN: 'wellness-companion-auth-token'
 } as const;
 
 export interface UserPreferences {
@@ -43,6 +44,36 @@ export const loadMoodLogs = (): MoodLog[] => {
   }
 };
 
+export const clearMoodLogs = (): void => {
+  try {
+    localStorage.removeItem(STORAGE_KEYS.MOOD_LOGS);
+  } catch (error) {
+    console.error('Error clearing mood logs:', error);
+  }
+};
+
+// Auth Token Storage (keeps the same account across page reloads)
+export const saveAuthToken = (token: string | null): void => {
+  try {
+    if (token) {
+      localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, token);
+    } else {
+      localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
+    }
+  } catch (error) {
+    console.error('Error saving auth token:', error);
+  }
+};
+
+export const loadAuthToken = (): string | null => {
+  try {
+    return localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
+  } catch (error) {
+    console.error('Error loading auth token:', error);
+    return null;
+  }
+};
+
 // Chat History Storage
 export const saveChatHistory = (messages: Message[]): void => {
   try {
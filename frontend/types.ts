@@ -2,11 +2,15 @@
 export interface Message {
     role: 'user' | 'model';
     parts: { text: string }[];
+    // Set on user messages waiting in the offline queue
+    clientId?: string;
+    pending?: boolean;
 }
 
 export type Mood = 'ecstatic' | 'happy' | 'neutral' | 'sad' | 'crying';
 
 export interface MoodLog {
+    id?: string;
     mood: Mood;
     note?: string;
     timestamp: Date;
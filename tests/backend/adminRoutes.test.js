@@ -0,0 +1,188 @@
+/**
+ * Admin Route Tests
+ * Staff-only access to the crisis queue, flagged messages, session review,
+ * notes, role grants and the audit trail
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { Sequelize } = require('sequelize');
+
+jest.mock('../../backend/models', () => ({ db: {} }));
+
+const { db } = require('../../backend/models');
+const initUserModel = require('../../backend/models/UserSequelize');
+const initUserRoleModel = require('../../backend/models/UserRoleSequelize');
+const initChatSessionModel = require('../../backend/models/ChatSessionSequelize');
+const initMessageModel = require('../../backend/models/MessageSequelize');
+const initEscalationModel = require('../../backend/models/EscalationSequelize');
+const initAuditEventModel = require('../../backend/models/AuditEventSequelize');
+const escalationService = require('../../backend/services/escalationService');
+const auditService = require('../../backend/services/auditService');
+const adminRoutes = require('../../backend/routes/admin');
+const { tokenUtils } = require('../../backend/middlewares/auth');
+
+describe('Admin routes', () => {
+  let sequelize;
+  let app;
+  let member;
+  let counselor;
+  let admin;
+  let session;
+  let escalation;
+
+  beforeEach(async () => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    db.User = initUserModel(sequelize);
+    db.UserRole = initUserRoleModel(sequelize);
+    db.ChatSession = initChatSessionModel(sequelize);
+    db.Message = initMessageModel(sequelize);
+    db.Escalation = initEscalationModel(sequelize);
+    db.AuditEvent = initAuditEventModel(sequelize);
+    await sequelize.sync();
+
+    [member, counselor, admin] = await Promise.all([1, 2, 3].map(() => db.User.create({ age: 30, anonymous: true })));
+    await db.UserRole.bulkCreate([
+      { userId: counselor.id, role: 'counselor' },
+      { userId: admin.id, role: 'admin' }
+    ]);
+
+    session = await db.ChatSession.create({ userId: member.id });
+    await db.Message.bulkCreate([
+      { sessionId: session.id, userId: member.id, sender: 'user', sentiment: 'neutral', content: 'Hello', createdAt: new Date('2026-03-01T09:00:00Z') },
+      {
+        sessionId: session.id,
+        userId: member.id,
+        sender: 'user',
+        sentiment: 'negative',
+        content: 'I want to die',
+        flagged: true,
+        flagReason: 'crisis',
+        crisisSeverity: 'high',
+        createdAt: new Date('2026-03-01T09:05:00Z')
+      }
+    ]);
+    escalation = await escalationService.openEscalation({
+      userId: member.id,
+      sessionId: session.id,
+      verdict: { detected: true, level: 'high', score: 0.8, triggers: ['want to die'] }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+  });
+
+  afterEach(async () => {
+    await auditService.tail;
+    await sequelize.close();
+  });
+
+  const as = (user) => {
+    const auth = { Authorization: `Bearer ${tokenUtils.generate({ userId: user.id })}` };
+    return {
+      get: (path) => request(app).get(`/api/admin${path}`).set(auth),
+      put: (path, body) => request(app).put(`/api/admin${path}`).set(auth).send(body)
+    };
+  };
+
+  it('refuses users without a staff role', async () => {
+    const responses = await Promise.all([
+      as(member).get('/queue'),
+      as(member).get('/flagged-messages'),
+      as(member).get(`/sessions/${session.id}`),
+      as(member).put(`/sessions/${session.id}/notes`, { note: 'Looks fine' }),
+      as(member).put(`/users/${member.id}/roles`, { role: 'admin', action: 'grant' }),
+      as(member).get('/audit/verify')
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([403, 403, 403, 403, 403, 403]);
+    expect(await db.UserRole.getRoles(member.id)).toEqual(['user']);
+    await session.reload();
+    expect(session.sessionNotes).toBeFalsy();
+
+    await auditService.tail;
+    expect(await db.AuditEvent.count({ where: { action: 'access_denied', actorId: member.id } })).toBe(6);
+  });
+
+  it('shows counselors the open crisis queue', async () => {
+    const response = await as(counselor).get('/queue');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.escalations).toEqual([
+      expect.objectContaining({ id: escalation.id, userId: member.id, level: 'high', status: 'open' })
+    ]);
+    expect((await as(counselor).get('/queue?status=resolved')).status).toBe(400);
+  });
+
+  it('lists flagged messages only', async () => {
+    const response = await as(counselor).get('/flagged-messages?severity=high');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.messages).toEqual([
+      expect.objectContaining({ sessionId: session.id, content: 'I want to die', flagReason: 'crisis', crisisSeverity: 'high' })
+    ]);
+    expect(response.body.data.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+  });
+
+  it('shows a session with its messages in order', async () => {
+    const response = await as(counselor).get(`/sessions/${session.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.session).toMatchObject({ sessionNotes: null, crisisEvents: [] });
+    expect(response.body.data.messages.map(message => message.content)).toEqual(['Hello', 'I want to die']);
+
+    const missing = await as(counselor).get('/sessions/33333333-3333-4333-8333-333333333333');
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe('SESSION_NOT_FOUND');
+  });
+
+  it('appends counselor notes to the session', async () => {
+    await as(counselor).put(`/sessions/${session.id}/notes`, { note: 'Called the user' });
+    const response = await as(admin).put(`/sessions/${session.id}/notes`, { note: 'Followed up' });
+
+    expect(response.status).toBe(200);
+    const lines = response.body.data.sessionNotes.split('\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toContain(`counselor ${counselor.id}: Called the user`);
+    expect(lines[1]).toContain(`counselor ${admin.id}: Followed up`);
+
+    expect((await as(counselor).put(`/sessions/${session.id}/notes`, { note: '' })).status).toBe(400);
+  });
+
+  it('lets only admins grant and revoke roles', async () => {
+    const denied = await as(counselor).put(`/users/${member.id}/roles`, { role: 'counselor', action: 'grant' });
+    expect(denied.status).toBe(403);
+
+    const granted = await as(admin).put(`/users/${member.id}/roles`, { role: 'counselor', action: 'grant' });
+    expect(granted.status).toBe(200);
+    expect(granted.body.data.roles).toEqual(['user', 'counselor']);
+    // Roles are read per request, so the grant applies straight away
+    expect((await as(member).get('/queue')).status).toBe(200);
+
+    const revoked = await as(admin).put(`/users/${member.id}/roles`, { role: 'counselor', action: 'revoke' });
+    expect(revoked.body.data.roles).toEqual(['user']);
+    expect((await as(member).get('/queue')).status).toBe(403);
+
+    expect((await as(admin).put(`/users/${member.id}/roles`, { role: 'owner', action: 'grant' })).status).toBe(400);
+    const unknown = await as(admin).put('/users/33333333-3333-4333-8333-333333333333/roles', { role: 'counselor', action: 'grant' });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.code).toBe('USER_NOT_FOUND');
+  });
+
+  it('lets only admins verify the audit trail', async () => {
+    await as(counselor).get('/queue');
+    await as(counselor).get(`/sessions/${session.id}`);
+    await auditService.tail;
+
+    expect((await as(counselor).get('/audit/verify')).status).toBe(403);
+
+    const response = await as(admin).get('/audit/verify');
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ valid: true, anchor: 'genesis' });
+    expect(response.body.data.checked).toBeGreaterThanOrEqual(3);
+
+    expect(await db.AuditEvent.findOne({ where: { action: 'admin_view_session' } }))
+      .toMatchObject({ actorId: counselor.id, subjectUserId: member.id, resourceId: session.id });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Audit Service Tests
+ * Hash chain integrity, append-only enforcement and retention purge
+ */
+
+const { Sequelize } = require('sequelize');
+
+jest.mock('../../backend/models', () => ({ db: {} }));
+
+const { db } = require('../../backend/models');
+const initAuditEventModel = require('../../backend/models/AuditEventSequelize');
+const { AuditService, GENESIS_HASH } = require('../../backend/services/auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('AuditService', () => {
+  let sequelize;
+  let audit;
+
+  const recordMany = async (count, overrides = {}) => {
+    for (let i = 0; i < count; i++) {
+      await audit.record({
+        actorId: '11111111-1111-4111-8111-111111111111',
+        action: `test_action_${i}`,
+        resourceType: 'chat_session',
+        metadata: { index: i, nested: { b: 2, a: 1 } },
+        ...overrides
+      });
+    }
+  };
+
+  beforeEach(async () => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    db.AuditEvent = initAuditEventModel(sequelize);
+    await sequelize.sync();
+    audit = new AuditService();
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    delete process.env.AUDIT_RETENTION_DAYS;
+    await sequelize.close();
+  });
+
+  it('links every entry to the hash of the previous one', async () => {
+    await recordMany(3);
+
+    const rows = await db.AuditEvent.findAll({ order: [['id', 'ASC']] });
+    expect(rows[0].previousHash).toBe(GENESIS_HASH);
+    expect(rows[1].previousHash).toBe(rows[0].hash);
+    expect(rows[2].previousHash).toBe(rows[1].hash);
+
+    await expect(audit.verifyChain()).resolves.toMatchObject({
+      valid: true,
+      checked: 3,
+      anchor: 'genesis',
+      headHash: rows[2].hash
+    });
+  });
+
+  it('serializes concurrent writes into a single chain', async () => {
+    await Promise.all([0, 1, 2, 3].map(i => audit.record({ action: `concurrent_${i}` })));
+
+    await expect(audit.verifyChain()).resolves.toMatchObject({ valid: true, checked: 4 });
+  });
+
+  it('detects an entry edited outside the application', async () => {
+    await recordMany(3);
+    await sequelize.query("UPDATE audit_events SET action = 'forged' WHERE id = 2");
+
+    await expect(audit.verifyChain()).resolves.toMatchObject({
+      valid: false,
+      brokenAt: 2,
+      reason: 'hash_mismatch'
+    });
+  });
+
+  it('detects an entry deleted from the middle of the chain', async () => {
+    await recordMany(3);
+    await sequelize.query('DELETE FROM audit_events WHERE id = 2');
+
+    await expect(audit.verifyChain()).resolves.toMatchObject({
+      valid: false,
+      brokenAt: 3,
+      reason: 'broken_link'
+    });
+  });
+
+  it('detects entries removed from the start without a retention purge', async () => {
+    await recordMany(3);
+    await sequelize.query('DELETE FROM audit_events WHERE id = 1');
+
+    await expect(audit.verifyChain()).resolves.toMatchObject({
+      valid: false,
+      reason: 'unanchored_start'
+    });
+  });
+
+  it('refuses updates and deletes through the model', async () => {
+    await recordMany(1);
+    const entry = await db.AuditEvent.findOne();
+
+    await expect(entry.update({ action: 'changed' })).rejects.toThrow('append-only');
+    await expect(entry.destroy()).rejects.toThrow('append-only');
+    await expect(db.AuditEvent.destroy({ where: {} })).rejects.toThrow('append-only');
+  });
+
+  it('builds request entries with the outcome and data subject', async () => {
+    const req = {
+      user: { userId: '22222222-2222-4222-8222-222222222222', roles: ['user', 'counselor'] },
+      ip: '127.0.0.1',
+      requestId: 'req-1',
+      method: 'GET',
+      originalUrl: '/api/admin/sessions/abc?x=1',
+      get: () => 'jest'
+    };
+
+    const entry = await audit.recordRequest(req, { statusCode: 403 }, 'admin_view_session', {
+      subjectUserId: '33333333-3333-4333-8333-333333333333'
+    });
+
+    expect(entry).toMatchObject({
+      actorType: 'counselor',
+      outcome: 'denied',
+      statusCode: 403,
+      path: '/api/admin/sessions/abc',
+      subjectUserId: '33333333-3333-4333-8333-333333333333'
+    });
+  });
+
+  it('filters by user across actor and subject', async () => {
+    const userId = '44444444-4444-4444-8444-444444444444';
+    await audit.record({ action: 'profile_view', actorId: userId, subjectUserId: userId });
+    await audit.record({ action: 'admin_view_session', actorId: '55555555-5555-4555-8555-555555555555', subjectUserId: userId });
+    await audit.record({ action: 'admin_view_queue', actorId: '55555555-5555-4555-8555-555555555555' });
+
+    const { events, pagination } = await audit.query({ userId });
+    expect(pagination.total).toBe(2);
+    expect(events.map(event => event.action)).toEqual(['admin_view_session', 'profile_view']);
+
+    const { events: filtered } = await audit.query({ userId, action: 'profile_view' });
+    expect(filtered).toHaveLength(1);
+  });
+
+  it('purges expired entries and keeps the chain verifiable', async () => {
+    process.env.AUDIT_RETENTION_DAYS = '30';
+    const now = Date.now();
+
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'queueMicrotask'] });
+    jest.setSystemTime(now - 40 * DAY_MS);
+    await recordMany(3);
+    jest.setSystemTime(now);
+    await recordMany(2);
+
+    await expect(audit.applyRetention()).resolves.toBe(3);
+
+    const remaining = await db.AuditEvent.findAll({ order: [['id', 'ASC']] });
+    expect(remaining.map(row => row.action)).toEqual(['test_action_0', 'test_action_1', 'audit_retention_purge']);
+    expect(remaining[2].metadata.throughId).toBe(3);
+
+    await expect(audit.verifyChain()).resolves.toMatchObject({
+      valid: true,
+      checked: 3,
+      anchor: 'retention_purge'
+    });
+    await expect(audit.applyRetention()).resolves.toBe(0);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Chat Turn Pipeline Tests
+ * Input validation, session ownership, duplicate replay and the shared payload
+ */
+
+const { Sequelize, DataTypes } = require('sequelize');
+
+jest.mock('../../backend/models', () => ({ db: {} }));
+jest.mock('../../backend/ai/chatService', () => ({
+  findTurn: jest.fn(),
+  processMessage: jest.fn(),
+  getEmergencyResources: jest.fn(() => ({ crisis: '988' }))
+}));
+
+const { db } = require('../../backend/models');
+const chatService = require('../../backend/ai/chatService');
+const initChatSessionModel = require('../../backend/models/ChatSessionSequelize');
+const { ChatTurnService } = require('../../backend/services/chatTurnService');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+const OTHER_USER = '22222222-2222-4222-8222-222222222222';
+
+describe('ChatTurnService', () => {
+  let sequelize;
+  let turns;
+
+  beforeEach(async () => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    // Sessions reference users; ids are all this suite needs
+    const User = sequelize.define('User', { id: { type: DataTypes.UUID, primaryKey: true } }, { tableName: 'users' });
+    db.ChatSession = initChatSessionModel(sequelize);
+    await sequelize.sync();
+    await User.bulkCreate([{ id: USER }, { id: OTHER_USER }]);
+    turns = new ChatTurnService();
+
+    chatService.findTurn.mockResolvedValue(null);
+    chatService.processMessage.mockImplementation(async (message, userId, sessionId, handlers) => {
+      if (handlers.onAnalysis) await handlers.onAnalysis({ crisisDetected: false, crisisLevel: 'none' });
+      if (handlers.onChunk) handlers.onChunk('Hello');
+      return {
+        content: 'Hello there',
+        sentiment: { label: 'neutral' },
+        crisisDetected: false,
+        crisisLevel: 'none',
+        emergencyResources: null,
+        escalation: null,
+        recommendations: ['breathing'],
+        timestamp: '2026-01-01T00:00:00.000Z'
+      };
+    });
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await sequelize.close();
+  });
+
+  it('validates and trims a socket payload with the REST rules', async () => {
+    const valid = await turns.validate({ message: '  hi  ', clientMessageId: 'c-1' });
+    expect(valid.errors).toEqual([]);
+    expect(valid.input.message).toBe('hi');
+
+    const invalid = await turns.validate({ message: '', sessionId: 'not-a-uuid', clientMessageId: 'has spaces' });
+    expect(invalid.errors.map(error => error.path).sort()).toEqual(['clientMessageId', 'message', 'sessionId']);
+  });
+
+  it('starts a session for the user when none is given', async () => {
+    const { duplicate, data } = await turns.run({ userId: USER, message: 'hi', clientMessageId: 'c-1' });
+
+    const session = await db.ChatSession.findByPk(data.sessionId);
+    expect(session.userId).toBe(USER);
+    expect(duplicate).toBe(false);
+    expect(data.userMessage).toMatchObject({ content: 'hi', sender: 'user', clientMessageId: 'c-1' });
+    expect(data.aiResponse).toEqual({
+      content: 'Hello there',
+      sender: 'ai',
+      timestamp: '2026-01-01T00:00:00.000Z',
+      sentiment: { label: 'neutral' },
+      crisisDetected: false,
+      crisisLevel: 'none',
+      emergencyResources: null,
+      escalation: null,
+      recommendations: ['breathing']
+    });
+    expect(chatService.processMessage).toHaveBeenCalledWith('hi', USER, data.sessionId, {}, { clientMessageId: 'c-1' });
+  });
+
+  it("refuses another user's session", async () => {
+    const session = await db.ChatSession.create({ userId: OTHER_USER });
+
+    await expect(turns.run({ userId: USER, message: 'hi', sessionId: session.id }))
+      .rejects.toMatchObject({ statusCode: 404, code: 'SESSION_NOT_FOUND' });
+    expect(chatService.processMessage).not.toHaveBeenCalled();
+  });
+
+  it('continues in a new session once the given one has ended', async () => {
+    const session = await db.ChatSession.create({ userId: USER, status: 'completed' });
+
+    const { data } = await turns.run({ userId: USER, message: 'hi', sessionId: session.id });
+
+    expect(data.sessionId).not.toBe(session.id);
+    expect((await db.ChatSession.findByPk(data.sessionId)).status).toBe('active');
+  });
+
+  it('stays in a session after it was escalated for a crisis', async () => {
+    const session = await db.ChatSession.create({ userId: USER, status: 'crisis_escalated' });
+
+    const { data } = await turns.run({ userId: USER, message: 'still here', sessionId: session.id });
+
+    expect(data.sessionId).toBe(session.id);
+    expect(chatService.processMessage).toHaveBeenCalledWith('still here', USER, session.id, expect.any(Object), expect.any(Object));
+    expect(await db.ChatSession.count({ where: { userId: USER } })).toBe(1);
+  });
+
+  it('holds a queued message for one stream of its session', async () => {
+    const session = await db.ChatSession.create({ userId: USER });
+    const { turnId, expiresIn } = await turns.queue({ userId: USER, sessionId: session.id, message: 'hi', clientMessageId: 'c-1' });
+    expect(expiresIn).toBe(60);
+
+    const other = await turns.queue({ userId: USER, sessionId: session.id, message: 'hi again' });
+    await expect(turns.takePending(other.turnId, '33333333-3333-4333-8333-333333333333'))
+      .rejects.toMatchObject({ statusCode: 404, code: 'TURN_NOT_FOUND' });
+
+    await expect(turns.takePending(turnId, session.id))
+      .resolves.toEqual({ userId: USER, sessionId: session.id, message: 'hi', clientMessageId: 'c-1' });
+    await expect(turns.takePending(turnId, session.id))
+      .rejects.toMatchObject({ statusCode: 404, code: 'TURN_NOT_FOUND' });
+  });
+
+  it("refuses to queue a message for another user's session", async () => {
+    const session = await db.ChatSession.create({ userId: OTHER_USER });
+
+    await expect(turns.queue({ userId: USER, sessionId: session.id, message: 'hi' }))
+      .rejects.toMatchObject({ statusCode: 404, code: 'SESSION_NOT_FOUND' });
+  });
+
+  it('passes the session id to streaming handlers', async () => {
+    const session = await db.ChatSession.create({ userId: USER });
+    const onAnalysis = jest.fn();
+    const onChunk = jest.fn();
+
+    await turns.run({ userId: USER, message: 'hi', sessionId: session.id, handlers: { onAnalysis, onChunk } });
+
+    expect(onAnalysis).toHaveBeenCalledWith({ sessionId: session.id, crisisDetected: false, crisisLevel: 'none' });
+    expect(onChunk).toHaveBeenCalledWith('Hello');
+  });
+
+  it('replays a stored turn instead of answering again', async () => {
+    const createdAt = new Date('2026-01-01T10:00:00Z');
+    chatService.findTurn.mockResolvedValueOnce({
+      userMessage: { sessionId: 'session-1', content: 'hi', createdAt, crisisDetected: true, crisisSeverity: 'high' },
+      aiMessage: { content: 'Stored reply', createdAt }
+    });
+
+    const { duplicate, data } = await turns.run({ userId: USER, message: 'hi', clientMessageId: 'c-1' });
+
+    expect(duplicate).toBe(true);
+    expect(chatService.processMessage).not.toHaveBeenCalled();
+    expect(data.sessionId).toBe('session-1');
+    expect(data.aiResponse).toMatchObject({
+      content: 'Stored reply',
+      crisisDetected: true,
+      crisisLevel: 'high',
+      emergencyResources: { crisis: '988' }
+    });
+
+    // Same schema as a fresh turn
+    const fresh = await turns.run({ userId: USER, message: 'hi again' });
+    expect(Object.keys(data.aiResponse).sort()).toEqual(Object.keys(fresh.data.aiResponse).sort());
+  });
+
+  it('answers a message delivered twice at once only once', async () => {
+    let finish;
+    const reply = new Promise(resolve => { finish = resolve; });
+    chatService.processMessage.mockImplementationOnce(() => reply);
+
+    const first = turns.run({ userId: USER, message: 'hi', clientMessageId: 'c-2' });
+    await expect(turns.run({ userId: USER, message: 'hi', clientMessageId: 'c-2' }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'MESSAGE_IN_PROGRESS' });
+
+    // Another user's message with the same client id is not held up
+    await expect(turns.run({ userId: OTHER_USER, message: 'hi', clientMessageId: 'c-2' }))
+      .resolves.toMatchObject({ duplicate: false });
+
+    finish({ content: 'Hello there', crisisDetected: false });
+    const { data } = await first;
+
+    // Once stored, the redelivery gets the stored reply
+    const createdAt = new Date('2026-01-01T10:00:00Z');
+    chatService.findTurn.mockResolvedValueOnce({
+      userMessage: { sessionId: data.sessionId, content: 'hi', createdAt, crisisDetected: false },
+      aiMessage: { content: 'Hello there', createdAt }
+    });
+    await expect(turns.run({ userId: USER, message: 'hi', clientMessageId: 'c-2' }))
+      .resolves.toMatchObject({ duplicate: true, data: { sessionId: data.sessionId } });
+    expect(chatService.processMessage).toHaveBeenCalledTimes(2);
+  });
+
+  it('lets a message be retried after its turn failed', async () => {
+    chatService.processMessage.mockRejectedValueOnce(new Error('AI unavailable'));
+
+    await expect(turns.run({ userId: USER, message: 'hi', clientMessageId: 'c-3' })).rejects.toThrow('AI unavailable');
+    await expect(turns.run({ userId: USER, message: 'hi', clientMessageId: 'c-3' }))
+      .resolves.toMatchObject({ duplicate: false, data: { aiResponse: { content: 'Hello there' } } });
+  });
+
+  it('limits messages per window', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const allow = turns.createRateLimiter({ windowMs: 1000, max: 2 });
+
+    expect([allow(), allow(), allow()]).toEqual([true, true, false]);
+    jest.advanceTimersByTime(1000);
+    expect(allow()).toBe(true);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * AI Provider Circuit Breaker Tests
+ * State transitions, retry policy and timeouts for provider calls
+ */
+
+const {
+  CircuitBreaker,
+  isTransientError,
+  withRetry,
+  withTimeout
+} = require('../../backend/ai/circuitBreaker');
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 0;
+    breaker = new CircuitBreaker('test', {
+      failureThreshold: 2,
+      resetTimeoutMs: 1000,
+      now: () => now
+    });
+  });
+
+  it('opens after consecutive failures reach the threshold', () => {
+    breaker.recordFailure(new Error('one'));
+    expect(breaker.getState().state).toBe('closed');
+
+    breaker.recordFailure(new Error('two'));
+    expect(breaker.getState().state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('admits a single trial call once the reset timeout elapses', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    now = 1000;
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.getState().state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('closes on a successful trial and re-opens on a failed one', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now = 1000;
+
+    breaker.canRequest();
+    breaker.recordSuccess();
+    expect(breaker.getState().state).toBe('closed');
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now = 2000;
+    breaker.canRequest();
+    breaker.recordFailure();
+    expect(breaker.getState().state).toBe('open');
+  });
+});
+
+describe('retry policy', () => {
+  it('treats 429, 5xx and timeouts as transient', () => {
+    expect(isTransientError(httpError(429))).toBe(true);
+    expect(isTransientError(httpError(503))).toBe(true);
+    expect(isTransientError(new Error('[500 Internal Server Error] upstream'))).toBe(true);
+    expect(isTransientError(Object.assign(new Error('slow'), { code: 'PROVIDER_TIMEOUT' }))).toBe(true);
+    expect(isTransientError(httpError(401))).toBe(false);
+  });
+
+  it('retries transient errors with backoff until success', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(429))
+      .mockResolvedValue('ok');
+
+    await expect(withRetry(fn, { maxRetries: 2, baseDelayMs: 1 })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry permanent errors or vetoed retries', async () => {
+    const permanent = jest.fn().mockRejectedValue(httpError(400));
+    await expect(withRetry(permanent, { baseDelayMs: 1 })).rejects.toThrow('HTTP 400');
+    expect(permanent).toHaveBeenCalledTimes(1);
+
+    const vetoed = jest.fn().mockRejectedValue(httpError(503));
+    await expect(withRetry(vetoed, { baseDelayMs: 1, shouldRetry: () => false })).rejects.toThrow('HTTP 503');
+    expect(vetoed).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects calls that exceed the timeout', async () => {
+    const never = new Promise(() => {});
+    await expect(withTimeout(never, 10, 'stub')).rejects.toMatchObject({ code: 'PROVIDER_TIMEOUT' });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Crisis Detection Tests
+ * Verdict shape, score-to-level mapping, the lexical evidence rule and
+ * per-user sensitivity
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { Sequelize } = require('sequelize');
+
+jest.mock('../../backend/models', () => ({ db: {} }));
+
+const { db } = require('../../backend/models');
+const initUserModel = require('../../backend/models/UserSequelize');
+const initAuditEventModel = require('../../backend/models/AuditEventSequelize');
+const crisisDetection = require('../../backend/ai/crisisDetection');
+const chatService = require('../../backend/ai/chatService');
+const userRoutes = require('../../backend/routes/user');
+const { tokenUtils } = require('../../backend/middlewares/auth');
+const { SENSITIVITY_THRESHOLDS } = crisisDetection;
+
+describe('CrisisDetectionService', () => {
+  describe('assess', () => {
+    it('returns an explainable verdict', () => {
+      const verdict = crisisDetection.assess('I want to kill myself tonight');
+
+      expect(verdict).toEqual({
+        detected: true,
+        level: 'critical',
+        score: 1,
+        confidence: 1,
+        triggers: expect.arrayContaining(['kill myself', 'immediate_tonight']),
+        signals: expect.any(Array),
+        sensitivity: 'medium',
+        thresholds: SENSITIVITY_THRESHOLDS.medium,
+        engineVersion: expect.any(String),
+        timestamp: expect.any(String)
+      });
+      expect(verdict.signals).toContainEqual(expect.objectContaining({
+        type: 'keyword', name: 'kill myself', tier: 'high', status: 'hit', weight: 0.4
+      }));
+    });
+
+    it('lists only signals that added weight as triggers', () => {
+      const verdict = crisisDetection.assess('I would never kill myself');
+
+      expect(verdict.signals).toContainEqual(expect.objectContaining({ name: 'kill myself', status: 'negated', weight: 0 }));
+      expect(verdict.triggers).not.toContain('kill myself');
+    });
+
+    it('answers none for an ordinary message', () => {
+      expect(crisisDetection.assess('I had a great day')).toMatchObject({
+        detected: false, level: 'none', score: 0, triggers: []
+      });
+    });
+  });
+
+  describe('lexical evidence', () => {
+    it('needs medium or high tier crisis language to flag anything', () => {
+      // Low tier language and negative sentiment score above every "low"
+      // threshold, but are not evidence of a crisis on their own
+      const verdict = crisisDetection.assess('I feel so sad and alone');
+
+      expect(verdict.score).toBeGreaterThanOrEqual(SENSITIVITY_THRESHOLDS.medium.low);
+      expect(verdict).toMatchObject({ detected: false, level: 'none' });
+    });
+
+    it('ignores negated high tier language', () => {
+      expect(crisisDetection.assess('I would never kill myself')).toMatchObject({ detected: false, level: 'none' });
+    });
+
+    it('accepts hypothetical high tier language at its own score', () => {
+      const verdict = crisisDetection.assess('what if I wanted to kill myself');
+
+      expect(verdict.signals).toContainEqual(expect.objectContaining({ name: 'kill myself', status: 'hypothetical' }));
+      expect(verdict).toMatchObject({ detected: true, level: 'medium' });
+    });
+
+    it('adds recent crisis history only alongside crisis language', () => {
+      const history = { recentCrisisCount: 2 };
+
+      expect(crisisDetection.assess('I hate myself', { history }).level).toBe('high');
+      expect(crisisDetection.assess('I hate myself').level).toBe('medium');
+      expect(crisisDetection.assess('I feel so sad and alone', { history }).level).toBe('none');
+    });
+  });
+
+  describe('determineLevel', () => {
+    const thresholds = SENSITIVITY_THRESHOLDS.medium;
+    const highPattern = { type: 'pattern', tier: 'high', status: 'hit' };
+    const highKeyword = { type: 'keyword', tier: 'high', status: 'hit' };
+
+    it('maps the score to the highest threshold it reaches', () => {
+      expect([0.05, 0.1, 0.35, 0.6].map(score => crisisDetection.determineLevel(score, [], thresholds)))
+        .toEqual(['none', 'low', 'medium', 'high']);
+    });
+
+    it('keeps critical for an explicit high tier pattern', () => {
+      expect(crisisDetection.determineLevel(0.9, [highPattern], thresholds)).toBe('critical');
+      expect(crisisDetection.determineLevel(0.9, [highKeyword], thresholds)).toBe('high');
+    });
+
+    it('never reports unqualified high tier evidence below high', () => {
+      expect(crisisDetection.determineLevel(0.4, [highKeyword], thresholds)).toBe('high');
+      expect(crisisDetection.determineLevel(0.4, [{ ...highKeyword, status: 'hypothetical' }], thresholds)).toBe('medium');
+    });
+  });
+
+  describe('sensitivity', () => {
+    const levels = (message) => ['low', 'medium', 'high']
+      .map(sensitivity => crisisDetection.assess(message, { sensitivity }))
+      .map(({ sensitivity, level, thresholds }) => ({ sensitivity, level, thresholds }));
+
+    it('applies each threshold set to the same input', () => {
+      expect(levels('I hate myself')).toEqual([
+        { sensitivity: 'low', level: 'medium', thresholds: SENSITIVITY_THRESHOLDS.low },
+        { sensitivity: 'medium', level: 'medium', thresholds: SENSITIVITY_THRESHOLDS.medium },
+        { sensitivity: 'high', level: 'high', thresholds: SENSITIVITY_THRESHOLDS.high }
+      ]);
+      expect(levels("life isn't worth living").map(({ level }) => level)).toEqual(['medium', 'high', 'high']);
+    });
+
+    it('flags earlier the higher the sensitivity', () => {
+      const at = (score, signals = []) => ['low', 'medium', 'high']
+        .map(sensitivity => crisisDetection.determineLevel(score, signals, SENSITIVITY_THRESHOLDS[sensitivity]));
+
+      expect(at(0.3)).toEqual(['low', 'low', 'medium']);
+      expect(at(0.4)).toEqual(['low', 'medium', 'medium']);
+      expect(at(0.82, [{ type: 'pattern', tier: 'high', status: 'hit' }])).toEqual(['high', 'high', 'critical']);
+    });
+
+    it('does not change the score or the evidence rule', () => {
+      const scores = ['low', 'medium', 'high'].map(sensitivity => crisisDetection.assess('I hate myself', { sensitivity }).score);
+      expect(new Set(scores).size).toBe(1);
+      expect(crisisDetection.assess('I feel so sad and alone', { sensitivity: 'high' }).level).toBe('none');
+    });
+
+    it('falls back to the default for an unknown setting', () => {
+      expect(crisisDetection.assess('I hate myself', { sensitivity: 'extreme' })).toMatchObject({
+        sensitivity: 'medium',
+        thresholds: SENSITIVITY_THRESHOLDS.medium
+      });
+    });
+  });
+
+  describe('stored preference', () => {
+    let sequelize;
+    let app;
+    let user;
+
+    beforeEach(async () => {
+      sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+      db.User = initUserModel(sequelize);
+      db.AuditEvent = initAuditEventModel(sequelize);
+      await sequelize.sync();
+      chatService.models = db;
+
+      user = await db.User.create({ age: 30, anonymous: true });
+      app = express();
+      app.use(express.json());
+      app.use('/api/users', userRoutes);
+    });
+
+    afterEach(async () => {
+      await sequelize.close();
+    });
+
+    const setSensitivity = (crisisDetectionSensitivity) => request(app)
+      .put('/api/users/preferences')
+      .set('Authorization', `Bearer ${tokenUtils.generate({ userId: user.id })}`)
+      .send({ crisisDetectionSensitivity });
+
+    it('uses the default until the user chooses one', async () => {
+      await expect(chatService.detectCrisis('I hate myself', user.id))
+        .resolves.toMatchObject({ sensitivity: 'medium', level: 'medium' });
+    });
+
+    it('assesses messages with the sensitivity saved in preferences', async () => {
+      expect((await setSensitivity('high')).status).toBe(200);
+      await expect(chatService.detectCrisis('I hate myself', user.id))
+        .resolves.toMatchObject({ sensitivity: 'high', level: 'high', thresholds: SENSITIVITY_THRESHOLDS.high });
+
+      expect((await setSensitivity('low')).status).toBe(200);
+      await expect(chatService.detectCrisis("life isn't worth living", user.id))
+        .resolves.toMatchObject({ sensitivity: 'low', level: 'medium' });
+    });
+
+    it('rejects settings outside low, medium and high', async () => {
+      expect((await setSensitivity('extreme')).status).toBe(400);
+      await expect(chatService.detectCrisis('I hate myself', user.id))
+        .resolves.toMatchObject({ sensitivity: 'medium' });
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Crisis Matcher Tests
+ * Negation, hypothetical, quoted speech, context and slang rules
+ */
+
+const crisisDetection = require('../../backend/ai/crisisDetection');
+const crisisMatcher = require('../../backend/ai/crisisMatcher');
+const fixtures = require('./fixtures/crisisMatching.json');
+
+describe('crisis matching fixtures', () => {
+  Object.entries(fixtures).forEach(([rule, { description, hits, misses }]) => {
+    describe(`${rule}: ${description}`, () => {
+      it.each(hits)('flags %p', (message) => {
+        expect(crisisDetection.assess(message).detected).toBe(true);
+      });
+
+      it.each(misses)('does not flag %p', (message) => {
+        expect(crisisDetection.assess(message).detected).toBe(false);
+      });
+    });
+  });
+});
+
+describe('CrisisMatcher', () => {
+  const statusOf = (message, term) =>
+    crisisMatcher.matchTerms(message).find(match => match.term === term)?.status;
+
+  it('labels how each match was read', () => {
+    expect(statusOf('I want to kill myself', 'kill myself')).toBe('hit');
+    expect(statusOf('I would never kill myself', 'kill myself')).toBe('negated');
+    expect(statusOf('what if I kill myself', 'kill myself')).toBe('hypothetical');
+    expect(statusOf('she said "kill myself" as a joke', 'kill myself')).toBe('quoted');
+    expect(statusOf('suicide squad was great', 'suicide')).toBe('title');
+    expect(statusOf('this homework makes me want to die lol', 'want to die')).toBe('hyperbole');
+  });
+
+  it('only negates a term whose own verb is negated', () => {
+    expect(statusOf('no i want to die', 'want to die')).toBe('hit');
+    expect(statusOf('not sure why i want to die', 'want to die')).toBe('hit');
+    expect(statusOf('I have no plans to kill myself', 'kill myself')).toBe('negated');
+    expect(statusOf('i can not go on', 'can\'t go on')).toBe('hit');
+  });
+
+  it('reports the canonical term for slang variants', () => {
+    const [match] = crisisMatcher.matchTerms('i want to kms');
+    expect(match).toMatchObject({ term: 'kill myself', matched: 'kms', variant: 'variant' });
+  });
+
+  it('keeps hypothetical matches below the high-level floor', () => {
+    const verdict = crisisDetection.assess('what if I kill myself');
+    const keyword = verdict.signals.find(signal => signal.name === 'kill myself');
+
+    expect(keyword.weight).toBeCloseTo(0.2);
+    expect(verdict.level).not.toBe('critical');
+  });
+
+  it('lists negated matches with zero weight', () => {
+    const verdict = crisisDetection.assess('I would never kill myself');
+    const keyword = verdict.signals.find(signal => signal.name === 'kill myself');
+
+    expect(keyword).toMatchObject({ status: 'negated', weight: 0 });
+    expect(verdict.triggers).not.toContain('kill myself');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Escalation Notifier Tests
+ * Registry configuration and which channels can reach a contact or staff
+ */
+
+const { getEscalationConfig } = require('../../backend/config/escalation');
+const { NotifierRegistry } = require('../../backend/services/notifiers');
+
+describe('NotifierRegistry', () => {
+  const configure = (notifiers, settings = {}) => {
+    const config = getEscalationConfig();
+    return new NotifierRegistry().configure({
+      ...config,
+      notifiers,
+      settings: { ...config.settings, ...settings }
+    });
+  };
+
+  const names = (notifiers) => notifiers.map(notifier => notifier.name);
+
+  it('skips unknown notifier names', () => {
+    expect(names(configure(['console', 'pager']).notifiers)).toEqual(['console']);
+  });
+
+  it('only uses channels that can reach the contact', () => {
+    const registry = configure(['console', 'email', 'sms'], {
+      email: { apiKey: 'key', from: 'alerts@example.com' },
+      sms: { accountSid: 'sid', authToken: 'token', from: '+15550000000' }
+    });
+
+    expect(names(registry.getNotifiersFor({ email: 'mum@example.com' }))).toEqual(['console', 'email']);
+    expect(names(registry.getNotifiersFor({ phone: '+15551234567' }))).toEqual(['console', 'sms']);
+  });
+
+  it('leaves unconfigured channels unable to deliver', () => {
+    const registry = configure(['email', 'sms', 'webhook']);
+
+    expect(registry.describe()).toEqual([
+      { name: 'email', available: false },
+      { name: 'sms', available: false },
+      { name: 'webhook', available: false }
+    ]);
+    expect(registry.getNotifiersFor({ email: 'mum@example.com', phone: '+15551234567' })).toEqual([]);
+    expect(registry.getStaffNotifiers()).toEqual([]);
+  });
+
+  it('alerts staff only through staff channels', () => {
+    const registry = configure(['console', 'sms', 'webhook'], {
+      sms: { accountSid: 'sid', authToken: 'token', from: '+15550000000' },
+      webhook: { url: 'https://hooks.example.com/crisis' }
+    });
+
+    expect(names(registry.getStaffNotifiers())).toEqual(['console', 'webhook']);
+  });
+
+  it('picks up notifiers registered after configuration', () => {
+    const registry = configure(['pager']);
+    expect(registry.notifiers).toEqual([]);
+
+    registry.register('pager', () => ({ name: 'pager', isAvailable: () => true, canDeliver: () => true }));
+    expect(names(registry.notifiers)).toEqual(['pager']);
+  });
+});
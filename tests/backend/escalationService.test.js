@@ -0,0 +1,285 @@
+/**
+ * Crisis Escalation Tests
+ * Consent gate, lifecycle transitions, notification outcomes and the user routes
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { Sequelize } = require('sequelize');
+
+jest.mock('../../backend/models', () => ({ db: {} }));
+
+const { db } = require('../../backend/models');
+const initUserModel = require('../../backend/models/UserSequelize');
+const initChatSessionModel = require('../../backend/models/ChatSessionSequelize');
+const initEscalationModel = require('../../backend/models/EscalationSequelize');
+const initAuditEventModel = require('../../backend/models/AuditEventSequelize');
+const { getEscalationConfig } = require('../../backend/config/escalation');
+const notifierRegistry = require('../../backend/services/notifiers');
+const { BaseNotifier } = notifierRegistry;
+const escalationService = require('../../backend/services/escalationService');
+const escalationRoutes = require('../../backend/routes/escalations');
+const { tokenUtils } = require('../../backend/middlewares/auth');
+
+const HIGH_VERDICT = { detected: true, level: 'high', score: 0.8, triggers: ['kill myself'] };
+
+// Records what it was asked to send; fails when `failing` is set
+class RecordingNotifier extends BaseNotifier {
+  constructor(name) {
+    super(name);
+    this.sent = [];
+    this.failing = false;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  canAlertStaff() {
+    return true;
+  }
+
+  async send(notification) {
+    if (this.failing) throw new Error(`${this.name} is down`);
+    this.sent.push(notification);
+    return { reference: `${this.name}-${this.sent.length}` };
+  }
+}
+
+describe('EscalationService', () => {
+  let sequelize;
+  let user;
+  let primary;
+  let backup;
+
+  const open = (verdict = HIGH_VERDICT) => escalationService.openEscalation({ userId: user.id, verdict });
+
+  beforeEach(async () => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    db.User = initUserModel(sequelize);
+    db.ChatSession = initChatSessionModel(sequelize);
+    db.Escalation = initEscalationModel(sequelize);
+    await sequelize.sync();
+
+    user = await db.User.create({ age: 30, anonymous: true });
+    user.mentalHealthProfile = {
+      ...user.mentalHealthProfile,
+      emergencyContacts: [{ id: 'mum', name: 'Mum', relationship: 'parent', email: 'mum@example.com' }]
+    };
+    await user.save();
+
+    primary = new RecordingNotifier('primary');
+    backup = new RecordingNotifier('backup');
+    notifierRegistry.register('primary', () => primary);
+    notifierRegistry.register('backup', () => backup);
+    notifierRegistry.configure({ ...getEscalationConfig(), notifiers: ['primary', 'backup'] });
+  });
+
+  afterEach(async () => {
+    notifierRegistry.configure();
+    await sequelize.close();
+  });
+
+  describe('consent gate', () => {
+    it('opens high-risk escalations with a consent prompt and notifies nobody', async () => {
+      const payload = await open();
+
+      expect(payload).toMatchObject({
+        level: 'high',
+        status: 'open',
+        consentStatus: 'pending',
+        consentRequired: true,
+        notificationStatus: 'none',
+        contacts: [{ id: 'mum', name: 'Mum', relationship: 'parent' }]
+      });
+      expect(payload.contacts[0].email).toBeUndefined();
+      expect(primary.sent).toEqual([]);
+      expect(backup.sent).toEqual([]);
+    });
+
+    it('does not escalate below the configured levels', async () => {
+      expect(await open({ detected: true, level: 'medium' })).toBeNull();
+      expect(await db.Escalation.count()).toBe(0);
+    });
+
+    it('folds repeated flags into the open escalation', async () => {
+      const first = await open();
+      const second = await open({ ...HIGH_VERDICT, level: 'critical' });
+
+      expect(second).toMatchObject({ id: first.id, level: 'critical', detectionCount: 2 });
+      expect(await db.Escalation.count()).toBe(1);
+    });
+
+    it('notifies nobody when the user declines', async () => {
+      const { id } = await open();
+
+      await expect(escalationService.recordConsent(id, user.id, { granted: false }))
+        .resolves.toMatchObject({ consentStatus: 'declined', notificationStatus: 'none' });
+      expect(primary.sent).toEqual([]);
+
+      await expect(escalationService.recordConsent(id, user.id, { granted: true, contactId: 'mum' }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'CONSENT_ALREADY_RECORDED' });
+      expect(primary.sent).toEqual([]);
+    });
+
+    it('notifies only the chosen contact once consent is granted, without the conversation', async () => {
+      const { id } = await open();
+
+      await expect(escalationService.recordConsent(id, user.id, { granted: true, contactId: 'dad' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'CONTACT_NOT_FOUND' });
+      expect(primary.sent).toEqual([]);
+
+      await escalationService.recordConsent(id, user.id, { granted: true, contactId: 'mum' });
+
+      expect(primary.sent).toHaveLength(1);
+      expect(primary.sent[0]).toMatchObject({ event: 'contact_notification', escalationId: id, contact: { id: 'mum' } });
+      expect(primary.sent[0].text).not.toContain('kill myself');
+    });
+
+    it('never asks for consent without a reachable contact', async () => {
+      user.mentalHealthProfile = { ...user.mentalHealthProfile, emergencyContacts: [{ name: 'No details' }] };
+      await user.save();
+
+      await expect(open()).resolves.toMatchObject({ consentStatus: 'not_applicable', consentRequired: false, contacts: [] });
+    });
+
+    it('only lets the owner answer the prompt', async () => {
+      const { id } = await open();
+      const other = await db.User.create({ age: 30, anonymous: true });
+
+      await expect(escalationService.recordConsent(id, other.id, { granted: true, contactId: 'mum' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'ESCALATION_NOT_FOUND' });
+      expect(primary.sent).toEqual([]);
+    });
+  });
+
+  describe('notification status', () => {
+    const grant = async () => {
+      const { id } = await open();
+      return escalationService.recordConsent(id, user.id, { granted: true, contactId: 'mum' });
+    };
+
+    it('is sent when every notifier delivers', async () => {
+      const escalation = await grant();
+
+      expect(escalation.notificationStatus).toBe('sent');
+      expect(escalation.notifications.map(({ notifier, status }) => [notifier, status]))
+        .toEqual([['primary', 'sent'], ['backup', 'sent']]);
+    });
+
+    it('is partial when some notifiers fail', async () => {
+      backup.failing = true;
+
+      const escalation = await grant();
+
+      expect(escalation.notificationStatus).toBe('partial');
+      expect(escalation.notifications.map(({ notifier, status }) => [notifier, status]))
+        .toEqual([['primary', 'sent'], ['backup', 'failed']]);
+    });
+
+    it('is failed when every notifier fails or none can reach the contact', async () => {
+      primary.failing = true;
+      backup.failing = true;
+      expect((await grant()).notificationStatus).toBe('failed');
+
+      await db.Escalation.destroy({ where: {} });
+      notifierRegistry.configure({ ...getEscalationConfig(), notifiers: [] });
+      expect(await grant()).toMatchObject({ notificationStatus: 'failed', notifications: [] });
+    });
+  });
+
+  describe('lifecycle', () => {
+    const counselor = { type: 'counselor', id: 'counselor-1' };
+
+    it('moves open -> acknowledged -> resolved and never back', async () => {
+      const { id } = await open();
+
+      await expect(escalationService.acknowledge(id, counselor)).resolves.toMatchObject({ status: 'acknowledged' });
+      await expect(escalationService.acknowledge(id, counselor))
+        .rejects.toMatchObject({ statusCode: 409, code: 'INVALID_TRANSITION' });
+
+      await expect(escalationService.resolve(id, counselor, 'Spoke with them')).resolves.toMatchObject({ status: 'resolved' });
+      await expect(escalationService.resolve(id, counselor))
+        .rejects.toMatchObject({ statusCode: 409, code: 'INVALID_TRANSITION' });
+      await expect(escalationService.escalate(id, counselor))
+        .rejects.toMatchObject({ statusCode: 409, code: 'INVALID_TRANSITION' });
+    });
+
+    it('reopens escalated items as critical and alerts staff', async () => {
+      const { id } = await open();
+      await escalationService.acknowledge(id, counselor);
+
+      const escalation = await escalationService.escalate(id, counselor, 'No answer');
+
+      expect(escalation).toMatchObject({ level: 'critical', status: 'open', acknowledgedAt: null });
+      expect(primary.sent).toEqual([expect.objectContaining({ event: 'staff_escalation', escalationId: id })]);
+    });
+
+    it('keeps an escalation the user reports safe in the counselor queue', async () => {
+      const { id } = await open();
+
+      await expect(escalationService.reportSafe(id, user.id, 'Talked to a friend'))
+        .resolves.toMatchObject({ status: 'open', userReportedSafeAt: expect.any(Date) });
+
+      const [queued] = await escalationService.getQueue();
+      expect(queued).toMatchObject({ id, status: 'open', userSafetyNote: 'Talked to a friend' });
+
+      await escalationService.resolve(id, counselor);
+      await expect(escalationService.reportSafe(id, user.id))
+        .rejects.toMatchObject({ statusCode: 409, code: 'INVALID_TRANSITION' });
+      expect(await escalationService.getQueue()).toEqual([]);
+    });
+  });
+
+  describe('user routes', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+      db.AuditEvent = initAuditEventModel(sequelize);
+      await db.AuditEvent.sync();
+
+      app = express();
+      app.use(express.json());
+      app.use('/api/escalations', escalationRoutes);
+      token = tokenUtils.generate({ userId: user.id });
+    });
+
+    const post = (path, body = {}) => request(app)
+      .post(`/api/escalations${path}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    it('records consent and validates the answer', async () => {
+      const { id } = await open();
+
+      const invalid = await post(`/${id}/consent`, { granted: true });
+      expect(invalid.status).toBe(400);
+      expect(primary.sent).toEqual([]);
+
+      const granted = await post(`/${id}/consent`, { granted: true, contactId: 'mum' });
+      expect(granted.status).toBe(200);
+      expect(granted.body.data.escalation).toMatchObject({ consentStatus: 'granted', notificationStatus: 'sent' });
+    });
+
+    it('lets the user report they are safe but not resolve the escalation', async () => {
+      const { id } = await open();
+
+      expect((await post(`/${id}/resolve`, { note: 'fine now' })).status).toBe(404);
+
+      const safe = await post(`/${id}/safe`, { note: 'fine now' });
+      expect(safe.status).toBe(200);
+      expect(safe.body.data.escalation).toMatchObject({ status: 'open' });
+      expect(safe.body.data.escalation.userReportedSafeAt).toEqual(expect.any(String));
+    });
+
+    it('hides other users\' escalations', async () => {
+      const { id } = await open();
+      token = tokenUtils.generate({ userId: '22222222-2222-4222-8222-222222222222' });
+
+      const response = await post(`/${id}/safe`);
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('ESCALATION_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Data Export Tests
+ * The export archive, each format and background export jobs
+ */
+
+const { Sequelize, DataTypes } = require('sequelize');
+
+jest.mock('../../backend/models', () => ({ db: {} }));
+
+const { db } = require('../../backend/models');
+const initUserModel = require('../../backend/models/UserSequelize');
+const initChatSessionModel = require('../../backend/models/ChatSessionSequelize');
+const initMessageModel = require('../../backend/models/MessageSequelize');
+const initAssessmentModel = require('../../backend/models/AssessmentSequelize');
+const initMemoryFactModel = require('../../backend/models/MemoryFactSequelize');
+const initExportJobModel = require('../../backend/models/ExportJobSequelize');
+const searchMigration = require('../../backend/migrations/0005-message-search');
+const { ExportService } = require('../../backend/services/exportService');
+
+const OTHER_USER = '22222222-2222-4222-8222-222222222222';
+
+describe('ExportService', () => {
+  let sequelize;
+  let exportService;
+  let user;
+  let session;
+
+  const fileContent = (files, name) => files.find(file => file.name === name).content;
+
+  beforeEach(async () => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    db.sequelize = sequelize;
+    db.User = initUserModel(sequelize);
+    db.ChatSession = initChatSessionModel(sequelize);
+    db.Message = initMessageModel(sequelize);
+    db.Assessment = initAssessmentModel(sequelize);
+    db.MemoryFact = initMemoryFactModel(sequelize);
+    db.ExportJob = initExportJobModel(sequelize);
+    await sequelize.sync();
+    // Messages are indexed for search as they are created
+    await searchMigration.up({ queryInterface: sequelize.getQueryInterface(), DataTypes });
+
+    user = await db.User.create({ age: 30, anonymous: true });
+    user.mentalHealthProfile = {
+      ...user.mentalHealthProfile,
+      crisisEvents: [{ timestamp: '2026-03-02T10:00:00.000Z', severity: 'high', source: 'chat', triggers: ['hopeless'] }]
+    };
+    await user.save();
+    await db.User.create({ id: OTHER_USER, age: 30, anonymous: true });
+
+    session = await db.ChatSession.create({ userId: user.id, startedAt: new Date('2026-03-01T09:00:00Z') });
+    // A stored sentiment label stops the model from re-scoring the message
+    await db.Message.create({ sessionId: session.id, userId: user.id, sender: 'user', sentiment: 'negative', content: '=HYPERLINK("x"), said "hi"' });
+    await db.Message.create({ sessionId: session.id, userId: user.id, sender: 'ai', sentiment: 'neutral', content: 'Thanks for telling me' });
+    await db.Message.create({ sessionId: session.id, userId: user.id, sender: 'user', sentiment: 'neutral', content: 'Old message', isAnonymized: true });
+
+    await db.Assessment.bulkCreate([
+      { userId: user.id, type: 'phq9', responses: [1, 2, 1, 1, 0, 1, 0, 0, 1], score: 7, severity: 'mild', createdAt: new Date('2026-03-01') },
+      { userId: user.id, type: 'gad7', responses: [3, 3, 2, 2, 1, 1, 0], score: 12, severity: 'moderate', createdAt: new Date('2026-03-02') },
+      { userId: user.id, type: 'pss10', responses: [2, 2, 2, 2, 2, 2, 2, 2, 2, 2], score: 20, severity: 'moderate' },
+      { userId: user.id, type: 'mood', responses: { mood: 4, energy: 3, anxiety: null }, score: 4, notes: '<script>alert(1)</script>' }
+    ]);
+    await db.MemoryFact.create({ userId: user.id, content: 'I have a cat named Mo' });
+
+    exportService = new ExportService();
+  });
+
+  afterEach(async () => {
+    delete process.env.EXPORT_INLINE_MAX_RECORDS;
+    await sequelize.close();
+  });
+
+  it('bundles sessions, messages, assessments, mood logs and crisis events', async () => {
+    const archive = await exportService.buildArchive(user.id);
+
+    expect(archive).toMatchObject({ archive: 'mental-wellness-export', schemaVersion: 1, user: { id: user.id } });
+    expect(archive.user.mentalHealthProfile.crisisEvents).toBeUndefined();
+    expect(archive.sessions).toEqual([expect.objectContaining({ id: session.id, status: 'active' })]);
+    expect(archive.messages.map(message => message.content)).toEqual(['=HYPERLINK("x"), said "hi"', 'Thanks for telling me']);
+    expect(archive.assessments.map(assessment => assessment.type)).toEqual(['phq9', 'gad7', 'pss10']);
+    expect(archive.moodLogs).toEqual([expect.objectContaining({ mood: 4, energy: 3, anxiety: null })]);
+    expect(archive.crisisEvents).toEqual([expect.objectContaining({ severity: 'high', source: 'chat' })]);
+    expect(archive.memoryFacts).toEqual([expect.objectContaining({ content: 'I have a cat named Mo' })]);
+  });
+
+  it('writes one CSV per entity with quoted, formula-safe cells', async () => {
+    const archive = await exportService.buildArchive(user.id);
+    const files = exportService.render('csv', archive);
+
+    expect(files.map(file => file.name)).toEqual(['sessions.csv', 'messages.csv', 'assessments.csv', 'mood_logs.csv', 'crisis_events.csv']);
+    const [header, first] = fileContent(files, 'messages.csv').split('\r\n');
+    expect(header).toBe('id,sessionId,createdAt,sender,content,sentiment,sentimentScore,crisisDetected,crisisSeverity');
+    expect(first).toContain(`,user,"'=HYPERLINK(""x""), said ""hi""",negative,`);
+    expect(fileContent(files, 'crisis_events.csv')).toContain('2026-03-02T10:00:00.000Z,high,chat,hopeless,');
+
+    expect(exportService.render('csv', archive, { entity: 'mood_logs' }).map(file => file.name)).toEqual(['mood_logs.csv']);
+  });
+
+  it('renders an escaped, printable report without transcripts', async () => {
+    const [report] = exportService.render('html', await exportService.buildArchive(user.id));
+
+    expect(report).toMatchObject({ name: 'report.html', contentType: 'text/html; charset=utf-8' });
+    expect(report.content).toContain('<td>2026-03-01</td><td>PHQ-9</td><td>7</td><td>mild</td>');
+    expect(report.content).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(report.content).not.toContain('<script>');
+    expect(report.content).not.toContain('Thanks for telling me');
+  });
+
+  it('exports PHQ-9 and GAD-7 as FHIR QuestionnaireResponses and Observations', async () => {
+    const [file] = exportService.render('fhir', await exportService.buildArchive(user.id));
+    const bundle = JSON.parse(file.content);
+
+    expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+    expect(bundle.entry.map(entry => entry.resource.resourceType)).toEqual([
+      'Patient', 'QuestionnaireResponse', 'Observation', 'QuestionnaireResponse', 'Observation'
+    ]);
+
+    const [, phqResponse, phqScore] = bundle.entry;
+    expect(phqResponse.resource).toMatchObject({ questionnaire: 'http://loinc.org/q/44249-1', status: 'completed' });
+    expect(phqResponse.resource.item[1]).toMatchObject({
+      linkId: 'phq9_2',
+      answer: [{ valueCoding: { code: '2', display: 'More than half the days' } }]
+    });
+    expect(phqScore.resource).toMatchObject({
+      code: { coding: [{ system: 'http://loinc.org', code: '44261-6' }] },
+      subject: { reference: `urn:uuid:${user.id}` },
+      valueInteger: 7,
+      derivedFrom: [{ reference: phqResponse.fullUrl }]
+    });
+    expect(bundle.entry[4].resource.code.coding[0].code).toBe('70274-6');
+  });
+
+  it('queues large exports as jobs whose files can be downloaded', async () => {
+    process.env.EXPORT_INLINE_MAX_RECORDS = '2';
+    expect(await exportService.exportNow(user.id, 'json')).toBeNull();
+
+    const job = await exportService.createJob(user.id, 'json');
+    await exportService.queue;
+
+    const done = await exportService.getJob(user.id, job.id);
+    expect(done.getSummary()).toMatchObject({ status: 'completed', recordCount: 8, files: [{ name: 'archive.json' }] });
+    const file = await exportService.getFile(user.id, job.id, 'archive.json');
+    expect(JSON.parse(file.content).messages).toHaveLength(2);
+
+    await expect(exportService.getJob(OTHER_USER, job.id))
+      .rejects.toMatchObject({ statusCode: 404, code: 'EXPORT_NOT_FOUND' });
+  });
+
+  it('reuses a pending job and refuses downloads until it completes', async () => {
+    // Never queued in this service, so it stays pending
+    const pending = await db.ExportJob.create({ userId: user.id, format: 'html' });
+
+    expect((await exportService.createJob(user.id, 'html')).id).toBe(pending.id);
+    await expect(exportService.getFile(user.id, pending.id, 'report.html'))
+      .rejects.toMatchObject({ statusCode: 409, code: 'EXPORT_NOT_READY' });
+  });
+
+  it('deletes the files of expired exports', async () => {
+    const job = await exportService.createJob(user.id, 'csv');
+    await exportService.queue;
+    await job.reload();
+    await job.update({ expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await exportService.expireJobs()).toBe(1);
+    await job.reload();
+    expect(job.status).toBe('expired');
+    expect(job.files).toBeNull();
+    await expect(exportService.getFile(user.id, job.id, 'messages.csv'))
+      .rejects.toMatchObject({ statusCode: 410, code: 'EXPORT_EXPIRED' });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Field Encryption Tests
+ * Envelope encryption, key rotation and transparent model attributes
+ */
+
+const crypto = require('crypto');
+const { Sequelize } = require('sequelize');
+
+const fieldEncryption = require('../../backend/services/fieldEncryption');
+const { getEncryptionConfig } = require('../../backend/config/encryption');
+const initUserModel = require('../../backend/models/UserSequelize');
+
+const KEY_1 = crypto.randomBytes(32).toString('hex');
+const KEY_2 = crypto.randomBytes(32).toString('base64');
+
+const CONTENT = { field: 'messages.content' };
+const PROFILE = { field: 'users.mentalHealthProfile', json: true };
+
+const configure = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    fieldEncryption.configure(getEncryptionConfig());
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe('FieldEncryption', () => {
+  beforeEach(() => {
+    configure({ FIELD_ENCRYPTION_KEYS: `1:${KEY_1}` });
+  });
+
+  afterAll(() => {
+    fieldEncryption.configure(null);
+  });
+
+  it('round-trips text and JSON values', () => {
+    const stored = fieldEncryption.encryptValue('I have been feeling low', CONTENT);
+    expect(stored).toMatch(/^enc:1:/);
+    expect(stored).not.toContain('feeling');
+    expect(fieldEncryption.decryptValue(stored, CONTENT)).toBe('I have been feeling low');
+
+    const profile = { conditions: ['anxiety'], emergencyContacts: [] };
+    const storedProfile = fieldEncryption.encryptValue(profile, PROFILE);
+    expect(fieldEncryption.decryptValue(storedProfile, PROFILE)).toEqual(profile);
+  });
+
+  it('uses a fresh data key and IV for every value', () => {
+    const first = fieldEncryption.encryptValue('same text', CONTENT);
+    const second = fieldEncryption.encryptValue('same text', CONTENT);
+    expect(first).not.toBe(second);
+  });
+
+  it('rejects a value moved to a different field', () => {
+    const stored = fieldEncryption.encryptValue('private note', CONTENT);
+    expect(() => fieldEncryption.decryptValue(stored, { field: 'chat_sessions.sessionNotes' }))
+      .toThrow('Unable to decrypt chat_sessions.sessionNotes');
+  });
+
+  it('rejects tampered ciphertext', () => {
+    const parts = fieldEncryption.encryptValue('private note', CONTENT).split(':');
+    const ciphertext = Buffer.from(parts[5], 'base64url');
+    ciphertext[0] ^= 1;
+    parts[5] = ciphertext.toString('base64url');
+
+    expect(() => fieldEncryption.decryptValue(parts.join(':'), CONTENT)).toThrow('Unable to decrypt');
+  });
+
+  it('passes legacy plaintext through until it is migrated', () => {
+    expect(fieldEncryption.decryptValue('written before encryption', CONTENT)).toBe('written before encryption');
+    expect(fieldEncryption.needsUpdate('written before encryption')).toBe(true);
+    expect(fieldEncryption.needsUpdate(null)).toBe(false);
+  });
+
+  it('re-wraps the data key on rotation without touching the ciphertext', () => {
+    const stored = fieldEncryption.encryptValue('rotate me', CONTENT);
+
+    configure({ FIELD_ENCRYPTION_KEYS: `1:${KEY_1},2:${KEY_2}` });
+    expect(fieldEncryption.getConfig().activeVersion).toBe('2');
+    expect(fieldEncryption.needsUpdate(stored)).toBe(true);
+
+    const rewrapped = fieldEncryption.upgradeValue(stored, CONTENT);
+    expect(rewrapped).toMatch(/^enc:2:/);
+    expect(rewrapped.split(':').slice(3)).toEqual(stored.split(':').slice(3));
+    expect(fieldEncryption.needsUpdate(rewrapped)).toBe(false);
+
+    configure({ FIELD_ENCRYPTION_KEYS: `2:${KEY_2}` });
+    expect(fieldEncryption.decryptValue(rewrapped, CONTENT)).toBe('rotate me');
+    expect(() => fieldEncryption.decryptValue(stored, CONTENT)).toThrow('Unable to decrypt');
+  });
+
+  it('stores plaintext without keys outside production only', () => {
+    configure({ FIELD_ENCRYPTION_KEYS: '', HIPAA_ENCRYPTION_KEY: '', NODE_ENV: 'development' });
+    expect(fieldEncryption.encryptValue('no keys', CONTENT)).toBe('no keys');
+    expect(fieldEncryption.encryptValue({ a: 1 }, PROFILE)).toEqual({ a: 1 });
+
+    configure({ FIELD_ENCRYPTION_KEYS: '', HIPAA_ENCRYPTION_KEY: '', NODE_ENV: 'production' });
+    expect(() => fieldEncryption.encryptValue('no keys', CONTENT)).toThrow('not configured');
+  });
+
+  it('validates the key configuration', () => {
+    expect(() => configure({ FIELD_ENCRYPTION_KEYS: '1:tooshort' })).toThrow('Invalid FIELD_ENCRYPTION_KEYS');
+    expect(() => configure({ FIELD_ENCRYPTION_KEYS: `1:${KEY_1}`, FIELD_ENCRYPTION_KEY_VERSION: '3' }))
+      .toThrow('FIELD_ENCRYPTION_KEY_VERSION 3');
+
+    configure({ FIELD_ENCRYPTION_KEYS: '', HIPAA_ENCRYPTION_KEY: KEY_1 });
+    expect(fieldEncryption.getConfig()).toMatchObject({ enabled: true, activeVersion: '1' });
+  });
+
+  describe('model attributes', () => {
+    let sequelize;
+    let User;
+
+    beforeEach(async () => {
+      sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+      User = initUserModel(sequelize);
+      await sequelize.sync();
+    });
+
+    afterEach(async () => {
+      await sequelize.close();
+    });
+
+    const storedProfile = async (id) => {
+      const [[row]] = await sequelize.query('SELECT mentalHealthProfile FROM users WHERE id = :id', {
+        replacements: { id }
+      });
+      return JSON.parse(row.mentalHealthProfile);
+    };
+
+    it('encrypts the default profile and decrypts it on read', async () => {
+      const user = await User.create({ age: 20, anonymous: true });
+
+      expect(await storedProfile(user.id)).toMatch(/^enc:1:/);
+
+      const loaded = await User.findByPk(user.id);
+      expect(loaded.mentalHealthProfile.assessments).toEqual([]);
+      expect(loaded.toJSON().mentalHealthProfile.preferences.crisisAlerts).toBe(true);
+    });
+
+    it('encrypts assigned profiles', async () => {
+      const user = await User.create({ age: 20, anonymous: true });
+      user.mentalHealthProfile = { ...user.mentalHealthProfile, emergencyContacts: [{ name: 'Sam' }] };
+      await user.save();
+
+      const stored = await storedProfile(user.id);
+      expect(stored).not.toContain('Sam');
+
+      const loaded = await User.findByPk(user.id);
+      expect(loaded.mentalHealthProfile.emergencyContacts).toEqual([{ name: 'Sam' }]);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Idempotency Middleware Tests
+ * Replay, key reuse, in-flight conflicts and retry after server errors
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const { cache } = require('../../backend/config/redis');
+const { idempotency } = require('../../backend/middlewares/idempotency');
+
+describe('idempotency middleware', () => {
+  let app;
+  let calls;
+  let nextStatus;
+  let release;
+
+  beforeEach(() => {
+    calls = 0;
+    nextStatus = 201;
+    release = null;
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { userId: req.get('X-Test-User') || 'user-1' };
+      next();
+    });
+
+    app.post('/items', idempotency(), async (req, res) => {
+      calls += 1;
+      if (req.body.wait) {
+        await new Promise(resolve => { release = resolve; });
+      }
+      res.status(nextStatus).json({ call: calls, echo: req.body, createdAt: new Date() });
+    });
+  });
+
+  const post = (key, body = { value: 1 }, user) => {
+    const req = request(app).post('/items').send(body);
+    if (key) req.set('Idempotency-Key', key);
+    if (user) req.set('X-Test-User', user);
+    return req;
+  };
+
+  test('runs every request when no key is sent', async () => {
+    await post();
+    await post();
+    expect(calls).toBe(2);
+  });
+
+  test('replays the identical response for a repeated key', async () => {
+    const first = await post('key-replay');
+    const second = await post('key-replay');
+
+    expect(calls).toBe(1);
+    expect(second.status).toBe(201);
+    expect(second.body).toEqual(first.body);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('scopes keys to the user', async () => {
+    await post('key-shared', { value: 1 }, 'user-a');
+    const other = await post('key-shared', { value: 1 }, 'user-b');
+
+    expect(calls).toBe(2);
+    expect(other.body.call).toBe(2);
+  });
+
+  test('rejects a key reused with a different body', async () => {
+    await post('key-reused', { value: 1 });
+    const res = await post('key-reused', { value: 2 });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(calls).toBe(1);
+  });
+
+  test('rejects malformed keys', async () => {
+    const res = await post('has spaces');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    expect(calls).toBe(0);
+  });
+
+  test('answers 409 while the first request is still running', async () => {
+    const first = post('key-inflight', { wait: true });
+    const firstDone = first.then(res => res);
+    while (!release) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const concurrent = await post('key-inflight', { wait: true });
+    expect(concurrent.status).toBe(409);
+    expect(concurrent.headers['retry-after']).toBe('1');
+
+    release();
+    expect((await firstDone).status).toBe(201);
+    expect(calls).toBe(1);
+  });
+
+  test('answers 409 without running again when the stored response cannot be read', async () => {
+    await post('key-unreadable');
+    const get = jest.spyOn(cache, 'get').mockRejectedValueOnce(new Error('connection lost'));
+
+    const res = await post('key-unreadable');
+
+    expect(res.status).toBe(409);
+    expect(res.headers['retry-after']).toBe('1');
+    expect(calls).toBe(1);
+    get.mockRestore();
+  });
+
+  test('does not store server errors, so a retry runs again', async () => {
+    nextStatus = 500;
+    const failed = await post('key-error');
+    expect(failed.status).toBe(500);
+
+    nextStatus = 201;
+    const retried = await post('key-error');
+    expect(retried.status).toBe(201);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+  });
+});
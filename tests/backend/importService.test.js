@@ -0,0 +1,166 @@
+/**
+ * Data Import Tests
+ * Restoring exported archives and on-device data into an account
+ */
+
+const { Sequelize, DataTypes } = require('sequelize');
+
+jest.mock('../../backend/models', () => ({ db: {} }));
+
+const { db } = require('../../backend/models');
+const initUserModel = require('../../backend/models/UserSequelize');
+const initChatSessionModel = require('../../backend/models/ChatSessionSequelize');
+const initMessageModel = require('../../backend/models/MessageSequelize');
+const initAssessmentModel = require('../../backend/models/AssessmentSequelize');
+const initMemoryFactModel = require('../../backend/models/MemoryFactSequelize');
+const initExportJobModel = require('../../backend/models/ExportJobSequelize');
+const searchMigration = require('../../backend/migrations/0005-message-search');
+const { ExportService } = require('../../backend/services/exportService');
+const { ImportService } = require('../../backend/services/importService');
+
+describe('ImportService', () => {
+  let sequelize;
+  let importService;
+  let source;
+  let target;
+  let archive;
+
+  beforeEach(async () => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    db.sequelize = sequelize;
+    db.User = initUserModel(sequelize);
+    db.ChatSession = initChatSessionModel(sequelize);
+    db.Message = initMessageModel(sequelize);
+    db.Assessment = initAssessmentModel(sequelize);
+    db.MemoryFact = initMemoryFactModel(sequelize);
+    db.ExportJob = initExportJobModel(sequelize);
+    await sequelize.sync();
+    await searchMigration.up({ queryInterface: sequelize.getQueryInterface(), DataTypes });
+
+    source = await db.User.create({ age: 30, anonymous: true });
+    source.mentalHealthProfile = {
+      ...source.mentalHealthProfile,
+      conditions: ['anxiety'],
+      crisisEvents: [{ timestamp: '2026-03-02T10:00:00.000Z', severity: 'high', source: 'chat' }]
+    };
+    await source.save();
+
+    const session = await db.ChatSession.create({ userId: source.id, startedAt: new Date('2026-03-01T09:00:00Z') });
+    // A stored sentiment label stops the model from re-scoring the message
+    await db.Message.create({ sessionId: session.id, userId: source.id, sender: 'user', sentiment: 'negative', content: 'I feel low today', createdAt: new Date('2026-03-01T09:01:00Z') });
+    await db.Message.create({ sessionId: session.id, userId: source.id, sender: 'ai', sentiment: 'neutral', content: 'Thanks for telling me', createdAt: new Date('2026-03-01T09:02:00Z') });
+    await db.Assessment.bulkCreate([
+      { userId: source.id, type: 'phq9', responses: [1, 2, 1, 1, 0, 1, 0, 0, 1], score: 7, severity: 'mild', createdAt: new Date('2026-03-01') },
+      { userId: source.id, type: 'mood', responses: { mood: 4, energy: 3, anxiety: null }, score: 4, createdAt: new Date('2026-03-03') }
+    ]);
+    await db.MemoryFact.create({ userId: source.id, content: 'I have a cat named Mo' });
+
+    target = await db.User.create({ age: 30, anonymous: true });
+    archive = JSON.parse(JSON.stringify(await new ExportService().buildArchive(source.id)));
+    importService = new ImportService();
+  });
+
+  afterEach(async () => {
+    await sequelize.close();
+  });
+
+  it('restores an archive under new ids', async () => {
+    const report = await importService.importData(target.id, archive);
+
+    expect(report).toMatchObject({
+      source: 'archive',
+      schemaVersion: 1,
+      imported: { sessions: 1, messages: 2, assessments: 1, moodLogs: 1, crisisEvents: 1, memoryFacts: 1, profile: 1 },
+      conflicts: []
+    });
+
+    const [session] = await db.ChatSession.findAll({ where: { userId: target.id } });
+    expect(session.id).not.toBe(archive.sessions[0].id);
+    expect(session.messageCount).toBe(2);
+    const messages = await db.Message.findAll({ where: { userId: target.id }, order: [['createdAt', 'ASC']] });
+    expect(messages.map(message => [message.sessionId, message.content])).toEqual([
+      [session.id, 'I feel low today'],
+      [session.id, 'Thanks for telling me']
+    ]);
+
+    await target.reload();
+    expect(target.mentalHealthProfile).toMatchObject({
+      conditions: ['anxiety'],
+      crisisEvents: [expect.objectContaining({ severity: 'high' })]
+    });
+    expect(await db.Assessment.count({ where: { userId: target.id, type: 'mood', score: 4 } })).toBe(1);
+  });
+
+  it('skips records that are already in the account', async () => {
+    await importService.importData(target.id, archive);
+    const report = await importService.importData(target.id, archive);
+
+    expect(Object.values(report.imported).every(count => count === 0)).toBe(true);
+    expect(report.skipped).toMatchObject({ sessions: 1, messages: 2, assessments: 1, moodLogs: 1, crisisEvents: 1, memoryFacts: 1, profile: 1 });
+    expect(await db.Message.count({ where: { userId: target.id } })).toBe(2);
+  });
+
+  it('keeps existing records that differ and reports the conflicts', async () => {
+    await importService.importData(target.id, archive);
+    archive.assessments[0].score = 12;
+    archive.messages[0].content = 'Something else';
+    archive.user.mentalHealthProfile.conditions = ['depression'];
+
+    const report = await importService.importData(target.id, archive);
+
+    expect(report.conflicted).toMatchObject({ assessments: 1, messages: 1, profile: 1 });
+    expect(report.conflicts.map(conflict => conflict.entity)).toEqual(['messages', 'assessments', 'profile']);
+    expect(await db.Assessment.findOne({ where: { userId: target.id, type: 'phq9' } }))
+      .toMatchObject({ score: 7 });
+  });
+
+  it('rejects unsupported versions and invalid records without importing anything', async () => {
+    await expect(importService.importData(target.id, { ...archive, schemaVersion: 99 }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'IMPORT_UNSUPPORTED_VERSION' });
+
+    archive.messages[1].sessionId = 'missing';
+    archive.moodLogs[0].mood = 11;
+    await expect(importService.importData(target.id, archive)).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'IMPORT_INVALID',
+      details: [
+        { path: 'moodLogs[0].mood', msg: 'must be between 1 and 10' },
+        { path: 'messages[1].sessionId', msg: 'does not match a session in the archive' }
+      ]
+    });
+    expect(await db.ChatSession.count({ where: { userId: target.id } })).toBe(0);
+
+    await expect(importService.importData(target.id, { hello: 'world' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'IMPORT_UNRECOGNISED' });
+  });
+
+  it('imports data saved on the device as a session and mood check-ins', async () => {
+    const local = {
+      moodLogs: [{ id: 'm1', mood: 'happy', note: 'Good walk', timestamp: '2026-04-01T08:00:00.000Z' }],
+      chatHistory: [
+        { role: 'user', parts: [{ text: 'Hello' }] },
+        { role: 'model', parts: [{ text: 'Hi, ' }, { text: 'how are you?' }] }
+      ],
+      preferences: { theme: 'dark', voiceEnabled: true },
+      exportDate: '2026-04-02T12:00:00.000Z'
+    };
+
+    const report = await importService.importData(target.id, local);
+    expect(report).toMatchObject({ source: 'local', schemaVersion: null, imported: { sessions: 1, messages: 2, moodLogs: 1 } });
+
+    const messages = await db.Message.findAll({ where: { userId: target.id }, order: [['createdAt', 'ASC']] });
+    expect(messages.map(message => [message.sender, message.content])).toEqual([['user', 'Hello'], ['ai', 'Hi, how are you?']]);
+    // Scored in the import transaction rather than by the create hook
+    expect(messages[0].sentiment).not.toBeNull();
+    expect(await db.Assessment.findOne({ where: { userId: target.id, type: 'mood' } }))
+      .toMatchObject({ score: 8, notes: 'Good walk' });
+
+    // A later export of the same history continues the imported session
+    local.chatHistory.push({ role: 'user', parts: [{ text: 'Better now' }] });
+    local.exportDate = '2026-04-05T12:00:00.000Z';
+    const again = await importService.importData(target.id, local);
+    expect(again.skipped).toMatchObject({ sessions: 1, messages: 2, moodLogs: 1 });
+    expect(again.imported).toMatchObject({ sessions: 0, messages: 1 });
+    expect(await db.ChatSession.findOne({ where: { userId: target.id } })).toMatchObject({ messageCount: 3 });
+  });
+});
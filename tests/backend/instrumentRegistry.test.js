@@ -0,0 +1,125 @@
+/**
+ * Instrument Registry Tests
+ * Generic scoring, validation and safety items for screening instruments
+ */
+
+const instrumentRegistry = require('../../backend/assessments');
+const { InstrumentRegistry } = require('../../backend/assessments');
+
+describe('InstrumentRegistry', () => {
+  it('registers the built-in instruments', () => {
+    expect(instrumentRegistry.getIds()).toEqual(['phq9', 'phqa', 'gad7', 'pss10', 'who5', 'cssrs']);
+    expect(instrumentRegistry.describe('phqa')).toMatchObject({ shortName: 'PHQ-A', itemCount: 13, ageRange: { min: 11, max: 17 } });
+  });
+
+  it('sums PHQ-9 responses into the published severity bands', () => {
+    expect(instrumentRegistry.score('phq9', [0, 0, 0, 0, 0, 0, 0, 0, 0])).toMatchObject({ score: 0, severity: 'minimal' });
+    expect(instrumentRegistry.score('phq9', [2, 2, 2, 2, 2, 1, 1, 2, 0])).toMatchObject({
+      score: 14,
+      severity: 'moderate',
+      showResources: true,
+      alert: false
+    });
+    expect(instrumentRegistry.score('phq9', [3, 3, 3, 3, 3, 3, 3, 3, 3])).toMatchObject({ score: 27, severity: 'severe' });
+  });
+
+  it('reverse scores the positively worded PSS-10 items', () => {
+    // Answering "never" to every item scores the four reversed items at 4
+    expect(instrumentRegistry.score('pss10', Array(10).fill(0))).toMatchObject({ rawScore: 16, severity: 'moderate' });
+    expect(instrumentRegistry.score('pss10', [0, 0, 0, 4, 4, 0, 4, 4, 0, 0])).toMatchObject({ score: 0, severity: 'low' });
+  });
+
+  it('converts WHO-5 to a percentage', () => {
+    expect(instrumentRegistry.score('who5', [5, 5, 5, 5, 5])).toMatchObject({ rawScore: 25, score: 100, severity: 'good' });
+    expect(instrumentRegistry.score('who5', [2, 2, 1, 1, 1])).toMatchObject({ score: 28, severity: 'very_low' });
+  });
+
+  it('leaves PHQ-A supplementary questions out of the score', () => {
+    const result = instrumentRegistry.score('phqa', [1, 1, 1, 1, 1, 0, 0, 0, 0, 1, 3, 0, 0]);
+    expect(result).toMatchObject({ score: 5, severity: 'mild', safetyFlags: [] });
+    expect(instrumentRegistry.validate('phqa', [0, 0, 0, 0, 0, 0, 0, 0, 0])).toEqual([]);
+  });
+
+  it('flags PHQ-9 item 9 regardless of the total score', () => {
+    const result = instrumentRegistry.score('phq9', [0, 0, 0, 0, 0, 0, 0, 0, 1]);
+    expect(result.severity).toBe('minimal');
+    expect(result.safetyFlags).toEqual([
+      expect.objectContaining({ item: 'phq9_9', value: 1, level: 'high' })
+    ]);
+    expect(instrumentRegistry.score('phq9', [0, 0, 0, 0, 0, 0, 0, 0, 3]).safetyFlags[0].level).toBe('critical');
+  });
+
+  it('turns safety items into crisis verdicts at the highest flagged level', () => {
+    const verdict = instrumentRegistry.toCrisisVerdict(
+      instrumentRegistry.score('phqa', [0, 0, 0, 0, 0, 0, 0, 0, 1, null, null, 1, 1])
+    );
+    expect(verdict).toMatchObject({
+      detected: true,
+      level: 'high',
+      source: 'assessment',
+      instrument: 'phqa',
+      triggers: ['Thoughts of death or self-harm', 'Serious thoughts of suicide in the past month', 'Previous suicide attempt']
+    });
+
+    const clear = instrumentRegistry.toCrisisVerdict(instrumentRegistry.score('gad7', [3, 3, 3, 3, 3, 3, 3]));
+    expect(clear).toMatchObject({ detected: false, level: 'none', triggers: [] });
+  });
+
+  describe('C-SSRS screener', () => {
+    it('takes the highest risk tier instead of a sum', () => {
+      expect(instrumentRegistry.score('cssrs', [1, 0, null, null, null, 0])).toMatchObject({ score: 1, severity: 'low' });
+      expect(instrumentRegistry.score('cssrs', [1, 1, 1, 0, 0, 0])).toMatchObject({ score: 2, severity: 'moderate' });
+      expect(instrumentRegistry.score('cssrs', [0, 1, 0, 1, 0, 0])).toMatchObject({ score: 3, severity: 'high' });
+      expect(instrumentRegistry.score('cssrs', [0, 0, null, null, null, 1, 1])).toMatchObject({ score: 3, severity: 'high' });
+    });
+
+    it('only asks follow-up questions after a yes', () => {
+      expect(instrumentRegistry.validate('cssrs', [0, 0, null, null, null, 0])).toEqual([]);
+      expect(instrumentRegistry.validate('cssrs', [0, 1, null, 0, 0, 0])).toEqual([
+        { path: 'responses[2]', msg: 'cssrs_3 is required' }
+      ]);
+
+      // Answers to questions that were not asked are dropped
+      const result = instrumentRegistry.score('cssrs', [0, 0, 1, 1, 1, 0]);
+      expect(result).toMatchObject({ score: 0, severity: 'none', safetyFlags: [] });
+      expect(result.responses).toEqual([0, 0, null, null, null, 0, null]);
+    });
+
+    it('reports every positive answer as a safety item', () => {
+      const { safetyFlags } = instrumentRegistry.score('cssrs', [1, 1, 1, 0, 1, 0]);
+      expect(safetyFlags.map(flag => [flag.item, flag.level])).toEqual([
+        ['cssrs_1', 'medium'],
+        ['cssrs_2', 'high'],
+        ['cssrs_3', 'high'],
+        ['cssrs_5', 'critical']
+      ]);
+    });
+  });
+
+  it('rejects responses outside the item scale', () => {
+    expect(instrumentRegistry.validate('gad7', [0, 1, 2, 3, 4, 0, 0])).toEqual([
+      { path: 'responses[4]', msg: 'gad7_5 must be one of 0, 1, 2, 3' }
+    ]);
+    expect(instrumentRegistry.validate('gad7', [0, 1, 2, 3, 1.5, 0, 0])).toHaveLength(1);
+    expect(instrumentRegistry.validate('gad7', Array(8).fill(0))[0].path).toBe('responses');
+  });
+
+  it('refuses definitions the scorer cannot handle', () => {
+    const registry = new InstrumentRegistry();
+    const base = {
+      id: 'demo',
+      scales: { yesNo: [{ value: 0 }, { value: 1 }] },
+      items: [{ id: 'demo_1', scale: 'yesNo' }],
+      scoring: { method: 'sum' },
+      bands: [{ min: 0, max: 1, severity: 'none' }]
+    };
+
+    expect(() => registry.register({ ...base, scoring: { method: 'median' } })).toThrow('unknown scoring method');
+    expect(() => registry.register({ ...base, items: [{ id: 'demo_1', scale: 'likert' }] })).toThrow('unknown scale');
+    expect(() => registry.register({ ...base, items: [{ id: 'demo_1', scale: 'yesNo', askIf: { item: 'x', equals: 1 } }] }))
+      .toThrow('depends on unknown item');
+
+    registry.register(base);
+    expect(() => registry.register(base)).toThrow('already registered');
+  });
+});
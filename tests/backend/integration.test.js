@@ -3,30 +3,35 @@
  * Tests the complete backend API functionality
  */
 
+// Under Jest (NODE_ENV=test) the server uses its own SQLite file, migrated on start
+process.env.DB_MIGRATE_ON_START = 'true';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'integration-test-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'integration-test-refresh-secret';
+
 const request = require('supertest');
-const mongoose = require('mongoose');
-const app = require('../../backend/server');
-const User = require('../../backend/models/User');
+const { app, server, ready } = require('../../backend/server');
+const { db } = require('../../backend/models');
+const { tokenUtils } = require('../../backend/middlewares/auth');
+const { closeConnection: closeDBConnection } = require('../../backend/config/database');
+const { closeConnection: closeRedisConnection } = require('../../backend/config/redis');
 
 describe('Mental Wellness AI - Backend Integration Tests', () => {
   let authToken;
   let testUser;
 
   beforeAll(async () => {
-    // Connect to test database
-    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/mental_wellness_ai_test';
-    await mongoose.connect(mongoUri);
+    await ready;
   });
 
   afterAll(async () => {
-    // Clean up test database
-    await mongoose.connection.db.dropDatabase();
-    await mongoose.connection.close();
+    await new Promise(resolve => server.close(resolve));
+    await Promise.all([closeDBConnection(), closeRedisConnection()]);
   });
 
   beforeEach(async () => {
-    // Clear database before each test
-    await User.deleteMany({});
+    // Clear database before each test (sessions and messages cascade);
+    // users are paranoid, so a plain destroy would keep their emails taken
+    await db.User.destroy({ where: {}, force: true });
   });
 
   describe('Authentication Endpoints', () => {
@@ -41,7 +46,7 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
           });
 
         expect(response.status).toBe(201);
-        expect(response.body).toHaveProperty('token');
+        expect(response.body).toHaveProperty('tokens.accessToken');
         expect(response.body.user).toHaveProperty('id');
         expect(response.body.user.anonymous).toBe(true);
       });
@@ -60,7 +65,7 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
           .send(userData);
 
         expect(response.status).toBe(201);
-        expect(response.body).toHaveProperty('token');
+        expect(response.body).toHaveProperty('tokens.accessToken');
         expect(response.body.user.email).toBe(userData.email);
         expect(response.body.user.anonymous).toBe(false);
       });
@@ -81,14 +86,13 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
     describe('POST /api/auth/login', () => {
       beforeEach(async () => {
         // Create a test user
-        testUser = new User({
+        testUser = await db.User.create({
           email: 'test@example.com',
           password: 'securePassword123',
           age: 20,
           anonymous: false,
           termsAccepted: true
         });
-        await testUser.save();
       });
 
       it('should login with valid credentials', async () => {
@@ -100,10 +104,10 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
           });
 
         expect(response.status).toBe(200);
-        expect(response.body).toHaveProperty('token');
+        expect(response.body).toHaveProperty('tokens.accessToken');
         expect(response.body.user.email).toBe('test@example.com');
         
-        authToken = response.body.token;
+        authToken = response.body.tokens.accessToken;
       });
 
       it('should reject invalid credentials', async () => {
@@ -123,23 +127,16 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
   describe('Chat Endpoints', () => {
     beforeEach(async () => {
       // Create and authenticate test user
-      testUser = new User({
+      testUser = await db.User.create({
         email: 'chattest@example.com',
         password: 'securePassword123',
         age: 19,
         anonymous: false,
         termsAccepted: true
       });
-      await testUser.save();
-
-      const loginResponse = await request(app)
-        .post('/api/auth/login')
-        .send({
-          email: 'chattest@example.com',
-          password: 'securePassword123'
-        });
 
-      authToken = loginResponse.body.token;
+      // Signed directly: the auth rate limit allows only a few logins per window
+      authToken = tokenUtils.generate({ userId: testUser.id });
     });
 
     describe('POST /api/chat/message', () => {
@@ -153,10 +150,9 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
 
         expect(response.status).toBe(200);
         expect(response.body).toHaveProperty('success', true);
-        expect(response.body).toHaveProperty('message');
-        expect(response.body.message).toHaveProperty('content');
-        expect(response.body).toHaveProperty('sentiment');
-        expect(response.body.crisisDetected).toBe(false);
+        expect(response.body.data).toHaveProperty('sessionId');
+        expect(response.body.data.aiResponse).toHaveProperty('content');
+        expect(response.body.data.aiResponse.crisisDetected).toBe(false);
       });
 
       it('should detect crisis language', async () => {
@@ -168,9 +164,9 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
           });
 
         expect(response.status).toBe(200);
-        expect(response.body.crisisDetected).toBe(true);
-        expect(response.body).toHaveProperty('crisisLevel');
-        expect(response.body).toHaveProperty('emergencyResources');
+        expect(response.body.data.aiResponse.crisisDetected).toBe(true);
+        expect(response.body.data.aiResponse).toHaveProperty('crisisLevel', 'high');
+        expect(response.body.data.aiResponse.emergencyResources).toBeTruthy();
       });
 
       it('should require authentication', async () => {
@@ -194,7 +190,7 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty('error');
+        expect(response.body).toHaveProperty('errors');
       });
     });
 
@@ -213,9 +209,8 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
           .set('Authorization', `Bearer ${authToken}`);
 
         expect(response.status).toBe(200);
-        expect(response.body).toHaveProperty('sessions');
-        expect(Array.isArray(response.body.sessions)).toBe(true);
-        expect(response.body).toHaveProperty('pagination');
+        expect(response.body.data.sessions).toHaveLength(1);
+        expect(response.body.data).toHaveProperty('pagination.totalCount', 1);
       });
     });
   });
@@ -223,23 +218,16 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
   describe('Crisis Detection', () => {
     beforeEach(async () => {
       // Create and authenticate test user
-      testUser = new User({
+      testUser = await db.User.create({
         email: 'crisistest@example.com',
         password: 'securePassword123',
         age: 17,
         anonymous: false,
         termsAccepted: true
       });
-      await testUser.save();
 
-      const loginResponse = await request(app)
-        .post('/api/auth/login')
-        .send({
-          email: 'crisistest@example.com',
-          password: 'securePassword123'
-        });
-
-      authToken = loginResponse.body.token;
+      // Signed directly: the auth rate limit allows only a few logins per window
+      authToken = tokenUtils.generate({ userId: testUser.id });
     });
 
     describe('POST /api/chat/crisis-check', () => {
@@ -247,19 +235,20 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
         const testMessages = [
           {
             message: 'I want to kill myself',
-            expectedRisk: 'high'
+            expectedLevel: 'critical'
           },
           {
             message: 'I hate my life and feel worthless',
-            expectedRisk: 'medium'
+            expectedLevel: 'medium'
           },
           {
+            // Sadness alone is not evidence of a crisis
             message: 'I am feeling sad today',
-            expectedRisk: 'low'
+            expectedLevel: 'none'
           },
           {
             message: 'What a beautiful day!',
-            expectedRisk: 'none'
+            expectedLevel: 'none'
           }
         ];
 
@@ -272,12 +261,9 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
             });
 
           expect(response.status).toBe(200);
-          expect(response.body).toHaveProperty('riskLevel');
-          expect(response.body).toHaveProperty('analysis');
-          
-          if (test.expectedRisk !== 'none') {
-            expect(response.body).toHaveProperty('response');
-          }
+          expect(response.body.data.crisisLevel).toBe(test.expectedLevel);
+          expect(response.body.data.crisisDetected).toBe(test.expectedLevel !== 'none');
+          expect(response.body.data).toHaveProperty('signals');
         }
       });
     });
@@ -290,7 +276,7 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
 
         expect(response.status).toBe(200);
         expect(response.body).toHaveProperty('status', 'healthy');
-        expect(response.body).toHaveProperty('service', 'mental-wellness-ai-backend');
+        expect(response.body).toHaveProperty('database.status', 'healthy');
         expect(response.body).toHaveProperty('timestamp');
       });
     });
@@ -299,23 +285,16 @@ describe('Mental Wellness AI - Backend Integration Tests', () => {
   describe('Rate Limiting', () => {
     beforeEach(async () => {
       // Create and authenticate test user
-      testUser = new User({
+      testUser = await db.User.create({
         email: 'ratetest@example.com',
         password: 'securePassword123',
         age: 21,
         anonymous: false,
         termsAccepted: true
       });
-      await testUser.save();
-
-      const loginResponse = await request(app)
-        .post('/api/auth/login')
-        .send({
-          email: 'ratetest@example.com',
-          password: 'securePassword123'
-        });
 
-      authToken = loginResponse.body.token;
+      // Signed directly: the auth rate limit allows only a few logins per window
+      authToken = tokenUtils.generate({ userId: testUser.id });
     });
 
     it('should enforce rate limiting on chat messages', async () => {
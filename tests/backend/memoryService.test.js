@@ -0,0 +1,148 @@
+/**
+ * Conversation Memory Tests
+ * Token-budgeted context, rolling summaries and pinned facts
+ */
+
+const { Sequelize, DataTypes } = require('sequelize');
+
+jest.mock('../../backend/models', () => ({ db: {} }));
+
+const { db } = require('../../backend/models');
+const initChatSessionModel = require('../../backend/models/ChatSessionSequelize');
+const initMessageModel = require('../../backend/models/MessageSequelize');
+const searchMigration = require('../../backend/migrations/0005-message-search');
+const initMemoryFactModel = require('../../backend/models/MemoryFactSequelize');
+const providerRegistry = require('../../backend/ai/providers');
+const BaseProvider = require('../../backend/ai/providers/baseProvider');
+const { MemoryService } = require('../../backend/ai/memoryService');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+const OTHER_USER = '22222222-2222-4222-8222-222222222222';
+
+class StubProvider extends BaseProvider {
+  constructor() {
+    super('stub');
+    this.requests = [];
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async generate(request) {
+    this.requests.push(request);
+    return { content: 'User is preparing for an exam on Friday.', source: this.name };
+  }
+}
+
+describe('MemoryService', () => {
+  let sequelize;
+  let memory;
+  let session;
+
+  // Alternating user/ai messages, one minute apart, oldest first
+  const addMessages = async (count, { text = index => `message ${index}`, start = Date.UTC(2026, 0, 1) } = {}) => {
+    for (let index = 0; index < count; index++) {
+      const at = new Date(start + index * 60 * 1000);
+      await db.Message.create({
+        sessionId: session.id,
+        userId: USER,
+        sender: index % 2 === 0 ? 'user' : 'ai',
+        content: text(index),
+        createdAt: at,
+        updatedAt: at
+      }, { silent: true });
+    }
+  };
+
+  beforeEach(async () => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    // Sessions, messages and facts reference users; ids are all this suite needs
+    const User = sequelize.define('User', { id: { type: DataTypes.UUID, primaryKey: true } }, { tableName: 'users' });
+    db.ChatSession = initChatSessionModel(sequelize);
+    db.Message = initMessageModel(sequelize);
+    db.MemoryFact = initMemoryFactModel(sequelize);
+    await sequelize.sync();
+    // Messages are indexed for search as they are created
+    await searchMigration.up({ queryInterface: sequelize.getQueryInterface(), DataTypes });
+    await User.bulkCreate([{ id: USER }, { id: OTHER_USER }]);
+
+    session = await db.ChatSession.create({ userId: USER });
+    memory = new MemoryService();
+  });
+
+  afterEach(async () => {
+    await sequelize.close();
+  });
+
+  it('keeps the newest messages that fit the token budget, oldest first', async () => {
+    // 40 characters is about 10 tokens per message
+    await addMessages(10, { text: index => `${index}`.padEnd(40, '.') });
+
+    const context = await memory.buildContext(USER, session.id, { budget: 35 });
+
+    expect(context.messages.map(message => message.content[0])).toEqual(['7', '8', '9']);
+    expect(context.messages.map(message => message.role)).toEqual(['assistant', 'user', 'assistant']);
+    expect(context.tokens).toBe(30);
+  });
+
+  it('puts pinned facts and the session summary ahead of messages', async () => {
+    await addMessages(6);
+    await memory.addFact(USER, 'I have a cat named Mo');
+    await memory.addFact(OTHER_USER, 'Not my fact');
+    await session.update({ summary: 'Earlier: talked about school.', summarizedThrough: new Date(Date.UTC(2026, 0, 1, 0, 3)) });
+
+    const context = await memory.buildContext(USER, session.id);
+
+    expect(context.facts).toEqual(['I have a cat named Mo']);
+    expect(context.summary).toBe('Earlier: talked about school.');
+    // Messages covered by the summary are not repeated
+    expect(context.messages.map(message => message.content)).toEqual(['message 4', 'message 5']);
+  });
+
+  it("ignores a session that belongs to someone else", async () => {
+    await addMessages(2);
+    const context = await memory.buildContext(OTHER_USER, session.id);
+    expect(context.messages).toEqual([]);
+  });
+
+  it('folds older messages into a rolling summary once enough have accumulated', async () => {
+    const stub = new StubProvider();
+    providerRegistry.register('stub', () => stub);
+    providerRegistry.configure({ order: ['stub', 'fallback'], providers: {}, resilience: {} });
+
+    await addMessages(11);
+    expect(await memory.refreshSummary(session.id)).toBeNull();
+    expect(stub.requests).toHaveLength(0);
+
+    await addMessages(1, { start: Date.UTC(2026, 0, 1, 1) });
+    await memory.refreshSummary(session.id);
+    await session.reload();
+
+    expect(session.summary).toBe('User is preparing for an exam on Friday.');
+    expect(session.summaryMessageCount).toBe(8);
+    expect(stub.requests[0].conversationPrompt).toContain('User: message 0');
+    expect(stub.requests[0].conversationPrompt).not.toContain('message 8');
+
+    // The four newest messages stay verbatim
+    const context = await memory.buildContext(USER, session.id);
+    expect(context.messages).toHaveLength(4);
+  });
+
+  it('keeps the previous summary when only the rule-based fallback is available', async () => {
+    providerRegistry.configure({ order: ['fallback'], providers: {}, resilience: {} });
+    await addMessages(12);
+
+    expect(await memory.refreshSummary(session.id)).toBeNull();
+    await session.reload();
+    expect(session.summary).toBeNull();
+  });
+
+  it('lets a user delete only their own facts', async () => {
+    const fact = await memory.addFact(USER, 'My exam is Friday');
+
+    await expect(memory.deleteFact(OTHER_USER, fact.id)).rejects.toMatchObject({ statusCode: 404 });
+    await memory.deleteFact(USER, fact.id);
+    expect(await memory.listFacts(USER)).toEqual([]);
+  });
+});
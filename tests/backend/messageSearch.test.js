@@ -0,0 +1,137 @@
+/**
+ * Chat Search Tests
+ * Hashed term index, filters, snippets and excluded data
+ */
+
+const crypto = require('crypto');
+const { Sequelize, DataTypes } = require('sequelize');
+
+jest.mock('../../backend/models', () => ({ db: {} }));
+
+const { db } = require('../../backend/models');
+const fieldEncryption = require('../../backend/services/fieldEncryption');
+const { getEncryptionConfig } = require('../../backend/config/encryption');
+const initChatSessionModel = require('../../backend/models/ChatSessionSequelize');
+const initMessageModel = require('../../backend/models/MessageSequelize');
+const searchMigration = require('../../backend/migrations/0005-message-search');
+const { MessageSearchService } = require('../../backend/services/messageSearchService');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+const OTHER_USER = '22222222-2222-4222-8222-222222222222';
+
+describe('MessageSearchService', () => {
+  let sequelize;
+  let search;
+  let session;
+
+  // A stored sentiment label stops the model from re-scoring the message
+  const addMessage = (content, fields = {}) => db.Message.create({
+    sessionId: session.id,
+    userId: USER,
+    sender: 'user',
+    sentiment: 'neutral',
+    content,
+    ...fields
+  });
+
+  const contents = ({ results }) => results.map(result => result.snippet);
+
+  beforeEach(async () => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    // Sessions and messages reference users; ids are all this suite needs
+    const User = sequelize.define('User', { id: { type: DataTypes.UUID, primaryKey: true } }, { tableName: 'users' });
+    db.sequelize = sequelize;
+    db.ChatSession = initChatSessionModel(sequelize);
+    db.Message = initMessageModel(sequelize);
+    db.Message.belongsTo(db.ChatSession, { foreignKey: 'sessionId', as: 'session' });
+    await sequelize.sync();
+    await searchMigration.up({ queryInterface: sequelize.getQueryInterface(), DataTypes });
+    await User.bulkCreate([{ id: USER }, { id: OTHER_USER }]);
+
+    session = await db.ChatSession.create({ userId: USER });
+    search = new MessageSearchService();
+  });
+
+  afterEach(async () => {
+    fieldEncryption.configure(null);
+    await sequelize.close();
+  });
+
+  it('finds messages containing every word, newest first, with highlights', async () => {
+    await addMessage('I argued with my sister about the holidays', { createdAt: new Date('2026-01-01') });
+    await addMessage('My sisters came over and we talked', { createdAt: new Date('2026-02-01') });
+    await addMessage('Work was fine today');
+
+    const found = await search.search(USER, { q: 'sister' });
+    expect(contents(found)).toEqual(['My sisters came over and we talked', 'I argued with my sister about the holidays']);
+    expect(found.results[0]).toMatchObject({ sessionId: session.id, sender: 'user', highlights: [[3, 10]] });
+    expect(found.pagination.totalCount).toBe(2);
+
+    expect(contents(await search.search(USER, { q: 'Sister holidays' }))).toEqual(['I argued with my sister about the holidays']);
+  });
+
+  it('filters by sender, crisis flag and date range', async () => {
+    await addMessage('Sleep has been bad', { createdAt: new Date('2026-01-05') });
+    await addMessage('Try a wind-down routine before sleep', { sender: 'ai', createdAt: new Date('2026-01-06') });
+    await addMessage('I cannot sleep and want it all to stop', {
+      crisisDetected: true,
+      createdAt: new Date('2026-03-01')
+    });
+
+    expect(contents(await search.search(USER, { q: 'sleep', sender: 'ai' }))).toEqual(['Try a wind-down routine before sleep']);
+    expect(contents(await search.search(USER, { q: 'sleep', crisisOnly: true }))).toEqual(['I cannot sleep and want it all to stop']);
+    expect(contents(await search.search(USER, {
+      q: 'sleep',
+      from: new Date('2026-01-01'),
+      to: new Date('2026-01-31')
+    }))).toEqual(['Try a wind-down routine before sleep', 'Sleep has been bad']);
+  });
+
+  it("leaves out other users' messages and deleted or anonymized data", async () => {
+    await addMessage('My sister called');
+    const deleted = await addMessage('My sister visited');
+    await deleted.destroy();
+    await addMessage('My sister left', { isAnonymized: true });
+
+    const otherSession = await db.ChatSession.create({ userId: OTHER_USER });
+    await db.Message.create({ sessionId: otherSession.id, userId: OTHER_USER, sender: 'user', sentiment: 'neutral', content: 'My sister again' });
+
+    const deletedSession = await db.ChatSession.create({ userId: USER });
+    await db.Message.create({ sessionId: deletedSession.id, userId: USER, sender: 'user', sentiment: 'neutral', content: 'My sister once more' });
+    await deletedSession.destroy();
+
+    expect(contents(await search.search(USER, { q: 'sister' }))).toEqual(['My sister called']);
+  });
+
+  it('indexes hashed terms only when encryption is on', async () => {
+    const saved = { ...process.env };
+    process.env.FIELD_ENCRYPTION_KEYS = `1:${crypto.randomBytes(32).toString('hex')}`;
+    try {
+      fieldEncryption.configure(getEncryptionConfig());
+    } finally {
+      process.env = saved;
+    }
+
+    await addMessage('I have a cat named Mo');
+
+    const [rows] = await sequelize.query('SELECT terms FROM message_search');
+    expect(rows[0].terms).not.toMatch(/cat|named/);
+    expect(contents(await search.search(USER, { q: 'cats' }))).toEqual(['I have a cat named Mo']);
+  });
+
+  it('cuts a snippet around the first match', async () => {
+    const filler = 'and then something else happened '.repeat(6);
+    await addMessage(`${filler}before I called my sister. ${filler}`);
+
+    const [result] = (await search.search(USER, { q: 'sister' })).results;
+    expect(result.snippet.startsWith('…')).toBe(true);
+    expect(result.snippet.endsWith('…')).toBe(true);
+    const [[start, end]] = result.highlights;
+    expect(result.snippet.slice(start, end)).toBe('sister');
+  });
+
+  it('rejects a query with no searchable words', async () => {
+    await expect(search.search(USER, { q: 'to the' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'SEARCH_QUERY_EMPTY' });
+  });
+});
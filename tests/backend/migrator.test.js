@@ -0,0 +1,157 @@
+/**
+ * Migration Runner Tests
+ * Numbered migrations, rollback, startup check and model/schema parity
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+
+const { Migrator } = require('../../backend/services/migrator');
+
+const MIGRATIONS = ['0001-initial-schema', '0002-message-client-id', '0003-conversation-memory', '0004-session-completion', '0005-message-search', '0006-export-jobs', '0007-escalation-safety-check'];
+
+const MODELS = [
+  require('../../backend/models/UserSequelize'),
+  require('../../backend/models/ChatSessionSequelize'),
+  require('../../backend/models/MessageSequelize'),
+  require('../../backend/models/EscalationSequelize'),
+  require('../../backend/models/UserRoleSequelize'),
+  require('../../backend/models/AuditEventSequelize'),
+  require('../../backend/models/AssessmentSequelize'),
+  require('../../backend/models/MemoryFactSequelize')
+];
+
+describe('Migrator', () => {
+  let sequelize;
+  let migrator;
+
+  beforeEach(() => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    migrator = new Migrator(sequelize);
+  });
+
+  afterEach(async () => {
+    await sequelize.close();
+  });
+
+  const tables = async () => (await sequelize.getQueryInterface().showAllTables()).sort();
+
+  it('refuses to start with pending migrations', async () => {
+    await expect(migrator.assertUpToDate()).rejects.toMatchObject({
+      code: 'MIGRATIONS_PENDING',
+      pending: MIGRATIONS
+    });
+
+    await migrator.up();
+    await expect(migrator.assertUpToDate()).resolves.toBeUndefined();
+  });
+
+  it('applies, reports and rolls back migrations', async () => {
+    expect(await migrator.up()).toEqual(MIGRATIONS);
+    expect(await migrator.up()).toEqual([]);
+
+    const [status] = await migrator.status();
+    expect(status).toMatchObject({ name: '0001-initial-schema', applied: true, missing: false });
+    expect(await tables()).toContain('messages');
+
+    expect(await migrator.down()).toEqual(['0007-escalation-safety-check']);
+    const escalationColumns = await sequelize.getQueryInterface().describeTable('escalations');
+    expect(escalationColumns.userReportedSafeAt).toBeUndefined();
+
+    expect(await migrator.down()).toEqual(['0006-export-jobs']);
+    expect(await tables()).not.toContain('export_jobs');
+
+    expect(await migrator.down()).toEqual(['0005-message-search']);
+    expect(await tables()).not.toContain('message_search');
+
+    expect(await migrator.down()).toEqual(['0004-session-completion']);
+    const completionColumns = await sequelize.getQueryInterface().describeTable('chat_sessions');
+    expect(completionColumns.endSummary).toBeUndefined();
+    expect(completionColumns.moodAtEnd).toBeUndefined();
+
+    expect(await migrator.down()).toEqual(['0003-conversation-memory']);
+    expect(await tables()).not.toContain('memory_facts');
+    const sessionColumns = await sequelize.getQueryInterface().describeTable('chat_sessions');
+    expect(sessionColumns.summary).toBeUndefined();
+
+    expect(await migrator.down()).toEqual(['0002-message-client-id']);
+    const columns = await sequelize.getQueryInterface().describeTable('messages');
+    expect(columns.clientMessageId).toBeUndefined();
+
+    expect(await migrator.down({ step: MIGRATIONS.length })).toEqual(['0001-initial-schema']);
+    expect(await tables()).toEqual(['schema_migrations']);
+    expect(await migrator.getPending()).toEqual(MIGRATIONS);
+  });
+
+  it('creates the columns the models expect', async () => {
+    await migrator.up();
+    const queryInterface = sequelize.getQueryInterface();
+
+    for (const initModel of MODELS) {
+      const Model = initModel(sequelize);
+      const columns = await queryInterface.describeTable(Model.getTableName());
+
+      for (const [name, attribute] of Object.entries(Model.getAttributes())) {
+        expect({ table: Model.getTableName(), name, exists: Boolean(columns[name]) })
+          .toEqual({ table: Model.getTableName(), name, exists: true });
+        if (attribute.allowNull === false && !attribute.primaryKey) {
+          expect({ name, allowNull: columns[name].allowNull }).toEqual({ name, allowNull: false });
+        }
+      }
+    }
+  });
+
+  it('adopts tables created by sequelize.sync', async () => {
+    MODELS.forEach(initModel => initModel(sequelize));
+    await sequelize.sync();
+
+    // Only the baseline adopts existing tables; later migrations change them
+    expect(await migrator.up({ to: '0001-initial-schema' })).toEqual(['0001-initial-schema']);
+    expect(await migrator.getPending()).toEqual(MIGRATIONS.slice(1));
+  });
+
+  describe('with a failing migration', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+      fs.writeFileSync(path.join(directory, '0001-create-widgets.js'), `
+        module.exports = {
+          up: async ({ queryInterface, DataTypes, transaction }) => {
+            await queryInterface.createTable('widgets', { id: { type: DataTypes.INTEGER, primaryKey: true } }, { transaction });
+          },
+          down: async ({ queryInterface, transaction }) => queryInterface.dropTable('widgets', { transaction })
+        };
+      `);
+      fs.writeFileSync(path.join(directory, '0002-broken.js'), `
+        module.exports = {
+          up: async ({ queryInterface, DataTypes, transaction }) => {
+            await queryInterface.addColumn('widgets', 'name', DataTypes.STRING, { transaction });
+            throw new Error('boom');
+          },
+          down: async () => {}
+        };
+      `);
+      migrator = new Migrator(sequelize, { directory });
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('rolls back the failed migration and keeps earlier ones', async () => {
+      await expect(migrator.up()).rejects.toThrow('boom');
+
+      expect(await migrator.getPending()).toEqual(['0002-broken']);
+      const columns = await sequelize.getQueryInterface().describeTable('widgets');
+      expect(columns.name).toBeUndefined();
+    });
+
+    it('stops at the requested migration', async () => {
+      expect(await migrator.up({ to: '0001-create-widgets' })).toEqual(['0001-create-widgets']);
+      await expect(migrator.up({ to: '0001-create-widgets' })).rejects.toThrow('is not pending');
+    });
+  });
+});
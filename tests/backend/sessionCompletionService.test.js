@@ -0,0 +1,187 @@
+/**
+ * Session Completion Tests
+ * Ending sessions, end-of-session summaries, mood at end and the idle sweep
+ */
+
+const { Sequelize, DataTypes } = require('sequelize');
+
+jest.mock('../../backend/models', () => ({ db: {} }));
+
+const { db } = require('../../backend/models');
+const initChatSessionModel = require('../../backend/models/ChatSessionSequelize');
+const initMessageModel = require('../../backend/models/MessageSequelize');
+const searchMigration = require('../../backend/migrations/0005-message-search');
+const providerRegistry = require('../../backend/ai/providers');
+const { SessionCompletionService } = require('../../backend/services/sessionCompletionService');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+const OTHER_USER = '22222222-2222-4222-8222-222222222222';
+
+describe('SessionCompletionService', () => {
+  let sequelize;
+  let completion;
+  let session;
+
+  // A stored sentiment label stops the model from re-scoring the message
+  const addMessage = (sender, content, fields = {}) => db.Message.create({
+    sessionId: session.id,
+    userId: USER,
+    sender,
+    content,
+    ...fields
+  });
+
+  beforeEach(async () => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    // Sessions and messages reference users; ids are all this suite needs
+    const User = sequelize.define('User', { id: { type: DataTypes.UUID, primaryKey: true } }, { tableName: 'users' });
+    db.ChatSession = initChatSessionModel(sequelize);
+    db.Message = initMessageModel(sequelize);
+    await sequelize.sync();
+    // Messages are indexed for search as they are created
+    await searchMigration.up({ queryInterface: sequelize.getQueryInterface(), DataTypes });
+    await User.bulkCreate([{ id: USER }, { id: OTHER_USER }]);
+
+    // Only the rule-based fallback: summaries come from the keyword lists
+    providerRegistry.configure({ order: ['fallback'], providers: {}, resilience: {} });
+
+    session = await db.ChatSession.create({ userId: USER });
+    completion = new SessionCompletionService();
+  });
+
+  afterEach(async () => {
+    delete process.env.SESSION_INACTIVITY_MINUTES;
+    await sequelize.close();
+  });
+
+  it('ends a session with a private summary and the mood at the end', async () => {
+    await addMessage('user', 'My exam is Friday and I am so anxious I cannot sleep', { sentiment: 'negative', sentimentScore: 0.2 });
+    await addMessage('ai', 'That sounds hard. Would a slow breathing exercise help right now?');
+    await addMessage('user', 'Okay, that helped a bit', { sentiment: 'neutral', sentimentScore: 0.5 });
+    await addMessage('user', 'I feel calmer now, thank you', { sentiment: 'positive', sentimentScore: 0.7 });
+    const completed = jest.fn();
+    completion.on('completed', completed);
+
+    await completion.complete(USER, session.id, { moodAtEnd: 6 });
+    await session.reload();
+
+    expect(session.status).toBe('completed');
+    expect(session.endReason).toBe('user_ended');
+    expect(session.moodAtEnd).toBe(6);
+    expect(session.endSummary).toMatchObject({
+      keyTopics: ['School', 'Sleep', 'Anxiety'],
+      copingStrategies: ['Breathing exercises'],
+      sentimentArc: { start: 0.2, middle: 0.5, end: 0.7, trend: 'improving' },
+      crisisMoments: 0,
+      messageCount: 4,
+      generatedBy: 'keywords'
+    });
+    expect(completed).toHaveBeenCalledWith({
+      userId: USER,
+      session: expect.objectContaining({ id: session.id, status: 'completed' })
+    });
+  });
+
+  it('uses an AI provider for topics and strategies when one is available', async () => {
+    jest.spyOn(providerRegistry, 'generateWithAI').mockResolvedValueOnce(
+      '```json\n{"overview": "You talked about exam stress.", "keyTopics": ["Exam stress"], "copingStrategies": ["Box breathing"]}\n```'
+    );
+    await addMessage('user', 'Exams are stressing me out', { sentiment: 'negative', sentimentScore: 0.3 });
+
+    await completion.complete(USER, session.id);
+    await session.reload();
+
+    expect(session.endSummary).toMatchObject({
+      overview: 'You talked about exam stress.',
+      keyTopics: ['Exam stress'],
+      copingStrategies: ['Box breathing'],
+      sentimentArc: { start: 0.3, middle: null, end: 0.3, trend: null },
+      generatedBy: 'ai'
+    });
+  });
+
+  it('records the mood later for a closed session, but only once', async () => {
+    await addMessage('user', 'Hello');
+    await completion.complete(USER, session.id);
+
+    await completion.complete(USER, session.id, { moodAtEnd: 4 });
+    await completion.complete(USER, session.id, { moodAtEnd: 4 });
+    await expect(completion.complete(USER, session.id, { moodAtEnd: 8 }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'MOOD_ALREADY_RECORDED' });
+
+    await session.reload();
+    expect(session.moodAtEnd).toBe(4);
+  });
+
+  it("refuses another user's session", async () => {
+    await expect(completion.complete(OTHER_USER, session.id))
+      .rejects.toMatchObject({ statusCode: 404, code: 'SESSION_NOT_FOUND' });
+  });
+
+  it('closes idle sessions at their last activity and abandons empty ones', async () => {
+    process.env.SESSION_INACTIVITY_MINUTES = '30';
+    const lastActivity = new Date(Date.now() - 60 * 60 * 1000);
+    await addMessage('user', 'I had a long day at work');
+    await session.update({ lastActivity });
+    const empty = await db.ChatSession.create({ userId: USER, lastActivity });
+    const recent = await db.ChatSession.create({ userId: USER });
+
+    expect(await completion.closeIdleSessions()).toBe(2);
+
+    await Promise.all([session.reload(), empty.reload(), recent.reload()]);
+    expect(session).toMatchObject({ status: 'completed', endReason: 'inactivity' });
+    expect(session.endedAt.getTime()).toBe(lastActivity.getTime());
+    expect(session.endSummary.keyTopics).toEqual(['Work']);
+    expect(empty).toMatchObject({ status: 'abandoned', endSummary: null });
+    expect(recent.status).toBe('active');
+  });
+
+  it('ends sessions escalated for a crisis like active ones', async () => {
+    process.env.SESSION_INACTIVITY_MINUTES = '30';
+    await addMessage('user', 'I had a long day at work');
+    await session.update({ status: 'crisis_escalated' });
+    const idle = await db.ChatSession.create({
+      userId: USER,
+      status: 'crisis_escalated',
+      lastActivity: new Date(Date.now() - 60 * 60 * 1000)
+    });
+
+    await completion.complete(USER, session.id, { moodAtEnd: 3 });
+    expect(await completion.closeIdleSessions()).toBe(1);
+
+    await Promise.all([session.reload(), idle.reload()]);
+    expect(session).toMatchObject({ status: 'completed', endReason: 'user_ended', moodAtEnd: 3 });
+    expect(session.endedAt).toBeInstanceOf(Date);
+    expect(session.duration).toEqual(expect.any(Number));
+    expect(session.endSummary.keyTopics).toEqual(['Work']);
+    expect(idle).toMatchObject({ status: 'abandoned', endReason: 'inactivity' });
+  });
+
+  it('lets a user ending a session the sweep is closing wait for it', async () => {
+    process.env.SESSION_INACTIVITY_MINUTES = '30';
+    await addMessage('user', 'I had a long day at work');
+    await session.update({ lastActivity: new Date(Date.now() - 60 * 60 * 1000) });
+
+    let finishSummary;
+    const summaryWritten = new Promise(resolve => { finishSummary = resolve; });
+    const buildSummary = completion.buildSummary.bind(completion);
+    jest.spyOn(completion, 'buildSummary').mockImplementationOnce(async (messages) => {
+      await summaryWritten;
+      return buildSummary(messages);
+    });
+    const completed = jest.fn();
+    completion.on('completed', completed);
+
+    const sweep = completion.closeIdleSessions();
+    while (completion.buildSummary.mock.calls.length === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    const ended = completion.complete(USER, session.id, { moodAtEnd: 6 });
+    finishSummary();
+
+    expect(await sweep).toBe(1);
+    expect(await ended).toMatchObject({ status: 'completed', endReason: 'inactivity', moodAtEnd: 6 });
+    expect(completed).toHaveBeenCalledTimes(1);
+    expect(await completion.closeIdleSessions()).toBe(0);
+  });
+});
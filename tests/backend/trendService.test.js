@@ -0,0 +1,91 @@
+/**
+ * Assessment Trend Tests
+ * Rolling averages, reliable change, streaks and mood/sentiment correlation
+ */
+
+const { TrendService } = require('../../backend/services/trendService');
+
+const day = (date, hour = 12) => new Date(`${date}T${String(hour).padStart(2, '0')}:00:00Z`);
+
+const rows = (type, entries) => entries.map(([date, score], index) => ({
+  id: `${type}-${index}`,
+  type,
+  score,
+  severity: null,
+  instrumentVersion: '1.0',
+  createdAt: day(date)
+}));
+
+describe('TrendService', () => {
+  const trendService = new TrendService();
+
+  it('averages over a trailing window of administrations', () => {
+    expect(trendService.rollingAverage([3, 6, 9, 12], 3)).toEqual([3, 4.5, 6, 9]);
+    expect(trendService.rollingAverage([5, 7], 1)).toEqual([5, 7]);
+  });
+
+  it('uses the instrument threshold and direction for reliable change', () => {
+    const phq9 = trendService.getScoring('phq9');
+    expect(phq9).toEqual({ direction: 'lower_better', reliableChange: 5 });
+    expect(trendService.classifyChange(-5, phq9)).toBe('improved');
+    expect(trendService.classifyChange(4, phq9)).toBe('no_change');
+    expect(trendService.classifyChange(6, phq9)).toBe('deteriorated');
+
+    // WHO-5 is a wellbeing index: higher is better
+    const who5 = trendService.getScoring('who5');
+    expect(trendService.classifyChange(12, who5)).toBe('improved');
+
+    expect(trendService.classifyChange(3, trendService.getScoring('mood'))).toBeNull();
+  });
+
+  it('summarizes an instrument series between administrations', () => {
+    const trend = trendService.summarize('phq9', rows('phq9', [
+      ['2026-01-01', 18],
+      ['2026-01-15', 16],
+      ['2026-01-29', 10],
+      ['2026-02-12', 7]
+    ]), { window: 2, now: day('2026-02-20') });
+
+    expect(trend.series.map(point => [point.change, point.reliableChange])).toEqual([
+      [null, null],
+      [-2, 'no_change'],
+      [-6, 'improved'],
+      [-3, 'no_change']
+    ]);
+    expect(trend.series.map(point => point.rollingAverage)).toEqual([18, 17, 13, 8.5]);
+    expect(trend.overall).toMatchObject({ from: 18, to: 7, change: -11, reliableChange: 'improved', average: 12.75 });
+    expect(trend.streaks).toMatchObject({ current: 0, longest: 1, improving: 3 });
+  });
+
+  it('counts consecutive check-in days and keeps a streak alive until the day ends', () => {
+    const timestamps = ['2026-03-01', '2026-03-02', '2026-03-02', '2026-03-03', '2026-03-06', '2026-03-07']
+      .map(date => day(date));
+
+    expect(trendService.streaks(timestamps, day('2026-03-08', 9))).toEqual({ current: 2, longest: 3, lastEntry: '2026-03-07' });
+    expect(trendService.streaks(timestamps, day('2026-03-09')).current).toBe(0);
+    expect(trendService.streaks([], day('2026-03-09'))).toEqual({ current: 0, longest: 0, lastEntry: null });
+  });
+
+  it('correlates daily mood with chat sentiment on days that have both', () => {
+    const moods = rows('mood', [
+      ['2026-04-01', 3],
+      ['2026-04-02', 5],
+      ['2026-04-03', 8],
+      ['2026-04-04', 9]
+    ]);
+    const messages = [
+      { createdAt: day('2026-04-01', 9), sentimentScore: 0.2 },
+      { createdAt: day('2026-04-01', 10), sentimentScore: 0.3 },
+      { createdAt: day('2026-04-02'), sentimentScore: 0.45 },
+      { createdAt: day('2026-04-03'), sentimentScore: 0.7 }
+    ];
+
+    const result = trendService.moodSentiment(moods, messages);
+    expect(result.days).toBe(3);
+    expect(result.points[0]).toEqual({ date: '2026-04-01', mood: 3, sentiment: 0.25, messages: 2 });
+    expect(result.coefficient).toBeGreaterThan(0.9);
+
+    expect(trendService.moodSentiment(moods.slice(0, 2), messages).coefficient).toBeNull();
+    expect(trendService.correlation([[1, 0.5], [2, 0.5], [3, 0.5]])).toBeNull();
+  });
+});